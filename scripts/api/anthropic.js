@@ -4,9 +4,17 @@
  */
 
 import BaseAPIClient from './api-client.js';
-import { PROVIDERS } from '../constants.js';
+import CostEstimator from '../services/cost-estimator.js';
+import PricingCatalog from '../services/pricing-catalog.js';
+import ModelCatalog from '../services/model-catalog.js';
+import { PROVIDERS, ERROR_TYPES, GENERATION_TYPES } from '../constants.js';
 
 export default class AnthropicClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.TEXT]
+  };
+  
   constructor(apiKey) {
     super({
       apiKey,
@@ -22,27 +30,79 @@ export default class AnthropicClient extends BaseAPIClient {
   async generateText(params) {
     this._validateParams(params, ['prompt', 'model']);
     
-    const response = await this._makeRequest('/messages', {
+    const requestData = {
       model: params.model,
       messages: [{ role: 'user', content: params.prompt }],
       max_tokens: params.maxTokens || 1000
-    }, {
+    };
+    const options = {
       headers: {
         'anthropic-version': '2023-06-01'
-      }
-    });
+      },
+      signal: params.signal
+    };
+    
+    let text;
+    let usage;
+    if (typeof params.onToken === 'function') {
+      const streamed = await this._streamMessages(requestData, params.onToken, options);
+      text = streamed.text;
+      usage = streamed.usage;
+    } else {
+      const response = await this._makeRequest('/messages', requestData, options);
+      text = response.content[0].text;
+      usage = response.usage;
+    }
     
     return {
       success: true,
       type: 'text',
       provider: this.provider,
       model: params.model,
-      text: response.content[0].text,
-      cost: { amount: 0, currency: 'USD', estimated: true },
+      text,
+      cost: usage
+        ? CostEstimator.calculate(this.provider, params.model, { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 })
+        : { amount: 0, currency: 'USD', estimated: true },
       metadata: { prompt: params.prompt, timestamp: Date.now() }
     };
   }
   
+  /**
+   * Stream a Messages API response, reporting each text delta
+   * @param {Object} requestData - Request body
+   * @param {Function} onToken - Callback receiving (delta, textSoFar)
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Accumulated { id, text, usage }
+   * @private
+   */
+  async _streamMessages(requestData, onToken, options) {
+    let id = null;
+    let text = '';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    
+    const stream = this._makeStreamRequest('/messages', { ...requestData, stream: true }, options);
+    
+    for await (const { event, data } of stream) {
+      if (event === 'error' || data?.type === 'error') {
+        throw this._createError(ERROR_TYPES.GENERIC_ERROR, `API error: ${data?.error?.message || 'Stream error'}`, {
+          data: data?.error
+        });
+      }
+      
+      if (data?.type === 'message_start') {
+        id = data.message?.id || null;
+        usage.input_tokens = data.message?.usage?.input_tokens || 0;
+      } else if (data?.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        text += data.delta.text;
+        onToken(data.delta.text, text);
+      } else if (data?.type === 'message_delta' && data.usage) {
+        usage.output_tokens = data.usage.output_tokens || usage.output_tokens;
+      }
+    }
+    
+    return { id, text, usage };
+  }
+  
   async generateSpeech(params) {
     throw new Error('Speech generation not supported by Anthropic');
   }
@@ -56,18 +116,67 @@ export default class AnthropicClient extends BaseAPIClient {
   }
   
   async estimateCost(params) {
-    return { estimated: false, message: 'Cost estimation not implemented', currency: 'USD' };
+    return CostEstimator.estimate(this.provider, params.model, params);
   }
   
-  getAvailableModels(type = 'text') {
-    const models = {
-      text: [
-        { id: 'claude-3-opus-20240229', name: 'Claude 3 Opus', type: 'text', costInfo: '$0.015/1K tokens' },
-        { id: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet', type: 'text', costInfo: '$0.003/1K tokens' },
-        { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku', type: 'text', costInfo: '$0.00025/1K tokens' }
-      ]
-    };
+  /**
+   * Get available models for a generation type
+   * Uses the live model list when it can be fetched, and the bundled list otherwise.
+   * @param {string} type - Generation type
+   * @param {string} category - Unused; Anthropic models have no categories
+   * @param {Object} options - Discovery options for ModelCatalog.list
+   * @returns {Promise<Array<Object>>} Array of model info objects
+   */
+  async getAvailableModels(type = 'text', category = 'all', options = {}) {
+    return ModelCatalog.list(this, type, this._getDefaultModels(type), options);
+  }
+  
+  /**
+   * Fetch every Claude model, following the pagination cursor
+   * @returns {Promise<Array<Object>>} Models for ModelCatalog
+   */
+  async fetchModels() {
+    const models = [];
+    let afterId = null;
     
-    return models[type] || [];
+    do {
+      const query = afterId ? `?limit=100&after_id=${encodeURIComponent(afterId)}` : '?limit=100';
+      const response = await this._makeRequest(`/models${query}`, null, {
+        method: 'GET',
+        headers: { 'anthropic-version': '2023-06-01' },
+        retries: 0
+      });
+      
+      models.push(...(response.data || []).map(model => ({
+        id: model.id,
+        name: model.display_name || model.id,
+        types: [GENERATION_TYPES.TEXT]
+      })));
+      afterId = response.has_more ? response.last_id : null;
+    } while (afterId);
+    
+    return models;
+  }
+  
+  /**
+   * Bundled models, used when the live list is unavailable
+   * @param {string} type - Generation type
+   * @returns {Array<Object>} Array of model info objects
+   * @private
+   */
+  _getDefaultModels(type) {
+    if (type !== GENERATION_TYPES.TEXT) {
+      return [];
+    }
+    
+    return [
+      { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5' },
+      { id: 'claude-opus-4-1', name: 'Claude Opus 4.1' },
+      { id: 'claude-3-5-haiku-latest', name: 'Claude Haiku 3.5' }
+    ].map(model => ({
+      ...model,
+      type: 'text',
+      costInfo: PricingCatalog.describe(PricingCatalog.get(this.provider, model.id))
+    }));
   }
 }
@@ -4,12 +4,35 @@
  */
 
 import { MODULE_ID, ERROR_TYPES } from '../constants.js';
+import ProviderHealth from '../services/provider-health.js';
+import RateLimiter from '../services/rate-limiter.js';
 
 /**
  * Base API Client Class
  * All provider-specific clients should extend this class
  */
 export default class BaseAPIClient {
+  /**
+   * What the provider can do; subclasses override the fields that apply to them
+   * Model info objects from getAvailableModels may carry a capabilities object that narrows these per model.
+   * @property {Array<string>} types - Supported GENERATION_TYPES
+   * @property {Array<string>} transformModes - Supported TRANSFORM_MODES for image transforms
+   * @property {boolean} negativePrompt - Whether a negative prompt is used
+   * @property {boolean} seed - Whether a seed is used
+   * @property {number} maxCount - Most images per request
+   * @property {Array<string>|null} sizes - Fixed "WxH" sizes, or null for any size within sizeLimits
+   * @property {Object} sizeLimits - Free size bounds ({ min, max, step })
+   */
+  static CAPABILITIES = {
+    types: [],
+    transformModes: [],
+    negativePrompt: false,
+    seed: false,
+    maxCount: 1,
+    sizes: null,
+    sizeLimits: { min: 256, max: 2048, step: 64 }
+  };
+  
   /**
    * @param {Object} config - Client configuration
    * @param {string} config.apiKey - API key for the provider
@@ -36,6 +59,7 @@ export default class BaseAPIClient {
    * @param {number} params.height - Image height
    * @param {string} params.negativePrompt - Negative prompt (optional)
    * @param {number} params.count - Number of images to generate
+   * @param {AbortSignal} params.signal - Optional signal that cancels the generation
    * @returns {Promise<Object>} Generation result
    */
   async generateImage(params) {
@@ -49,6 +73,7 @@ export default class BaseAPIClient {
    * @param {string} params.model - Model to use
    * @param {number} params.maxTokens - Maximum tokens to generate
    * @param {number} params.temperature - Temperature for generation
+   * @param {Function} params.onToken - Optional callback (delta, text) that enables streaming
    * @returns {Promise<Object>} Generation result
    */
   async generateText(params) {
@@ -100,12 +125,13 @@ export default class BaseAPIClient {
   
   /**
    * Make an HTTP request to the API
-   * @param {string} endpoint - API endpoint
+   * @param {string} endpoint - API endpoint, or an absolute URL for requests outside baseURL
    * @param {Object} data - Request data
    * @param {Object} options - Request options
    * @param {string} options.method - HTTP method (default: POST)
    * @param {Object} options.headers - Additional headers
    * @param {number} options.retries - Number of retries (default: 3)
+   * @param {AbortSignal} options.signal - Cancels the request and any pending retries
    * @returns {Promise<Object>} Response data
    * @protected
    */
@@ -113,27 +139,41 @@ export default class BaseAPIClient {
     const {
       method = 'POST',
       headers = {},
-      retries = 3
+      retries = 3,
+      signal
     } = options;
     
-    const url = `${this.baseURL}${endpoint}`;
+    const url = /^https?:\/\//.test(endpoint) ? endpoint : `${this.baseURL}${endpoint}`;
     
     const requestHeaders = {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${this.apiKey}`,
+      ...this._getAuthHeaders(),
       ...headers
     };
     
     let lastError;
     
     for (let attempt = 0; attempt <= retries; attempt++) {
+      if (signal?.aborted) {
+        throw this._createCancelledError();
+      }
+      
+      // Fail fast while the provider's circuit is open instead of waiting out another timeout
+      if (!ProviderHealth.acquire(this.provider)) {
+        throw this._createCircuitOpenError();
+      }
+      
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      
       try {
         console.log(`${MODULE_ID} | Making ${method} request to ${url} (attempt ${attempt + 1}/${retries + 1})`);
         console.log(`${MODULE_ID} | Request data:`, data);
-        console.log(`${MODULE_ID} | Request headers:`, { ...requestHeaders, Authorization: 'Bearer ***' });
+        console.log(`${MODULE_ID} | Request headers:`, this._redactHeaders(requestHeaders));
         
-        const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const startedAt = Date.now();
         
         const response = await fetch(url, {
           method,
@@ -143,16 +183,20 @@ export default class BaseAPIClient {
         });
         
         clearTimeout(timeoutId);
+        this._recordResponseHealth(response, startedAt);
+        RateLimiter.update(this.provider, data?.model || null, response.headers);
         
-        // Handle rate limiting
+        // Handle rate limiting; without retry-after, wait for the reset the rate limit headers reported
         if (response.status === 429) {
           const retryAfter = response.headers.get('retry-after');
-          const delay = retryAfter ? parseInt(retryAfter) * 1000 : this._getExponentialBackoff(attempt);
+          const delay = retryAfter
+            ? parseInt(retryAfter) * 1000
+            : RateLimiter.getWait(this.provider, data?.model || null) || this._getExponentialBackoff(attempt);
           
           console.warn(`${MODULE_ID} | Rate limited. Retrying after ${delay}ms`);
           
           if (attempt < retries) {
-            await this._sleep(delay);
+            await this._sleep(delay, signal);
             continue;
           }
           
@@ -192,6 +236,11 @@ export default class BaseAPIClient {
       } catch (error) {
         lastError = error;
         
+        // Cancellation wins over every other failure and is never retried
+        if (signal?.aborted || error.type === ERROR_TYPES.CANCELLED) {
+          throw this._createCancelledError();
+        }
+        
         // Don't retry on authentication errors
         if (error.type === ERROR_TYPES.AUTH_ERROR) {
           throw error;
@@ -205,9 +254,10 @@ export default class BaseAPIClient {
         // Handle timeout
         if (error.name === 'AbortError') {
           console.warn(`${MODULE_ID} | Request timed out (attempt ${attempt + 1}/${retries + 1})`);
+          ProviderHealth.recordFailure(this.provider, 'Request timed out');
           
           if (attempt < retries) {
-            await this._sleep(this._getExponentialBackoff(attempt));
+            await this._sleep(this._getExponentialBackoff(attempt), signal);
             continue;
           }
           
@@ -225,9 +275,10 @@ export default class BaseAPIClient {
             message: error.message,
             stack: error.stack
           });
+          ProviderHealth.recordFailure(this.provider, `Network error: ${error.message}`);
           
           if (attempt < retries) {
-            await this._sleep(this._getExponentialBackoff(attempt));
+            await this._sleep(this._getExponentialBackoff(attempt), signal);
             continue;
           }
           
@@ -245,9 +296,11 @@ export default class BaseAPIClient {
         // For other errors, retry if we have attempts left
         if (attempt < retries) {
           console.warn(`${MODULE_ID} | Request failed, retrying... (attempt ${attempt + 1}/${retries + 1})`);
-          await this._sleep(this._getExponentialBackoff(attempt));
+          await this._sleep(this._getExponentialBackoff(attempt), signal);
           continue;
         }
+      } finally {
+        signal?.removeEventListener('abort', onAbort);
       }
     }
     
@@ -255,6 +308,289 @@ export default class BaseAPIClient {
     throw lastError;
   }
   
+  /**
+   * Make a streaming HTTP request and iterate over its server-sent events
+   * Connection errors are categorized like _makeRequest, but a stream is never
+   * retried once it has started delivering data. The timeout applies to the gap
+   * between chunks rather than to the whole response.
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data
+   * @param {Object} options - Request options
+   * @param {Object} options.headers - Additional headers
+   * @param {AbortSignal} options.signal - Cancels the stream
+   * @yields {Object} Parsed event ({ event, data }) where data is decoded JSON when possible
+   * @protected
+   */
+  async *_makeStreamRequest(endpoint, data, options = {}) {
+    const { headers = {}, signal } = options;
+    const url = `${this.baseURL}${endpoint}`;
+    
+    const requestHeaders = {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      ...this._getAuthHeaders(),
+      ...headers
+    };
+    
+    console.log(`${MODULE_ID} | Opening stream to ${url}`);
+    
+    const controller = new AbortController();
+    let timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const resetTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    };
+    
+    if (signal?.aborted) {
+      clearTimeout(timeoutId);
+      throw this._createCancelledError();
+    }
+    
+    if (!ProviderHealth.acquire(this.provider)) {
+      clearTimeout(timeoutId);
+      throw this._createCircuitOpenError();
+    }
+    
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: requestHeaders,
+        body: JSON.stringify(data),
+        signal: controller.signal
+      });
+    } catch (error) {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+      if (signal?.aborted) {
+        throw this._createCancelledError();
+      }
+      const categorized = this._categorizeStreamError(error, url);
+      ProviderHealth.recordFailure(this.provider, categorized.message);
+      throw categorized;
+    }
+    
+    this._recordResponseHealth(response, startedAt);
+    RateLimiter.update(this.provider, data?.model || null, response.headers);
+    
+    try {
+      await this._assertStreamResponse(response);
+      
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      while (true) {
+        let chunk;
+        try {
+          chunk = await reader.read();
+        } catch (error) {
+          throw signal?.aborted ? this._createCancelledError() : this._categorizeStreamError(error, url);
+        }
+        
+        if (chunk.done) break;
+        resetTimeout();
+        
+        buffer += decoder.decode(chunk.value, { stream: true });
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+        
+        for (const block of blocks) {
+          const event = this._parseSSEEvent(block);
+          if (!event) continue;
+          if (event.data === '[DONE]') return;
+          yield event;
+        }
+      }
+      
+      const trailing = this._parseSSEEvent(buffer);
+      if (trailing && trailing.data !== '[DONE]') {
+        yield trailing;
+      }
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  /**
+   * Stream an OpenAI-style chat completion, reporting each text delta
+   * @param {string} endpoint - Chat completions endpoint
+   * @param {Object} requestData - Request body (stream flags are added here)
+   * @param {Function} onToken - Callback receiving (delta, textSoFar)
+   * @param {Object} options - Request options passed to _makeStreamRequest
+   * @param {Function} options.onReasoning - Callback receiving (delta, reasoningSoFar) for reasoning_content deltas
+   * @returns {Promise<Object>} Accumulated { id, text, reasoning, usage }
+   * @protected
+   */
+  async _streamChatCompletion(endpoint, requestData, onToken, options = {}) {
+    const { onReasoning, ...requestOptions } = options;
+    const body = {
+      ...requestData,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    
+    let id = null;
+    let text = '';
+    let reasoning = '';
+    let usage = null;
+    
+    for await (const { data } of this._makeStreamRequest(endpoint, body, requestOptions)) {
+      if (typeof data !== 'object' || data === null) continue;
+      
+      if (data.error) {
+        throw this._createError(ERROR_TYPES.GENERIC_ERROR, `API error: ${data.error.message || 'Stream error'}`, {
+          data: data.error
+        });
+      }
+      
+      id = id || data.id;
+      if (data.usage) {
+        usage = data.usage;
+      }
+      
+      const reasoningDelta = data.choices?.[0]?.delta?.reasoning_content;
+      if (reasoningDelta) {
+        reasoning += reasoningDelta;
+        onReasoning?.(reasoningDelta, reasoning);
+      }
+      
+      const delta = data.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta, text);
+      }
+    }
+    
+    return { id, text, reasoning, usage };
+  }
+  
+  /**
+   * Throw a categorized error if a streaming response was not successful
+   * @param {Response} response - Fetch response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _assertStreamResponse(response) {
+    if (response.status === 429) {
+      throw this._createError(ERROR_TYPES.RATE_LIMIT, 'Rate limit exceeded', {
+        status: response.status,
+        retryAfter: response.headers?.get('retry-after')
+      });
+    }
+    
+    if (response.status === 401 || response.status === 403) {
+      throw this._createError(ERROR_TYPES.AUTH_ERROR, 'Authentication failed', {
+        status: response.status
+      });
+    }
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = errorData.error?.message || errorData.message || response.statusText;
+      throw this._createError(ERROR_TYPES.GENERIC_ERROR, `API error: ${errorMessage}`, {
+        status: response.status,
+        data: errorData
+      });
+    }
+    
+    if (!response.body) {
+      throw this._createError(ERROR_TYPES.GENERIC_ERROR, 'Streaming is not supported by this response');
+    }
+  }
+  
+  /**
+   * Convert a low-level stream failure into a formatted error
+   * @param {Error} error - Original error
+   * @param {string} url - Request URL
+   * @returns {Error} Formatted error
+   * @private
+   */
+  _categorizeStreamError(error, url) {
+    if (error.type) {
+      return error;
+    }
+    
+    if (error.name === 'AbortError') {
+      return this._createError(ERROR_TYPES.NETWORK_ERROR, 'Stream timed out', {
+        timeout: this.timeout
+      });
+    }
+    
+    return this._createError(ERROR_TYPES.NETWORK_ERROR, `Network error: ${error.message}`, {
+      originalError: error.message,
+      url
+    });
+  }
+  
+  /**
+   * Parse a single server-sent event block
+   * @param {string} block - Raw event text (lines up to a blank line)
+   * @returns {Object|null} Parsed event, or null for comments and empty blocks
+   * @protected
+   */
+  _parseSSEEvent(block) {
+    let event = 'message';
+    const dataLines = [];
+    
+    for (const line of block.split(/\r?\n/)) {
+      if (!line || line.startsWith(':')) continue;
+      
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    }
+    
+    if (dataLines.length === 0) {
+      return null;
+    }
+    
+    const raw = dataLines.join('\n');
+    
+    try {
+      return { event, data: JSON.parse(raw) };
+    } catch (error) {
+      return { event, data: raw };
+    }
+  }
+  
+  /**
+   * Build the authentication headers sent with every request
+   * Providers with a different auth scheme override this.
+   * @returns {Object} Headers to merge into the request
+   * @protected
+   */
+  _getAuthHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+  
+  /**
+   * Mask credentials in headers before logging them
+   * @param {Object} headers - Request headers
+   * @returns {Object} Copy of the headers with secret values replaced
+   * @private
+   */
+  _redactHeaders(headers) {
+    const redacted = { ...headers };
+    ['Authorization', 'x-goog-api-key', 'mj-api-secret'].forEach(name => {
+      if (redacted[name]) {
+        redacted[name] = '***';
+      }
+    });
+    return redacted;
+  }
+  
   /**
    * Create a formatted error object
    * @param {string} type - Error type
@@ -271,6 +607,45 @@ export default class BaseAPIClient {
     return error;
   }
   
+  /**
+   * Create the error thrown when a request is cancelled by the caller
+   * @returns {Error} Formatted cancellation error
+   * @protected
+   */
+  _createCancelledError() {
+    return this._createError(ERROR_TYPES.CANCELLED, 'Request cancelled');
+  }
+
+  /**
+   * Create the error thrown while the provider's circuit is open
+   * It is a network error so queued requests fail over to the next provider.
+   * @returns {Error} Formatted error
+   * @protected
+   */
+  _createCircuitOpenError() {
+    const { retryAt, lastError } = ProviderHealth.getStatus(this.provider);
+    return this._createError(ERROR_TYPES.NETWORK_ERROR, `${this.provider} is unavailable after repeated failures`, {
+      circuitOpen: true,
+      retryAt,
+      lastError
+    });
+  }
+
+  /**
+   * Report a response to the health tracker
+   * Server errors count as failures; any other response shows the provider is reachable.
+   * @param {Response} response - Fetch response
+   * @param {number} startedAt - Request start time (ms)
+   * @protected
+   */
+  _recordResponseHealth(response, startedAt) {
+    if (response.status >= 500) {
+      ProviderHealth.recordFailure(this.provider, `HTTP ${response.status}`);
+    } else {
+      ProviderHealth.recordSuccess(this.provider, Date.now() - startedAt);
+    }
+  }
+
   /**
    * Calculate exponential backoff delay
    * @param {number} attempt - Attempt number
@@ -288,11 +663,26 @@ export default class BaseAPIClient {
   /**
    * Sleep for a specified duration
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} signal - Optional signal that ends the sleep early with a cancellation error
    * @returns {Promise<void>}
    * @protected
    */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _sleep(ms, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(this._createCancelledError());
+    }
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(this._createCancelledError());
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
   
   /**
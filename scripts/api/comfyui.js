@@ -0,0 +1,466 @@
+/**
+ * ComfyUI API Client
+ * Runs saved ComfyUI workflows (API format) on a local ComfyUI server
+ */
+
+import BaseAPIClient from './api-client.js';
+import { MODULE_ID, PROVIDERS, ERROR_TYPES, GENERATION_TYPES } from '../constants.js';
+
+/**
+ * Default mapping from dialog parameters to workflow nodes
+ * A node is matched by its id, its title (_meta.title) or its class_type, in that order.
+ */
+const DEFAULT_NODE_MAPPING = {
+  prompt: { node: 'Positive Prompt', input: 'text' },
+  negativePrompt: { node: 'Negative Prompt', input: 'text' },
+  width: { node: 'EmptyLatentImage', input: 'width' },
+  height: { node: 'EmptyLatentImage', input: 'height' },
+  count: { node: 'EmptyLatentImage', input: 'batch_size' },
+  seed: { node: 'KSampler', input: 'seed' }
+};
+
+export default class ComfyUIClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.IMAGE],
+    negativePrompt: true,
+    seed: true,
+    maxCount: 4
+  };
+  
+  /**
+   * @param {string} baseURL - ComfyUI address, e.g. http://127.0.0.1:8188
+   * @param {string} workflowDir - Foundry data folder holding workflow JSON files
+   */
+  constructor(baseURL, workflowDir) {
+    super({
+      apiKey: '',
+      baseURL: (baseURL || 'http://127.0.0.1:8188').replace(/\/+$/, ''),
+      provider: PROVIDERS.COMFYUI,
+      timeout: 300000
+    });
+    
+    this.workflowDir = workflowDir;
+    this.pollInterval = 1000;
+  }
+  
+  /**
+   * Queue a workflow and wait for its output images
+   * @param {Object} params - Generation parameters
+   * @param {string} params.model - Path of the workflow JSON file
+   * @param {Object} params.workflow - Workflow object to use instead of loading params.model
+   * @param {Function} params.onProgress - Optional callback receiving (value, max)
+   * @returns {Promise<Object>} Generation result
+   */
+  async generateImage(params) {
+    this._validateParams(params, ['prompt']);
+    
+    if (!params.workflow && !params.model) {
+      throw this._createError(ERROR_TYPES.VALIDATION_ERROR, 'Missing required parameters: model', {
+        missing: ['model']
+      });
+    }
+    
+    const definition = params.workflow || await this._loadWorkflow(params.model);
+    const seed = params.seed ?? Math.floor(Math.random() * 2 ** 32);
+    const workflow = this._applyParameters(definition, { ...params, seed });
+    
+    const clientId = foundry.utils.randomID();
+    const socket = this._openSocket(clientId);
+    // Listen before queueing; cached workflows can finish before /prompt returns
+    const watcher = this._watchSocket(socket);
+    
+    let promptId;
+    try {
+      const queued = await this._makeRequest('/prompt', {
+        prompt: workflow,
+        client_id: clientId
+      }, { signal: params.signal, retries: 0 });
+      
+      promptId = queued.prompt_id;
+      await this._waitForCompletion(promptId, watcher, params);
+    } catch (error) {
+      if (error.type === ERROR_TYPES.CANCELLED && promptId) {
+        await this._interrupt(promptId);
+      }
+      throw error;
+    } finally {
+      watcher?.stop();
+      socket?.close();
+    }
+    
+    const history = await this._makeRequest(`/history/${promptId}`, null, { method: 'GET' });
+    const images = this._collectImages(history[promptId]);
+    
+    return {
+      success: true,
+      type: 'image',
+      provider: this.provider,
+      model: params.model || null,
+      images,
+      cost: { amount: 0, currency: 'USD', estimated: false },
+      metadata: {
+        prompt: params.prompt,
+        promptId,
+        seed,
+        timestamp: Date.now()
+      }
+    };
+  }
+  
+  async generateText(params) {
+    throw new Error('Text generation not supported by ComfyUI');
+  }
+  
+  async generateSpeech(params) {
+    throw new Error('Speech generation not supported by ComfyUI');
+  }
+  
+  async removeBackground(params) {
+    throw new Error('Background removal not supported by ComfyUI');
+  }
+  
+  async transformImage(params) {
+    throw new Error('Image transformation not yet implemented for ComfyUI');
+  }
+  
+  async estimateCost(params) {
+    return {
+      estimated: true,
+      cost: '0.0000',
+      currency: 'USD',
+      breakdown: { local: true }
+    };
+  }
+  
+  /**
+   * List workflow files in the configured folder; each workflow is offered as a model
+   * @param {string} type - Generation type
+   * @returns {Promise<Array<Object>>} Array of model info objects
+   */
+  async getAvailableModels(type = 'image') {
+    if (type !== 'image' || !this.workflowDir) {
+      return [];
+    }
+    
+    try {
+      const picker = foundry.applications?.apps?.FilePicker?.implementation ?? FilePicker;
+      const result = await picker.browse('data', this.workflowDir, { extensions: ['.json'] });
+      
+      return result.files.map(path => {
+        const filename = decodeURIComponent(path.split('/').pop());
+        return {
+          id: path,
+          name: filename.replace(/\.json$/i, ''),
+          type: 'image',
+          costInfo: 'Local',
+          description: `ComfyUI workflow ${filename}`
+        };
+      });
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Could not list ComfyUI workflows in ${this.workflowDir}:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Load a workflow file
+   * Files may be a plain API-format workflow or { workflow, mapping } to override node names.
+   * @param {string} path - Path of the workflow JSON file
+   * @returns {Promise<Object>} Workflow definition
+   * @private
+   */
+  async _loadWorkflow(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw this._createError(ERROR_TYPES.VALIDATION_ERROR, `Could not load ComfyUI workflow: ${path}`, {
+        status: response.status
+      });
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Write dialog parameters into a copy of the workflow
+   * @param {Object} definition - Workflow, or { workflow, mapping }
+   * @param {Object} params - Generation parameters
+   * @returns {Object} Workflow ready to queue
+   * @private
+   */
+  _applyParameters(definition, params) {
+    const source = definition.workflow || definition;
+    const mapping = { ...DEFAULT_NODE_MAPPING, ...(definition.mapping || {}) };
+    const workflow = JSON.parse(JSON.stringify(source));
+    
+    Object.entries(mapping).forEach(([param, target]) => {
+      const value = params[param];
+      if (value === undefined || value === null || value === '') return;
+      
+      const node = this._findNode(workflow, target.node);
+      if (!node) {
+        if (param === 'prompt') {
+          throw this._createError(ERROR_TYPES.VALIDATION_ERROR, `Workflow has no node named "${target.node}" for the prompt`);
+        }
+        console.warn(`${MODULE_ID} | ComfyUI workflow has no node "${target.node}" for ${param}`);
+        return;
+      }
+      
+      node.inputs[target.input] = value;
+    });
+    
+    return workflow;
+  }
+  
+  /**
+   * Find a workflow node by id, title or class type
+   * @param {Object} workflow - API-format workflow
+   * @param {string} name - Node id, title or class_type
+   * @returns {Object|null} Node
+   * @private
+   */
+  _findNode(workflow, name) {
+    if (workflow[name]) {
+      return workflow[name];
+    }
+    
+    const nodes = Object.values(workflow);
+    return nodes.find(node => node._meta?.title === name)
+      || nodes.find(node => node.class_type === name)
+      || null;
+  }
+  
+  /**
+   * Open the progress websocket for a client id
+   * @param {string} clientId - Client id sent with the prompt
+   * @returns {WebSocket|null} Socket, or null when websockets are unavailable
+   * @private
+   */
+  _openSocket(clientId) {
+    if (typeof WebSocket === 'undefined') {
+      return null;
+    }
+    
+    try {
+      const url = `${this.baseURL.replace(/^http/, 'ws')}/ws?clientId=${clientId}`;
+      return new WebSocket(url);
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Could not open ComfyUI websocket, falling back to polling:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Collect progress messages and socket failures until a prompt id is known
+   * @param {WebSocket|null} socket - Progress socket
+   * @returns {Object|null} Watcher with buffered messages, or null without a socket
+   * @private
+   */
+  _watchSocket(socket) {
+    if (!socket) {
+      return null;
+    }
+    
+    const watcher = {
+      messages: [],
+      closed: socket.readyState > 1,
+      notify: null
+    };
+    
+    const onMessage = (event) => {
+      if (typeof event.data !== 'string') return; // Binary preview frames
+      
+      try {
+        watcher.messages.push(JSON.parse(event.data));
+      } catch (error) {
+        return;
+      }
+      watcher.notify?.();
+    };
+    
+    const onClose = () => {
+      watcher.closed = true;
+      watcher.notify?.();
+    };
+    
+    socket.addEventListener('message', onMessage);
+    socket.addEventListener('error', onClose);
+    socket.addEventListener('close', onClose);
+    
+    watcher.stop = () => {
+      watcher.notify = null;
+      socket.removeEventListener('message', onMessage);
+      socket.removeEventListener('error', onClose);
+      socket.removeEventListener('close', onClose);
+    };
+    
+    return watcher;
+  }
+  
+  /**
+   * Wait for a queued prompt to finish, following websocket progress when available
+   * @param {string} promptId - Prompt id returned by /prompt
+   * @param {Object|null} watcher - Socket watcher from _watchSocket
+   * @param {Object} params - Generation parameters (signal, onProgress)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _waitForCompletion(promptId, watcher, params) {
+    if (!watcher || watcher.closed) {
+      return this._pollHistory(promptId, params.signal);
+    }
+    
+    if (params.signal?.aborted) {
+      throw this._createCancelledError();
+    }
+    
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let read = 0;
+      
+      const cleanup = () => {
+        settled = true;
+        watcher.notify = null;
+        clearTimeout(timer);
+        params.signal?.removeEventListener('abort', onAbort);
+      };
+      
+      const finish = (error) => {
+        if (settled) return;
+        cleanup();
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      
+      const fallBack = () => {
+        if (settled) return;
+        console.warn(`${MODULE_ID} | ComfyUI websocket closed, falling back to polling`);
+        cleanup();
+        this._pollHistory(promptId, params.signal).then(resolve, reject);
+      };
+      
+      const onMessage = (message) => {
+        const data = message.data || {};
+        if (data.prompt_id && data.prompt_id !== promptId) return;
+        
+        if (message.type === 'progress') {
+          params.onProgress?.(data.value, data.max);
+        } else if (message.type === 'executing' && data.node === null) {
+          finish();
+        } else if (message.type === 'execution_success') {
+          finish();
+        } else if (message.type === 'execution_error') {
+          finish(this._createError(ERROR_TYPES.GENERIC_ERROR, `ComfyUI error: ${data.exception_message || 'Workflow failed'}`, {
+            node: data.node_id,
+            nodeType: data.node_type
+          }));
+        }
+      };
+      
+      const drain = () => {
+        while (!settled && read < watcher.messages.length) {
+          onMessage(watcher.messages[read++]);
+        }
+        if (watcher.closed) fallBack();
+      };
+      
+      const onAbort = () => finish(this._createCancelledError());
+      
+      const timer = setTimeout(() => finish(this._createError(ERROR_TYPES.NETWORK_ERROR, 'ComfyUI workflow timed out', {
+        timeout: this.timeout
+      })), this.timeout);
+      
+      params.signal?.addEventListener('abort', onAbort, { once: true });
+      watcher.notify = drain;
+      drain();
+      
+      // The prompt may have finished before the socket connected at all
+      this._checkHistory(promptId, params.signal).then(done => done && finish(), error => {
+        if (error.type !== ERROR_TYPES.CANCELLED) finish(error);
+      });
+    });
+  }
+  
+  /**
+   * Read a prompt's history entry once
+   * @param {string} promptId - Prompt id
+   * @param {AbortSignal} signal - Optional cancellation signal
+   * @returns {Promise<boolean>} Whether the prompt has finished
+   * @private
+   */
+  async _checkHistory(promptId, signal) {
+    const history = await this._makeRequest(`/history/${promptId}`, null, { method: 'GET', signal });
+    const entry = history[promptId];
+    
+    if (entry?.status?.status_str === 'error') {
+      throw this._createError(ERROR_TYPES.GENERIC_ERROR, 'ComfyUI error: Workflow failed', {
+        messages: entry.status.messages
+      });
+    }
+    
+    return !!(entry?.status?.completed || (entry && Object.keys(entry.outputs || {}).length > 0));
+  }
+  
+  /**
+   * Poll /history until the prompt has outputs
+   * @param {string} promptId - Prompt id
+   * @param {AbortSignal} signal - Optional cancellation signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pollHistory(promptId, signal) {
+    const maxAttempts = Math.ceil(this.timeout / this.pollInterval);
+    
+    for (let i = 0; i < maxAttempts; i++) {
+      if (await this._checkHistory(promptId, signal)) {
+        return;
+      }
+      
+      await this._sleep(this.pollInterval, signal);
+    }
+    
+    throw this._createError(ERROR_TYPES.NETWORK_ERROR, 'ComfyUI workflow timed out', {
+      timeout: this.timeout
+    });
+  }
+  
+  /**
+   * Stop a queued or running prompt
+   * @param {string} promptId - Prompt id
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _interrupt(promptId) {
+    try {
+      await this._makeRequest('/queue', { delete: [promptId] }, { retries: 0 });
+      await this._makeRequest('/interrupt', { prompt_id: promptId }, { retries: 0 });
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Could not interrupt ComfyUI prompt ${promptId}:`, error);
+    }
+  }
+  
+  /**
+   * Build view URLs for every image output in a history entry
+   * @param {Object} entry - History entry for the prompt
+   * @returns {Array<string>} Image URLs
+   * @private
+   */
+  _collectImages(entry) {
+    const outputs = Object.values(entry?.outputs || {});
+    
+    return outputs
+      .flatMap(output => output.images || [])
+      .filter(image => image.type === 'output')
+      .map(image => {
+        const query = new URLSearchParams({
+          filename: image.filename,
+          subfolder: image.subfolder || '',
+          type: image.type
+        });
+        return `${this.baseURL}/view?${query}`;
+      });
+  }
+}
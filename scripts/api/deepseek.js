@@ -0,0 +1,135 @@
+/**
+ * DeepSeek API Client
+ * DeepSeek chat and reasoner models (OpenAI-compatible API)
+ */
+
+import BaseAPIClient from './api-client.js';
+import { PROVIDERS, GENERATION_TYPES } from '../constants.js';
+import CostEstimator from '../services/cost-estimator.js';
+import PricingCatalog from '../services/pricing-catalog.js';
+
+export default class DeepSeekClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.TEXT]
+  };
+  
+  /**
+   * @param {string} apiKey - DeepSeek API key
+   */
+  constructor(apiKey) {
+    super({
+      apiKey,
+      baseURL: 'https://api.deepseek.com',
+      provider: PROVIDERS.DEEPSEEK,
+      timeout: 180000 // The reasoner can think for a long time before answering
+    });
+  }
+  
+  async generateImage(params) {
+    throw new Error('Image generation not supported by DeepSeek');
+  }
+  
+  /**
+   * Generate text
+   * The reasoner's chain of thought is returned separately in result.reasoning and never
+   * mixed into result.text.
+   * @param {Object} params - Generation parameters
+   * @param {Function} params.onReasoning - Optional streaming callback (delta, reasoningSoFar)
+   * @returns {Promise<Object>} Generation result
+   */
+  async generateText(params) {
+    this._validateParams(params, ['prompt', 'model']);
+    
+    const requestData = {
+      model: params.model,
+      messages: [{ role: 'user', content: params.prompt }],
+      max_tokens: params.maxTokens || 1000
+    };
+    
+    // The reasoner ignores sampling parameters
+    if (params.model !== 'deepseek-reasoner') {
+      requestData.temperature = params.temperature ?? 0.7;
+    }
+    
+    if (params.systemPrompt) {
+      requestData.messages.unshift({ role: 'system', content: params.systemPrompt });
+    }
+    
+    let id;
+    let text;
+    let reasoning;
+    let usage;
+    
+    if (typeof params.onToken === 'function') {
+      ({ id, text, reasoning, usage } = await this._streamChatCompletion('/chat/completions', requestData, params.onToken, {
+        signal: params.signal,
+        onReasoning: params.onReasoning
+      }));
+    } else {
+      const response = await this._makeRequest('/chat/completions', requestData, { signal: params.signal });
+      const message = response.choices[0].message;
+      id = response.id;
+      text = message.content;
+      reasoning = message.reasoning_content || '';
+      usage = response.usage;
+    }
+    
+    const tokensUsed = usage?.total_tokens || 0;
+    const inputTokens = usage?.prompt_tokens || 0;
+    const outputTokens = usage?.completion_tokens || 0;
+    
+    return {
+      success: true,
+      type: 'text',
+      provider: this.provider,
+      model: params.model,
+      text,
+      reasoning: reasoning || null,
+      cost: CostEstimator.calculate(this.provider, params.model, { inputTokens, outputTokens }),
+      metadata: {
+        prompt: params.prompt,
+        timestamp: Date.now(),
+        tokensUsed,
+        inputTokens,
+        outputTokens,
+        reasoningTokens: usage?.completion_tokens_details?.reasoning_tokens || 0,
+        cacheHitTokens: usage?.prompt_cache_hit_tokens || 0,
+        requestId: id
+      }
+    };
+  }
+  
+  async generateSpeech(params) {
+    throw new Error('Speech generation not supported by DeepSeek');
+  }
+  
+  async removeBackground(params) {
+    throw new Error('Background removal not supported by DeepSeek');
+  }
+  
+  async transformImage(params) {
+    throw new Error('Image transformation not supported by DeepSeek');
+  }
+  
+  async estimateCost(params) {
+    return CostEstimator.estimate(this.provider, params.model, params);
+  }
+  
+  getAvailableModels(type = 'text') {
+    if (type !== 'text') {
+      return [];
+    }
+    
+    const pricing = PricingCatalog.getProvider(this.provider);
+    
+    return [
+      { id: 'deepseek-chat', name: 'DeepSeek Chat', description: 'Fast general-purpose model' },
+      { id: 'deepseek-reasoner', name: 'DeepSeek Reasoner', description: 'Thinks before answering; reasoning is shown separately' }
+    ].map(model => ({
+      ...model,
+      type: 'text',
+      costInfo: PricingCatalog.describe(pricing[model.id])
+    }));
+  }
+}
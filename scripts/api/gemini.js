@@ -0,0 +1,246 @@
+/**
+ * Google Gemini API Client
+ * Gemini models for text (including images as input) and Imagen models for image generation
+ */
+
+import BaseAPIClient from './api-client.js';
+import { PROVIDERS, ERROR_TYPES, GENERATION_TYPES } from '../constants.js';
+import CostEstimator from '../services/cost-estimator.js';
+import PricingCatalog from '../services/pricing-catalog.js';
+
+/**
+ * Aspect ratios accepted by Imagen
+ */
+const IMAGEN_ASPECT_RATIOS = {
+  '1:1': 1,
+  '3:4': 3 / 4,
+  '4:3': 4 / 3,
+  '9:16': 9 / 16,
+  '16:9': 16 / 9
+};
+
+export default class GeminiClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.IMAGE, GENERATION_TYPES.TEXT],
+    maxCount: 4,
+    sizes: ['1024x1024', '896x1280', '1280x896', '768x1408', '1408x768'] // Imagen aspect ratios
+  };
+  
+  /**
+   * @param {string} apiKey - Google AI Studio API key
+   */
+  constructor(apiKey) {
+    super({
+      apiKey,
+      baseURL: 'https://generativelanguage.googleapis.com/v1beta',
+      provider: PROVIDERS.GEMINI
+    });
+  }
+  
+  /**
+   * Generate images with an Imagen model
+   * @param {Object} params - Generation parameters
+   * @returns {Promise<Object>} Generation result
+   */
+  async generateImage(params) {
+    this._validateParams(params, ['prompt', 'model']);
+    
+    const count = Math.min(Math.max(params.count || 1, 1), 4);
+    
+    const response = await this._makeRequest(`/models/${params.model}:predict`, {
+      instances: [{ prompt: params.prompt }],
+      parameters: {
+        sampleCount: count,
+        aspectRatio: this._getAspectRatio(params.width, params.height)
+      }
+    }, { signal: params.signal });
+    
+    const predictions = response.predictions || [];
+    if (predictions.length === 0) {
+      throw this._createError(ERROR_TYPES.GENERIC_ERROR, 'No images returned (the prompt may have been blocked by safety filters)');
+    }
+    
+    return {
+      success: true,
+      type: 'image',
+      provider: this.provider,
+      model: params.model,
+      images: predictions.map(p => `data:${p.mimeType || 'image/png'};base64,${p.bytesBase64Encoded}`),
+      cost: CostEstimator.calculate(this.provider, params.model, { images: predictions.length }),
+      metadata: { prompt: params.prompt, timestamp: Date.now() }
+    };
+  }
+  
+  /**
+   * Generate text with a Gemini model
+   * @param {Object} params - Generation parameters
+   * @param {string} params.systemPrompt - Optional system instruction
+   * @param {Array<string|Object>} params.images - Optional input images (data URLs or { mimeType, data })
+   * @returns {Promise<Object>} Generation result
+   */
+  async generateText(params) {
+    this._validateParams(params, ['prompt', 'model']);
+    
+    const requestData = {
+      contents: [{
+        role: 'user',
+        parts: [
+          { text: params.prompt },
+          ...(params.images || []).map(image => ({ inlineData: this._toInlineData(image) }))
+        ]
+      }],
+      generationConfig: {
+        maxOutputTokens: params.maxTokens || 1000,
+        temperature: params.temperature ?? 0.7
+      }
+    };
+    
+    if (params.systemPrompt) {
+      requestData.systemInstruction = { parts: [{ text: params.systemPrompt }] };
+    }
+    
+    let text = '';
+    let usage = {};
+    
+    if (typeof params.onToken === 'function') {
+      const stream = this._makeStreamRequest(`/models/${params.model}:streamGenerateContent?alt=sse`, requestData, {
+        signal: params.signal
+      });
+      
+      for await (const { data } of stream) {
+        const delta = this._extractText(data);
+        if (delta) {
+          text += delta;
+          params.onToken(delta, text);
+        }
+        usage = data?.usageMetadata || usage;
+      }
+    } else {
+      const response = await this._makeRequest(`/models/${params.model}:generateContent`, requestData, {
+        signal: params.signal
+      });
+      
+      if (!response.candidates?.length) {
+        const reason = response.promptFeedback?.blockReason || 'no candidates returned';
+        throw this._createError(ERROR_TYPES.GENERIC_ERROR, `Gemini returned no text: ${reason}`);
+      }
+      
+      text = this._extractText(response);
+      usage = response.usageMetadata || {};
+    }
+    
+    const tokensUsed = usage.totalTokenCount || 0;
+    const inputTokens = usage.promptTokenCount || 0;
+    const outputTokens = usage.candidatesTokenCount || 0;
+    
+    return {
+      success: true,
+      type: 'text',
+      provider: this.provider,
+      model: params.model,
+      text,
+      cost: CostEstimator.calculate(this.provider, params.model, { inputTokens, outputTokens }),
+      metadata: {
+        prompt: params.prompt,
+        timestamp: Date.now(),
+        tokensUsed,
+        inputTokens,
+        outputTokens
+      }
+    };
+  }
+  
+  async generateSpeech(params) {
+    throw new Error('Speech generation not yet implemented for Gemini');
+  }
+  
+  async removeBackground(params) {
+    throw new Error('Background removal not supported by Gemini');
+  }
+  
+  async transformImage(params) {
+    throw new Error('Image transformation not yet implemented for Gemini');
+  }
+  
+  async estimateCost(params) {
+    return CostEstimator.estimate(this.provider, params.model, params);
+  }
+  
+  getAvailableModels(type = 'text') {
+    const models = {
+      text: [
+        { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro' },
+        { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash' },
+        { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash' }
+      ],
+      image: [
+        { id: 'imagen-4.0-generate-001', name: 'Imagen 4' },
+        { id: 'imagen-4.0-fast-generate-001', name: 'Imagen 4 Fast' },
+        { id: 'imagen-4.0-ultra-generate-001', name: 'Imagen 4 Ultra' },
+        { id: 'imagen-3.0-generate-002', name: 'Imagen 3' }
+      ]
+    };
+    
+    const pricing = PricingCatalog.getProvider(this.provider);
+    
+    return (models[type] || []).map(model => {
+      return { ...model, type, costInfo: PricingCatalog.describe(pricing[model.id]) };
+    });
+  }
+  
+  /**
+   * Gemini authenticates with an API key header instead of a bearer token
+   * @returns {Object} Headers to merge into the request
+   * @protected
+   */
+  _getAuthHeaders() {
+    return this.apiKey ? { 'x-goog-api-key': this.apiKey } : {};
+  }
+  
+  /**
+   * Join the text parts of the first candidate
+   * @param {Object} response - generateContent response or stream chunk
+   * @returns {string} Text
+   * @private
+   */
+  _extractText(response) {
+    const parts = response?.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+  
+  /**
+   * Convert an input image to a Gemini inlineData part
+   * @param {string|Object} image - Data URL, or { mimeType, data }
+   * @returns {Object} inlineData value
+   * @private
+   */
+  _toInlineData(image) {
+    if (typeof image === 'object') {
+      return { mimeType: image.mimeType, data: image.data };
+    }
+    
+    const match = image.match(/^data:([^;]+);base64,(.*)$/);
+    if (!match) {
+      throw this._createError(ERROR_TYPES.VALIDATION_ERROR, 'Input images must be base64 data URLs');
+    }
+    
+    return { mimeType: match[1], data: match[2] };
+  }
+  
+  /**
+   * Pick the Imagen aspect ratio closest to the requested size
+   * @param {number} width - Requested width
+   * @param {number} height - Requested height
+   * @returns {string} Aspect ratio
+   * @private
+   */
+  _getAspectRatio(width, height) {
+    const target = (width || 1024) / (height || 1024);
+    
+    return Object.entries(IMAGEN_ASPECT_RATIOS)
+      .reduce((best, [ratio, value]) => (
+        Math.abs(value - target) < Math.abs(IMAGEN_ASPECT_RATIOS[best] - target) ? ratio : best
+      ), '1:1');
+  }
+}
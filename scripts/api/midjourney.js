@@ -1,25 +1,84 @@
 /**
  * Midjourney API Client
- * Midjourney-specific features
+ * Midjourney has no official API; requests go through a relay/proxy (midjourney-proxy compatible)
+ * that drives a Discord account and exposes imagine, change and task endpoints.
  */
 
 import BaseAPIClient from './api-client.js';
-import { PROVIDERS } from '../constants.js';
+import { PROVIDERS, ERROR_TYPES, GENERATION_TYPES, TRANSFORM_MODES } from '../constants.js';
+import CostEstimator from '../services/cost-estimator.js';
+
+/**
+ * Version flag appended for each model
+ */
+const MODEL_FLAGS = {
+  'midjourney-v7': '--v 7',
+  'midjourney-v6': '--v 6.1',
+  'midjourney-v5': '--v 5.2',
+  'niji-6': '--niji 6'
+};
+
+/**
+ * Relay actions for the grid buttons (U1-U4 upscale, V1-V4 vary)
+ */
+const GRID_ACTIONS = {
+  U: 'UPSCALE',
+  V: 'VARIATION'
+};
 
 export default class MidjourneyClient extends BaseAPIClient {
-  constructor(apiKey) {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.IMAGE, GENERATION_TYPES.IMAGE_TRANSFORM],
+    transformModes: [TRANSFORM_MODES.STYLE_TRANSFER],
+    negativePrompt: true,
+    seed: true
+  };
+  
+  /**
+   * @param {string} apiKey - Relay secret, sent as mj-api-secret (optional)
+   * @param {string} baseURL - Relay address, e.g. http://127.0.0.1:8080/mj
+   */
+  constructor(apiKey, baseURL) {
     super({
       apiKey,
-      baseURL: 'https://api.midjourney.com/v1',
-      provider: PROVIDERS.MIDJOURNEY
+      baseURL: (baseURL || 'http://127.0.0.1:8080/mj').replace(/\/+$/, ''),
+      provider: PROVIDERS.MIDJOURNEY,
+      timeout: 600000 // Jobs wait in the Discord queue before they start
     });
+    
+    this.pollInterval = 3000;
   }
   
+  /**
+   * Imagine a 2x2 grid, then upscale the requested quadrants
+   * @param {Object} params - Generation parameters
+   * @param {Array<number>} params.upscales - Quadrants to upscale (default all four, [] for grid only)
+   * @param {number} params.stylize - --stylize value (0-1000)
+   * @param {number} params.seed - --seed value
+   * @param {Function} params.onProgress - Optional callback receiving (value, max)
+   * @returns {Promise<Object>} Result with the grid first, followed by the upscaled images
+   */
   async generateImage(params) {
     this._validateParams(params, ['prompt']);
     
-    // Midjourney-specific implementation would go here
-    throw new Error('Midjourney client requires specific API integration');
+    const prompt = this._buildPrompt(params);
+    const grid = await this._runTask('/submit/imagine', {
+      prompt,
+      base64Array: params.imageData ? [params.imageData] : []
+    }, params);
+    
+    const upscaled = [];
+    for (const index of params.upscales ?? [1, 2, 3, 4]) {
+      const task = await this._runTask('/submit/change', {
+        taskId: grid.id,
+        action: GRID_ACTIONS.U,
+        index
+      }, params);
+      upscaled.push(task.imageUrl);
+    }
+    
+    return this._formatResult('image', params, grid, upscaled, prompt);
   }
   
   async generateText(params) {
@@ -34,11 +93,36 @@ export default class MidjourneyClient extends BaseAPIClient {
     throw new Error('Background removal not directly supported by Midjourney');
   }
   
+  /**
+   * Run a grid button (U1-U4, V1-V4) on an earlier job, or imagine from an image prompt
+   * @param {Object} params - Transformation parameters
+   * @param {string} params.action - Grid button, e.g. "U2" or "V4"
+   * @param {string} params.taskId - Relay task id of the grid (result.metadata.taskId)
+   * @param {string} params.imageData - Image prompt, used when no action is given
+   * @returns {Promise<Object>} Transformation result
+   */
   async transformImage(params) {
-    this._validateParams(params, ['imageData', 'prompt']);
+    if (!params.action) {
+      this._validateParams(params, ['imageData', 'prompt']);
+      const result = await this.generateImage(params);
+      return { ...result, type: 'image-transform' };
+    }
     
-    // Midjourney variations, upscaling, etc.
-    throw new Error('Midjourney transformations require specific API integration');
+    this._validateParams(params, ['taskId']);
+    
+    const match = /^([UV])([1-4])$/.exec(params.action);
+    if (!match) {
+      throw this._createError(ERROR_TYPES.VALIDATION_ERROR, `Unknown Midjourney action: ${params.action}`);
+    }
+    
+    const task = await this._runTask('/submit/change', {
+      taskId: params.taskId,
+      action: GRID_ACTIONS[match[1]],
+      index: Number(match[2])
+    }, params);
+    
+    // A variation is a new grid with its own buttons; an upscale is a single image
+    return this._formatResult('image-transform', params, task, [], task.prompt, { grid: match[1] === 'V' });
   }
   
   async estimateCost(params) {
@@ -48,11 +132,159 @@ export default class MidjourneyClient extends BaseAPIClient {
   getAvailableModels(type = 'image') {
     const models = {
       image: [
+        { id: 'midjourney-v7', name: 'Midjourney V7', type: 'image', costInfo: 'Subscription' },
         { id: 'midjourney-v6', name: 'Midjourney V6', type: 'image', costInfo: 'Subscription' },
-        { id: 'midjourney-v5', name: 'Midjourney V5', type: 'image', costInfo: 'Subscription' }
+        { id: 'midjourney-v5', name: 'Midjourney V5', type: 'image', costInfo: 'Subscription' },
+        { id: 'niji-6', name: 'Niji 6', type: 'image', costInfo: 'Subscription' }
       ]
     };
     
     return models[type] || [];
   }
+  
+  /**
+   * Relays authenticate with a shared secret header
+   * @returns {Object} Headers to merge into the request
+   * @protected
+   */
+  _getAuthHeaders() {
+    return this.apiKey ? { 'mj-api-secret': this.apiKey } : {};
+  }
+  
+  /**
+   * Append Midjourney parameters to the prompt
+   * Flags already typed into the prompt win over the dialog values.
+   * @param {Object} params - Generation parameters
+   * @returns {string} Prompt with flags
+   * @private
+   */
+  _buildPrompt(params) {
+    const prompt = params.prompt.trim();
+    const flags = [];
+    const has = flag => new RegExp(`(^|\\s)--${flag}\\b`).test(prompt);
+    
+    if (params.width && params.height && !has('ar') && !has('aspect')) {
+      flags.push(`--ar ${this._getAspectRatio(params.width, params.height)}`);
+    }
+    
+    if (params.stylize !== undefined && params.stylize !== null && !has('stylize') && !has('s')) {
+      flags.push(`--stylize ${params.stylize}`);
+    }
+    
+    if (params.seed !== undefined && params.seed !== null && !has('seed')) {
+      flags.push(`--seed ${params.seed}`);
+    }
+    
+    if (params.negativePrompt && !has('no')) {
+      flags.push(`--no ${params.negativePrompt}`);
+    }
+    
+    if (MODEL_FLAGS[params.model] && !has('v') && !has('niji')) {
+      flags.push(MODEL_FLAGS[params.model]);
+    }
+    
+    return [prompt, ...flags].join(' ');
+  }
+  
+  /**
+   * Reduce a size to the smallest whole-number ratio
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {string} Ratio such as "16:9"
+   * @private
+   */
+  _getAspectRatio(width, height) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = gcd(width, height);
+    return `${width / divisor}:${height / divisor}`;
+  }
+  
+  /**
+   * Submit a job to the relay and wait for it to finish
+   * @param {string} endpoint - Submit endpoint
+   * @param {Object} payload - Submit body
+   * @param {Object} params - Generation parameters (signal, onProgress)
+   * @returns {Promise<Object>} Finished relay task
+   * @private
+   */
+  async _runTask(endpoint, payload, params) {
+    const submitted = await this._makeRequest(endpoint, payload, { signal: params.signal, retries: 0 });
+    
+    // 1 = submitted, 21 = identical job already exists, 22 = waiting in the relay queue
+    if (![1, 21, 22].includes(submitted.code) || !submitted.result) {
+      throw this._createError(ERROR_TYPES.GENERIC_ERROR, `Midjourney relay rejected the job: ${submitted.description || 'unknown error'}`, {
+        code: submitted.code
+      });
+    }
+    
+    return this._pollTask(submitted.result, params.signal, params.onProgress);
+  }
+  
+  /**
+   * Poll a relay task until it succeeds or fails
+   * Relays cannot stop a job once Discord has accepted it, so cancelling only stops waiting.
+   * @param {string} taskId - Relay task id
+   * @param {AbortSignal} signal - Optional cancellation signal
+   * @param {Function} onProgress - Optional callback receiving (value, max)
+   * @returns {Promise<Object>} Finished relay task
+   * @private
+   */
+  async _pollTask(taskId, signal, onProgress) {
+    const maxAttempts = Math.ceil(this.timeout / this.pollInterval);
+    
+    for (let i = 0; i < maxAttempts; i++) {
+      const task = await this._makeRequest(`/task/${taskId}/fetch`, null, { method: 'GET', signal });
+      
+      if (task.status === 'SUCCESS') {
+        return task;
+      }
+      
+      if (task.status === 'FAILURE' || task.status === 'CANCEL') {
+        throw this._createError(ERROR_TYPES.GENERIC_ERROR, `Midjourney job failed: ${task.failReason || task.status}`, {
+          taskId
+        });
+      }
+      
+      const progress = parseInt(task.progress, 10);
+      if (!isNaN(progress)) {
+        onProgress?.(progress, 100);
+      }
+      
+      await this._sleep(this.pollInterval, signal);
+    }
+    
+    throw this._createError(ERROR_TYPES.NETWORK_ERROR, 'Midjourney job timed out', {
+      taskId,
+      timeout: this.timeout
+    });
+  }
+  
+  /**
+   * Convert finished relay tasks into the common result shape
+   * @param {string} type - Result type
+   * @param {Object} params - Generation parameters
+   * @param {Object} task - Finished grid or upscale task
+   * @param {Array<string>} upscaled - Upscaled image URLs
+   * @param {string} prompt - Prompt sent to Midjourney, including flags
+   * @param {Object} options - { grid: false } when task is a single upscaled image
+   * @returns {Object} Generation result
+   * @private
+   */
+  _formatResult(type, params, task, upscaled, prompt, { grid = true } = {}) {
+    return {
+      success: true,
+      type,
+      provider: this.provider,
+      model: params.model || null,
+      images: [task.imageUrl, ...upscaled],
+      cost: CostEstimator.calculate(this.provider, params.model, { images: 1 }),
+      metadata: {
+        prompt: params.prompt,
+        midjourneyPrompt: prompt,
+        taskId: task.id,
+        actions: grid ? ['U1', 'U2', 'U3', 'U4', 'V1', 'V2', 'V3', 'V4'] : [],
+        timestamp: Date.now()
+      }
+    };
+  }
 }
@@ -0,0 +1,134 @@
+/**
+ * OpenAI-Compatible API Client
+ * Text generation against self-hosted servers: Ollama, LM Studio, llama.cpp server, vLLM
+ */
+
+import BaseAPIClient from './api-client.js';
+import { MODULE_ID, PROVIDERS, GENERATION_TYPES } from '../constants.js';
+
+export default class OpenAICompatibleClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.TEXT]
+  };
+  
+  /**
+   * @param {string} apiKey - Optional API key (sent as a bearer token when set)
+   * @param {string} serverURL - Server address, with or without the /v1 suffix
+   */
+  constructor(apiKey, serverURL) {
+    const root = (serverURL || 'http://127.0.0.1:11434').replace(/\/+$/, '').replace(/\/v1$/, '');
+    
+    super({
+      apiKey,
+      baseURL: `${root}/v1`,
+      provider: PROVIDERS.OPENAI_COMPATIBLE,
+      timeout: 300000 // Local models can take a while to load and answer
+    });
+    
+    this.serverURL = root;
+  }
+  
+  async generateImage(params) {
+    throw new Error('Image generation not supported by the OpenAI-compatible text provider');
+  }
+  
+  async generateText(params) {
+    this._validateParams(params, ['prompt', 'model']);
+    
+    const requestData = {
+      model: params.model,
+      messages: [{ role: 'user', content: params.prompt }],
+      max_tokens: params.maxTokens || 1000,
+      temperature: params.temperature ?? 0.7
+    };
+    
+    if (params.systemPrompt) {
+      requestData.messages.unshift({ role: 'system', content: params.systemPrompt });
+    }
+    
+    let response;
+    let text;
+    
+    if (typeof params.onToken === 'function') {
+      response = await this._streamChatCompletion('/chat/completions', requestData, params.onToken, {
+        signal: params.signal
+      });
+      text = response.text;
+    } else {
+      response = await this._makeRequest('/chat/completions', requestData, { signal: params.signal, retries: 1 });
+      text = response.choices[0].message.content;
+    }
+    
+    return {
+      success: true,
+      type: 'text',
+      provider: this.provider,
+      model: params.model,
+      text,
+      cost: { amount: 0, currency: 'USD', estimated: false },
+      metadata: {
+        prompt: params.prompt,
+        timestamp: Date.now(),
+        tokensUsed: response.usage?.total_tokens || 0,
+        requestId: response.id
+      }
+    };
+  }
+  
+  async generateSpeech(params) {
+    throw new Error('Speech generation not supported by the OpenAI-compatible text provider');
+  }
+  
+  async removeBackground(params) {
+    throw new Error('Background removal not supported by the OpenAI-compatible text provider');
+  }
+  
+  async transformImage(params) {
+    throw new Error('Image transformation not supported by the OpenAI-compatible text provider');
+  }
+  
+  async estimateCost(params) {
+    return {
+      estimated: true,
+      cost: '0.0000',
+      currency: 'USD',
+      breakdown: { local: true }
+    };
+  }
+  
+  /**
+   * Discover models served by the endpoint
+   * Uses the standard /v1/models list and falls back to Ollama's /api/tags.
+   * @param {string} type - Generation type
+   * @returns {Promise<Array<Object>>} Array of model info objects
+   */
+  async getAvailableModels(type = 'text') {
+    if (type !== 'text') {
+      return [];
+    }
+    
+    try {
+      const response = await this._makeRequest('/models', null, { method: 'GET', retries: 0 });
+      return (response.data || []).map(model => ({
+        id: model.id,
+        name: model.id,
+        type: 'text',
+        costInfo: 'Local'
+      }));
+    } catch (error) {
+      console.warn(`${MODULE_ID} | /v1/models unavailable, trying Ollama tags:`, error);
+    }
+    
+    const response = await this._makeRequest(`${this.serverURL}/api/tags`, null, { method: 'GET', retries: 0 });
+    return (response.models || []).map(model => ({
+      id: model.name,
+      name: model.name,
+      type: 'text',
+      costInfo: 'Local',
+      description: model.details?.parameter_size
+        ? `${model.details.parameter_size} ${model.details.quantization_level || ''}`.trim()
+        : undefined
+    }));
+  }
+}
@@ -4,9 +4,20 @@
  */
 
 import BaseAPIClient from './api-client.js';
-import { PROVIDERS } from '../constants.js';
+import CostEstimator from '../services/cost-estimator.js';
+import PricingCatalog from '../services/pricing-catalog.js';
+import ModelCatalog from '../services/model-catalog.js';
+import { PROVIDERS, GENERATION_TYPES, TRANSFORM_MODES } from '../constants.js';
 
 export default class OpenAIClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.IMAGE, GENERATION_TYPES.TEXT, GENERATION_TYPES.SPEECH, GENERATION_TYPES.IMAGE_TRANSFORM],
+    transformModes: [TRANSFORM_MODES.INPAINTING],
+    maxCount: 4,
+    sizes: ['256x256', '512x512', '1024x1024']
+  };
+  
   constructor(apiKey) {
     super({
       apiKey,
@@ -18,13 +29,16 @@ export default class OpenAIClient extends BaseAPIClient {
   async generateImage(params) {
     this._validateParams(params, ['prompt', 'model']);
     
+    const size = `${params.width || 1024}x${params.height || 1024}`;
+    const quality = params.quality || 'standard';
+    
     const response = await this._makeRequest('/images/generations', {
       model: params.model,
       prompt: params.prompt,
       n: params.count || 1,
-      size: `${params.width || 1024}x${params.height || 1024}`,
-      quality: params.quality || 'standard'
-    });
+      size,
+      quality
+    }, { signal: params.signal });
     
     return {
       success: true,
@@ -32,7 +46,7 @@ export default class OpenAIClient extends BaseAPIClient {
       provider: this.provider,
       model: params.model,
       images: response.data.map(img => img.url),
-      cost: { amount: 0, currency: 'USD', estimated: true },
+      cost: CostEstimator.calculate(this.provider, params.model, { images: response.data.length, size, quality }),
       metadata: { prompt: params.prompt, timestamp: Date.now() }
     };
   }
@@ -40,19 +54,33 @@ export default class OpenAIClient extends BaseAPIClient {
   async generateText(params) {
     this._validateParams(params, ['prompt', 'model']);
     
-    const response = await this._makeRequest('/chat/completions', {
+    const requestData = {
       model: params.model,
       messages: [{ role: 'user', content: params.prompt }],
       max_tokens: params.maxTokens || 1000
-    });
+    };
+    
+    let text;
+    let usage;
+    if (typeof params.onToken === 'function') {
+      const streamed = await this._streamChatCompletion('/chat/completions', requestData, params.onToken, {
+        signal: params.signal
+      });
+      text = streamed.text;
+      usage = streamed.usage;
+    } else {
+      const response = await this._makeRequest('/chat/completions', requestData, { signal: params.signal });
+      text = response.choices[0].message.content;
+      usage = response.usage;
+    }
     
     return {
       success: true,
       type: 'text',
       provider: this.provider,
       model: params.model,
-      text: response.choices[0].message.content,
-      cost: { amount: 0, currency: 'USD', estimated: true },
+      text,
+      cost: this._calculateTextCost(params.model, usage),
       metadata: { prompt: params.prompt, timestamp: Date.now() }
     };
   }
@@ -64,7 +92,7 @@ export default class OpenAIClient extends BaseAPIClient {
       model: params.model,
       input: params.text,
       voice: params.voice || 'alloy'
-    });
+    }, { signal: params.signal });
     
     return {
       success: true,
@@ -72,7 +100,7 @@ export default class OpenAIClient extends BaseAPIClient {
       provider: this.provider,
       model: params.model,
       audio: response.url,
-      cost: { amount: 0, currency: 'USD', estimated: true },
+      cost: CostEstimator.calculate(this.provider, params.model, { characters: params.text.length }),
       metadata: { text: params.text, timestamp: Date.now() }
     };
   }
@@ -88,39 +116,120 @@ export default class OpenAIClient extends BaseAPIClient {
       image: params.imageData,
       prompt: params.prompt,
       n: params.count || 1
-    });
+    }, { signal: params.signal });
     
+    // Edits run on DALL-E 2 at the default size
     return {
       success: true,
       type: 'image-transform',
       provider: this.provider,
       images: response.data.map(img => img.url),
-      cost: { amount: 0, currency: 'USD', estimated: true },
+      cost: CostEstimator.calculate(this.provider, 'dall-e-2', { images: response.data.length, size: '1024x1024' }),
       metadata: { mode: params.mode, timestamp: Date.now() }
     };
   }
   
   async estimateCost(params) {
-    return { estimated: false, message: 'Cost estimation not implemented', currency: 'USD' };
+    return CostEstimator.estimate(this.provider, params.model, params);
+  }
+  
+  /**
+   * Cost of a chat completion from its reported usage
+   * Streams without a usage chunk are marked as estimated.
+   * @param {string} model - Model used
+   * @param {Object} usage - Usage ({ prompt_tokens, completion_tokens })
+   * @returns {Object} Cost information
+   * @private
+   */
+  _calculateTextCost(model, usage) {
+    if (!usage) {
+      return { amount: 0, currency: 'USD', estimated: true };
+    }
+    
+    return CostEstimator.calculate(this.provider, model, {
+      inputTokens: usage.prompt_tokens || 0,
+      outputTokens: usage.completion_tokens || 0
+    });
+  }
+  
+  /**
+   * Get available models for a generation type
+   * Uses the live model list when it can be fetched, and the bundled list otherwise.
+   * @param {string} type - Generation type
+   * @param {string} category - Unused; OpenAI models have no categories
+   * @param {Object} options - Discovery options for ModelCatalog.list
+   * @returns {Promise<Array<Object>>} Array of model info objects
+   */
+  async getAvailableModels(type = 'image', category = 'all', options = {}) {
+    return ModelCatalog.list(this, type, this._getDefaultModels(type), options);
+  }
+  
+  /**
+   * Fetch every model the API key can use
+   * The list has no modality information, so the generation type is inferred from the model ID.
+   * Embedding, moderation, transcription and realtime models are left out.
+   * @returns {Promise<Array<Object>>} Models for ModelCatalog
+   */
+  async fetchModels() {
+    const response = await this._makeRequest('/models', null, { method: 'GET', retries: 0 });
+    
+    return (response.data || [])
+      .map(model => ({ id: model.id, name: model.id, types: this._getModelTypes(model.id) }))
+      .filter(model => model.types.length > 0);
+  }
+  
+  /**
+   * Generation types a model ID supports
+   * @param {string} id - Model ID
+   * @returns {Array<string>} Generation types, empty for models this client cannot use
+   * @private
+   */
+  _getModelTypes(id) {
+    if (/^dall-e-/.test(id)) {
+      return [GENERATION_TYPES.IMAGE];
+    }
+    if (/^tts-|-tts($|-)/.test(id)) {
+      return [GENERATION_TYPES.SPEECH];
+    }
+    if (/^(gpt-|o\d|chatgpt-)/.test(id) && !/(audio|realtime|transcribe|search|image|instruct)/.test(id)) {
+      return [GENERATION_TYPES.TEXT];
+    }
+    return [];
   }
   
-  getAvailableModels(type = 'image') {
+  /**
+   * Bundled models, used when the live list is unavailable
+   * @param {string} type - Generation type
+   * @returns {Array<Object>} Array of model info objects
+   * @private
+   */
+  _getDefaultModels(type) {
     const models = {
       image: [
-        { id: 'dall-e-3', name: 'DALL-E 3', type: 'image', costInfo: '$0.04-0.12/image' },
-        { id: 'dall-e-2', name: 'DALL-E 2', type: 'image', costInfo: '$0.02/image' }
+        {
+          id: 'dall-e-3',
+          name: 'DALL-E 3',
+          type: 'image',
+          costInfo: '$0.04-0.12/image',
+          capabilities: { maxCount: 1, sizes: ['1024x1024', '1792x1024', '1024x1792'] }
+        },
+        { id: 'dall-e-2', name: 'DALL-E 2', type: 'image', costInfo: '$0.016-0.02/image' }
       ],
       text: [
-        { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', type: 'text', costInfo: '$0.01/1K tokens' },
-        { id: 'gpt-4', name: 'GPT-4', type: 'text', costInfo: '$0.03/1K tokens' },
-        { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', type: 'text', costInfo: '$0.001/1K tokens' }
+        { id: 'gpt-4o', name: 'GPT-4o', type: 'text' },
+        { id: 'gpt-4o-mini', name: 'GPT-4o Mini', type: 'text' },
+        { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', type: 'text' }
       ],
       speech: [
-        { id: 'tts-1', name: 'TTS Standard', type: 'speech', costInfo: '$0.015/1M chars' },
-        { id: 'tts-1-hd', name: 'TTS HD', type: 'speech', costInfo: '$0.030/1M chars' }
+        { id: 'tts-1', name: 'TTS Standard', type: 'speech' },
+        { id: 'tts-1-hd', name: 'TTS HD', type: 'speech' },
+        { id: 'gpt-4o-mini-tts', name: 'GPT-4o Mini TTS', type: 'speech' }
       ]
     };
     
-    return models[type] || [];
+    return (models[type] || []).map(model => ({
+      costInfo: PricingCatalog.describe(PricingCatalog.get(this.provider, model.id)),
+      ...model
+    }));
   }
 }
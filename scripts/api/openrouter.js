@@ -4,12 +4,38 @@
  */
 
 import BaseAPIClient from './api-client.js';
-import { PROVIDERS } from '../constants.js';
+import CostEstimator from '../services/cost-estimator.js';
+import PricingCatalog from '../services/pricing-catalog.js';
+import ModelCatalog from '../services/model-catalog.js';
+import { serializeParams } from '../utils/serialize-params.js';
+import { MODULE_ID, PROVIDERS, GENERATION_TYPES, TRANSFORM_MODES } from '../constants.js';
+
+/**
+ * Generation types for the output modalities OpenRouter lists per model
+ */
+const OUTPUT_MODALITIES = {
+  text: GENERATION_TYPES.TEXT,
+  image: GENERATION_TYPES.IMAGE,
+  audio: GENERATION_TYPES.SPEECH
+};
 
 /**
  * OpenRouter Client Class
  */
 export default class OpenRouterClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.TEXT, GENERATION_TYPES.SPEECH, GENERATION_TYPES.IMAGE_TRANSFORM],
+    transformModes: [TRANSFORM_MODES.INPAINTING, TRANSFORM_MODES.STYLE_TRANSFER, TRANSFORM_MODES.UPSCALING],
+    maxCount: 4,
+    sizes: ['256x256', '512x512', '1024x1024']
+  };
+  
+  /**
+   * Lookups of the generation stats endpoint before falling back to the pricing catalog
+   */
+  static GENERATION_STATS_ATTEMPTS = 3;
+  
   /**
    * @param {string} apiKey - OpenRouter API key
    */
@@ -19,27 +45,14 @@ export default class OpenRouterClient extends BaseAPIClient {
       baseURL: 'https://openrouter.ai/api/v1',
       provider: PROVIDERS.OPENROUTER
     });
-    
-    // Model pricing (cost per image or per 1K tokens)
-    this.pricing = {
-      // Image models
-      'dall-e-3': { perImage: 0.04, type: 'image' },
-      'dall-e-2': { perImage: 0.02, type: 'image' },
-      'stable-diffusion-xl': { perImage: 0.002, type: 'image' },
-      'stable-diffusion-2': { perImage: 0.001, type: 'image' },
-      
-      // Text models
-      'gpt-4': { perToken: 0.03, type: 'text' },
-      'gpt-4-turbo': { perToken: 0.01, type: 'text' },
-      'gpt-3.5-turbo': { perToken: 0.001, type: 'text' },
-      'claude-3-opus': { perToken: 0.015, type: 'text' },
-      'claude-3-sonnet': { perToken: 0.003, type: 'text' },
-      'claude-3-haiku': { perToken: 0.00025, type: 'text' },
-      
-      // Speech models
-      'tts-1': { perCharacter: 0.000015, type: 'speech' },
-      'tts-1-hd': { perCharacter: 0.00003, type: 'speech' }
-    };
+  }
+  
+  /**
+   * Pricing of the models OpenRouter serves, from the pricing catalog
+   * @type {Object}
+   */
+  get pricing() {
+    return PricingCatalog.getProvider(this.provider);
   }
   
   /**
@@ -78,10 +91,22 @@ export default class OpenRouterClient extends BaseAPIClient {
       });
     }
     
-    const response = await this._makeRequest('/chat/completions', requestData);
+    let response;
+    let text;
+    
+    if (typeof params.onToken === 'function') {
+      response = await this._streamChatCompletion('/chat/completions', requestData, params.onToken, {
+        signal: params.signal
+      });
+      text = response.text;
+    } else {
+      response = await this._makeRequest('/chat/completions', requestData, { signal: params.signal });
+      text = response.choices[0].message.content;
+    }
     
-    const text = response.choices[0].message.content;
     const tokensUsed = response.usage?.total_tokens || 0;
+    const cost = await this._fetchGenerationCost(response.id, params.signal)
+      || this._calculateTextCost(params.model, response.usage);
     
     return {
       success: true,
@@ -89,13 +114,14 @@ export default class OpenRouterClient extends BaseAPIClient {
       provider: this.provider,
       model: params.model,
       text,
-      cost: this._calculateTextCost(params.model, tokensUsed),
+      cost,
       metadata: {
         prompt: params.prompt,
-        parameters: params,
+        parameters: serializeParams(params),
         timestamp: Date.now(),
         tokensUsed,
-        requestId: response.id
+        requestId: response.id,
+        streamed: typeof params.onToken === 'function'
       }
     };
   }
@@ -118,7 +144,7 @@ export default class OpenRouterClient extends BaseAPIClient {
       requestData.speed = params.speed;
     }
     
-    const response = await this._makeRequest('/audio/speech', requestData);
+    const response = await this._makeRequest('/audio/speech', requestData, { signal: params.signal });
     
     return {
       success: true,
@@ -130,7 +156,7 @@ export default class OpenRouterClient extends BaseAPIClient {
       metadata: {
         text: params.text,
         voice: params.voice,
-        parameters: params,
+        parameters: serializeParams(params),
         timestamp: Date.now()
       }
     };
@@ -170,7 +196,7 @@ export default class OpenRouterClient extends BaseAPIClient {
       delete requestData.prompt;
     }
     
-    const response = await this._makeRequest(endpoint, requestData);
+    const response = await this._makeRequest(endpoint, requestData, { signal: params.signal });
     
     return {
       success: true,
@@ -182,7 +208,7 @@ export default class OpenRouterClient extends BaseAPIClient {
       metadata: {
         mode: params.mode,
         prompt: params.prompt,
-        parameters: params,
+        parameters: serializeParams(params),
         timestamp: Date.now()
       }
     };
@@ -194,53 +220,48 @@ export default class OpenRouterClient extends BaseAPIClient {
    * @returns {Promise<Object>} Cost estimate
    */
   async estimateCost(params) {
-    const model = params.model;
-    const pricing = this.pricing[model];
-    
-    if (!pricing) {
-      return {
-        estimated: false,
-        message: 'Pricing information not available for this model',
-        currency: 'USD'
-      };
-    }
-    
-    let cost = 0;
-    let breakdown = {};
+    return CostEstimator.estimate(this.provider, params.model, params);
+  }
+  
+  /**
+   * Look up what OpenRouter billed for a generation
+   * Stats can take a moment to appear, so a missing generation is retried a few times.
+   * @param {string} id - Generation ID from the completion response
+   * @param {AbortSignal} signal - Optional cancellation signal
+   * @returns {Promise<Object|null>} Cost information, or null if the stats are unavailable
+   * @private
+   */
+  async _fetchGenerationCost(id, signal) {
+    if (!id) return null;
     
-    if (params.type === 'image') {
-      const count = params.count || 1;
-      cost = pricing.perImage * count;
-      breakdown = {
-        imagesCount: count,
-        costPerImage: pricing.perImage
-      };
-    } else if (params.type === 'text') {
-      const estimatedTokens = this._estimateTokens(params.prompt);
-      const maxTokens = params.maxTokens || 1000;
-      const totalTokens = estimatedTokens + maxTokens;
-      cost = (totalTokens / 1000) * pricing.perToken;
-      breakdown = {
-        inputTokens: estimatedTokens,
-        outputTokens: maxTokens,
-        totalTokens,
-        costPer1kTokens: pricing.perToken
-      };
-    } else if (params.type === 'speech') {
-      const characters = params.text.length;
-      cost = characters * pricing.perCharacter;
-      breakdown = {
-        characters,
-        costPerCharacter: pricing.perCharacter
-      };
+    for (let attempt = 0; attempt < this.constructor.GENERATION_STATS_ATTEMPTS; attempt++) {
+      try {
+        const { data } = await this._makeRequest(`/generation?id=${encodeURIComponent(id)}`, null, {
+          method: 'GET',
+          retries: 0,
+          signal
+        });
+        
+        return {
+          amount: Number(data.total_cost) || 0,
+          currency: 'USD',
+          breakdown: {
+            inputTokens: data.tokens_prompt || 0,
+            outputTokens: data.tokens_completion || 0,
+            source: 'generation-stats'
+          }
+        };
+      } catch (error) {
+        if (error.details?.status !== 404 || signal?.aborted) {
+          console.warn(`${MODULE_ID} | Could not fetch OpenRouter generation stats for ${id}:`, error);
+          return null;
+        }
+        await this._sleep(1000, signal).catch(() => {});
+      }
     }
     
-    return {
-      estimated: true,
-      cost: cost.toFixed(4),
-      currency: 'USD',
-      breakdown
-    };
+    console.warn(`${MODULE_ID} | OpenRouter generation stats for ${id} not available yet`);
+    return null;
   }
   
   /**
@@ -250,47 +271,26 @@ export default class OpenRouterClient extends BaseAPIClient {
    * @private
    */
   _calculateImageCost(params) {
-    const pricing = this.pricing[params.model];
-    if (!pricing || pricing.type !== 'image') {
-      return { amount: 0, currency: 'USD', estimated: true };
-    }
-    
-    const count = params.count || 1;
-    const amount = pricing.perImage * count;
-    
-    return {
-      amount: parseFloat(amount.toFixed(4)),
-      currency: 'USD',
-      breakdown: {
-        imagesCount: count,
-        costPerImage: pricing.perImage
-      }
-    };
+    return CostEstimator.calculate(this.provider, params.model, {
+      images: params.count || 1,
+      size: `${params.width || 1024}x${params.height || 1024}`
+    });
   }
   
   /**
-   * Calculate actual text generation cost
+   * Calculate actual text generation cost from reported usage
+   * Used when the generation stats endpoint has nothing for the request.
    * @param {string} model - Model used
-   * @param {number} tokensUsed - Actual tokens used
+   * @param {Object} usage - Usage from the completion response
    * @returns {Object} Cost information
    * @private
    */
-  _calculateTextCost(model, tokensUsed) {
-    const pricing = this.pricing[model];
-    if (!pricing || pricing.type !== 'text') {
-      return { amount: 0, currency: 'USD', estimated: true };
-    }
-    
-    const amount = (tokensUsed / 1000) * pricing.perToken;
-    
-    return {
-      amount: parseFloat(amount.toFixed(4)),
-      currency: 'USD',
-      breakdown: {
-        tokensUsed,
-        costPer1kTokens: pricing.perToken
-      }
-    };
+  _calculateTextCost(model, usage = {}) {
+    return CostEstimator.calculate(this.provider, model, {
+      tokens: usage.total_tokens || 0,
+      inputTokens: usage.prompt_tokens,
+      outputTokens: usage.completion_tokens
+    });
   }
   
   /**
@@ -300,58 +300,51 @@ export default class OpenRouterClient extends BaseAPIClient {
    * @private
    */
   _calculateSpeechCost(params) {
-    const pricing = this.pricing[params.model];
-    if (!pricing || pricing.type !== 'speech') {
-      return { amount: 0, currency: 'USD', estimated: true };
-    }
-    
-    const characters = params.text.length;
-    const amount = characters * pricing.perCharacter;
-    
-    return {
-      amount: parseFloat(amount.toFixed(4)),
-      currency: 'USD',
-      breakdown: {
-        characters,
-        costPerCharacter: pricing.perCharacter
-      }
-    };
-  }
-  
-  /**
-   * Estimate token count from text
-   * @param {string} text - Text to estimate
-   * @returns {number} Estimated token count
-   * @private
-   */
-  _estimateTokens(text) {
-    // Rough estimation: ~4 characters per token
-    return Math.ceil(text.length / 4);
+    return CostEstimator.calculate(this.provider, params.model, { characters: params.text.length });
   }
   
   /**
    * Get available models for a specific generation type
+   * Uses OpenRouter's live model list when it can be fetched, and the priced models otherwise.
    * @param {string} type - Generation type ('image', 'text', 'speech')
-   * @returns {Array<Object>} Array of model info objects
+   * @param {string} category - Unused; OpenRouter models have no categories
+   * @param {Object} options - Discovery options for ModelCatalog.list
+   * @returns {Promise<Array<Object>>} Array of model info objects
    */
-  getAvailableModels(type = 'image') {
+  async getAvailableModels(type = 'image', category = 'all', options = {}) {
     // OpenRouter doesn't support direct image generation
     // It only supports text and chat models
     if (type === 'image') {
       return [];
     }
     
-    const models = Object.entries(this.pricing)
+    const defaults = Object.entries(this.pricing)
       .filter(([_, info]) => info.type === type)
       .map(([id, info]) => ({
         id,
         name: id,
         type: info.type,
-        costInfo: type === 'text'
-          ? `$${info.perToken}/1K tokens`
-          : `$${info.perCharacter}/char`
+        costInfo: PricingCatalog.describe(info)
       }));
     
-    return models;
+    return ModelCatalog.list(this, type, defaults, options);
+  }
+  
+  /**
+   * Fetch every model OpenRouter serves
+   * @returns {Promise<Array<Object>>} Models for ModelCatalog
+   */
+  async fetchModels() {
+    const response = await this._makeRequest('/models', null, { method: 'GET', retries: 0 });
+    
+    return (response.data || []).map(model => ({
+      id: model.id,
+      name: model.name || model.id,
+      types: (model.architecture?.output_modalities || ['text'])
+        .map(modality => OUTPUT_MODALITIES[modality])
+        .filter(Boolean),
+      contextLength: model.context_length || null,
+      description: model.description
+    }));
   }
 }
@@ -3,13 +3,10 @@
  * Creates API client instances for different providers
  */
 
-import { MODULE_ID, PROVIDERS } from '../constants.js';
 import Settings from '../utils/settings.js';
-import OpenRouterClient from './openrouter.js';
-import OpenAIClient from './openai.js';
-import AnthropicClient from './anthropic.js';
-import MidjourneyClient from './midjourney.js';
-import ReplicateClient from './replicate.js';
+import ProviderRegistry from './provider-registry.js';
+import RelayClient from './relay-client.js';
+import KeyRelay from '../services/key-relay.js';
 
 /**
  * Provider Factory Class
@@ -18,76 +15,121 @@ export default class ProviderFactory {
   /**
    * Create an API client for the specified provider
    * @param {string} providerName - Provider identifier
-   * @returns {BaseAPIClient} API client instance
-   * @throws {Error} If provider is unknown or API key is not configured
+   * @returns {BaseAPIClient|RelayClient} API client instance, or a relay to the GM on player clients in GM-only keys mode
+   * @throws {Error} If provider is not registered or its API key or server URL is not configured
    */
   static create(providerName) {
-    const apiKey = this._getApiKey(providerName);
+    const provider = ProviderRegistry.get(providerName);
+    if (!provider) {
+      throw new Error(`Unknown provider: ${providerName}`);
+    }
     
-    if (!apiKey) {
-      throw new Error(`No API key configured for ${providerName}`);
+    // Player clients hold no keys in GM-only keys mode; the GM runs their calls
+    if (KeyRelay.shouldRelay()) {
+      if (!this.isAvailable(providerName)) {
+        throw new Error(`${providerName} is not configured by the GM`);
+      }
+      return new RelayClient(providerName);
     }
     
-    switch (providerName) {
-      case PROVIDERS.OPENROUTER:
-        return new OpenRouterClient(apiKey);
-        
-      case PROVIDERS.OPENAI:
-        return new OpenAIClient(apiKey);
-        
-      case PROVIDERS.ANTHROPIC:
-        return new AnthropicClient(apiKey);
-        
-      case PROVIDERS.DEEPSEEK:
-        throw new Error('DeepSeek client not yet implemented');
-        
-      case PROVIDERS.MIDJOURNEY:
-        return new MidjourneyClient(apiKey);
-        
-      case PROVIDERS.STABLE_DIFFUSION:
-        throw new Error('Stable Diffusion client not yet implemented');
-        
-      case PROVIDERS.GEMINI:
-        throw new Error('Gemini client not yet implemented');
-        
-      case PROVIDERS.REPLICATE:
-        return new ReplicateClient(apiKey);
-        
-      default:
-        throw new Error(`Unknown provider: ${providerName}`);
+    if (!this.isAvailable(providerName)) {
+      const missing = provider.endpointSetting ? 'server URL' : 'API key';
+      throw new Error(`No ${missing} configured for ${providerName}`);
     }
+    
+    const apiKey = this._getApiKey(providerName);
+    const endpoint = provider.endpointSetting ? Settings.get(provider.endpointSetting) : undefined;
+    
+    if (provider.createClient) {
+      return provider.createClient({ apiKey, endpoint, getSetting: key => Settings.get(key) });
+    }
+    
+    return new provider.clientClass(apiKey, endpoint);
   }
   
   /**
-   * Get available providers (those with configured API keys)
+   * Get available providers (those with configured API keys or server URLs)
+   * @param {string} type - Optional generation type; only providers supporting it are returned
    * @returns {Array<Object>} Array of provider info objects
    */
-  static getAvailableProviders() {
-    const providers = [
-      { id: PROVIDERS.OPENROUTER, name: 'OpenRouter' },
-      { id: PROVIDERS.OPENAI, name: 'OpenAI' },
-      { id: PROVIDERS.ANTHROPIC, name: 'Anthropic' },
-      { id: PROVIDERS.DEEPSEEK, name: 'DeepSeek' },
-      { id: PROVIDERS.MIDJOURNEY, name: 'Midjourney' },
-      { id: PROVIDERS.STABLE_DIFFUSION, name: 'Stable Diffusion' },
-      { id: PROVIDERS.GEMINI, name: 'Gemini' },
-      { id: PROVIDERS.REPLICATE, name: 'Replicate' }
-    ];
+  static getAvailableProviders(type = null) {
+    return ProviderRegistry.getAll()
+      .filter(provider => this.isAvailable(provider.id))
+      .filter(provider => !type || this.supports(provider.id, type))
+      .map(provider => ({ id: provider.id, name: provider.name }));
+  }
+  
+  /**
+   * Get the capabilities a provider declares, narrowed for a model when it declares its own
+   * @param {string} providerName - Provider identifier
+   * @param {Object} modelInfo - Optional model info from getAvailableModels
+   * @returns {Object|null} Capabilities, or null if the provider is not registered
+   */
+  static getCapabilities(providerName, modelInfo = null) {
+    const capabilities = ProviderRegistry.get(providerName)?.capabilities;
+    if (!capabilities) {
+      return null;
+    }
     
-    return providers.filter(provider => {
-      const apiKey = this._getApiKey(provider.id);
-      return apiKey && apiKey.length > 0;
-    });
+    return { ...capabilities, ...(modelInfo?.capabilities || {}) };
+  }
+  
+  /**
+   * Check whether a provider supports a generation type (and transform mode)
+   * @param {string} providerName - Provider identifier
+   * @param {string} type - Generation type
+   * @param {string} mode - Optional transform mode for image transforms
+   * @returns {boolean} True if supported
+   */
+  static supports(providerName, type, mode = null) {
+    const capabilities = this.getCapabilities(providerName);
+    if (!capabilities?.types.includes(type)) {
+      return false;
+    }
+    
+    return !mode || capabilities.transformModes.includes(mode);
   }
   
   /**
    * Check if a provider is available
    * @param {string} providerName - Provider identifier
-   * @returns {boolean} True if provider has a configured API key
+   * @returns {boolean} True if provider has a configured API key, or a server URL for self-hosted providers
+   *   (on player clients in GM-only keys mode, true if the GM has configured it)
    */
   static isAvailable(providerName) {
+    const provider = ProviderRegistry.get(providerName);
+    if (!provider) {
+      return false;
+    }
+    
+    if (KeyRelay.shouldRelay()) {
+      return KeyRelay.getRelayedProviders().includes(providerName);
+    }
+    
+    const endpointSetting = this._getEndpointSetting(providerName);
+    if (endpointSetting) {
+      const url = Settings.get(endpointSetting);
+      return !!url && url.length > 0;
+    }
+    
+    // Providers that need no configuration are always available
+    if (!provider.apiKeySetting) {
+      return true;
+    }
+    
     const apiKey = this._getApiKey(providerName);
-    return apiKey && apiKey.length > 0;
+    return !!apiKey && apiKey.length > 0;
+  }
+  
+  /**
+   * Get the base URL setting for a self-hosted provider
+   * Self-hosted providers and relays are configured by URL and treat the API key as optional.
+   * @param {string} providerName - Provider identifier
+   * @returns {string|null} Setting key, or null for hosted providers
+   * @private
+   */
+  static _getEndpointSetting(providerName) {
+    return ProviderRegistry.get(providerName)?.endpointSetting || null;
   }
   
   /**
@@ -97,18 +139,7 @@ export default class ProviderFactory {
    * @private
    */
   static _getApiKey(providerName) {
-    const keyMap = {
-      [PROVIDERS.OPENROUTER]: 'openrouterApiKey',
-      [PROVIDERS.OPENAI]: 'openaiApiKey',
-      [PROVIDERS.ANTHROPIC]: 'anthropicApiKey',
-      [PROVIDERS.DEEPSEEK]: 'deepseekApiKey',
-      [PROVIDERS.MIDJOURNEY]: 'midjourneyApiKey',
-      [PROVIDERS.STABLE_DIFFUSION]: 'stableDiffusionApiKey',
-      [PROVIDERS.GEMINI]: 'geminiApiKey',
-      [PROVIDERS.REPLICATE]: 'replicateApiKey'
-    };
-    
-    const settingKey = keyMap[providerName];
+    const settingKey = ProviderRegistry.get(providerName)?.apiKeySetting;
     if (!settingKey) {
       return '';
     }
@@ -0,0 +1,241 @@
+/**
+ * Provider Registry for Oracle World
+ * Single source of truth for the providers ProviderFactory can create.
+ * Other modules add providers through game.oracleWorld.providers.register().
+ */
+
+import { MODULE_ID, PROVIDERS, SETTINGS } from '../constants.js';
+import CostEstimator from '../services/cost-estimator.js';
+import Settings from '../utils/settings.js';
+import BaseAPIClient from './api-client.js';
+import OpenRouterClient from './openrouter.js';
+import OpenAIClient from './openai.js';
+import AnthropicClient from './anthropic.js';
+import MidjourneyClient from './midjourney.js';
+import ReplicateClient from './replicate.js';
+import GeminiClient from './gemini.js';
+import DeepSeekClient from './deepseek.js';
+import StableDiffusionClient from './stable-diffusion.js';
+import ComfyUIClient from './comfyui.js';
+import OpenAICompatibleClient from './openai-compatible.js';
+
+/**
+ * Hook fired once the built-in providers are registered, with the registry as its argument
+ */
+export const REGISTER_HOOK = 'oracleWorld.registerProviders';
+
+/**
+ * Hook fired after each provider is registered, with the provider definition as its argument
+ */
+export const REGISTERED_HOOK = 'oracleWorld.providerRegistered';
+
+/**
+ * Providers shipped with Oracle World
+ * Their settings are registered by Settings, so only the setting keys are referenced here.
+ */
+const BUILT_IN_PROVIDERS = [
+  { id: PROVIDERS.OPENROUTER, name: 'OpenRouter', clientClass: OpenRouterClient, apiKeySetting: SETTINGS.OPENROUTER_API_KEY },
+  { id: PROVIDERS.OPENAI, name: 'OpenAI', clientClass: OpenAIClient, apiKeySetting: SETTINGS.OPENAI_API_KEY },
+  { id: PROVIDERS.ANTHROPIC, name: 'Anthropic', clientClass: AnthropicClient, apiKeySetting: SETTINGS.ANTHROPIC_API_KEY },
+  { id: PROVIDERS.DEEPSEEK, name: 'DeepSeek', clientClass: DeepSeekClient, apiKeySetting: SETTINGS.DEEPSEEK_API_KEY },
+  {
+    id: PROVIDERS.MIDJOURNEY,
+    name: 'Midjourney',
+    clientClass: MidjourneyClient,
+    apiKeySetting: SETTINGS.MIDJOURNEY_API_KEY,
+    endpointSetting: SETTINGS.MIDJOURNEY_URL
+  },
+  {
+    id: PROVIDERS.STABLE_DIFFUSION,
+    name: 'Stable Diffusion',
+    clientClass: StableDiffusionClient,
+    apiKeySetting: SETTINGS.STABLE_DIFFUSION_API_KEY,
+    endpointSetting: SETTINGS.STABLE_DIFFUSION_URL,
+    concurrency: 1
+  },
+  { id: PROVIDERS.GEMINI, name: 'Gemini', clientClass: GeminiClient, apiKeySetting: SETTINGS.GEMINI_API_KEY },
+  { id: PROVIDERS.REPLICATE, name: 'Replicate', clientClass: ReplicateClient, apiKeySetting: SETTINGS.REPLICATE_API_KEY },
+  {
+    id: PROVIDERS.COMFYUI,
+    name: 'ComfyUI',
+    clientClass: ComfyUIClient,
+    endpointSetting: SETTINGS.COMFYUI_URL,
+    concurrency: 1,
+    createClient: ({ endpoint, getSetting }) => new ComfyUIClient(endpoint, getSetting(SETTINGS.COMFYUI_WORKFLOW_DIR))
+  },
+  {
+    id: PROVIDERS.OPENAI_COMPATIBLE,
+    name: 'OpenAI-Compatible Endpoint',
+    clientClass: OpenAICompatibleClient,
+    apiKeySetting: SETTINGS.OPENAI_COMPATIBLE_API_KEY,
+    endpointSetting: SETTINGS.OPENAI_COMPATIBLE_URL
+  }
+];
+
+/**
+ * Provider Registry Class
+ */
+export default class ProviderRegistry {
+  /**
+   * Registered providers keyed by ID, in registration order
+   * @type {Map<string, Object>}
+   */
+  static providers = new Map();
+  
+  /**
+   * Register the built-in providers, then let other modules register theirs
+   * Called during the init hook, before settings are registered.
+   */
+  static initialize() {
+    BUILT_IN_PROVIDERS.forEach(definition => this.register(definition, { builtIn: true }));
+    
+    Hooks.callAll(REGISTER_HOOK, this);
+    
+    console.log(`${MODULE_ID} | ${this.providers.size} providers registered`);
+  }
+  
+  /**
+   * Register a provider
+   * @param {Object} definition - Provider definition
+   * @param {string} definition.id - Unique provider ID
+   * @param {string} definition.name - Display name
+   * @param {Function} definition.clientClass - Client class extending BaseAPIClient, constructed as new clientClass(apiKey, endpoint)
+   * @param {Function} definition.createClient - Optional factory ({ apiKey, endpoint, getSetting }) => client, used instead of clientClass
+   * @param {Array<Object>} definition.settings - Optional settings to register ({ key, name, hint, type, default, role })
+   *   A setting with role "apiKey" or "endpoint" is used for that purpose.
+   * @param {string} definition.apiKeySetting - Key of an already registered API key setting
+   * @param {string} definition.endpointSetting - Key of an already registered URL setting; providers with one are available once it is set
+   * @param {Object} definition.capabilities - Overrides for the clientClass CAPABILITIES (see BaseAPIClient.CAPABILITIES)
+   * @param {Object} definition.pricing - Pricing keyed by model ID, in the PricingCatalog.BUNDLED format
+   * @param {boolean} definition.local - True for self-hosted providers that never charge
+   * @param {number} definition.concurrency - Generations the queue runs at once on this provider
+   *   (default: 1 for local providers, otherwise the Concurrent Generations setting)
+   * @param {Object} options - { builtIn: true } for providers shipped with Oracle World
+   * @returns {Object} The registered provider
+   * @throws {Error} If the definition is invalid or the ID is taken
+   */
+  static register(definition, { builtIn = false } = {}) {
+    if (!definition?.id || !definition.name) {
+      throw new Error('Provider registration requires an id and a name');
+    }
+    
+    if (typeof definition.clientClass !== 'function' && typeof definition.createClient !== 'function') {
+      throw new Error(`Provider ${definition.id} requires a clientClass or createClient function`);
+    }
+    
+    if (this.providers.has(definition.id)) {
+      throw new Error(`Provider ${definition.id} is already registered`);
+    }
+    
+    const settings = definition.settings || [];
+    settings.forEach(setting => this._registerSetting(definition, setting));
+    
+    const provider = {
+      id: definition.id,
+      name: definition.name,
+      clientClass: definition.clientClass || null,
+      createClient: definition.createClient || null,
+      apiKeySetting: definition.apiKeySetting || settings.find(s => s.role === 'apiKey')?.key || null,
+      endpointSetting: definition.endpointSetting || settings.find(s => s.role === 'endpoint')?.key || null,
+      capabilities: {
+        ...BaseAPIClient.CAPABILITIES,
+        ...(definition.clientClass?.CAPABILITIES || {}),
+        ...(definition.capabilities || {})
+      },
+      local: !!definition.local,
+      concurrency: definition.concurrency || null,
+      builtIn
+    };
+    
+    if (definition.pricing || provider.local) {
+      CostEstimator.registerPricing(provider.id, definition.pricing, { local: provider.local });
+    }
+    
+    this.providers.set(provider.id, provider);
+    
+    if (!builtIn) {
+      console.log(`${MODULE_ID} | Registered provider: ${provider.name} (${provider.id})`);
+    }
+    Hooks.callAll(REGISTERED_HOOK, provider);
+    Settings.refreshProviderChoices();
+    
+    return provider;
+  }
+  
+  /**
+   * Remove a provider registered by another module
+   * @param {string} id - Provider ID
+   * @returns {boolean} True if the provider was removed
+   */
+  static unregister(id) {
+    if (this.providers.get(id)?.builtIn) {
+      throw new Error(`Built-in provider ${id} cannot be unregistered`);
+    }
+    
+    const removed = this.providers.delete(id);
+    Settings.refreshProviderChoices();
+    return removed;
+  }
+  
+  /**
+   * Get a registered provider
+   * @param {string} id - Provider ID
+   * @returns {Object|null} Provider, or null if not registered
+   */
+  static get(id) {
+    return this.providers.get(id) || null;
+  }
+  
+  /**
+   * Check whether a provider is registered
+   * @param {string} id - Provider ID
+   * @returns {boolean} True if registered
+   */
+  static has(id) {
+    return this.providers.has(id);
+  }
+  
+  /**
+   * Get all registered providers
+   * @returns {Array<Object>} Providers in registration order
+   */
+  static getAll() {
+    return Array.from(this.providers.values());
+  }
+  
+  /**
+   * Get the API key setting of each provider that has one
+   * @returns {Object} Setting keys keyed by provider ID
+   */
+  static getApiKeySettings() {
+    return Object.fromEntries(
+      this.getAll()
+        .filter(provider => provider.apiKeySetting)
+        .map(provider => [provider.id, provider.apiKeySetting])
+    );
+  }
+  
+  /**
+   * Register a setting declared by an add-on provider
+   * @param {Object} definition - Provider definition
+   * @param {Object} setting - Setting definition
+   * @private
+   */
+  static _registerSetting(definition, setting) {
+    if (!setting.key) {
+      throw new Error(`Provider ${definition.id} declares a setting without a key`);
+    }
+    
+    // API keys follow the GM-only keys mode like the built-in ones
+    game.settings.register(MODULE_ID, setting.key, {
+      name: setting.name || setting.key,
+      hint: setting.hint || '',
+      scope: setting.role === 'apiKey' ? Settings.getApiKeyScope() : setting.scope || 'world',
+      config: setting.config ?? true,
+      type: setting.type || String,
+      default: setting.default ?? '',
+      choices: setting.choices,
+      onChange: setting.onChange
+    });
+  }
+}
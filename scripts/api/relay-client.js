@@ -0,0 +1,25 @@
+/**
+ * Relay Client
+ * Stands in for a provider's client on player clients in GM-only keys mode.
+ * Every call is run by the active GM through KeyRelay, so no API key is needed here.
+ */
+
+import KeyRelay, { RELAY_METHODS } from '../services/key-relay.js';
+import ProviderRegistry from './provider-registry.js';
+
+export default class RelayClient {
+  /**
+   * @param {string} provider - Provider ID
+   */
+  constructor(provider) {
+    this.provider = provider;
+    
+    // Mirror only the methods the real client has, so optional ones like getSamplers are detected as usual
+    const prototype = ProviderRegistry.get(provider)?.clientClass?.prototype;
+    RELAY_METHODS
+      .filter(method => !prototype || typeof prototype[method] === 'function')
+      .forEach(method => {
+        this[method] = (...args) => KeyRelay.request(provider, method, args);
+      });
+  }
+}
@@ -4,9 +4,30 @@
  */
 
 import BaseAPIClient from './api-client.js';
-import { PROVIDERS } from '../constants.js';
+import CostEstimator from '../services/cost-estimator.js';
+import PricingCatalog from '../services/pricing-catalog.js';
+import ModelCatalog from '../services/model-catalog.js';
+import { MODULE_ID, PROVIDERS, GENERATION_TYPES } from '../constants.js';
 
 export default class ReplicateClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.IMAGE],
+    negativePrompt: true,
+    seed: true,
+    maxCount: 4
+  };
+  
+  /**
+   * Hardware assumed for models without known pricing
+   */
+  static DEFAULT_HARDWARE = 'gpu-a40-large';
+  
+  /**
+   * Replicate collection that model discovery lists
+   */
+  static MODEL_COLLECTION = 'text-to-image';
+  
   constructor(apiKey) {
     super({
       apiKey,
@@ -31,49 +52,128 @@ export default class ReplicateClient extends BaseAPIClient {
       input.negative_prompt = params.negativePrompt;
     }
     
-    // Create prediction
+    if (params.seed !== undefined && params.seed !== null) {
+      input.seed = params.seed;
+    }
+    
+    if (params.signal?.aborted) {
+      throw this._createCancelledError();
+    }
+    
+    // Create the prediction without the signal: an aborted POST can still start a prediction,
+    // and only its ID lets us cancel it
     const prediction = await this._makeRequest('/predictions', {
       version: params.model,
       input: input
     });
     
+    if (params.signal?.aborted) {
+      await this._cancelPrediction(prediction.id);
+      throw this._createCancelledError();
+    }
+    
     // Poll for completion
-    const result = await this._pollPrediction(prediction.id);
+    const result = await this._pollPrediction(prediction.id, 60, params.signal);
+    const images = Array.isArray(result.output) ? result.output : [result.output];
     
     return {
       success: true,
       type: 'image',
       provider: this.provider,
       model: params.model,
-      images: Array.isArray(result.output) ? result.output : [result.output],
-      cost: { amount: 0, currency: 'USD', estimated: true },
+      images,
+      cost: this._calculateCost(params.model, result, images.length),
       metadata: {
         prompt: params.prompt,
         predictionId: prediction.id,
+        predictTime: result.metrics?.predict_time ?? null,
         timestamp: Date.now()
       }
     };
   }
   
-  async _pollPrediction(predictionId, maxAttempts = 60) {
-    for (let i = 0; i < maxAttempts; i++) {
-      const prediction = await this._makeRequest(`/predictions/${predictionId}`, null, { method: 'GET' });
-      
-      if (prediction.status === 'succeeded') {
-        return prediction;
+  /**
+   * Cost of a finished prediction
+   * Official models are billed per image; others for predict_time on their hardware.
+   * Models without known pricing are charged at the default hardware rate and marked as estimated.
+   * @param {string} model - Model ID (owner/model or owner/model:version)
+   * @param {Object} prediction - Completed prediction
+   * @param {number} images - Number of output images
+   * @returns {Object} Cost information
+   * @private
+   */
+  _calculateCost(model, prediction, images) {
+    const seconds = prediction.metrics?.predict_time || 0;
+    
+    if (CostEstimator.getPricing(this.provider, model)) {
+      return CostEstimator.calculate(this.provider, model, { images, seconds });
+    }
+    
+    const rate = PricingCatalog.getHardwareRate(this.constructor.DEFAULT_HARDWARE);
+    return {
+      amount: parseFloat((seconds * rate).toFixed(4)),
+      currency: 'USD',
+      estimated: true,
+      breakdown: { seconds, hardware: this.constructor.DEFAULT_HARDWARE, costPerSecond: rate }
+    };
+  }
+  
+  /**
+   * Poll a prediction until it finishes
+   * Aborting the signal or timing out cancels the prediction on Replicate so it stops billing.
+   * @param {string} predictionId - Prediction ID
+   * @param {number} maxAttempts - Maximum number of polls, one per second
+   * @param {AbortSignal} signal - Optional cancellation signal
+   * @returns {Promise<Object>} Completed prediction
+   * @private
+   */
+  async _pollPrediction(predictionId, maxAttempts = 60, signal) {
+    try {
+      for (let i = 0; i < maxAttempts; i++) {
+        const prediction = await this._makeRequest(`/predictions/${predictionId}`, null, { method: 'GET', signal });
+        
+        if (prediction.status === 'succeeded') {
+          return prediction;
+        }
+        
+        if (prediction.status === 'canceled') {
+          throw this._createCancelledError();
+        }
+        
+        if (prediction.status === 'failed') {
+          throw new Error(`Prediction failed: ${prediction.error || 'Unknown error'}`);
+        }
+        
+        // Wait 1 second before polling again
+        await this._sleep(1000, signal);
       }
-      
-      if (prediction.status === 'failed' || prediction.status === 'canceled') {
-        throw new Error(`Prediction failed: ${prediction.error || 'Unknown error'}`);
+    } catch (error) {
+      if (signal?.aborted) {
+        await this._cancelPrediction(predictionId);
       }
-      
-      // Wait 1 second before polling again
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      throw error;
     }
     
+    await this._cancelPrediction(predictionId);
     throw new Error('Prediction timed out');
   }
   
+  /**
+   * Ask Replicate to stop a running prediction
+   * Failures are logged rather than thrown since the caller is already cancelling.
+   * @param {string} predictionId - Prediction ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _cancelPrediction(predictionId) {
+    try {
+      await this._makeRequest(`/predictions/${predictionId}/cancel`, {}, { retries: 0 });
+      console.log(`${MODULE_ID} | Cancelled Replicate prediction ${predictionId}`);
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Could not cancel Replicate prediction ${predictionId}:`, error);
+    }
+  }
+  
   async generateText(params) {
     throw new Error('Text generation not supported by Replicate client. Use OpenRouter instead.');
   }
@@ -91,10 +191,18 @@ export default class ReplicateClient extends BaseAPIClient {
   }
   
   async estimateCost(params) {
-    return { estimated: false, message: 'Cost estimation not implemented', currency: 'USD' };
+    return CostEstimator.estimate(this.provider, params.model, params);
   }
   
-  getAvailableModels(type = 'image', category = 'all') {
+  /**
+   * Get available models, optionally for one category
+   * The curated models are followed by those in Replicate's text-to-image collection.
+   * @param {string} type - Generation type
+   * @param {string} category - Category ID from getModelCategories
+   * @param {Object} options - Discovery options for ModelCatalog.getModels
+   * @returns {Promise<Array<Object>>} Array of model info objects
+   */
+  async getAvailableModels(type = 'image', category = 'all', options = {}) {
     if (type !== 'image') {
       return [];
     }
@@ -155,8 +263,26 @@ export default class ReplicateClient extends BaseAPIClient {
         category: 'anime',
         costInfo: '~$0.001/image',
         description: 'Anime style - Great for anime-inspired characters'
-      },
-      
+      }
+    ];
+    
+    // Collection models not already curated above; versions differ as models are updated
+    const curated = new Set(allModels.map(model => model.id.split(':')[0]));
+    const discovered = await ModelCatalog.getModels(this, options) || [];
+    const collection = ModelCatalog.filter(discovered, { type })
+      .filter(model => !curated.has(model.id.split(':')[0]))
+      .map(model => ({
+        id: model.id,
+        name: model.name,
+        type: 'image',
+        category: 'collection',
+        costInfo: PricingCatalog.describe(PricingCatalog.get(this.provider, model.id)),
+        description: model.description
+      }));
+    
+    const models = [
+      ...allModels,
+      ...collection,
       // Custom option
       {
         id: 'custom',
@@ -170,10 +296,32 @@ export default class ReplicateClient extends BaseAPIClient {
     
     // Filter by category if specified
     if (category === 'all') {
-      return allModels;
+      return models;
     }
     
-    return allModels.filter(model => model.category === category);
+    return models.filter(model => model.category === category);
+  }
+  
+  /**
+   * Fetch the models in Replicate's text-to-image collection
+   * Models are pinned to their latest version, since the predictions endpoint takes a version.
+   * @returns {Promise<Array<Object>>} Models for ModelCatalog
+   */
+  async fetchModels() {
+    const response = await this._makeRequest(`/collections/${this.constructor.MODEL_COLLECTION}`, null, {
+      method: 'GET',
+      retries: 0
+    });
+    
+    return (response.models || []).map(model => {
+      const id = `${model.owner}/${model.name}`;
+      return {
+        id: model.latest_version?.id ? `${id}:${model.latest_version.id}` : id,
+        name: id,
+        types: [GENERATION_TYPES.IMAGE],
+        description: model.description
+      };
+    });
   }
   
   /**
@@ -187,6 +335,7 @@ export default class ReplicateClient extends BaseAPIClient {
       { id: 'quality', name: 'High Quality', description: 'Best quality, slower generation' },
       { id: 'fantasy', name: 'Fantasy & Artistic', description: 'Fantasy art, D&D style' },
       { id: 'anime', name: 'Anime & Stylized', description: 'Anime and cartoon styles' },
+      { id: 'collection', name: 'Replicate Collection', description: 'More text-to-image models listed by Replicate' },
       { id: 'custom', name: 'Custom', description: 'Use your own model ID' }
     ];
   }
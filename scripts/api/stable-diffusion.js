@@ -0,0 +1,252 @@
+/**
+ * Stable Diffusion API Client
+ * Local AUTOMATIC1111 / Forge WebUI integration (launch the WebUI with --api)
+ */
+
+import BaseAPIClient from './api-client.js';
+import { PROVIDERS, TRANSFORM_MODES, ERROR_TYPES, GENERATION_TYPES } from '../constants.js';
+
+export default class StableDiffusionClient extends BaseAPIClient {
+  static CAPABILITIES = {
+    ...BaseAPIClient.CAPABILITIES,
+    types: [GENERATION_TYPES.IMAGE, GENERATION_TYPES.IMAGE_TRANSFORM],
+    transformModes: [TRANSFORM_MODES.SKETCH, TRANSFORM_MODES.STYLE_TRANSFER, TRANSFORM_MODES.INPAINTING, TRANSFORM_MODES.UPSCALING],
+    negativePrompt: true,
+    seed: true,
+    maxCount: 4
+  };
+  
+  /**
+   * @param {string} apiKey - Optional "user:password" for servers started with --api-auth
+   * @param {string} baseURL - WebUI address, e.g. http://127.0.0.1:7860
+   */
+  constructor(apiKey, baseURL) {
+    super({
+      apiKey,
+      baseURL: (baseURL || 'http://127.0.0.1:7860').replace(/\/+$/, ''),
+      provider: PROVIDERS.STABLE_DIFFUSION,
+      timeout: 300000 // Local generation can be slow on modest GPUs
+    });
+    
+    this.samplers = [];
+  }
+  
+  async generateImage(params) {
+    this._validateParams(params, ['prompt']);
+    
+    const response = await this._makeRequest('/sdapi/v1/txt2img', this._buildPayload(params), {
+      signal: params.signal,
+      retries: 0
+    });
+    
+    return this._formatImageResult('image', params, response);
+  }
+  
+  async generateText(params) {
+    throw new Error('Text generation not supported by Stable Diffusion');
+  }
+  
+  async generateSpeech(params) {
+    throw new Error('Speech generation not supported by Stable Diffusion');
+  }
+  
+  async removeBackground(params) {
+    throw new Error('Background removal not supported by Stable Diffusion');
+  }
+  
+  /**
+   * Transform an image with img2img, inpainting or the extras upscaler
+   * @param {Object} params - Transformation parameters
+   * @param {string} params.maskData - Base64 mask (white = repaint), required for inpainting
+   * @param {number} params.denoisingStrength - How far to move from the source image (0-1)
+   * @param {number} params.scale - Upscale factor for upscaling mode
+   * @param {string} params.upscaler - Upscaler name for upscaling mode
+   * @returns {Promise<Object>} Transformation result
+   */
+  async transformImage(params) {
+    this._validateParams(params, ['imageData', 'mode']);
+    
+    if (params.mode === TRANSFORM_MODES.UPSCALING) {
+      return this._upscale(params);
+    }
+    
+    if (params.mode === TRANSFORM_MODES.OUTPAINTING) {
+      throw this._createError(ERROR_TYPES.VALIDATION_ERROR, 'Outpainting is not supported by the Stable Diffusion client');
+    }
+    
+    this._validateParams(params, ['prompt']);
+    
+    const payload = {
+      ...this._buildPayload(params),
+      init_images: [this._stripDataURL(params.imageData)],
+      denoising_strength: params.denoisingStrength ?? (params.mode === TRANSFORM_MODES.SKETCH ? 0.75 : 0.55)
+    };
+    
+    if (params.mode === TRANSFORM_MODES.INPAINTING) {
+      this._validateParams(params, ['maskData']);
+      payload.mask = this._stripDataURL(params.maskData);
+      payload.inpainting_fill = 1; // Start from the original pixels
+      payload.inpaint_full_res = true;
+      payload.mask_blur = params.maskBlur ?? 4;
+    }
+    
+    const response = await this._makeRequest('/sdapi/v1/img2img', payload, {
+      signal: params.signal,
+      retries: 0
+    });
+    
+    return this._formatImageResult('image-transform', params, response);
+  }
+  
+  async estimateCost(params) {
+    return {
+      estimated: true,
+      cost: '0.0000',
+      currency: 'USD',
+      breakdown: { local: true }
+    };
+  }
+  
+  /**
+   * List checkpoints installed on the server
+   * Samplers are fetched at the same time and kept on this.samplers.
+   * @param {string} type - Generation type
+   * @returns {Promise<Array<Object>>} Array of model info objects
+   */
+  async getAvailableModels(type = 'image') {
+    if (type !== 'image') {
+      return [];
+    }
+    
+    const [models, samplers] = await Promise.all([
+      this._makeRequest('/sdapi/v1/sd-models', null, { method: 'GET', retries: 0 }),
+      this._makeRequest('/sdapi/v1/samplers', null, { method: 'GET', retries: 0 })
+    ]);
+    
+    this.samplers = samplers.map(sampler => ({
+      id: sampler.name,
+      name: sampler.name
+    }));
+    
+    return models.map(model => ({
+      id: model.title,
+      name: model.model_name,
+      type: 'image',
+      costInfo: 'Local',
+      description: model.filename
+    }));
+  }
+  
+  /**
+   * Get samplers reported by the server
+   * @returns {Promise<Array<Object>>} Array of sampler info objects
+   */
+  async getSamplers() {
+    if (this.samplers.length === 0) {
+      await this.getAvailableModels('image');
+    }
+    return this.samplers;
+  }
+  
+  /**
+   * Use HTTP basic auth when credentials are configured (WebUI --api-auth)
+   * @returns {Object} Headers to merge into the request
+   * @protected
+   */
+  _getAuthHeaders() {
+    return this.apiKey ? { 'Authorization': `Basic ${btoa(this.apiKey)}` } : {};
+  }
+  
+  /**
+   * Build the shared txt2img / img2img payload
+   * @param {Object} params - Generation parameters
+   * @returns {Object} Request payload
+   * @private
+   */
+  _buildPayload(params) {
+    const payload = {
+      prompt: params.prompt,
+      negative_prompt: params.negativePrompt || '',
+      width: params.width || 512,
+      height: params.height || 512,
+      batch_size: params.count || 1,
+      n_iter: 1,
+      steps: params.steps || 20,
+      cfg_scale: params.cfgScale || 7,
+      seed: params.seed ?? -1
+    };
+    
+    if (params.sampler) {
+      payload.sampler_name = params.sampler;
+    }
+    
+    if (params.model) {
+      payload.override_settings = { sd_model_checkpoint: params.model };
+    }
+    
+    return payload;
+  }
+  
+  /**
+   * Upscale an image through the extras endpoint
+   * @param {Object} params - Transformation parameters
+   * @returns {Promise<Object>} Transformation result
+   * @private
+   */
+  async _upscale(params) {
+    const response = await this._makeRequest('/sdapi/v1/extra-single-image', {
+      image: this._stripDataURL(params.imageData),
+      resize_mode: 0,
+      upscaling_resize: params.scale || 2,
+      upscaler_1: params.upscaler || 'R-ESRGAN 4x+'
+    }, {
+      signal: params.signal,
+      retries: 0
+    });
+    
+    return this._formatImageResult('image-transform', params, { images: [response.image] });
+  }
+  
+  /**
+   * Convert a WebUI response into the common result shape
+   * @param {string} type - Result type
+   * @param {Object} params - Generation parameters
+   * @param {Object} response - WebUI response
+   * @returns {Object} Generation result
+   * @private
+   */
+  _formatImageResult(type, params, response) {
+    let info = {};
+    try {
+      info = typeof response.info === 'string' ? JSON.parse(response.info) : (response.info || {});
+    } catch (error) {
+      info = {};
+    }
+    
+    return {
+      success: true,
+      type,
+      provider: this.provider,
+      model: params.model || info.sd_model_name || null,
+      images: (response.images || []).map(image => `data:image/png;base64,${image}`),
+      cost: { amount: 0, currency: 'USD', estimated: false },
+      metadata: {
+        prompt: params.prompt,
+        mode: params.mode,
+        seed: info.seed,
+        sampler: info.sampler_name,
+        timestamp: Date.now()
+      }
+    };
+  }
+  
+  /**
+   * Remove a data URL prefix from base64 image data
+   * @param {string} data - Base64 data, with or without a data URL prefix
+   * @returns {string} Raw base64 data
+   * @private
+   */
+  _stripDataURL(data) {
+    return data.replace(/^data:[^;]+;base64,/, '');
+  }
+}
@@ -5,6 +5,11 @@
 export const MODULE_ID = 'oracle-world';
 export const MODULE_NAME = 'Oracle World';
 
+/**
+ * Socket channel for messages between clients (requires "socket": true in module.json)
+ */
+export const SOCKET_NAME = `module.${MODULE_ID}`;
+
 /**
  * Supported AI Providers
  */
@@ -16,7 +21,9 @@ export const PROVIDERS = {
   MIDJOURNEY: 'midjourney',
   STABLE_DIFFUSION: 'stable-diffusion',
   GEMINI: 'gemini',
-  REPLICATE: 'replicate'
+  REPLICATE: 'replicate',
+  COMFYUI: 'comfyui',
+  OPENAI_COMPATIBLE: 'openai-compatible'
 };
 
 /**
@@ -30,6 +37,16 @@ export const GENERATION_TYPES = {
   IMAGE_TRANSFORM: 'image-transform'
 };
 
+/**
+ * Client method for each generation type
+ */
+export const GENERATION_METHODS = {
+  [GENERATION_TYPES.IMAGE]: 'generateImage',
+  [GENERATION_TYPES.TEXT]: 'generateText',
+  [GENERATION_TYPES.SPEECH]: 'generateSpeech',
+  [GENERATION_TYPES.IMAGE_TRANSFORM]: 'transformImage'
+};
+
 /**
  * Image Transformation Modes
  */
@@ -65,12 +82,27 @@ export const SETTINGS = {
   STABLE_DIFFUSION_API_KEY: 'stableDiffusionApiKey',
   GEMINI_API_KEY: 'geminiApiKey',
   REPLICATE_API_KEY: 'replicateApiKey',
+  OPENAI_COMPATIBLE_API_KEY: 'openaiCompatibleApiKey',
+  
+  // Endpoints
+  STABLE_DIFFUSION_URL: 'stableDiffusionUrl',
+  COMFYUI_URL: 'comfyuiUrl',
+  MIDJOURNEY_URL: 'midjourneyUrl',
+  COMFYUI_WORKFLOW_DIR: 'comfyuiWorkflowDir',
+  OPENAI_COMPATIBLE_URL: 'openaiCompatibleUrl',
   
   // Preferences
   DEFAULT_PROVIDER: 'defaultProvider',
   DEFAULT_IMAGE_MODEL: 'defaultImageModel',
   DEFAULT_TEXT_MODEL: 'defaultTextModel',
   DEFAULT_SPEECH_MODEL: 'defaultSpeechModel',
+  FALLBACK_CHAIN_TEXT: 'fallbackChainText',
+  FALLBACK_CHAIN_IMAGE: 'fallbackChainImage',
+  FALLBACK_CHAIN_SPEECH: 'fallbackChainSpeech',
+  QUEUE_CONCURRENCY: 'queueConcurrency',
+  RATE_LIMITS: 'rateLimits',
+  HISTORY_MAX_ENTRIES: 'historyMaxEntries',
+  HISTORY_RETENTION_DAYS: 'historyRetentionDays',
   
   // UI Preferences (client)
   DIALOG_WIDTH: 'dialogWidth',
@@ -80,12 +112,21 @@ export const SETTINGS = {
   // Permissions
   GM_ONLY_MODE: 'gmOnlyMode',
   PLAYER_ACCESS: 'playerAccess',
+  GM_ONLY_KEYS: 'gmOnlyKeys',
+  REQUIRE_APPROVAL: 'requireApproval',
   TRACK_USAGE: 'trackUsage',
+  BUDGETS: 'budgets',
   
   // Data
   GENERATION_HISTORY: 'generationHistory',
   CUSTOM_TEMPLATES: 'customTemplates',
-  ERROR_LOG: 'errorLog'
+  ERROR_LOG: 'errorLog',
+  RELAYED_PROVIDERS: 'relayedProviders',
+  APPROVAL_QUEUE: 'approvalQueue',
+  USAGE_LEDGER: 'usageLedger',
+  PRICING_CATALOG: 'pricingCatalog',
+  PRICING_OVERRIDES: 'pricingOverrides',
+  MODEL_CACHE: 'modelCache'
 };
 
 /**
@@ -145,6 +186,8 @@ export const ERROR_TYPES = {
   NETWORK_ERROR: 'NETWORK_ERROR',
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   STORAGE_ERROR: 'STORAGE_ERROR',
+  CANCELLED: 'CANCELLED',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
   GENERIC_ERROR: 'GENERIC_ERROR'
 };
 
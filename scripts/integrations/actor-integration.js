@@ -4,6 +4,8 @@
 
 import { MODULE_ID } from '../constants.js';
 import GenerationDialog from '../ui/generation-dialog.js';
+import VersionTreeApp from '../ui/version-tree-app.js';
+import Settings from '../utils/settings.js';
 
 export default class ActorIntegration {
   static register() {
@@ -12,7 +14,8 @@ export default class ActorIntegration {
   }
   
   static _addHeaderButton(app, buttons) {
-    if (!game.user.isGM) return;
+    // Players only get the button on their own actors
+    if (!Settings.canGenerate() || !(game.user.isGM || app.object?.isOwner)) return;
     
     buttons.unshift({
       label: 'Generate',
@@ -22,14 +25,28 @@ export default class ActorIntegration {
         new GenerationDialog(app.object, { type: 'image' }).render(true);
       }
     });
+    
+    // Once the portrait has been generated, its versions can be browsed and restored
+    const uuid = app.object?.uuid;
+    if (uuid && game.oracleWorld?.historyManager?.getAll().some(entry => entry.documentUuid === uuid)) {
+      buttons.splice(1, 0, {
+        label: 'Versions',
+        class: 'oracle-world-versions',
+        icon: 'fas fa-code-branch',
+        onclick: () => {
+          new VersionTreeApp(app.object).render(true);
+        }
+      });
+    }
   }
   
   static _addContextMenu(html, options) {
-    if (!game.user.isGM) return;
+    if (!Settings.canGenerate()) return;
     
     options.push({
       name: 'Generate Portrait',
       icon: '<i class="fas fa-image"></i>',
+      condition: li => game.user.isGM || !!game.actors.get(li.data('documentId'))?.isOwner,
       callback: li => {
         const actor = game.actors.get(li.data('documentId'));
         new GenerationDialog(actor, { type: 'image' }).render(true);
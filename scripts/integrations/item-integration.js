@@ -3,6 +3,7 @@
  */
 
 import GenerationDialog from '../ui/generation-dialog.js';
+import Settings from '../utils/settings.js';
 
 export default class ItemIntegration {
   static register() {
@@ -11,7 +12,8 @@ export default class ItemIntegration {
   }
   
   static _addHeaderButton(app, buttons) {
-    if (!game.user.isGM) return;
+    // Players only get the button on their own items
+    if (!Settings.canGenerate() || !(game.user.isGM || app.object?.isOwner)) return;
     
     buttons.unshift({
       label: 'Generate',
@@ -24,11 +26,12 @@ export default class ItemIntegration {
   }
   
   static _addContextMenu(html, options) {
-    if (!game.user.isGM) return;
+    if (!Settings.canGenerate()) return;
     
     options.push({
       name: 'Generate Icon',
       icon: '<i class="fas fa-image"></i>',
+      condition: li => game.user.isGM || !!game.items.get(li.data('documentId'))?.isOwner,
       callback: li => {
         const item = game.items.get(li.data('documentId'));
         new GenerationDialog(item, { type: 'image' }).render(true);
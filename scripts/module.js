@@ -3,15 +3,28 @@
  * Main module entry point
  */
 
-import { MODULE_ID, MODULE_NAME } from './constants.js';
+import { MODULE_ID, MODULE_NAME, SETTINGS } from './constants.js';
 import Settings from './utils/settings.js';
+import ProviderRegistry from './api/provider-registry.js';
+import ProviderFactory from './api/provider-factory.js';
+import KeyRelay from './services/key-relay.js';
+import ApprovalQueue from './services/approval-queue.js';
+import UsageLedger from './services/usage-ledger.js';
+import PricingCatalog from './services/pricing-catalog.js';
 import QueueManager from './services/queue-manager.js';
+import RateLimiter from './services/rate-limiter.js';
 import HistoryManager from './services/history-manager.js';
 import TemplateManager from './services/template-manager.js';
 import ActorIntegration from './integrations/actor-integration.js';
 import ItemIntegration from './integrations/item-integration.js';
 import SceneIntegration from './integrations/scene-integration.js';
 import JournalIntegration from './integrations/journal-integration.js';
+import ApprovalQueueApp from './ui/approval-queue-app.js';
+import BudgetConfigApp from './ui/budget-config-app.js';
+import UsageDashboardApp from './ui/usage-dashboard-app.js';
+import PricingCatalogApp from './ui/pricing-catalog-app.js';
+import QueueMonitorApp from './ui/queue-monitor-app.js';
+import HistoryBrowserApp from './ui/history-browser-app.js';
 
 /**
  * Main Oracle World Module Class
@@ -27,8 +40,15 @@ class OracleWorld {
   static initialize() {
     console.log(`${MODULE_NAME} | Initializing module v${this.VERSION}`);
     
+    // Decides the scope of every API key setting, so it comes before providers and settings
+    Settings.registerKeyStorage();
+    
+    // Register providers first so add-on providers appear in the settings
+    this.providers = ProviderRegistry;
+    ProviderRegistry.initialize();
+    
     // Register settings
-    Settings.register();
+    Settings.register(ProviderRegistry, ProviderFactory);
     
     // Initialize services
     this.initializeServices();
@@ -36,9 +56,9 @@ class OracleWorld {
     // Register integrations
     this.registerIntegrations();
     
-    // Register UI components (will be implemented in later tasks)
-    // this.registerDialogs();
-    // this.registerSidebarTools();
+    // Register UI components
+    this.registerDialogs();
+    this.registerSidebarTools();
     
     console.log(`${MODULE_NAME} | Initialization complete`);
   }
@@ -54,6 +74,31 @@ class OracleWorld {
     
     // Make module globally accessible
     game.oracleWorld = this;
+    
+    // Relay player generations to the GM when API keys are GM-only
+    this.keyRelay = KeyRelay;
+    KeyRelay.initialize();
+    
+    // Configured request and token limits; providers' rate limit headers refine them as responses arrive
+    RateLimiter.configure(Settings.get(SETTINGS.RATE_LIMITS));
+    
+    // Generation history lives in a world compendium; entries saved in the world setting move there once
+    this.historyManager.initialize();
+    
+    // Resume generations queued before the last reload; the approval queue checks which of its requests resumed
+    this.queueManager.restore();
+    
+    // Player generation requests waiting for GM approval
+    this.approvalQueue = ApprovalQueue;
+    ApprovalQueue.initialize();
+    
+    // Cost of each generation, checked against the spending budgets
+    this.usageLedger = UsageLedger;
+    UsageLedger.initialize();
+    
+    // Keep model prices current while online
+    this.pricingCatalog = PricingCatalog;
+    PricingCatalog.initialize();
   }
   
   /**
@@ -99,17 +144,112 @@ class OracleWorld {
   }
   
   /**
-   * Register dialogs (placeholder for later tasks)
+   * Register dialogs opened from the module settings
    */
   static registerDialogs() {
-    // Will be implemented in later tasks
+    game.settings.registerMenu(MODULE_ID, 'approvalQueueMenu', {
+      name: 'Approval Queue',
+      label: 'Review Requests',
+      hint: 'Approve, edit or reject generation requests from players',
+      icon: 'fas fa-clipboard-check',
+      type: ApprovalQueueApp,
+      restricted: true
+    });
+    
+    game.settings.registerMenu(MODULE_ID, 'budgetsMenu', {
+      name: 'Spending Budgets',
+      label: 'Configure Budgets',
+      hint: 'Daily and monthly spending caps per user and for the whole world',
+      icon: 'fas fa-wallet',
+      type: BudgetConfigApp,
+      restricted: true
+    });
+    
+    game.settings.registerMenu(MODULE_ID, 'usageDashboardMenu', {
+      name: 'Usage Dashboard',
+      label: 'View Usage',
+      hint: 'Spend and generation counts by provider, model, user and type, with CSV and JSON export',
+      icon: 'fas fa-chart-bar',
+      type: UsageDashboardApp,
+      restricted: true
+    });
+    
+    game.settings.registerMenu(MODULE_ID, 'pricingMenu', {
+      name: 'Pricing Catalog',
+      label: 'Manage Prices',
+      hint: 'Model prices used for estimates and costs; refresh them from OpenRouter or import your own as JSON',
+      icon: 'fas fa-tags',
+      type: PricingCatalogApp,
+      restricted: true
+    });
+    
+    game.settings.registerMenu(MODULE_ID, 'queueMonitorMenu', {
+      name: 'Generation Queue',
+      label: 'Open Queue',
+      hint: 'Your running, queued and finished generations; also in the token controls',
+      icon: 'fas fa-list-check',
+      type: QueueMonitorApp,
+      restricted: false
+    });
+    
+    game.settings.registerMenu(MODULE_ID, 'historyBrowserMenu', {
+      name: 'Generation History',
+      label: 'Browse History',
+      hint: 'Search past generations, tag and favorite them, and re-run, tweak or apply them; also in the token controls',
+      icon: 'fas fa-clock-rotate-left',
+      type: HistoryBrowserApp,
+      restricted: false
+    });
   }
   
   /**
-   * Register sidebar tools (placeholder for later tasks)
+   * Add the generation queue and history to the token scene controls
    */
   static registerSidebarTools() {
-    // Will be implemented in later tasks
+    Hooks.on('getSceneControlButtons', controls => {
+      const tokens = controls.tokens;
+      if (!tokens) return;
+      
+      tokens.tools.oracleWorldQueue = {
+        name: 'oracleWorldQueue',
+        title: 'Generation Queue',
+        icon: 'fas fa-list-check',
+        order: Object.keys(tokens.tools).length,
+        button: true,
+        visible: Settings.canGenerate(),
+        onChange: () => this.showQueueMonitor()
+      };
+      
+      tokens.tools.oracleWorldHistory = {
+        name: 'oracleWorldHistory',
+        title: 'Generation History',
+        icon: 'fas fa-clock-rotate-left',
+        order: Object.keys(tokens.tools).length,
+        button: true,
+        visible: Settings.canGenerate(),
+        onChange: () => this.showHistoryBrowser()
+      };
+    });
+  }
+  
+  /**
+   * Open the generation queue, or bring it to the front if it is already open
+   */
+  static showQueueMonitor() {
+    if (!this.queueMonitor?.rendered) {
+      this.queueMonitor = new QueueMonitorApp();
+    }
+    this.queueMonitor.render(true);
+  }
+  
+  /**
+   * Open the history browser, or bring it to the front if it is already open
+   */
+  static showHistoryBrowser() {
+    if (!this.historyBrowser?.rendered) {
+      this.historyBrowser = new HistoryBrowserApp();
+    }
+    this.historyBrowser.render(true);
   }
 }
 
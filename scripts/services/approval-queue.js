@@ -0,0 +1,366 @@
+/**
+ * Approval Queue Service
+ * Players submit generation requests for their own actors and items over the module socket.
+ * The active GM stores them, then approves (optionally editing the prompt) or rejects each one.
+ * Approved requests are generated with the GM's providers and applied to the player's document.
+ */
+
+import { MODULE_ID, SETTINGS, SOCKET_NAME, GENERATION_METHODS } from '../constants.js';
+import Settings from '../utils/settings.js';
+import ProviderFactory from '../api/provider-factory.js';
+import FallbackChain from './fallback-chain.js';
+import DocumentApplier from './document-applier.js';
+import QueueManager, { JOB_PRIORITIES, JOB_STATUS } from './queue-manager.js';
+
+/**
+ * Hook fired with the queue whenever requests are added, updated or removed
+ */
+export const APPROVAL_HOOK = 'oracleWorld.approvalQueueChanged';
+
+/**
+ * Request statuses
+ */
+export const REQUEST_STATUS = {
+  PENDING: 'pending',
+  GENERATING: 'generating'
+};
+
+/**
+ * Documents players may request generations for
+ */
+const REQUESTABLE_DOCUMENTS = ['Actor', 'Item'];
+
+/**
+ * Generation parameters a player may set
+ */
+const REQUEST_PARAMS = ['prompt', 'negativePrompt', 'model', 'width', 'height', 'count', 'sampler', 'stylize', 'seed', 'type'];
+
+/**
+ * Queue handler that applies approved requests resumed after a reload
+ */
+const QUEUE_HANDLER = 'approval';
+
+export default class ApprovalQueue {
+  /**
+   * Listen for requests and decisions
+   * Called during the ready hook.
+   */
+  static initialize() {
+    game.socket.on(SOCKET_NAME, (message, senderId) => this._onMessage(message, senderId));
+    
+    // Announce changes made by any GM client
+    const onSettingChange = setting => {
+      if (setting.key === `${MODULE_ID}.${SETTINGS.APPROVAL_QUEUE}`) {
+        Hooks.callAll(APPROVAL_HOOK, this.getAll());
+      }
+    };
+    Hooks.on('createSetting', onSettingChange);
+    Hooks.on('updateSetting', onSettingChange);
+    
+    // Apply approved requests whose generation resumed after a reload
+    QueueManager.registerHandler(QUEUE_HANDLER, {
+      onComplete: (result, job) => this._complete(job.context.requestId, job.params, result),
+      onError: (error, job) => this._update(job.context.requestId, { status: REQUEST_STATUS.PENDING, error: error.message })
+    });
+    
+    // A generation interrupted by a reload goes back to waiting, unless the generation queue resumes it;
+    // the queue is restored first, so a resumed job may already be running
+    if (game.user === game.users.activeGM) {
+      const queue = this.getAll();
+      const resumed = new Set(game.oracleWorld.queueManager.getJobs()
+        .filter(job => job.handler === QUEUE_HANDLER && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status))
+        .map(job => job.context.requestId));
+      const interrupted = request => request.status === REQUEST_STATUS.GENERATING && !resumed.has(request.id);
+      
+      if (queue.some(interrupted)) {
+        this._save(queue.map(request => (interrupted(request) ? { ...request, status: REQUEST_STATUS.PENDING } : request)));
+      }
+    }
+  }
+  
+  /**
+   * Check whether a user's generations must be approved by a GM
+   * @param {User} user - User to check (default: the current user)
+   * @returns {boolean} True for players while Require GM Approval is enabled
+   */
+  static requiresApproval(user = game.user) {
+    return !user?.isGM && !!Settings.get(SETTINGS.REQUIRE_APPROVAL);
+  }
+  
+  /**
+   * Get every queued request, oldest first
+   * @returns {Array<Object>} Requests
+   */
+  static getAll() {
+    return Settings.get(SETTINGS.APPROVAL_QUEUE) || [];
+  }
+  
+  /**
+   * Get a queued request
+   * @param {string} id - Request ID
+   * @returns {Object|undefined} Request
+   */
+  static get(id) {
+    return this.getAll().find(request => request.id === id);
+  }
+  
+  /**
+   * Send a generation request to the GM
+   * @param {Document} document - Actor or item owned by the player
+   * @param {Object} request - Request details
+   * @param {string} request.type - Generation type
+   * @param {string} request.provider - Provider ID
+   * @param {Object} request.params - Generation parameters from the dialog
+   * @throws {Error} If no GM is connected or the result could not be applied to the document
+   */
+  static submit(document, { type, provider, params }) {
+    if (!game.users.activeGM) {
+      throw new Error('A GM must be connected to review your request');
+    }
+    
+    if (!DocumentApplier.canApply(document.documentName, type)) {
+      throw new Error(`Oracle World cannot apply ${type} results to ${document.name}`);
+    }
+    
+    game.socket.emit(SOCKET_NAME, {
+      action: 'submitApproval',
+      userId: game.user.id,
+      gmId: game.users.activeGM.id,
+      documentUuid: document.uuid,
+      type,
+      provider,
+      params: this._sanitizeParams(params)
+    });
+  }
+  
+  /**
+   * Generate an approved request and apply it to the player's document
+   * The request stays queued, with the error, if generation fails.
+   * @param {string} id - Request ID
+   * @param {Object} options - Approval options
+   * @param {string} options.prompt - Edited prompt (default: the player's prompt)
+   * @param {boolean} options.budgetOverride - Run even if it goes over the player's spending budget
+   * @returns {Promise<Object>} Generation result
+   */
+  static async approve(id, { prompt, budgetOverride = false } = {}) {
+    const request = this.get(id);
+    if (!request || request.status !== REQUEST_STATUS.PENDING) {
+      throw new Error('This request is no longer waiting for approval');
+    }
+    
+    const params = { ...request.params, prompt: prompt?.trim() || request.params.prompt };
+    await this._update(id, { status: REQUEST_STATUS.GENERATING, params, error: null });
+    
+    try {
+      const document = await fromUuid(request.documentUuid);
+      if (!document) {
+        throw new Error('The requested document no longer exists');
+      }
+      
+      const result = await game.oracleWorld.queueManager.enqueue({
+        provider: request.provider,
+        model: params.model,
+        userId: request.userId,
+        type: request.type,
+        method: GENERATION_METHODS[request.type],
+        params,
+        budgetOverride,
+        priority: JOB_PRIORITIES.NORMAL,
+        label: `${request.documentName} for ${request.userName}`,
+        handler: QUEUE_HANDLER,
+        context: { requestId: id },
+        fallbacks: FallbackChain.getChain(request.type, { provider: request.provider, model: params.model }),
+        execute: async (target, signal) => {
+          const client = ProviderFactory.create(target.provider);
+          const model = target.model || await FallbackChain.getDefaultModel(client, request.type);
+          return client[GENERATION_METHODS[request.type]]({ ...params, model, signal });
+        }
+      });
+      
+      await this._complete(id, params, result);
+      
+      return result;
+    } catch (error) {
+      console.error(`${MODULE_ID} | Approved request ${id} failed:`, error);
+      await this._update(id, { status: REQUEST_STATUS.PENDING, error: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Apply a generated request to the player's document, record it and tell the player
+   * @param {string} id - Request ID
+   * @param {Object} params - Generation parameters the request ran with
+   * @param {Object} result - Generation result
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _complete(id, params, result) {
+    const request = this.get(id);
+    if (!request) return;
+    
+    const document = await fromUuid(request.documentUuid);
+    if (!document) {
+      throw new Error('The requested document no longer exists');
+    }
+    
+    await DocumentApplier.apply(document, result);
+    
+    await game.oracleWorld.historyManager.save({
+      type: request.type,
+      provider: result.provider || request.provider,
+      model: result.model || params.model,
+      prompt: params.prompt,
+      params,
+      documentUuid: request.documentUuid,
+      result,
+      cost: result.cost,
+      fallback: result.fallback,
+      requestedBy: request.userId
+    });
+    
+    await this._remove(id);
+    this._notifyUser(request, true, `Your request for ${request.documentName} was approved and applied`);
+  }
+  
+  /**
+   * Reject a request and tell the player why
+   * @param {string} id - Request ID
+   * @param {string} reason - Optional reason shown to the player
+   * @returns {Promise<void>}
+   */
+  static async reject(id, reason = '') {
+    const request = this.get(id);
+    if (!request) return;
+    
+    await this._remove(id);
+    const message = `Your request for ${request.documentName} was rejected`;
+    this._notifyUser(request, false, reason ? `${message}: ${reason}` : message);
+  }
+  
+  /**
+   * Handle an approval message
+   * Who sent a message is taken from the socket, never from the message itself.
+   * @param {Object} message - Socket message
+   * @param {string} senderId - ID of the user who sent it, supplied by the server
+   * @private
+   */
+  static _onMessage(message, senderId) {
+    if (message?.action === 'submitApproval' && message.gmId === game.user.id) {
+      this._receive(message, senderId);
+    } else if (message?.action === 'approvalDecided' && message.userId === game.user.id && game.users.get(senderId)?.isGM) {
+      if (message.approved) {
+        ui.notifications.info(message.text);
+      } else {
+        ui.notifications.warn(message.text);
+      }
+    }
+  }
+  
+  /**
+   * Queue a player's request after checking they may make it
+   * @param {Object} message - Submit message
+   * @param {string} userId - ID of the user who sent the request
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _receive({ documentUuid, type, provider, params }, userId) {
+    const user = game.users.get(userId);
+    const document = await fromUuid(documentUuid);
+    const reply = text => this._notifyUser({ userId }, false, text);
+    
+    if (!user || !Settings.canGenerate(user)) {
+      reply('You may not use generation features');
+      return;
+    }
+    
+    if (!document || !REQUESTABLE_DOCUMENTS.includes(document.documentName) || !document.testUserPermission(user, 'OWNER')) {
+      reply('You can only request generations for your own actors and items');
+      return;
+    }
+    
+    if (!GENERATION_METHODS[type] || !ProviderFactory.supports(provider, type)) {
+      reply(`The selected provider cannot generate ${type} content`);
+      return;
+    }
+    
+    if (!DocumentApplier.canApply(document.documentName, type)) {
+      reply(`Oracle World cannot apply ${type} results to ${document.name}`);
+      return;
+    }
+    
+    const request = {
+      id: foundry.utils.randomID(),
+      userId,
+      userName: user.name,
+      documentUuid,
+      documentName: document.name,
+      documentType: document.documentName,
+      type,
+      provider,
+      params: this._sanitizeParams(params),
+      status: REQUEST_STATUS.PENDING,
+      error: null,
+      createdAt: Date.now()
+    };
+    
+    await this._save([...this.getAll(), request]);
+    ui.notifications.info(`${user.name} requested a generation for ${document.name}. Review it in the Oracle World approval queue.`);
+  }
+  
+  /**
+   * Keep only the parameters a player may set
+   * @param {Object} params - Generation parameters
+   * @returns {Object} Serializable parameters
+   * @private
+   */
+  static _sanitizeParams(params = {}) {
+    return Object.fromEntries(
+      REQUEST_PARAMS
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .map(key => [key, params[key]])
+    );
+  }
+  
+  /**
+   * Tell a player what happened to their request
+   * @param {Object} request - Request ({ userId })
+   * @param {boolean} approved - True if the request was approved
+   * @param {string} text - Message
+   * @private
+   */
+  static _notifyUser(request, approved, text) {
+    game.socket.emit(SOCKET_NAME, { action: 'approvalDecided', userId: request.userId, approved, text });
+  }
+  
+  /**
+   * Change fields of a queued request
+   * @param {string} id - Request ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _update(id, changes) {
+    await this._save(this.getAll().map(request => (request.id === id ? { ...request, ...changes } : request)));
+  }
+  
+  /**
+   * Remove a request from the queue
+   * @param {string} id - Request ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _remove(id) {
+    await this._save(this.getAll().filter(request => request.id !== id));
+  }
+  
+  /**
+   * Store the queue
+   * @param {Array<Object>} queue - Requests
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _save(queue) {
+    await Settings.set(SETTINGS.APPROVAL_QUEUE, queue);
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Budget Manager Service
+ * Spending caps per user and per world, checked against the usage ledger before each generation
+ */
+
+import { SETTINGS, ERROR_TYPES } from '../constants.js';
+import Settings from '../utils/settings.js';
+import UsageLedger from './usage-ledger.js';
+
+/**
+ * What happens when a request would go over a cap
+ */
+export const OVER_LIMIT_ACTIONS = {
+  BLOCK: 'block',
+  OVERRIDE: 'override'
+};
+
+/**
+ * Budget periods
+ */
+export const BUDGET_PERIODS = {
+  DAILY: 'daily',
+  MONTHLY: 'monthly'
+};
+
+export default class BudgetManager {
+  /**
+   * Configuration used for anything the Budgets setting leaves out
+   * A cap of null means unlimited.
+   */
+  static DEFAULTS = {
+    world: { daily: null, monthly: null },
+    user: { daily: null, monthly: null },
+    users: {},
+    warningThresholds: [50, 80, 95],
+    overLimit: OVER_LIMIT_ACTIONS.OVERRIDE
+  };
+  
+  /**
+   * Get the budget configuration
+   * @returns {Object} Configuration ({ world, user, users, warningThresholds, overLimit })
+   */
+  static getConfig() {
+    const stored = Settings.get(SETTINGS.BUDGETS) || {};
+    return {
+      world: { ...this.DEFAULTS.world, ...stored.world },
+      user: { ...this.DEFAULTS.user, ...stored.user },
+      users: { ...stored.users },
+      warningThresholds: stored.warningThresholds || this.DEFAULTS.warningThresholds,
+      overLimit: stored.overLimit || this.DEFAULTS.overLimit
+    };
+  }
+  
+  /**
+   * Check whether any cap is set
+   * @returns {boolean} True if at least one cap is configured
+   */
+  static hasBudgets() {
+    const config = this.getConfig();
+    return [config.world, config.user, ...Object.values(config.users)]
+      .some(limits => Object.values(BUDGET_PERIODS).some(period => this._isCap(limits?.[period])));
+  }
+  
+  /**
+   * Check whether generation costs should be written to the ledger
+   * @returns {boolean} True if Track Usage is enabled or a cap is set
+   */
+  static isTracking() {
+    return !!Settings.get(SETTINGS.TRACK_USAGE) || this.hasBudgets();
+  }
+  
+  /**
+   * Get the caps that apply to a user
+   * A per-user cap replaces the default user cap for that period.
+   * @param {string} userId - User ID
+   * @returns {Object} Caps ({ daily, monthly }), null meaning unlimited
+   */
+  static getLimits(userId) {
+    const config = this.getConfig();
+    const own = config.users[userId] || {};
+    return Object.fromEntries(Object.values(BUDGET_PERIODS).map(period => [
+      period,
+      this._isCap(own[period]) ? own[period] : config.user[period]
+    ]));
+  }
+  
+  /**
+   * Get current spend against every cap that applies to a user
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} One entry per cap ({ scope, period, spent, limit, ratio })
+   */
+  static getStatus(userId) {
+    const config = this.getConfig();
+    const userLimits = this.getLimits(userId);
+    const status = [];
+    
+    for (const period of Object.values(BUDGET_PERIODS)) {
+      const since = this._getPeriodStart(period);
+      if (this._isCap(userLimits[period])) {
+        status.push(this._describe('user', period, UsageLedger.getTotal({ since, userId }), userLimits[period]));
+      }
+      if (this._isCap(config.world[period])) {
+        status.push(this._describe('world', period, UsageLedger.getTotal({ since }), config.world[period]));
+      }
+    }
+    
+    return status;
+  }
+  
+  /**
+   * Make sure a request fits in every cap that applies to its user
+   * @param {Object} options - Check options
+   * @param {string} options.userId - User the request is charged to
+   * @param {number} options.estimate - Estimated cost in USD
+   * @param {boolean} options.override - True if a GM chose to go over budget
+   * @throws {Error} BUDGET_EXCEEDED error listing the exceeded caps
+   */
+  static assertWithinBudget({ userId, estimate = 0, override = false }) {
+    const exceeded = this.getStatus(userId).filter(cap => cap.spent + estimate > cap.limit);
+    if (exceeded.length === 0) {
+      return;
+    }
+    
+    const canOverride = this.getConfig().overLimit === OVER_LIMIT_ACTIONS.OVERRIDE;
+    if (override && canOverride && game.user?.isGM) {
+      return;
+    }
+    
+    const error = new Error(`Spending budget reached: ${exceeded.map(cap => this._formatCap(cap)).join('; ')}`);
+    error.type = ERROR_TYPES.BUDGET_EXCEEDED;
+    error.details = { exceeded, estimate, canOverride };
+    throw error;
+  }
+  
+  /**
+   * Record the cost of a finished generation and warn when it crosses a threshold
+   * @param {Object} spend - Spend details
+   * @param {string} spend.userId - User the generation is charged to
+   * @param {string} spend.type - Generation type
+   * @param {Object} spend.result - Generation result ({ provider, model, cost })
+   * @param {string} spend.provider - Provider used when the result does not say
+   * @param {string} spend.model - Model used when the result does not say
+   * @param {number} spend.estimate - Estimate used when the provider reported no cost
+   * @param {boolean} spend.notify - False to skip the warnings, e.g. when recording for another user
+   * @returns {Promise<Object>} The ledger entry
+   */
+  static async recordSpend({ userId, type, result, provider, model, estimate = 0, notify = true }) {
+    const before = this.getStatus(userId);
+    const reported = result.cost?.estimated ? 0 : Number(result.cost?.amount) || 0;
+    
+    const entry = await UsageLedger.record({
+      userId,
+      provider: result.provider || provider,
+      model: result.model || model,
+      type,
+      cost: reported || estimate,
+      estimate: result.cost?.estimate ?? null
+    });
+    
+    if (notify && entry.cost > 0) {
+      this._warnOnThresholds(before, this.getStatus(userId));
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Warn the current user about thresholds crossed by spend another client recorded
+   * @param {string} userId - User the spend was charged to
+   * @param {Array<Object>} before - Status from getStatus before the spend
+   */
+  static warnSince(userId, before) {
+    this._warnOnThresholds(before, this.getStatus(userId));
+  }
+  
+  /**
+   * Warn the current user about each cap that crossed a warning threshold
+   * @param {Array<Object>} before - Status before the spend
+   * @param {Array<Object>} after - Status after the spend
+   * @private
+   */
+  static _warnOnThresholds(before, after) {
+    const thresholds = [...this.getConfig().warningThresholds].sort((a, b) => b - a);
+    
+    for (const cap of after) {
+      const previous = before.find(entry => entry.scope === cap.scope && entry.period === cap.period);
+      const crossed = thresholds.find(threshold => cap.ratio * 100 >= threshold && (previous?.ratio ?? 0) * 100 < threshold);
+      if (crossed !== undefined) {
+        ui.notifications.warn(`Oracle World: ${crossed}% of ${this._formatCap(cap)} used`);
+      }
+    }
+  }
+  
+  /**
+   * Build a status entry
+   * @param {string} scope - 'user' or 'world'
+   * @param {string} period - Budget period
+   * @param {number} spent - Spend in the period (USD)
+   * @param {number} limit - Cap (USD)
+   * @returns {Object} Status entry
+   * @private
+   */
+  static _describe(scope, period, spent, limit) {
+    return { scope, period, spent, limit, ratio: limit > 0 ? spent / limit : 1 };
+  }
+  
+  /**
+   * Describe a cap for notifications
+   * @param {Object} cap - Status entry
+   * @returns {string} E.g. "the daily user budget ($0.80 of $1.00)"
+   * @private
+   */
+  static _formatCap(cap) {
+    return `the ${cap.period} ${cap.scope} budget ($${cap.spent.toFixed(2)} of $${cap.limit.toFixed(2)})`;
+  }
+  
+  /**
+   * Start of the current budget period in local time
+   * @param {string} period - Budget period
+   * @returns {number} Timestamp (ms)
+   * @private
+   */
+  static _getPeriodStart(period) {
+    const now = new Date();
+    if (period === BUDGET_PERIODS.MONTHLY) {
+      return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    }
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  }
+  
+  /**
+   * Check whether a stored cap value is set
+   * @param {*} value - Stored cap
+   * @returns {boolean} True for a non-negative number
+   * @private
+   */
+  static _isCap(value) {
+    return typeof value === 'number' && value >= 0;
+  }
+}
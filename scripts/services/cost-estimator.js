@@ -4,50 +4,43 @@
  */
 
 import { MODULE_ID, PROVIDERS } from '../constants.js';
+import PricingCatalog from './pricing-catalog.js';
 
 /**
  * Cost Estimator Class
  */
 export default class CostEstimator {
   /**
-   * Pricing data for various models across providers
-   * Costs are in USD
+   * Bundled pricing keyed by provider, then model ID
+   * Kept for add-ons that read it directly; lookups go through the PricingCatalog.
+   * @type {Object}
    */
-  static PRICING = {
-    [PROVIDERS.OPENROUTER]: {
-      // Image models
-      'dall-e-3': { perImage: 0.04, type: 'image' },
-      'dall-e-2': { perImage: 0.02, type: 'image' },
-      'stable-diffusion-xl': { perImage: 0.002, type: 'image' },
-      
-      // Text models
-      'gpt-4': { perToken: 0.03, type: 'text' },
-      'gpt-4-turbo': { perToken: 0.01, type: 'text' },
-      'gpt-3.5-turbo': { perToken: 0.001, type: 'text' },
-      'claude-3-opus': { perToken: 0.015, type: 'text' },
-      'claude-3-sonnet': { perToken: 0.003, type: 'text' },
-      
-      // Speech models
-      'tts-1': { perCharacter: 0.000015, type: 'speech' },
-      'tts-1-hd': { perCharacter: 0.00003, type: 'speech' }
-    },
-    
-    [PROVIDERS.OPENAI]: {
-      'dall-e-3': { perImage: 0.04, type: 'image' },
-      'dall-e-2': { perImage: 0.02, type: 'image' },
-      'gpt-4': { perToken: 0.03, type: 'text' },
-      'gpt-4-turbo': { perToken: 0.01, type: 'text' },
-      'gpt-3.5-turbo': { perToken: 0.001, type: 'text' },
-      'tts-1': { perCharacter: 0.000015, type: 'speech' },
-      'tts-1-hd': { perCharacter: 0.00003, type: 'speech' }
-    },
-    
-    [PROVIDERS.ANTHROPIC]: {
-      'claude-3-opus': { perToken: 0.015, type: 'text' },
-      'claude-3-sonnet': { perToken: 0.003, type: 'text' },
-      'claude-3-haiku': { perToken: 0.00025, type: 'text' }
+  static get PRICING() {
+    return PricingCatalog.BUNDLED;
+  }
+  
+  /**
+   * Self-hosted providers that never incur per-request charges
+   */
+  static LOCAL_PROVIDERS = [
+    PROVIDERS.STABLE_DIFFUSION,
+    PROVIDERS.COMFYUI,
+    PROVIDERS.OPENAI_COMPATIBLE
+  ];
+  
+  /**
+   * Add or replace pricing for a provider's models
+   * @param {string} provider - Provider ID
+   * @param {Object} pricing - Pricing keyed by model ID, in the PricingCatalog.BUNDLED format
+   * @param {Object} options - { local: true } for self-hosted providers that never charge
+   */
+  static registerPricing(provider, pricing = {}, { local = false } = {}) {
+    PricingCatalog.register(provider, pricing);
+    
+    if (local && !this.LOCAL_PROVIDERS.includes(provider)) {
+      this.LOCAL_PROVIDERS.push(provider);
     }
-  };
+  }
   
   /**
    * Estimate cost for a generation request
@@ -57,9 +50,16 @@ export default class CostEstimator {
    * @returns {Promise<Object>} Cost estimate
    */
   static async estimate(provider, model, params) {
-    const providerPricing = this.PRICING[provider];
+    if (this.LOCAL_PROVIDERS.includes(provider)) {
+      return {
+        estimated: true,
+        cost: (0).toFixed(4),
+        currency: 'USD',
+        breakdown: { local: true }
+      };
+    }
     
-    if (!providerPricing) {
+    if (!PricingCatalog.hasProvider(provider)) {
       return {
         estimated: false,
         message: `Pricing information not available for provider: ${provider}`,
@@ -67,7 +67,7 @@ export default class CostEstimator {
       };
     }
     
-    const modelPricing = providerPricing[model];
+    const modelPricing = this.getPricing(provider, model);
     
     if (!modelPricing) {
       return {
@@ -117,6 +117,101 @@ export default class CostEstimator {
     }
   }
   
+  /**
+   * Get the pricing of a model from the catalog
+   * Replicate-style IDs with a version suffix (owner/model:version) fall back to the unversioned entry.
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID
+   * @returns {Object|undefined} Model pricing
+   */
+  static getPricing(provider, model) {
+    return PricingCatalog.get(provider, model);
+  }
+  
+  /**
+   * Calculate the actual cost of a finished generation from reported usage
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID
+   * @param {Object} usage - Usage reported by the provider
+   * @param {number} usage.tokens - Total tokens (text, when input and output are not reported)
+   * @param {number} usage.inputTokens - Prompt tokens (text)
+   * @param {number} usage.outputTokens - Completion tokens (text)
+   * @param {number} usage.images - Images generated (image)
+   * @param {string} usage.size - Image size, e.g. "1024x1024" (image)
+   * @param {string} usage.quality - Image quality tier, e.g. "hd" (image)
+   * @param {number} usage.seconds - Prediction time on time-billed hardware (image)
+   * @param {number} usage.characters - Characters synthesized (speech)
+   * @param {number} usage.seconds - Audio length, for models billed per second (speech)
+   * @returns {Object} Cost information ({ amount, currency, breakdown })
+   */
+  static calculate(provider, model, usage = {}) {
+    const pricing = this.getPricing(provider, model);
+    
+    if (!pricing) {
+      return { amount: 0, currency: 'USD', estimated: true };
+    }
+    
+    let amount = 0;
+    let breakdown = {};
+    
+    if (pricing.type === 'image' && pricing.hardware) {
+      const rate = PricingCatalog.getHardwareRate(pricing.hardware);
+      amount = (usage.seconds || 0) * rate;
+      breakdown = { seconds: usage.seconds || 0, hardware: pricing.hardware, costPerSecond: rate };
+    } else if (pricing.type === 'image') {
+      const costPerImage = this._getImageRate(pricing, usage);
+      amount = costPerImage * (usage.images || 0);
+      breakdown = { imagesCount: usage.images || 0, costPerImage };
+    } else if (pricing.type === 'text' && this._hasSplitRates(pricing) && (usage.inputTokens !== undefined || usage.outputTokens !== undefined)) {
+      const inputTokens = usage.inputTokens || 0;
+      const outputTokens = usage.outputTokens || 0;
+      amount = (inputTokens / 1000) * pricing.perInputToken + (outputTokens / 1000) * pricing.perOutputToken;
+      breakdown = {
+        inputTokens,
+        outputTokens,
+        costPer1kInputTokens: pricing.perInputToken,
+        costPer1kOutputTokens: pricing.perOutputToken
+      };
+    } else if (pricing.type === 'text') {
+      amount = ((usage.tokens || 0) / 1000) * pricing.perToken;
+      breakdown = { tokensUsed: usage.tokens || 0, costPer1kTokens: pricing.perToken };
+    } else if (pricing.type === 'speech' && pricing.perSecond !== undefined) {
+      const seconds = usage.seconds ?? this._estimateSpeechSeconds(usage.characters);
+      amount = seconds * pricing.perSecond;
+      breakdown = { seconds, costPerSecond: pricing.perSecond };
+    } else if (pricing.type === 'speech') {
+      amount = (usage.characters || 0) * pricing.perCharacter;
+      breakdown = { characters: usage.characters || 0, costPerCharacter: pricing.perCharacter };
+    }
+    
+    return {
+      amount: parseFloat(amount.toFixed(4)),
+      currency: 'USD',
+      breakdown
+    };
+  }
+  
+  /**
+   * Price of one image for a size and quality tier
+   * @param {Object} pricing - Model pricing info
+   * @param {Object} options - { size, quality }
+   * @returns {number} Cost per image
+   * @private
+   */
+  static _getImageRate(pricing, { size, quality } = {}) {
+    return pricing.tiers?.[quality || 'standard']?.[size] ?? pricing.perImage;
+  }
+  
+  /**
+   * Check whether a text model bills input and output tokens separately
+   * @param {Object} pricing - Model pricing info
+   * @returns {boolean} True if both rates are known
+   * @private
+   */
+  static _hasSplitRates(pricing) {
+    return pricing.perInputToken !== undefined && pricing.perOutputToken !== undefined;
+  }
+  
   /**
    * Estimate image generation cost
    * @param {Object} pricing - Model pricing info
@@ -126,13 +221,26 @@ export default class CostEstimator {
    */
   static _estimateImageCost(pricing, params) {
     const count = params.count || 1;
-    const cost = pricing.perImage * count;
+    
+    if (pricing.hardware) {
+      const rate = PricingCatalog.getHardwareRate(pricing.hardware);
+      const seconds = (pricing.typicalSeconds || 0) * count;
+      return {
+        cost: seconds * rate,
+        breakdown: { imagesCount: count, seconds, hardware: pricing.hardware, costPerSecond: rate }
+      };
+    }
+    
+    const costPerImage = this._getImageRate(pricing, {
+      size: params.width && params.height ? `${params.width}x${params.height}` : undefined,
+      quality: params.quality
+    });
     
     return {
-      cost,
+      cost: costPerImage * count,
       breakdown: {
         imagesCount: count,
-        costPerImage: pricing.perImage
+        costPerImage
       }
     };
   }
@@ -148,6 +256,20 @@ export default class CostEstimator {
     const inputTokens = this._estimateTokens(params.prompt || '');
     const outputTokens = params.maxTokens || 1000;
     const totalTokens = inputTokens + outputTokens;
+    
+    if (this._hasSplitRates(pricing)) {
+      return {
+        cost: (inputTokens / 1000) * pricing.perInputToken + (outputTokens / 1000) * pricing.perOutputToken,
+        breakdown: {
+          inputTokens,
+          outputTokens,
+          totalTokens,
+          costPer1kInputTokens: pricing.perInputToken,
+          costPer1kOutputTokens: pricing.perOutputToken
+        }
+      };
+    }
+    
     const cost = (totalTokens / 1000) * pricing.perToken;
     
     return {
@@ -170,6 +292,15 @@ export default class CostEstimator {
    */
   static _estimateSpeechCost(pricing, params) {
     const characters = (params.text || '').length;
+    
+    if (pricing.perSecond !== undefined) {
+      const seconds = this._estimateSpeechSeconds(characters);
+      return {
+        cost: seconds * pricing.perSecond,
+        breakdown: { characters, seconds, costPerSecond: pricing.perSecond }
+      };
+    }
+    
     const cost = characters * pricing.perCharacter;
     
     return {
@@ -181,6 +312,17 @@ export default class CostEstimator {
     };
   }
   
+  /**
+   * Estimate how long synthesized speech runs
+   * Uses rough approximation of 15 characters per second
+   * @param {number} characters - Characters of text
+   * @returns {number} Estimated seconds of audio
+   * @private
+   */
+  static _estimateSpeechSeconds(characters) {
+    return Math.ceil((characters || 0) / 15);
+  }
+  
   /**
    * Estimate token count from text
    * Uses rough approximation of 4 characters per token
@@ -0,0 +1,105 @@
+/**
+ * Document Applier Service
+ * Writes generation results onto Foundry documents
+ */
+
+import { MODULE_ID, GENERATION_TYPES } from '../constants.js';
+
+/**
+ * Generation types whose results can be applied to each document type
+ */
+const IMAGE_TYPES = [GENERATION_TYPES.IMAGE, GENERATION_TYPES.BACKGROUND_REMOVAL, GENERATION_TYPES.IMAGE_TRANSFORM];
+const APPLICABLE_TYPES = {
+  Actor: IMAGE_TYPES,
+  Item: IMAGE_TYPES,
+  Scene: IMAGE_TYPES,
+  JournalEntry: [GENERATION_TYPES.TEXT]
+};
+
+export default class DocumentApplier {
+  /**
+   * Flag holding the history entry a document's image came from
+   */
+  static ENTRY_FLAG = 'historyEntryId';
+  
+  /**
+   * Check whether results of a generation type can be applied to a document type
+   * @param {string} documentName - Document type, e.g. 'Actor'
+   * @param {string} type - Generation type
+   * @returns {boolean} True if apply() can write such a result onto such a document
+   */
+  static canApply(documentName, type) {
+    return APPLICABLE_TYPES[documentName]?.includes(type) ?? false;
+  }
+  
+  /**
+   * Apply a generation result to a document
+   * Images become the actor or item image or the scene background; text becomes a journal page.
+   * @param {Document} document - Target document
+   * @param {Object} result - Generation result
+   * @param {Object} options - Apply options
+   * @param {string} options.entryId - History entry of the result, recorded on the document with an image
+   * @returns {Promise<void>}
+   * @throws {Error} If the result has nothing this document type can take
+   */
+  static async apply(document, result, { entryId = null } = {}) {
+    if (result.text && document.documentName === 'JournalEntry') {
+      await this._applyTextToJournal(document, result);
+      return;
+    }
+    
+    if (!result.images?.length || !this.canApply(document.documentName, GENERATION_TYPES.IMAGE)) {
+      throw new Error(`This result cannot be applied to ${document.name}`);
+    }
+    
+    const ImageStorage = (await import('./image-storage.js')).default;
+    const imagePath = await ImageStorage.saveFromURL(result.images[0], {
+      prefix: document.documentName.toLowerCase(),
+      name: document.name
+    });
+    
+    const flags = { [`flags.${MODULE_ID}.${this.ENTRY_FLAG}`]: entryId };
+    
+    if (document.documentName === 'Actor') {
+      await document.update({ img: imagePath, ...flags });
+    } else if (document.documentName === 'Item') {
+      await document.update({ img: imagePath, ...flags });
+    } else {
+      await document.update({ background: { src: imagePath }, ...flags });
+    }
+  }
+  
+  /**
+   * Add generated text to the journal as a new text page
+   * Only result.text is inserted; model reasoning is left out.
+   * @param {JournalEntry} journal - Target journal
+   * @param {Object} result - Text generation result
+   * @private
+   */
+  static async _applyTextToJournal(journal, result) {
+    const content = result.text
+      .split(/\n{2,}/)
+      .map(paragraph => `<p>${this._escapeHTML(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('');
+    
+    await journal.createEmbeddedDocuments('JournalEntryPage', [{
+      name: `${journal.name} (${new Date().toLocaleDateString()})`,
+      type: 'text',
+      text: { content }
+    }]);
+  }
+  
+  /**
+   * Escape text for insertion into HTML
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   * @private
+   */
+  static _escapeHTML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
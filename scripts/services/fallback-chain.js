@@ -0,0 +1,82 @@
+/**
+ * Fallback Chain Service
+ * Resolves the providers to fail over to when the selected one is rate limited or unreachable
+ */
+
+import { MODULE_ID, SETTINGS, GENERATION_TYPES } from '../constants.js';
+import Settings from '../utils/settings.js';
+import ProviderFactory from '../api/provider-factory.js';
+import ProviderHealth from './provider-health.js';
+
+/**
+ * Fallback chain setting for each generation type
+ */
+const CHAIN_SETTINGS = {
+  [GENERATION_TYPES.TEXT]: SETTINGS.FALLBACK_CHAIN_TEXT,
+  [GENERATION_TYPES.IMAGE]: SETTINGS.FALLBACK_CHAIN_IMAGE,
+  [GENERATION_TYPES.SPEECH]: SETTINGS.FALLBACK_CHAIN_SPEECH
+};
+
+export default class FallbackChain {
+  /**
+   * Parse a chain setting value
+   * @param {string} value - Comma-separated "provider" or "provider:model" entries
+   * @returns {Array<Object>} Entries ({ provider, model })
+   */
+  static parse(value) {
+    return (value || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        // Split on the first colon only; model IDs such as "llama3:8b" contain colons
+        const separator = entry.indexOf(':');
+        return separator === -1
+          ? { provider: entry, model: null }
+          : { provider: entry.slice(0, separator), model: entry.slice(separator + 1) || null };
+      });
+  }
+  
+  /**
+   * Get the fallbacks for a generation
+   * Entries for unavailable, incompatible or failing providers, and the primary itself, are skipped.
+   * @param {string} type - Generation type
+   * @param {Object} primary - Selected provider and model ({ provider, model })
+   * @returns {Array<Object>} Fallback targets ({ provider, model }) in order
+   */
+  static getChain(type, primary = {}) {
+    const settingKey = CHAIN_SETTINGS[type];
+    if (!settingKey) {
+      return [];
+    }
+    
+    return this.parse(Settings.get(settingKey)).filter(entry => {
+      if (entry.provider === primary.provider && (!entry.model || entry.model === primary.model)) {
+        return false;
+      }
+      
+      if (!ProviderFactory.isAvailable(entry.provider) || !ProviderFactory.supports(entry.provider, type)) {
+        console.warn(`${MODULE_ID} | Skipping fallback ${entry.provider}: not configured or cannot generate ${type}`);
+        return false;
+      }
+      
+      if (ProviderHealth.isOpen(entry.provider)) {
+        console.warn(`${MODULE_ID} | Skipping fallback ${entry.provider}: unavailable after repeated failures`);
+        return false;
+      }
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Pick a model for a fallback entry that names only a provider
+   * @param {BaseAPIClient} client - Fallback provider client
+   * @param {string} type - Generation type
+   * @returns {Promise<string|null>} First model the provider offers for the type
+   */
+  static async getDefaultModel(client, type) {
+    const models = await client.getAvailableModels?.(type) || [];
+    return models.find(model => model.id !== 'custom')?.id || null;
+  }
+}
@@ -1,91 +1,564 @@
 /**
  * History Manager Service
  * Manages generation history storage and retrieval
+ * Entry details are kept in memory for filtering and reports; results stay in the history store
+ * until a page of entries is loaded. Only GMs write to the store: players send their writes to the
+ * active GM, who checks them and writes them for them.
  */
 
-import { MODULE_ID, SETTINGS } from '../constants.js';
+import { MODULE_ID, SETTINGS, SOCKET_NAME } from '../constants.js';
 import Settings from '../utils/settings.js';
+import { serializeParams } from '../utils/serialize-params.js';
+import HistoryStore from './history-store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Hook fired with the changed entry, or null when several changed, whenever the history changes
+ */
+export const HISTORY_HOOK = 'oracleWorld.historyChanged';
+
+/**
+ * How a generation relates to the entry it came from
+ */
+export const RELATIONSHIPS = {
+  VARIATION: 'variation',
+  REROLL: 're-roll',
+  EDIT: 'edit',
+  UPSCALE: 'upscale',
+  TRANSFORM: 'transform'
+};
+
+/**
+ * Parameters that, when unchanged, make a new generation a re-roll of its parent rather than an edit
+ */
+const REROLL_PARAMS = ['prompt', 'negativePrompt', 'model', 'width', 'height', 'sampler', 'stylize'];
+
+/**
+ * Entry fields players may change on their own entries
+ */
+const PLAYER_FIELDS = ['favorite', 'tags'];
 
 export default class HistoryManager {
-  constructor() {
+  /**
+   * Entries shown per page unless asked otherwise
+   */
+  static PAGE_SIZE = 20;
+  
+  /**
+   * @param {HistoryStore} store - Where entries are written
+   */
+  constructor(store = new HistoryStore()) {
+    this.store = store;
     this.history = [];
-    this.load();
+    this._ready = Promise.resolve();
+    
+    // Player side: writes not yet handed to a GM
+    this.unsent = [];
+  }
+  
+  /**
+   * Open the history store, move history saved in the world setting into it and apply the limits
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    this._ready = this._initialize();
+    return this._ready;
   }
   
   async save(generation) {
+    await this._ready;
+    
     const entry = {
       id: foundry.utils.randomID(),
       type: generation.type,
       provider: generation.provider,
       model: generation.model,
       prompt: generation.prompt,
+      params: serializeParams(generation.params),
+      documentUuid: generation.documentUuid || null,
+      parentId: generation.parentId || null,
+      relationship: generation.parentId && Object.values(RELATIONSHIPS).includes(generation.relationship)
+        ? generation.relationship
+        : null,
       result: generation.result,
       cost: generation.cost,
+      fallback: generation.fallback || null,
+      jobId: generation.result?.jobId || null,
+      userId: generation.userId || game.user?.id || null,
+      requestedBy: generation.requestedBy || null,
       timestamp: Date.now(),
       favorite: false,
       tags: generation.tags || []
     };
     
-    this.history.unshift(entry);
-    await this._persist();
+    const { result, ...details } = entry;
+    this.history.unshift(details);
     
+    await this._write('create', { entries: [entry] });
+    
+    this._changed(details);
     return entry;
   }
   
   async delete(id) {
+    await this._ready;
+    
     const index = this.history.findIndex(h => h.id === id);
     if (index !== -1) {
-      this.history.splice(index, 1);
-      await this._persist();
+      const [entry] = this.history.splice(index, 1);
+      await this._write('delete', { ids: [id] });
+      this._changed(entry);
     }
   }
   
   async toggleFavorite(id) {
-    const entry = this.history.find(h => h.id === id);
+    const entry = this.get(id);
     if (entry) {
-      entry.favorite = !entry.favorite;
-      await this._persist();
+      await this.update(id, { favorite: !entry.favorite });
     }
   }
   
+  /**
+   * Change an entry's details, such as its tags
+   * @param {string} id - Entry ID
+   * @param {Object} changes - Fields to change; the result cannot be changed
+   * @returns {Promise<Object|undefined>} Updated entry details
+   */
+  async update(id, changes) {
+    await this._ready;
+    
+    const entry = this.get(id);
+    if (!entry) return undefined;
+    
+    const { result, id: entryId, ...allowed } = changes;
+    Object.assign(entry, allowed);
+    await this._write('update', { id, changes: allowed });
+    this._changed(entry);
+    return entry;
+  }
+  
+  /**
+   * Find entries, newest first
+   * @param {Object} criteria - Filters; all are optional
+   * @param {string} criteria.type - Generation type
+   * @param {boolean} criteria.favorite - Favorites only
+   * @param {string} criteria.provider - Provider ID
+   * @param {string} criteria.model - Model ID
+   * @param {Array<string>} criteria.tags - Entries with any of these tags
+   * @param {string} criteria.search - Words that must all appear in the prompt or tags
+   * @param {number} criteria.from - Saved at or after this time
+   * @param {number} criteria.to - Saved at or before this time
+   * @param {string} criteria.userId - Made or requested by this user
+   * @returns {Array<Object>} Matching entries
+   */
   filter(criteria) {
+    const words = (criteria.search || '').toLowerCase().split(/\s+/).filter(Boolean);
+    
     return this.history.filter(entry => {
       if (criteria.type && entry.type !== criteria.type) return false;
       if (criteria.favorite && !entry.favorite) return false;
       if (criteria.provider && entry.provider !== criteria.provider) return false;
-      if (criteria.tags && !criteria.tags.some(t => entry.tags.includes(t))) return false;
+      if (criteria.model && entry.model !== criteria.model) return false;
+      if (criteria.tags?.length && !criteria.tags.some(t => entry.tags.includes(t))) return false;
+      if (criteria.from && entry.timestamp < criteria.from) return false;
+      if (criteria.to && entry.timestamp > criteria.to) return false;
+      if (criteria.userId && entry.userId !== criteria.userId && entry.requestedBy !== criteria.userId) return false;
+      if (words.length) {
+        const text = `${entry.prompt || ''} ${entry.tags.join(' ')}`.toLowerCase();
+        if (!words.every(word => text.includes(word))) return false;
+      }
       return true;
     });
   }
   
+  /**
+   * Get an entry's details, without its result
+   * @param {string} id - Entry ID
+   * @returns {Object|undefined} Entry
+   */
   get(id) {
     return this.history.find(h => h.id === id);
   }
   
+  /**
+   * Get an entry with its result
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Entry, or null if it is not in the history
+   */
+  async getEntry(id) {
+    await this._ready;
+    if (!this.get(id)) return null;
+    
+    const [entry] = await this.store.load([id]);
+    return entry || null;
+  }
+  
+  /**
+   * Get a page of entries, newest first, with their results
+   * @param {Object} options - filter() criteria plus { page, pageSize }
+   * @param {number} options.page - Page number, from 1
+   * @param {number} options.pageSize - Entries per page
+   * @returns {Promise<Object>} { entries, page, pages, total }
+   */
+  async getPage({ page = 1, pageSize = HistoryManager.PAGE_SIZE, ...criteria } = {}) {
+    await this._ready;
+    
+    const matches = this.filter(criteria);
+    const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+    const current = Math.min(Math.max(1, page), pages);
+    const ids = matches.slice((current - 1) * pageSize, current * pageSize).map(entry => entry.id);
+    
+    return {
+      entries: await this.getEntries(ids),
+      page: current,
+      pages,
+      total: matches.length
+    };
+  }
+  
+  /**
+   * Get entries with their results
+   * @param {Array<string>} ids - Entry IDs
+   * @returns {Promise<Array<Object>>} Entries, in the order of the IDs; missing entries are left out
+   */
+  async getEntries(ids) {
+    await this._ready;
+    
+    const loaded = new Map((await this.store.load(ids)).map(entry => [entry.id, entry]));
+    return ids.map(id => loaded.get(id)).filter(Boolean);
+  }
+  
+  /**
+   * Get the entry a generation came from
+   * @param {string} id - Entry ID
+   * @returns {Object|undefined} Parent entry, unless there is none or it was deleted
+   */
+  getParent(id) {
+    const parentId = this.get(id)?.parentId;
+    return parentId ? this.get(parentId) : undefined;
+  }
+  
+  /**
+   * Get the entries that came from an entry, oldest first
+   * @param {string} id - Entry ID
+   * @returns {Array<Object>} Child entries
+   */
+  getChildren(id) {
+    return this.history.filter(entry => entry.parentId === id).reverse();
+  }
+  
+  /**
+   * Get the chain of entries an entry came from
+   * The chain stops at the first deleted parent.
+   * @param {string} id - Entry ID
+   * @returns {Array<Object>} Ancestors, the oldest first, without the entry itself
+   */
+  getAncestors(id) {
+    const ancestors = [];
+    const seen = new Set([id]);
+    let parent = this.getParent(id);
+    
+    while (parent && !seen.has(parent.id)) {
+      ancestors.unshift(parent);
+      seen.add(parent.id);
+      parent = this.getParent(parent.id);
+    }
+    
+    return ancestors;
+  }
+  
+  /**
+   * Get the whole version tree an entry belongs to
+   * @param {string} id - Entry ID
+   * @returns {Object|null} Root node: the entry's details plus children, an array of nodes oldest first
+   */
+  getLineage(id) {
+    const entry = this.get(id);
+    if (!entry) return null;
+    
+    const root = this.getAncestors(id)[0] || entry;
+    return this._buildTree(root, this.history);
+  }
+  
+  /**
+   * Get the version trees of everything generated for a document
+   * Entries whose parent was deleted, or was generated for another document, start their own tree.
+   * @param {string} documentUuid - Document UUID
+   * @param {Object} criteria - More filter() criteria, such as { type }
+   * @returns {Array<Object>} Root nodes, oldest first
+   */
+  getDocumentTree(documentUuid, criteria = {}) {
+    const entries = this.filter(criteria).filter(entry => entry.documentUuid === documentUuid);
+    const ids = new Set(entries.map(entry => entry.id));
+    
+    return entries
+      .filter(entry => !ids.has(entry.parentId))
+      .reverse()
+      .map(entry => this._buildTree(entry, entries));
+  }
+  
+  /**
+   * Describe how a new generation relates to the entry it starts from
+   * @param {Object} parent - Parent entry
+   * @param {Object} generation - { provider, type, params } of the new generation
+   * @returns {string} A RELATIONSHIPS value
+   */
+  getRelationship(parent, { provider, type, params = {} }) {
+    if (params.action) {
+      if (/^U/.test(params.action)) return RELATIONSHIPS.UPSCALE;
+      if (/^V/.test(params.action)) return RELATIONSHIPS.VARIATION;
+    }
+    if (params.action || type === 'image-transform') return RELATIONSHIPS.TRANSFORM;
+    
+    const parentParams = { ...parent.params, prompt: parent.params?.prompt ?? parent.prompt, model: parent.model };
+    const unchanged = provider === parent.provider
+      && REROLL_PARAMS.every(key => (params[key] ?? null) === (parentParams[key] ?? null));
+    return unchanged ? RELATIONSHIPS.REROLL : RELATIONSHIPS.EDIT;
+  }
+  
+  /**
+   * Get every entry's details, newest first, without results
+   * @returns {Array<Object>} Entries
+   */
   getAll() {
     return [...this.history];
   }
   
   async load() {
     try {
-      const data = Settings.get(SETTINGS.GENERATION_HISTORY);
-      this.history = data || [];
+      const entries = await this.store.loadIndex();
+      this.history = entries.sort((a, b) => b.timestamp - a.timestamp);
     } catch (error) {
       console.error(`${MODULE_ID} | Error loading history:`, error);
       this.history = [];
     }
   }
   
-  async _persist() {
+  /**
+   * Remove entries beyond the size and retention limits
+   * Favorites are kept regardless. Only GMs prune; the store is shared by every client.
+   * @param {number} now - Current time
+   * @returns {Promise<Array<string>>} IDs of the removed entries
+   */
+  async prune(now = Date.now()) {
+    if (!game.user.isGM) return [];
+    
+    const maxEntries = Settings.get(SETTINGS.HISTORY_MAX_ENTRIES) || 0;
+    const retentionDays = Settings.get(SETTINGS.HISTORY_RETENTION_DAYS) || 0;
+    let kept = 0;
+    
+    const expired = this.history.filter(entry => {
+      if (entry.favorite) return false;
+      if (retentionDays && now - entry.timestamp > retentionDays * DAY) return true;
+      return maxEntries > 0 && ++kept > maxEntries;
+    }).map(entry => entry.id);
+    
+    if (expired.length) {
+      this.history = this.history.filter(entry => !expired.includes(entry.id));
+      await this.store.delete(expired);
+      console.log(`${MODULE_ID} | Removed ${expired.length} entries from the history`);
+      this._changed(null);
+    }
+    
+    return expired;
+  }
+  
+  async clear() {
+    await this._ready;
+    
+    const ids = this.history.map(entry => entry.id);
+    this.history = [];
+    await this._write('delete', { ids });
+    this._changed(null);
+  }
+  
+  /**
+   * @private
+   */
+  async _initialize() {
+    try {
+      game.socket.on(SOCKET_NAME, (message, senderId) => this._receive(message, senderId));
+      Hooks.on('userConnected', (user, connected) => {
+        if (connected && user.isGM) this._flush();
+      });
+      
+      await this.store.initialize();
+      this.store.watch((type, entry) => this._onStoreChange(type, entry));
+      await this.load();
+      
+      if (game.user.isGM) {
+        await this._migrate();
+        await this.prune();
+      }
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error initializing history:`, error);
+    }
+  }
+  
+  /**
+   * Move history saved in the world setting by earlier versions into the store, once
+   * The setting is emptied afterwards; entries keep their IDs, so an interrupted move can be repeated.
+   * @private
+   */
+  async _migrate() {
+    const legacy = Settings.get(SETTINGS.GENERATION_HISTORY) || [];
+    if (!legacy.length) return;
+    
+    const known = new Set(this.history.map(entry => entry.id));
+    const entries = legacy
+      .filter(entry => entry?.id && !known.has(entry.id))
+      .map(entry => ({
+        ...entry,
+        jobId: entry.jobId || entry.result?.jobId || null,
+        parentId: entry.parentId || null,
+        relationship: entry.relationship || null,
+        tags: entry.tags || []
+      }));
+    
+    if (entries.length) {
+      await this.store.create(entries);
+      this.history.push(...entries.map(({ result, ...details }) => details));
+      this.history.sort((a, b) => b.timestamp - a.timestamp);
+    }
+    
+    await Settings.set(SETTINGS.GENERATION_HISTORY, []);
+    console.log(`${MODULE_ID} | Moved ${entries.length} history entries into the history compendium`);
+  }
+  
+  /**
+   * Build a version tree node and its descendants
+   * @param {Object} entry - Entry details
+   * @param {Array<Object>} entries - Entries the tree may contain, newest first
+   * @param {Set<string>} seen - IDs already in the tree, guarding against cycles
+   * @returns {Object} Node
+   * @private
+   */
+  _buildTree(entry, entries, seen = new Set()) {
+    seen.add(entry.id);
+    const children = entries
+      .filter(child => child.parentId === entry.id && !seen.has(child.id))
+      .reverse()
+      .map(child => this._buildTree(child, entries, seen));
+    
+    return { ...entry, children };
+  }
+  
+  /**
+   * Announce a change to the history
+   * @param {Object|null} entry - Changed entry
+   * @private
+   */
+  _changed(entry) {
+    globalThis.Hooks?.callAll(HISTORY_HOOK, entry ? { ...entry } : null);
+  }
+  
+  /**
+   * Write a change to the store, or on player clients send it to the active GM
+   * @param {string} operation - 'create', 'update' or 'delete'
+   * @param {Object} data - { entries }, { id, changes } or { ids }
+   * @private
+   */
+  async _write(operation, data) {
+    if (!game.user.isGM) {
+      this.unsent.push({ operation, ...data });
+      this._flush();
+      return;
+    }
+    
     try {
-      await Settings.set(SETTINGS.GENERATION_HISTORY, this.history);
+      if (operation === 'create') {
+        await this.store.create(data.entries);
+        await this.prune();
+      } else if (operation === 'update') {
+        const entry = this.get(data.id);
+        if (entry) await this.store.update(Object.assign(entry, data.changes));
+      } else if (operation === 'delete') {
+        await this.store.delete(data.ids);
+      }
     } catch (error) {
       console.error(`${MODULE_ID} | Error persisting history:`, error);
     }
   }
   
-  async clear() {
-    this.history = [];
-    await this._persist();
+  /**
+   * Send writes made on this player client to the active GM
+   * @private
+   */
+  _flush() {
+    const gm = game.users.activeGM;
+    if (!gm || this.unsent.length === 0) {
+      return;
+    }
+    
+    this.unsent.forEach(write => game.socket.emit(SOCKET_NAME, { action: 'historyWrite', gmId: gm.id, ...write }));
+    this.unsent = [];
+  }
+  
+  /**
+   * Make a write sent by a player, limited to their own entries
+   * Who sent a write is taken from the socket, never from the message itself.
+   * @param {Object} message - Socket message
+   * @param {string} senderId - ID of the user who sent it, supplied by the server
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _receive(message, senderId) {
+    if (message?.action !== 'historyWrite' || message.gmId !== game.user.id) {
+      return;
+    }
+    await this._ready;
+    
+    const owns = id => {
+      const entry = this.get(id);
+      return !!entry && (entry.userId === senderId || entry.requestedBy === senderId);
+    };
+    
+    if (message.operation === 'create') {
+      const entries = (Array.isArray(message.entries) ? message.entries : [])
+        .filter(entry => typeof entry?.id === 'string' && !this.get(entry.id))
+        .map(entry => ({ ...entry, userId: senderId, favorite: !!entry.favorite, tags: Array.isArray(entry.tags) ? entry.tags : [] }));
+      if (!entries.length) return;
+      
+      this.history.push(...entries.map(({ result, ...details }) => details));
+      this.history.sort((a, b) => b.timestamp - a.timestamp);
+      await this._write('create', { entries });
+    } else if (message.operation === 'update' && owns(message.id)) {
+      const changes = Object.fromEntries(Object.entries(message.changes || {}).filter(([key]) => PLAYER_FIELDS.includes(key)));
+      await this._write('update', { id: message.id, changes });
+    } else if (message.operation === 'delete') {
+      const ids = (Array.isArray(message.ids) ? message.ids : []).filter(owns);
+      if (!ids.length) return;
+      
+      this.history = this.history.filter(entry => !ids.includes(entry.id));
+      await this._write('delete', { ids });
+    } else {
+      return;
+    }
+    
+    this._changed(null);
+  }
+  
+  /**
+   * Keep the in-memory index in step with writes made by any client
+   * @param {string} type - 'create', 'update' or 'delete'
+   * @param {Object} entry - Entry details, or just { id } for a deletion
+   * @private
+   */
+  _onStoreChange(type, entry) {
+    if (!entry?.id) return;
+    
+    const index = this.history.findIndex(item => item.id === entry.id);
+    if (type === 'delete') {
+      if (index === -1) return;
+      this.history.splice(index, 1);
+    } else if (index === -1) {
+      this.history.push(entry);
+      this.history.sort((a, b) => b.timestamp - a.timestamp);
+    } else {
+      this.history[index] = entry;
+    }
+    
+    this._changed(type === 'delete' ? null : entry);
   }
 }
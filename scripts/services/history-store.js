@@ -0,0 +1,148 @@
+/**
+ * History Store
+ * Generation history kept in a world compendium of journal entries, one per generation.
+ * Each entry's details sit in its flags next to the result, so the compendium index carries
+ * the details alone and results are only loaded for the entries being shown.
+ */
+
+import { MODULE_ID } from '../constants.js';
+
+export default class HistoryStore {
+  /**
+   * Name of the world compendium
+   */
+  static PACK_NAME = 'oracle-world-history';
+  
+  /**
+   * Players can read the compendium; writes go through a GM, who limits players to their own entries
+   */
+  static OWNERSHIP = { PLAYER: 'OBSERVER', TRUSTED: 'OBSERVER', ASSISTANT: 'OBSERVER' };
+  
+  constructor() {
+    this.pack = null;
+  }
+  
+  /**
+   * Find the history compendium, creating it if the current user is a GM
+   * A GM also takes back write access from players on compendiums created by earlier versions.
+   * @returns {Promise<boolean>} True if the compendium is available
+   */
+  async initialize() {
+    this.pack = game.packs.get(`world.${HistoryStore.PACK_NAME}`) || null;
+    
+    if (!this.pack && game.user.isGM) {
+      const { CompendiumCollection } = foundry.documents.collections;
+      this.pack = await CompendiumCollection.createCompendium({
+        name: HistoryStore.PACK_NAME,
+        label: 'Oracle World History',
+        type: 'JournalEntry',
+        ownership: HistoryStore.OWNERSHIP
+      });
+      console.log(`${MODULE_ID} | Created the history compendium`);
+    } else if (this.pack && game.user.isGM) {
+      const ownership = this.pack.ownership || {};
+      if (Object.entries(HistoryStore.OWNERSHIP).some(([role, level]) => ownership[role] !== level)) {
+        await this.pack.configure({ ownership: { ...ownership, ...HistoryStore.OWNERSHIP } });
+      }
+    }
+    
+    return !!this.pack;
+  }
+  
+  /**
+   * Call back whenever any client creates, updates or deletes an entry
+   * @param {Function} onChange - Receives the change type ('create', 'update' or 'delete') and
+   *   the entry details, or just { id } for a deletion
+   */
+  watch(onChange) {
+    const listen = type => (document) => {
+      if (!this.pack || document.pack !== this.pack.collection) return;
+      
+      if (type === 'delete') {
+        onChange(type, { id: document.id });
+        return;
+      }
+      
+      const entry = foundry.utils.getProperty(document, `flags.${MODULE_ID}.entry`);
+      if (entry) onChange(type, { ...entry });
+    };
+    
+    Hooks.on('createJournalEntry', listen('create'));
+    Hooks.on('updateJournalEntry', listen('update'));
+    Hooks.on('deleteJournalEntry', listen('delete'));
+  }
+  
+  /**
+   * Load the details of every entry, without results
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async loadIndex() {
+    if (!this.pack) return [];
+    
+    const index = await this.pack.getIndex({ fields: [`flags.${MODULE_ID}.entry`] });
+    return index.map(item => foundry.utils.getProperty(item, `flags.${MODULE_ID}.entry`)).filter(Boolean);
+  }
+  
+  /**
+   * Load entries with their results
+   * @param {Array<string>} ids - Entry IDs
+   * @returns {Promise<Array<Object>>} Entries, in no particular order
+   */
+  async load(ids) {
+    if (!this.pack || !ids.length) return [];
+    
+    const documents = await this.pack.getDocuments({ _id__in: ids });
+    return documents.map(document => {
+      const flags = document.flags[MODULE_ID] || {};
+      return { ...flags.entry, result: flags.result ?? null };
+    });
+  }
+  
+  /**
+   * Write new entries
+   * @param {Array<Object>} entries - Entries with their results
+   */
+  async create(entries) {
+    this._requirePack();
+    
+    const data = entries.map(({ result, ...entry }) => ({
+      _id: entry.id,
+      name: (entry.prompt || entry.type || 'Generation').slice(0, 100),
+      flags: { [MODULE_ID]: { entry, result: result ?? null } }
+    }));
+    await JournalEntry.implementation.createDocuments(data, { pack: this.pack.collection, keepId: true });
+  }
+  
+  /**
+   * Replace an entry's details; its result is left alone
+   * @param {Object} entry - Entry details, without the result
+   */
+  async update(entry) {
+    this._requirePack();
+    
+    await JournalEntry.implementation.updateDocuments(
+      [{ _id: entry.id, [`flags.${MODULE_ID}.entry`]: entry }],
+      { pack: this.pack.collection }
+    );
+  }
+  
+  /**
+   * Delete entries
+   * @param {Array<string>} ids - Entry IDs
+   */
+  async delete(ids) {
+    this._requirePack();
+    if (!ids.length) return;
+    
+    await JournalEntry.implementation.deleteDocuments(ids, { pack: this.pack.collection });
+  }
+  
+  /**
+   * @private
+   */
+  _requirePack() {
+    if (!this.pack) {
+      throw new Error('The history compendium has not been created yet; a GM needs to log in first');
+    }
+  }
+}
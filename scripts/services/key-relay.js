@@ -0,0 +1,429 @@
+/**
+ * Key Relay Service
+ * In GM-only keys mode player clients hold no API keys. Their provider calls are sent over
+ * the module socket to the active GM, who runs them and sends back only the result.
+ */
+
+import { MODULE_ID, SETTINGS, SOCKET_NAME, ERROR_TYPES, GENERATION_TYPES, GENERATION_METHODS } from '../constants.js';
+import Settings from '../utils/settings.js';
+import ProviderFactory from '../api/provider-factory.js';
+import ProviderRegistry from '../api/provider-registry.js';
+import BudgetManager from './budget-manager.js';
+import CostEstimator from './cost-estimator.js';
+import ApprovalQueue from './approval-queue.js';
+
+/**
+ * Client methods a player may ask the GM to run
+ */
+export const RELAY_METHODS = [
+  'generateImage',
+  'generateText',
+  'generateSpeech',
+  'removeBackground',
+  'transformImage',
+  'estimateCost',
+  'getAvailableModels',
+  'getSamplers'
+];
+
+/**
+ * Progress callbacks the GM forwards back to the requesting player
+ */
+const RELAY_CALLBACKS = ['onToken', 'onReasoning', 'onProgress'];
+
+/**
+ * Relayed methods that cost nothing and skip the budget check
+ */
+const FREE_METHODS = ['estimateCost', 'getAvailableModels', 'getSamplers'];
+
+/**
+ * Generation type recorded in the usage ledger for each paid method
+ */
+const METHOD_TYPES = {
+  ...Object.fromEntries(Object.entries(GENERATION_METHODS).map(([type, method]) => [method, type])),
+  removeBackground: GENERATION_TYPES.BACKGROUND_REMOVAL
+};
+
+export default class KeyRelay {
+  /**
+   * Player side: requests waiting for the GM, keyed by request ID
+   * @type {Map<string, Object>}
+   */
+  static pending = new Map();
+  
+  /**
+   * GM side: requests being run for players, keyed by request ID
+   * @type {Map<string, Object>}
+   */
+  static running = new Map();
+  
+  /**
+   * Listen for relay messages
+   * On the active GM, also moves world-stored keys to the GM and publishes which providers it can run.
+   * Called during the ready hook.
+   */
+  static initialize() {
+    game.socket.on(SOCKET_NAME, (message, senderId) => this._onMessage(message, senderId));
+    Hooks.on('userConnected', (user, connected) => {
+      if (!connected) this._onUserDisconnected(user);
+    });
+    
+    if (!game.user.isGM || !this.isEnabled()) {
+      return;
+    }
+    
+    Settings.migrateApiKeysToUser()
+      .catch(error => console.error(`${MODULE_ID} | Could not move API keys out of world storage:`, error))
+      .then(() => this.publishProviders());
+    
+    // Keys and URLs change through settings; republish when any of ours does
+    const publish = foundry.utils.debounce(() => this.publishProviders(), 500);
+    const onSettingChange = setting => {
+      if (setting.key?.startsWith(`${MODULE_ID}.`) && setting.key !== `${MODULE_ID}.${SETTINGS.RELAYED_PROVIDERS}`) {
+        publish();
+      }
+    };
+    Hooks.on('createSetting', onSettingChange);
+    Hooks.on('updateSetting', onSettingChange);
+  }
+  
+  /**
+   * Check whether GM-only keys mode is enabled
+   * @returns {boolean} True if API keys are kept off player clients
+   */
+  static isEnabled() {
+    return !!Settings.get(SETTINGS.GM_ONLY_KEYS);
+  }
+  
+  /**
+   * Check whether this client must relay provider calls through a GM
+   * @returns {boolean} True on player clients in GM-only keys mode
+   */
+  static shouldRelay() {
+    return this.isEnabled() && !game.user?.isGM;
+  }
+  
+  /**
+   * Get the providers the GM has configured
+   * @returns {Array<string>} Provider IDs
+   */
+  static getRelayedProviders() {
+    return Settings.get(SETTINGS.RELAYED_PROVIDERS) || [];
+  }
+  
+  /**
+   * Publish the providers this GM can run, so player clients can offer them
+   * Only provider IDs are stored; the keys never leave the GM's user.
+   * @returns {Promise<void>}
+   */
+  static async publishProviders() {
+    if (game.user !== game.users.activeGM) {
+      return;
+    }
+    
+    const available = ProviderRegistry.getAll()
+      .map(provider => provider.id)
+      .filter(id => ProviderFactory.isAvailable(id));
+    
+    const current = this.getRelayedProviders();
+    if (available.length === current.length && available.every((id, index) => id === current[index])) {
+      return;
+    }
+    
+    await Settings.set(SETTINGS.RELAYED_PROVIDERS, available);
+    console.log(`${MODULE_ID} | Relaying providers for players: ${available.join(', ') || 'none'}`);
+  }
+  
+  /**
+   * Ask the active GM to run a client method
+   * Progress callbacks in the first argument are forwarded back as the GM receives them,
+   * and aborting its signal cancels the GM's request.
+   * @param {string} provider - Provider ID
+   * @param {string} method - Client method, one of RELAY_METHODS
+   * @param {Array} args - Method arguments
+   * @returns {Promise<*>} What the method returned on the GM's client
+   */
+  static request(provider, method, args = []) {
+    const gm = game.users.activeGM;
+    if (!gm) {
+      return Promise.reject(this._createError(ERROR_TYPES.NETWORK_ERROR, 'No GM is connected to run this generation', provider));
+    }
+    
+    const [params, ...rest] = args;
+    const callbacks = {};
+    let payload = params;
+    let signal = null;
+    
+    if (params && typeof params === 'object') {
+      payload = {};
+      for (const [key, value] of Object.entries(params)) {
+        if (key === 'signal') {
+          signal = value;
+        } else if (typeof value === 'function') {
+          if (RELAY_CALLBACKS.includes(key)) callbacks[key] = value;
+        } else {
+          payload[key] = value;
+        }
+      }
+    }
+    
+    if (signal?.aborted) {
+      return Promise.reject(this._createError(ERROR_TYPES.CANCELLED, 'Request cancelled', provider));
+    }
+    
+    const requestId = foundry.utils.randomID();
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this._emit({ action: 'cancel', requestId, gmId: gm.id });
+        this._settle(requestId)?.reject(this._createError(ERROR_TYPES.CANCELLED, 'Request cancelled', provider));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      
+      this.pending.set(requestId, {
+        resolve,
+        reject,
+        callbacks,
+        provider,
+        gmId: gm.id,
+        cleanup: () => signal?.removeEventListener('abort', onAbort)
+      });
+      
+      this._emit({
+        action: 'request',
+        requestId,
+        userId: game.user.id,
+        gmId: gm.id,
+        provider,
+        method,
+        args: [payload, ...rest],
+        callbacks: Object.keys(callbacks)
+      });
+    });
+  }
+  
+  /**
+   * Handle a relay message
+   * Who sent a message is taken from the socket, never from the message itself.
+   * @param {Object} message - Socket message
+   * @param {string} senderId - ID of the user who sent it, supplied by the server
+   * @private
+   */
+  static _onMessage(message, senderId) {
+    switch (message?.action) {
+      case 'request':
+        if (message.gmId === game.user.id) this._runRequest(message, senderId);
+        break;
+      case 'cancel':
+        if (message.gmId === game.user.id && this.running.get(message.requestId)?.userId === senderId) {
+          this.running.get(message.requestId).controller.abort();
+        }
+        break;
+      case 'callback':
+        if (this._isFromGM(message, senderId)) {
+          this.pending.get(message.requestId).callbacks[message.name]?.(...message.args);
+        }
+        break;
+      case 'result':
+        if (this._isFromGM(message, senderId)) this._settle(message.requestId).resolve(message.result);
+        break;
+      case 'error':
+        if (this._isFromGM(message, senderId)) {
+          const { type, message: text, details } = message.error;
+          this._settle(message.requestId).reject(this._createError(type, text, message.provider, details));
+        }
+        break;
+    }
+  }
+  
+  /**
+   * Check that a reply is for one of this client's requests and came from the GM running it
+   * @param {Object} message - Reply message
+   * @param {string} senderId - ID of the user who sent it
+   * @returns {boolean} True if the reply should be used
+   * @private
+   */
+  static _isFromGM(message, senderId) {
+    return message.userId === game.user.id && this.pending.get(message.requestId)?.gmId === senderId;
+  }
+  
+  /**
+   * Run a player's request with this GM's keys, record what it cost and send back the outcome
+   * @param {Object} message - Request message
+   * @param {string} userId - ID of the user who sent the request
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _runRequest({ requestId, provider, method, args = [], callbacks = [] }, userId) {
+    const reply = data => this._emit({ requestId, userId, provider, ...data });
+    const replyError = error => reply({
+      action: 'error',
+      error: { type: error.type || ERROR_TYPES.GENERIC_ERROR, message: error.message, details: error.details || {} }
+    });
+    
+    const user = game.users.get(userId);
+    if (!user || !Settings.canGenerate(user)) {
+      replyError(this._createError(ERROR_TYPES.AUTH_ERROR, `${user?.name || 'Unknown user'} may not use generation features`, provider));
+      return;
+    }
+    
+    if (!RELAY_METHODS.includes(method)) {
+      replyError(this._createError(ERROR_TYPES.VALIDATION_ERROR, `${method} cannot be relayed`, provider));
+      return;
+    }
+    
+    // Approved requests are generated by the GM directly, so a player needing approval never relays a paid call
+    const paid = !FREE_METHODS.includes(method);
+    if (paid && ApprovalQueue.requiresApproval(user)) {
+      replyError(this._createError(ERROR_TYPES.AUTH_ERROR, `${user.name}'s generations must be approved by a GM`, provider));
+      return;
+    }
+    
+    const controller = new AbortController();
+    this.running.set(requestId, { controller, userId });
+    
+    try {
+      const [params, ...rest] = args;
+      const estimate = paid ? await this._estimate(provider, params) : null;
+      
+      // The player's client checks too, but a modified client could skip that check
+      if (paid) {
+        BudgetManager.assertWithinBudget({ userId, estimate: estimate ?? 0 });
+      }
+      
+      const client = ProviderFactory.create(provider);
+      if (typeof client[method] !== 'function') {
+        throw this._createError(ERROR_TYPES.VALIDATION_ERROR, `${provider} does not support ${method}`, provider);
+      }
+      
+      let relayedParams = params;
+      if (params && typeof params === 'object') {
+        relayedParams = { ...params, signal: controller.signal };
+        callbacks
+          .filter(name => RELAY_CALLBACKS.includes(name))
+          .forEach(name => {
+            relayedParams[name] = (...callbackArgs) => reply({ action: 'callback', name, args: callbackArgs });
+          });
+      }
+      
+      console.log(`${MODULE_ID} | Running ${provider} ${method} for ${user.name}`);
+      const result = await client[method](relayedParams, ...rest);
+      if (paid) {
+        await this._recordSpend(userId, method, provider, params, result, estimate);
+      }
+      reply({ action: 'result', result });
+    } catch (error) {
+      console.error(`${MODULE_ID} | Relayed ${provider} ${method} for ${user.name} failed:`, error);
+      replyError(error);
+    } finally {
+      this.running.delete(requestId);
+    }
+  }
+  
+  /**
+   * Estimate what a relayed request will cost
+   * @param {string} provider - Provider ID
+   * @param {Object} params - Request parameters
+   * @returns {Promise<number|null>} Estimated cost in USD, or null without params or pricing
+   * @private
+   */
+  static async _estimate(provider, params) {
+    if (!params || typeof params !== 'object') return null;
+    
+    const estimate = await CostEstimator.estimate(provider, params.model, params);
+    return estimate.estimated ? parseFloat(estimate.cost) : null;
+  }
+  
+  /**
+   * Charge a relayed generation to the player who asked for it
+   * Recorded here rather than trusting the player's client to report it.
+   * @param {string} userId - Requesting user
+   * @param {string} method - Client method that ran
+   * @param {string} provider - Provider ID
+   * @param {Object} params - Request parameters
+   * @param {Object} result - Generation result
+   * @param {number|null} estimate - Cost estimated before the request
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _recordSpend(userId, method, provider, params, result, estimate) {
+    if (!BudgetManager.isTracking() || !result || typeof result !== 'object') {
+      return;
+    }
+    
+    try {
+      await BudgetManager.recordSpend({
+        userId,
+        type: METHOD_TYPES[method],
+        result: estimate === null ? result : { ...result, cost: { ...(result.cost || { amount: 0, currency: 'USD', estimated: true }), estimate } },
+        provider,
+        model: params?.model,
+        estimate: estimate ?? 0,
+        notify: false
+      });
+    } catch (error) {
+      console.error(`${MODULE_ID} | Could not record relayed ${provider} spend:`, error);
+    }
+  }
+  
+  /**
+   * Fail requests waiting on a GM who left, and stop work for a player who left
+   * @param {User} user - Disconnected user
+   * @private
+   */
+  static _onUserDisconnected(user) {
+    for (const [requestId, request] of this.pending) {
+      if (request.gmId === user.id) {
+        this._settle(requestId).reject(
+          this._createError(ERROR_TYPES.NETWORK_ERROR, 'The GM running this generation disconnected', request.provider)
+        );
+      }
+    }
+    
+    for (const request of this.running.values()) {
+      if (request.userId === user.id) request.controller.abort();
+    }
+  }
+  
+  /**
+   * Remove a pending request
+   * @param {string} requestId - Request ID
+   * @returns {Object|undefined} The pending request, or undefined if already settled
+   * @private
+   */
+  static _settle(requestId) {
+    const request = this.pending.get(requestId);
+    if (request) {
+      this.pending.delete(requestId);
+      request.cleanup();
+    }
+    return request;
+  }
+  
+  /**
+   * Send a relay message
+   * Module socket messages reach every client; replies are only used by the client that issued their request ID.
+   * @param {Object} message - Message data
+   * @private
+   */
+  static _emit(message) {
+    game.socket.emit(SOCKET_NAME, message);
+  }
+  
+  /**
+   * Create an error shaped like BaseAPIClient errors
+   * @param {string} type - Error type from ERROR_TYPES
+   * @param {string} message - Error message
+   * @param {string} provider - Provider ID
+   * @param {Object} details - Additional details
+   * @returns {Error} Formatted error
+   * @private
+   */
+  static _createError(type, message, provider, details = {}) {
+    const error = new Error(message);
+    error.type = type;
+    error.provider = provider;
+    error.details = details;
+    return error;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Model Catalog Service
+ * Live model lists fetched from each provider and cached in client settings.
+ * Clients opt in by implementing fetchModels(); their bundled lists remain the fallback
+ * when the provider cannot be reached.
+ */
+
+import { MODULE_ID, SETTINGS } from '../constants.js';
+import Settings from '../utils/settings.js';
+import PricingCatalog from './pricing-catalog.js';
+
+export default class ModelCatalog {
+  /**
+   * How long a fetched model list is used before fetching it again (ms)
+   */
+  static TTL = 24 * 60 * 60 * 1000;
+  
+  /**
+   * Fetches in flight, keyed by provider, so concurrent callers share one request
+   * @type {Map<string, Promise<Array<Object>>>}
+   */
+  static _loading = new Map();
+  
+  /**
+   * List a client's models for a generation type
+   * Discovered models are merged with the bundled list: bundled entries keep their names, descriptions
+   * and capabilities and come first, followed by the rest by name. Bundled models the provider no longer
+   * lists are dropped.
+   * @param {BaseAPIClient} client - Provider client
+   * @param {string} type - Generation type
+   * @param {Array<Object>} defaults - Bundled model info objects for the type
+   * @param {Object} options - Discovery options
+   * @param {boolean} options.refresh - Fetch again even if the cached list is current
+   * @param {number} options.minContext - Hide models with a known context length below this many tokens
+   * @returns {Promise<Array<Object>>} Array of model info objects
+   */
+  static async list(client, type, defaults = [], { refresh = false, minContext = 0 } = {}) {
+    const discovered = await this.getModels(client, { refresh });
+    const models = discovered && this.filter(discovered, { type, minContext });
+    
+    if (!models?.length) {
+      return defaults;
+    }
+    
+    const curated = new Map(defaults.map((model, index) => [model.id, { ...model, index }]));
+    
+    return models
+      .map(model => ({
+        id: model.id,
+        name: model.name || model.id,
+        type,
+        costInfo: PricingCatalog.describe(PricingCatalog.get(client.provider, model.id)),
+        description: model.description,
+        contextLength: model.contextLength,
+        ...curated.get(model.id)
+      }))
+      .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity) || a.name.localeCompare(b.name))
+      .map(({ index, ...model }) => model);
+  }
+  
+  /**
+   * Get every model a provider offers, from the cache or the provider
+   * If fetching fails, an expired cached list is used rather than nothing.
+   * @param {BaseAPIClient} client - Provider client
+   * @param {Object} options - { refresh: true } to ignore the cache
+   * @returns {Promise<Array<Object>|null>} Models with { id, name, types, contextLength, description }, or null
+   */
+  static async getModels(client, { refresh = false } = {}) {
+    if (typeof client.fetchModels !== 'function') {
+      return null;
+    }
+    
+    const cached = this._getCache()[client.provider];
+    if (!refresh && cached && Date.now() - cached.fetchedAt < this.TTL) {
+      return cached.models;
+    }
+    
+    if (!this._loading.has(client.provider)) {
+      const loading = this._fetch(client).finally(() => this._loading.delete(client.provider));
+      this._loading.set(client.provider, loading);
+    }
+    
+    try {
+      return await this._loading.get(client.provider);
+    } catch (error) {
+      console.warn(`${MODULE_ID} | Could not fetch models for ${client.provider}:`, error);
+      return cached?.models || null;
+    }
+  }
+  
+  /**
+   * Filter models by generation type and context length
+   * Models without a known context length are kept.
+   * @param {Array<Object>} models - Models from getModels
+   * @param {Object} filters - { type, minContext }
+   * @returns {Array<Object>} Matching models
+   */
+  static filter(models, { type = null, minContext = 0 } = {}) {
+    return models.filter(model => {
+      if (type && !model.types?.includes(type)) return false;
+      if (minContext && model.contextLength && model.contextLength < minContext) return false;
+      return true;
+    });
+  }
+  
+  /**
+   * When a provider's models were last fetched
+   * @param {string} provider - Provider ID
+   * @returns {number|null} Timestamp, or null if never
+   */
+  static getFetchedAt(provider) {
+    return this._getCache()[provider]?.fetchedAt || null;
+  }
+  
+  /**
+   * Fetch a provider's models and cache them
+   * @param {BaseAPIClient} client - Provider client
+   * @returns {Promise<Array<Object>>} Models
+   * @private
+   */
+  static async _fetch(client) {
+    const models = await client.fetchModels();
+    
+    await Settings.set(SETTINGS.MODEL_CACHE, {
+      ...this._getCache(),
+      [client.provider]: { fetchedAt: Date.now(), models }
+    });
+    
+    console.log(`${MODULE_ID} | Fetched ${models.length} models for ${client.provider}`);
+    return models;
+  }
+  
+  /**
+   * Cached model lists keyed by provider
+   * @returns {Object} Cache
+   * @private
+   */
+  static _getCache() {
+    return Settings.get(SETTINGS.MODEL_CACHE) || {};
+  }
+}
@@ -0,0 +1,529 @@
+/**
+ * Pricing Catalog Service
+ * Single source of model prices for estimates and actual costs.
+ * Prices come from three layers, highest precedence first:
+ * GM overrides imported as JSON, rates refreshed from OpenRouter, and the bundled table.
+ */
+
+import { MODULE_ID, PROVIDERS, SETTINGS } from '../constants.js';
+import Settings from '../utils/settings.js';
+
+/**
+ * Where a price came from
+ */
+export const PRICING_SOURCES = {
+  BUNDLED: 'bundled',
+  OPENROUTER: 'openrouter',
+  OVERRIDE: 'override'
+};
+
+/**
+ * Numeric fields of a pricing entry
+ * Token rates are per 1K tokens; the others are per image, character or second.
+ */
+const PRICE_FIELDS = ['perToken', 'perInputToken', 'perOutputToken', 'perImage', 'perCharacter', 'perSecond', 'typicalSeconds'];
+
+/**
+ * Generation types a pricing entry can describe
+ */
+const PRICED_TYPES = ['text', 'image', 'speech'];
+
+export default class PricingCatalog {
+  /**
+   * Version of the bundled prices, the date they were last checked
+   */
+  static VERSION = '2025-10-01';
+  
+  /**
+   * How long prices refreshed from OpenRouter stay current (ms)
+   */
+  static REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+  
+  /**
+   * OpenRouter's public model list, which includes per-token prices
+   */
+  static OPENROUTER_MODELS_URL = 'https://openrouter.ai/api/v1/models';
+  
+  /**
+   * Bundled pricing keyed by provider, then model ID. Costs are in USD.
+   * - text: perInputToken and perOutputToken per 1K tokens; perToken is the output rate, kept for display
+   * - image: perImage, with optional tiers keyed by quality, then size
+   * - image on time-billed hardware: hardware and typicalSeconds (only used for estimates)
+   * - speech: perCharacter, or perSecond of generated audio
+   * An entry may carry its own version when it was checked separately from the rest.
+   */
+  static BUNDLED = {
+    [PROVIDERS.OPENROUTER]: {
+      // OpenRouter model IDs; the full list is refreshed from /models
+      'openai/gpt-4o': { perToken: 0.01, perInputToken: 0.0025, perOutputToken: 0.01, type: 'text' },
+      'openai/gpt-4o-mini': { perToken: 0.0006, perInputToken: 0.00015, perOutputToken: 0.0006, type: 'text' },
+      'anthropic/claude-sonnet-4': { perToken: 0.015, perInputToken: 0.003, perOutputToken: 0.015, type: 'text' },
+      'anthropic/claude-3.5-haiku': { perToken: 0.004, perInputToken: 0.0008, perOutputToken: 0.004, type: 'text' },
+      'google/gemini-2.5-flash': { perToken: 0.0025, perInputToken: 0.0003, perOutputToken: 0.0025, type: 'text' },
+      
+      // Short IDs from before OpenRouter required a vendor prefix
+      'gpt-4': { perToken: 0.06, perInputToken: 0.03, perOutputToken: 0.06, type: 'text' },
+      'gpt-4-turbo': { perToken: 0.03, perInputToken: 0.01, perOutputToken: 0.03, type: 'text' },
+      'gpt-3.5-turbo': { perToken: 0.0015, perInputToken: 0.0005, perOutputToken: 0.0015, type: 'text' },
+      'claude-3-opus': { perToken: 0.075, perInputToken: 0.015, perOutputToken: 0.075, type: 'text' },
+      'claude-3-sonnet': { perToken: 0.015, perInputToken: 0.003, perOutputToken: 0.015, type: 'text' },
+      'claude-3-haiku': { perToken: 0.00125, perInputToken: 0.00025, perOutputToken: 0.00125, type: 'text' },
+      'dall-e-3': { perImage: 0.04, type: 'image' },
+      'dall-e-2': { perImage: 0.02, type: 'image' },
+      'stable-diffusion-xl': { perImage: 0.002, type: 'image' },
+      'stable-diffusion-2': { perImage: 0.001, type: 'image' },
+      'tts-1': { perCharacter: 0.000015, type: 'speech' },
+      'tts-1-hd': { perCharacter: 0.00003, type: 'speech' }
+    },
+    
+    [PROVIDERS.OPENAI]: {
+      'dall-e-3': {
+        perImage: 0.04,
+        type: 'image',
+        tiers: {
+          standard: { '1024x1024': 0.04, '1792x1024': 0.08, '1024x1792': 0.08 },
+          hd: { '1024x1024': 0.08, '1792x1024': 0.12, '1024x1792': 0.12 }
+        }
+      },
+      'dall-e-2': {
+        perImage: 0.02,
+        type: 'image',
+        tiers: { standard: { '256x256': 0.016, '512x512': 0.018, '1024x1024': 0.02 } }
+      },
+      
+      'gpt-4o': { perToken: 0.01, perInputToken: 0.0025, perOutputToken: 0.01, type: 'text' },
+      'gpt-4o-mini': { perToken: 0.0006, perInputToken: 0.00015, perOutputToken: 0.0006, type: 'text' },
+      'gpt-4': { perToken: 0.06, perInputToken: 0.03, perOutputToken: 0.06, type: 'text' },
+      'gpt-4-turbo': { perToken: 0.03, perInputToken: 0.01, perOutputToken: 0.03, type: 'text' },
+      'gpt-3.5-turbo': { perToken: 0.0015, perInputToken: 0.0005, perOutputToken: 0.0015, type: 'text' },
+      
+      'tts-1': { perCharacter: 0.000015, type: 'speech' },
+      'tts-1-hd': { perCharacter: 0.00003, type: 'speech' },
+      'gpt-4o-mini-tts': { perSecond: 0.00025, type: 'speech' }
+    },
+    
+    [PROVIDERS.ANTHROPIC]: {
+      'claude-opus-4-1': { perToken: 0.075, perInputToken: 0.015, perOutputToken: 0.075, type: 'text' },
+      'claude-sonnet-4-5': { perToken: 0.015, perInputToken: 0.003, perOutputToken: 0.015, type: 'text' },
+      'claude-sonnet-4-0': { perToken: 0.015, perInputToken: 0.003, perOutputToken: 0.015, type: 'text' },
+      'claude-3-5-haiku-latest': { perToken: 0.004, perInputToken: 0.0008, perOutputToken: 0.004, type: 'text' },
+      'claude-3-opus-20240229': { perToken: 0.075, perInputToken: 0.015, perOutputToken: 0.075, type: 'text' },
+      'claude-3-sonnet-20240229': { perToken: 0.015, perInputToken: 0.003, perOutputToken: 0.015, type: 'text' },
+      'claude-3-haiku-20240307': { perToken: 0.00125, perInputToken: 0.00025, perOutputToken: 0.00125, type: 'text' },
+      'claude-3-opus': { perToken: 0.075, perInputToken: 0.015, perOutputToken: 0.075, type: 'text' },
+      'claude-3-sonnet': { perToken: 0.015, perInputToken: 0.003, perOutputToken: 0.015, type: 'text' },
+      'claude-3-haiku': { perToken: 0.00125, perInputToken: 0.00025, perOutputToken: 0.00125, type: 'text' }
+    },
+    
+    [PROVIDERS.DEEPSEEK]: {
+      // Same rate for both models; reasoning tokens are billed as output
+      'deepseek-chat': { perToken: 0.00042, perInputToken: 0.00028, perOutputToken: 0.00042, type: 'text' },
+      'deepseek-reasoner': { perToken: 0.00042, perInputToken: 0.00028, perOutputToken: 0.00042, type: 'text' }
+    },
+    
+    [PROVIDERS.GEMINI]: {
+      // Pro input rate is for prompts up to 200K tokens
+      'gemini-2.5-pro': { perToken: 0.01, perInputToken: 0.00125, perOutputToken: 0.01, type: 'text' },
+      'gemini-2.5-flash': { perToken: 0.0025, perInputToken: 0.0003, perOutputToken: 0.0025, type: 'text' },
+      'gemini-2.0-flash': { perToken: 0.0004, perInputToken: 0.0001, perOutputToken: 0.0004, type: 'text' },
+      
+      'imagen-4.0-generate-001': { perImage: 0.04, type: 'image' },
+      'imagen-4.0-fast-generate-001': { perImage: 0.02, type: 'image' },
+      'imagen-4.0-ultra-generate-001': { perImage: 0.06, type: 'image' },
+      'imagen-3.0-generate-002': { perImage: 0.03, type: 'image' }
+    },
+    
+    [PROVIDERS.REPLICATE]: {
+      // Official models are billed per output image
+      'black-forest-labs/flux-schnell': { perImage: 0.003, type: 'image' },
+      'black-forest-labs/flux-dev': { perImage: 0.025, type: 'image' },
+      
+      // Community models are billed for prediction time on their hardware
+      'stability-ai/sdxl': { hardware: 'gpu-l40s', typicalSeconds: 4, type: 'image' },
+      'stability-ai/stable-diffusion': { hardware: 'gpu-a100-large', typicalSeconds: 1, type: 'image' },
+      'prompthero/openjourney': { hardware: 'gpu-a100-large', typicalSeconds: 1, type: 'image' },
+      'cjwbw/anything-v3-better-vae': { hardware: 'gpu-a100-large', typicalSeconds: 1, type: 'image' }
+    }
+  };
+  
+  /**
+   * Bundled hardware rates in USD per second of prediction time (Replicate)
+   */
+  static HARDWARE_RATES = {
+    'cpu': 0.0001,
+    'gpu-t4': 0.000225,
+    'gpu-a40-small': 0.000575,
+    'gpu-a40-large': 0.000725,
+    'gpu-l40s': 0.000975,
+    'gpu-a100-large': 0.0014,
+    'gpu-h100': 0.001525
+  };
+  
+  /**
+   * Refresh prices from OpenRouter when the cached copy is stale
+   * Called during the ready hook; only the active GM refreshes, since the cache is a world setting.
+   */
+  static initialize() {
+    if (game.user !== game.users.activeGM || navigator.onLine === false) return;
+    
+    const fetchedAt = Settings.get(SETTINGS.PRICING_CATALOG)?.fetchedAt || 0;
+    if (Date.now() - fetchedAt < this.REFRESH_INTERVAL) return;
+    
+    this.refresh().catch(error => {
+      console.warn(`${MODULE_ID} | Could not refresh pricing from OpenRouter:`, error);
+    });
+  }
+  
+  /**
+   * Add or replace bundled pricing for a provider's models
+   * Used by add-on providers; overrides and refreshed prices still take precedence.
+   * @param {string} provider - Provider ID
+   * @param {Object} pricing - Pricing keyed by model ID, in the BUNDLED format
+   */
+  static register(provider, pricing = {}) {
+    this.BUNDLED[provider] = { ...(this.BUNDLED[provider] || {}), ...pricing };
+  }
+  
+  /**
+   * Get the pricing of a model
+   * Layers are merged field by field, so an override can change one rate and keep the rest.
+   * Model IDs with a version or variant suffix (owner/model:version) or a release date
+   * (claude-sonnet-4-5-20250929) fall back to the bare ID.
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID
+   * @returns {Object|undefined} Pricing, with the version and source of the topmost layer
+   */
+  static get(provider, model) {
+    if (!provider || !model) return undefined;
+    
+    let pricing;
+    for (const layer of this._getLayers()) {
+      const models = layer.providers?.[provider];
+      const entry = models?.[model] || models?.[model.split(':')[0]] || models?.[model.replace(/-\d{8}$/, '')];
+      if (!entry) continue;
+      
+      pricing = {
+        ...(pricing || {}),
+        ...entry,
+        version: entry.version || layer.version,
+        source: layer.source
+      };
+    }
+    
+    return pricing;
+  }
+  
+  /**
+   * Get the pricing of every known model of a provider
+   * @param {string} provider - Provider ID
+   * @returns {Object} Pricing keyed by model ID
+   */
+  static getProvider(provider) {
+    const ids = new Set();
+    for (const layer of this._getLayers()) {
+      Object.keys(layer.providers?.[provider] || {}).forEach(id => ids.add(id));
+    }
+    
+    return Object.fromEntries([...ids].map(id => [id, this.get(provider, id)]));
+  }
+  
+  /**
+   * Check whether any pricing is known for a provider
+   * @param {string} provider - Provider ID
+   * @returns {boolean} True if at least one layer prices the provider
+   */
+  static hasProvider(provider) {
+    return this._getLayers().some(layer => !!layer.providers?.[provider]);
+  }
+  
+  /**
+   * Rate of a hardware type, in USD per second
+   * @param {string} hardware - Hardware name, e.g. "gpu-a40-large"
+   * @returns {number} Rate, or 0 if unknown
+   */
+  static getHardwareRate(hardware) {
+    return this._getOverrides().hardware?.[hardware] ?? this.HARDWARE_RATES[hardware] ?? 0;
+  }
+  
+  /**
+   * Short price description for model lists
+   * @param {Object} pricing - Pricing from get()
+   * @returns {string} E.g. "$0.04/image" or "$0.0025/$0.01 per 1K tokens"
+   */
+  static describe(pricing) {
+    if (!pricing) return 'Varies';
+    
+    if (pricing.hardware) {
+      return `$${this.getHardwareRate(pricing.hardware)}/sec (${pricing.hardware})`;
+    }
+    if (pricing.type === 'image') {
+      return `$${pricing.perImage}/image`;
+    }
+    if (pricing.type === 'text' && pricing.perInputToken !== undefined && pricing.perOutputToken !== undefined) {
+      return `$${pricing.perInputToken}/$${pricing.perOutputToken} per 1K tokens`;
+    }
+    if (pricing.type === 'text') {
+      return `$${pricing.perToken}/1K tokens`;
+    }
+    if (pricing.perSecond !== undefined) {
+      return `$${pricing.perSecond}/sec`;
+    }
+    return `$${pricing.perCharacter}/char`;
+  }
+  
+  /**
+   * Versions and sizes of each layer, for display
+   * @returns {Object} { bundled, openrouter, overrides }
+   */
+  static getInfo() {
+    const count = providers => Object.values(providers || {})
+      .reduce((total, models) => total + Object.keys(models).length, 0);
+    const remote = Settings.get(SETTINGS.PRICING_CATALOG) || {};
+    const overrides = this._getOverrides();
+    
+    return {
+      bundled: { version: this.VERSION, count: count(this.BUNDLED) },
+      openrouter: remote.providers
+        ? { version: remote.version, fetchedAt: remote.fetchedAt, count: count(remote.providers) }
+        : null,
+      overrides: overrides.providers || overrides.hardware
+        ? {
+          version: overrides.version,
+          importedAt: overrides.importedAt,
+          count: count(overrides.providers) + Object.keys(overrides.hardware || {}).length
+        }
+        : null
+    };
+  }
+  
+  /**
+   * Fetch current per-token prices from OpenRouter and cache them in the world
+   * OpenRouter quotes USD per token; the catalog stores rates per 1K tokens.
+   * Models priced by the router at request time (negative prices) are skipped.
+   * @returns {Promise<number>} Number of models priced
+   */
+  static async refresh() {
+    if (!game.user.isGM) {
+      throw new Error('Only a GM can refresh pricing');
+    }
+    
+    const response = await fetch(this.OPENROUTER_MODELS_URL, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`OpenRouter returned ${response.status}`);
+    }
+    
+    const { data } = await response.json();
+    const models = {};
+    
+    for (const model of data || []) {
+      const input = parseFloat(model.pricing?.prompt);
+      const output = parseFloat(model.pricing?.completion);
+      if (!model.id || !(input >= 0) || !(output >= 0)) continue;
+      
+      const perInputToken = this._perThousand(input);
+      const perOutputToken = this._perThousand(output);
+      models[model.id] = { perToken: perOutputToken, perInputToken, perOutputToken, type: 'text' };
+    }
+    
+    const fetchedAt = Date.now();
+    await Settings.set(SETTINGS.PRICING_CATALOG, {
+      version: new Date(fetchedAt).toISOString().slice(0, 10),
+      fetchedAt,
+      providers: { [PROVIDERS.OPENROUTER]: models }
+    });
+    
+    console.log(`${MODULE_ID} | Refreshed pricing for ${Object.keys(models).length} OpenRouter models`);
+    return Object.keys(models).length;
+  }
+  
+  /**
+   * Replace the GM overrides with imported JSON
+   * Accepts { version, providers: { provider: { model: pricing } }, hardware: { name: rate } }.
+   * Entries only need the fields they change when the model is already priced.
+   * @param {string|Object} json - Overrides as JSON text or a parsed object
+   * @returns {Promise<Object>} The saved overrides
+   */
+  static async importOverrides(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const overrides = this.validateOverrides(data);
+    
+    overrides.importedAt = Date.now();
+    await Settings.set(SETTINGS.PRICING_OVERRIDES, overrides);
+    return overrides;
+  }
+  
+  /**
+   * Check imported overrides and keep only known fields
+   * @param {Object} data - Parsed overrides
+   * @returns {Object} Clean overrides
+   * @throws {Error} Describing the first invalid entry
+   */
+  static validateOverrides(data) {
+    if (!this._isObject(data) || (!this._isObject(data.providers) && !this._isObject(data.hardware))) {
+      throw new Error('Pricing overrides need a "providers" or "hardware" object');
+    }
+    
+    const providers = {};
+    for (const [provider, models] of Object.entries(data.providers || {})) {
+      if (!this._isObject(models)) {
+        throw new Error(`Pricing for ${provider} must map model IDs to prices`);
+      }
+      
+      providers[provider] = {};
+      for (const [model, entry] of Object.entries(models)) {
+        providers[provider][model] = this._validateEntry(provider, model, entry);
+      }
+    }
+    
+    const hardware = {};
+    for (const [name, rate] of Object.entries(data.hardware || {})) {
+      if (!this._isPrice(rate)) {
+        throw new Error(`Hardware rate for ${name} must be a non-negative number`);
+      }
+      hardware[name] = rate;
+    }
+    
+    return {
+      version: data.version ? String(data.version) : new Date().toISOString().slice(0, 10),
+      providers,
+      hardware
+    };
+  }
+  
+  /**
+   * Remove all GM overrides
+   * @returns {Promise<void>}
+   */
+  static async clearOverrides() {
+    await Settings.set(SETTINGS.PRICING_OVERRIDES, {});
+  }
+  
+  /**
+   * Serialize the effective catalog in the import format
+   * Editing the export and importing it back is the easiest way to write overrides.
+   * @returns {string} JSON text
+   */
+  static toJSON() {
+    const providers = new Set(this._getLayers().flatMap(layer => Object.keys(layer.providers || {})));
+    
+    const catalog = {
+      version: new Date().toISOString().slice(0, 10),
+      providers: {},
+      hardware: { ...this.HARDWARE_RATES, ...(this._getOverrides().hardware || {}) }
+    };
+    
+    for (const provider of providers) {
+      catalog.providers[provider] = Object.fromEntries(
+        Object.entries(this.getProvider(provider))
+          .map(([id, { source, ...pricing }]) => [id, pricing])
+      );
+    }
+    
+    return JSON.stringify(catalog, null, 2);
+  }
+  
+  /**
+   * Pricing layers from lowest to highest precedence
+   * @returns {Array<Object>} Layers of { source, version, providers }
+   * @private
+   */
+  static _getLayers() {
+    const remote = Settings.get(SETTINGS.PRICING_CATALOG) || {};
+    const overrides = this._getOverrides();
+    
+    return [
+      { source: PRICING_SOURCES.BUNDLED, version: this.VERSION, providers: this.BUNDLED },
+      { source: PRICING_SOURCES.OPENROUTER, version: remote.version, providers: remote.providers },
+      { source: PRICING_SOURCES.OVERRIDE, version: overrides.version, providers: overrides.providers }
+    ];
+  }
+  
+  /**
+   * GM overrides
+   * @returns {Object} Saved overrides, or an empty object
+   * @private
+   */
+  static _getOverrides() {
+    return Settings.get(SETTINGS.PRICING_OVERRIDES) || {};
+  }
+  
+  /**
+   * Check one imported pricing entry
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID
+   * @param {Object} entry - Imported pricing
+   * @returns {Object} Entry with only known fields
+   * @private
+   */
+  static _validateEntry(provider, model, entry) {
+    const label = `${provider}/${model}`;
+    
+    if (!this._isObject(entry)) {
+      throw new Error(`Pricing for ${label} must be an object`);
+    }
+    if (entry.type !== undefined && !PRICED_TYPES.includes(entry.type)) {
+      throw new Error(`Pricing for ${label} has unknown type "${entry.type}"`);
+    }
+    if (entry.type === undefined && !this.get(provider, model)) {
+      throw new Error(`Pricing for ${label} needs a type, since the model is not in the catalog`);
+    }
+    
+    const clean = {};
+    if (entry.type) clean.type = entry.type;
+    if (entry.version) clean.version = String(entry.version);
+    
+    for (const field of PRICE_FIELDS) {
+      if (entry[field] === undefined) continue;
+      if (!this._isPrice(entry[field])) {
+        throw new Error(`${field} for ${label} must be a non-negative number`);
+      }
+      clean[field] = entry[field];
+    }
+    
+    if (entry.hardware !== undefined) {
+      if (typeof entry.hardware !== 'string') {
+        throw new Error(`hardware for ${label} must be a hardware name`);
+      }
+      clean.hardware = entry.hardware;
+    }
+    
+    if (entry.tiers !== undefined) {
+      const valid = this._isObject(entry.tiers) && Object.values(entry.tiers)
+        .every(sizes => this._isObject(sizes) && Object.values(sizes).every(price => this._isPrice(price)));
+      if (!valid) {
+        throw new Error(`tiers for ${label} must map quality to sizes to prices`);
+      }
+      clean.tiers = entry.tiers;
+    }
+    
+    return clean;
+  }
+  
+  /**
+   * Convert a per-token price to per 1K tokens without floating point noise
+   * @param {number} price - USD per token
+   * @returns {number} USD per 1K tokens
+   * @private
+   */
+  static _perThousand(price) {
+    return parseFloat((price * 1000).toPrecision(12));
+  }
+  
+  /**
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a finite, non-negative number
+   * @private
+   */
+  static _isPrice(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  }
+  
+  /**
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a plain object
+   * @private
+   */
+  static _isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Provider Health Service
+ * Shared circuit breaker that tracks recent failures and latency for each provider
+ */
+
+import { MODULE_ID } from '../constants.js';
+
+/**
+ * Circuit breaker states
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed', // Requests flow normally
+  OPEN: 'open', // Requests fail fast until the cooldown ends
+  HALF_OPEN: 'half-open' // One probe request decides whether to close or reopen
+};
+
+/**
+ * Hook fired with (provider, status) whenever a provider's status changes
+ */
+export const HEALTH_HOOK = 'oracleWorld.providerHealthChanged';
+
+export default class ProviderHealth {
+  /**
+   * Consecutive failures that open the circuit
+   */
+  static FAILURE_THRESHOLD = 3;
+  
+  /**
+   * How long an open circuit fails fast before allowing a probe (ms)
+   */
+  static COOLDOWN = 30000;
+  
+  /**
+   * Average latency above which a provider is reported as slow (ms)
+   */
+  static SLOW_LATENCY = 20000;
+  
+  /**
+   * Latency samples kept per provider
+   */
+  static SAMPLE_SIZE = 10;
+  
+  /**
+   * Health records keyed by provider ID
+   * @type {Map<string, Object>}
+   */
+  static records = new Map();
+  
+  /**
+   * Ask whether a request may be sent to a provider
+   * Moves an open circuit to half-open once the cooldown has passed and reserves the probe.
+   * @param {string} provider - Provider ID
+   * @returns {boolean} True if the request may go ahead
+   */
+  static acquire(provider) {
+    const record = this._getRecord(provider);
+    const now = Date.now();
+    
+    if (record.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    
+    if (record.state === CIRCUIT_STATES.OPEN) {
+      if (now - record.openedAt < this.COOLDOWN) {
+        return false;
+      }
+      this._setState(provider, record, CIRCUIT_STATES.HALF_OPEN);
+    }
+    
+    // Half-open: one probe at a time; a probe that never reports back expires after the cooldown
+    if (record.probeStartedAt && now - record.probeStartedAt < this.COOLDOWN) {
+      return false;
+    }
+    
+    record.probeStartedAt = now;
+    return true;
+  }
+  
+  /**
+   * Record a response from the provider
+   * Any response counts, including 4xx errors: the provider is reachable.
+   * @param {string} provider - Provider ID
+   * @param {number} latency - Time to response (ms)
+   */
+  static recordSuccess(provider, latency) {
+    const record = this._getRecord(provider);
+    
+    record.latencies.push(latency);
+    if (record.latencies.length > this.SAMPLE_SIZE) {
+      record.latencies.shift();
+    }
+    
+    record.consecutiveFailures = 0;
+    record.probeStartedAt = null;
+    record.lastSuccess = Date.now();
+    
+    if (record.state !== CIRCUIT_STATES.CLOSED) {
+      console.log(`${MODULE_ID} | ${provider} recovered, closing circuit`);
+      this._setState(provider, record, CIRCUIT_STATES.CLOSED);
+    }
+  }
+  
+  /**
+   * Record a failure to reach the provider (network error, timeout or 5xx)
+   * @param {string} provider - Provider ID
+   * @param {string} reason - Failure description
+   */
+  static recordFailure(provider, reason) {
+    const record = this._getRecord(provider);
+    
+    record.consecutiveFailures++;
+    record.totalFailures++;
+    record.probeStartedAt = null;
+    record.lastFailure = Date.now();
+    record.lastError = reason;
+    
+    const probeFailed = record.state === CIRCUIT_STATES.HALF_OPEN;
+    if (probeFailed || (record.state === CIRCUIT_STATES.CLOSED && record.consecutiveFailures >= this.FAILURE_THRESHOLD)) {
+      console.warn(`${MODULE_ID} | ${provider} failing (${reason}), opening circuit for ${this.COOLDOWN / 1000}s`);
+      record.openedAt = Date.now();
+      this._setState(provider, record, CIRCUIT_STATES.OPEN);
+    } else {
+      this._notify(provider);
+    }
+  }
+  
+  /**
+   * Check whether a provider is currently failing fast
+   * @param {string} provider - Provider ID
+   * @returns {boolean} True while the circuit is open and cooling down
+   */
+  static isOpen(provider) {
+    const record = this.records.get(provider);
+    return record?.state === CIRCUIT_STATES.OPEN && Date.now() - record.openedAt < this.COOLDOWN;
+  }
+  
+  /**
+   * Get a provider's health for display
+   * @param {string} provider - Provider ID
+   * @returns {Object} Status ({ status, state, consecutiveFailures, averageLatency, lastError, retryAt })
+   *   where status is "healthy", "slow", "failing", "down" or "recovering"
+   */
+  static getStatus(provider) {
+    const record = this._getRecord(provider);
+    const averageLatency = record.latencies.length
+      ? Math.round(record.latencies.reduce((sum, value) => sum + value, 0) / record.latencies.length)
+      : null;
+    
+    let status = 'healthy';
+    if (this.isOpen(provider)) {
+      status = 'down';
+    } else if (record.state !== CIRCUIT_STATES.CLOSED) {
+      // Half-open, or open with the cooldown over so the next request is a probe
+      status = 'recovering';
+    } else if (record.consecutiveFailures > 0) {
+      status = 'failing';
+    } else if (averageLatency !== null && averageLatency > this.SLOW_LATENCY) {
+      status = 'slow';
+    }
+    
+    return {
+      status,
+      state: record.state,
+      consecutiveFailures: record.consecutiveFailures,
+      totalFailures: record.totalFailures,
+      averageLatency,
+      lastError: record.lastError,
+      retryAt: record.state === CIRCUIT_STATES.OPEN ? record.openedAt + this.COOLDOWN : null
+    };
+  }
+  
+  /**
+   * Forget health data
+   * @param {string} provider - Provider ID, or omit to reset every provider
+   */
+  static reset(provider = null) {
+    if (provider) {
+      this.records.delete(provider);
+    } else {
+      this.records.clear();
+    }
+  }
+  
+  /**
+   * Get or create a provider's record
+   * @param {string} provider - Provider ID
+   * @returns {Object} Health record
+   * @private
+   */
+  static _getRecord(provider) {
+    if (!this.records.has(provider)) {
+      this.records.set(provider, {
+        state: CIRCUIT_STATES.CLOSED,
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        latencies: [],
+        openedAt: null,
+        probeStartedAt: null,
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null
+      });
+    }
+    return this.records.get(provider);
+  }
+  
+  /**
+   * Change a circuit state and announce it
+   * @param {string} provider - Provider ID
+   * @param {Object} record - Health record
+   * @param {string} state - New state
+   * @private
+   */
+  static _setState(provider, record, state) {
+    record.state = state;
+    this._notify(provider);
+  }
+  
+  /**
+   * Fire the health hook (Hooks is unavailable outside Foundry, e.g. in unit tests)
+   * @param {string} provider - Provider ID
+   * @private
+   */
+  static _notify(provider) {
+    globalThis.Hooks?.callAll(HEALTH_HOOK, provider, this.getStatus(provider));
+  }
+}
@@ -1,87 +1,700 @@
 /**
  * Queue Manager Service
- * Handles request queuing and rate limiting
+ * Runs generation requests by priority, several at a time per provider, within each provider's rate limits.
+ * Queued and running jobs are saved in a flag on the user's User document, in the world, so they resume after a reload.
  */
 
-import { MODULE_ID, ERROR_TYPES } from '../constants.js';
+import { MODULE_ID, SETTINGS, ERROR_TYPES, GENERATION_TYPES } from '../constants.js';
+import Settings from '../utils/settings.js';
+import { serializeParams } from '../utils/serialize-params.js';
+import ProviderFactory from '../api/provider-factory.js';
+import ProviderRegistry from '../api/provider-registry.js';
+import BudgetManager from './budget-manager.js';
+import KeyRelay from './key-relay.js';
+import CostEstimator from './cost-estimator.js';
+import FallbackChain from './fallback-chain.js';
+import RateLimiter from './rate-limiter.js';
+
+/**
+ * Hook fired with the changed job (null when several changed) and every job whenever jobs are added, start or finish
+ */
+export const QUEUE_HOOK = 'oracleWorld.queueChanged';
+
+/**
+ * Job priorities, highest first
+ * Generations a user is waiting on in a dialog run ahead of approved requests, which run ahead of batch jobs.
+ */
+export const JOB_PRIORITIES = {
+  INTERACTIVE: 'interactive',
+  NORMAL: 'normal',
+  BATCH: 'batch'
+};
+
+/**
+ * Job statuses
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const PRIORITY_ORDER = [JOB_PRIORITIES.INTERACTIVE, JOB_PRIORITIES.NORMAL, JOB_PRIORITIES.BATCH];
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
 
 export default class QueueManager {
+  /**
+   * Generations run at once per provider unless the provider or the Concurrent Generations setting says otherwise
+   */
+  static DEFAULT_CONCURRENCY = 1;
+  
+  /**
+   * Finished jobs kept for display
+   */
+  static FINISHED_LIMIT = 50;
+  
+  /**
+   * Times a rate limited job goes back to the queue before it fails
+   */
+  static RATE_LIMIT_RETRIES = 3;
+  
+  /**
+   * User flag holding the saved jobs
+   */
+  static FLAG = 'generationQueue';
+  
+  /**
+   * Longest parameter, in characters, saved with a job
+   * Larger inputs such as source images are left out, and the job is not resumed without them.
+   */
+  static SAVED_PARAM_LIMIT = 10000;
+  
+  /**
+   * Completion handlers for resumed jobs, keyed by name
+   * @type {Map<string, Object>}
+   */
+  static handlers = new Map();
+  
+  /**
+   * Register what happens to the result of a job resumed after a reload
+   * Jobs name their handler when queued; their caller is gone once the page reloads.
+   * Jobs without one are saved to the generation history.
+   * @param {string} name - Handler name
+   * @param {Object} handler - Handler
+   * @param {Function} handler.onComplete - Called with (result, job) when the job succeeds
+   * @param {Function} handler.onError - Optional, called with (error, job) when the job fails
+   */
+  static registerHandler(name, handler) {
+    this.handlers.set(name, handler);
+  }
+  
   constructor() {
-    this.queue = [];
-    this.processing = false;
-    this.rateLimits = new Map();
+    this.jobs = [];
+    
+    // Callers, signals and executors of the jobs started by this page, keyed by job ID
+    this.runtime = new Map();
+    
+    // Jobs are only saved once restore() has loaded the saved ones
+    this.persistent = false;
+    this._writing = Promise.resolve();
+  }
+  
+  /**
+   * Load the jobs saved before the last reload and resume them
+   * Jobs with a client method resume from the start; jobs that cannot be rebuilt are marked failed.
+   * Called during the ready hook.
+   */
+  restore() {
+    const now = Date.now();
+    const saved = (game.user.getFlag(MODULE_ID, QueueManager.FLAG) || []).map(job => {
+      if (!ACTIVE_STATUSES.includes(job.status)) return job;
+      if (!job.method) {
+        return { ...job, status: JOB_STATUS.FAILED, error: 'Interrupted by a reload', finishedAt: now };
+      }
+      return { ...job, status: JOB_STATUS.QUEUED, startedAt: null };
+    });
+    
+    this.jobs = [...saved, ...this.jobs];
+    this.persistent = true;
+    
+    const resumed = saved.filter(job => job.status === JOB_STATUS.QUEUED).length;
+    if (resumed > 0) {
+      console.log(`${MODULE_ID} | Resuming ${resumed} queued generation${resumed === 1 ? '' : 's'}`);
+    }
+    
+    this._save();
+    globalThis.Hooks?.callAll(QUEUE_HOOK, null, this.getJobs());
+    this._processQueue();
   }
   
+  /**
+   * Queue a request for execution
+   * @param {Object} request - Queued request
+   * @param {string} request.provider - Provider identifier used for rate limiting and concurrency
+   * @param {string} request.model - Model identifier
+   * @param {Function} request.execute - Performs the provider call; receives the target ({ provider, model })
+   *   and the job's AbortSignal. Without one, request.method is called on a client for the target.
+   * @param {string} request.method - Client method, e.g. "generateImage", called with request.params.
+   *   Jobs with a method resume after a reload.
+   * @param {Array<Object>} request.fallbacks - Optional targets ({ provider, model }) tried in order when
+   *   the previous one fails with a rate limit or network error
+   * @param {Function} request.onFallback - Optional callback (target, error) called before each fallback
+   * @param {AbortSignal} request.signal - Optional signal; aborting cancels the job
+   * @param {string} request.userId - User charged for the request (default: the current user)
+   * @param {string} request.type - Generation type recorded in the usage ledger
+   * @param {Object} request.params - Generation parameters, used to estimate the cost for the budget check
+   * @param {boolean} request.budgetOverride - GM only: run even if it goes over a spending budget
+   * @param {string} request.priority - A JOB_PRIORITIES value (default: normal)
+   * @param {string} request.label - Description shown in the queue (default: the start of the prompt)
+   * @param {string} request.handler - Name of a registered handler for the result if the job resumes after a reload
+   * @param {Object} request.context - Data the handler needs, saved with the job
+   * @returns {Promise<Object>} Result of the generation, with result.jobId set, and result.fallback when a fallback served it
+   */
   async enqueue(request) {
     return new Promise((resolve, reject) => {
-      this.queue.push({
-        request,
-        resolve,
-        reject,
-        timestamp: Date.now()
-      });
+      if (request.signal?.aborted) {
+        reject(this._createCancelledError());
+        return;
+      }
       
+      const job = {
+        id: foundry.utils.randomID(),
+        label: request.label || request.params?.prompt?.slice(0, 80) || request.type || request.provider,
+        provider: request.provider,
+        model: request.model || null,
+        fallbacks: request.fallbacks || [],
+        type: request.type || null,
+        method: request.method || null,
+        params: serializeParams(request.params),
+        userId: request.userId || globalThis.game?.user?.id || null,
+        budgetOverride: !!request.budgetOverride,
+        priority: PRIORITY_ORDER.includes(request.priority) ? request.priority : JOB_PRIORITIES.NORMAL,
+        handler: request.handler || null,
+        context: request.context || null,
+        status: JOB_STATUS.QUEUED,
+        error: null,
+        rateLimited: 0,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null
+      };
+      
+      const controller = new AbortController();
+      this.runtime.set(job.id, { request, resolve, reject, controller });
+      request.signal?.addEventListener('abort', () => this.cancel(job.id), { once: true });
+      
+      this.jobs.push(job);
+      this._changed(job);
+      
+      this._processQueue();
+    });
+  }
+  
+  /**
+   * Cancel a job
+   * A queued job is removed from the queue; a running job is aborted through its signal.
+   * @param {string} id - Job ID
+   * @returns {boolean} True if the job was queued or running
+   */
+  cancel(id) {
+    const job = this.getJob(id);
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return false;
+    
+    const runtime = this.runtime.get(id);
+    runtime?.controller.abort();
+    
+    if (job.status === JOB_STATUS.QUEUED) {
+      this._finish(job, JOB_STATUS.CANCELLED, { error: 'Cancelled' });
+      runtime?.reject?.(this._createCancelledError());
       this._processQueue();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Run a failed or cancelled job again
+   * The result goes to the job's handler, or to the history, as for a job resumed after a reload.
+   * @param {string} id - Job ID
+   * @returns {boolean} True if the job was queued again
+   */
+  retry(id) {
+    const job = this.getJob(id);
+    if (!job || !this.canRetry(job)) return false;
+    
+    Object.assign(job, {
+      status: JOB_STATUS.QUEUED,
+      error: null,
+      cost: null,
+      rateLimited: 0,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
     });
+    this.runtime.delete(id);
+    this._changed(job);
+    
+    this._processQueue();
+    return true;
+  }
+  
+  /**
+   * Check whether a job can be run again
+   * @param {Object} job - Job
+   * @returns {boolean} True for failed or cancelled jobs with a client method
+   */
+  canRetry(job) {
+    return [JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status) && !!job.method;
+  }
+  
+  /**
+   * Change the priority of a queued job
+   * @param {string} id - Job ID
+   * @param {string} priority - A JOB_PRIORITIES value
+   * @returns {boolean} True if the job was still queued
+   */
+  setPriority(id, priority) {
+    const job = this.getJob(id);
+    if (job?.status !== JOB_STATUS.QUEUED || !PRIORITY_ORDER.includes(priority)) return false;
+    
+    job.priority = priority;
+    this._changed(job);
+    
+    this._processQueue();
+    return true;
+  }
+  
+  /**
+   * Forget finished jobs
+   */
+  clearFinished() {
+    this.jobs = this.jobs.filter(job => ACTIVE_STATUSES.includes(job.status));
+    this._save();
+    globalThis.Hooks?.callAll(QUEUE_HOOK, null, this.getJobs());
+  }
+  
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Object|undefined} Job
+   */
+  getJob(id) {
+    return this.jobs.find(job => job.id === id);
+  }
+  
+  /**
+   * Get every job, in the order they will run: running, then queued by priority, then finished, newest first
+   * @returns {Array<Object>} Copies of the jobs
+   */
+  getJobs() {
+    const rank = job => {
+      if (job.status === JOB_STATUS.RUNNING) return 0;
+      if (job.status === JOB_STATUS.QUEUED) return 1;
+      return 2;
+    };
+    
+    return [...this.jobs]
+      .sort((a, b) => rank(a) - rank(b) || (rank(a) === 2 ? b.finishedAt - a.finishedAt : this._compareJobs(a, b)))
+      .map(job => ({ ...job }));
+  }
+  
+  /**
+   * Number of jobs waiting to start
+   * @returns {number} Queued jobs
+   */
+  getQueueLength() {
+    return this.jobs.filter(job => job.status === JOB_STATUS.QUEUED).length;
+  }
+  
+  /**
+   * Generations a provider may run at once
+   * Self-hosted providers run one at a time unless their definition sets a concurrency.
+   * @param {string} provider - Provider ID
+   * @returns {number} Limit
+   */
+  getConcurrency(provider) {
+    const definition = ProviderRegistry.get(provider);
+    if (definition?.concurrency) return definition.concurrency;
+    if (!definition || definition.local) return QueueManager.DEFAULT_CONCURRENCY;
+    return Settings.get(SETTINGS.QUEUE_CONCURRENCY) || QueueManager.DEFAULT_CONCURRENCY;
+  }
+  
+  /**
+   * Start queued jobs while their providers have free slots
+   * Jobs count against the provider they were queued for, even while a fallback serves them.
+   * @private
+   */
+  _processQueue() {
+    const running = new Map();
+    this.jobs
+      .filter(job => job.status === JOB_STATUS.RUNNING)
+      .forEach(job => running.set(job.provider, (running.get(job.provider) || 0) + 1));
+    
+    const queued = this.jobs
+      .filter(job => job.status === JOB_STATUS.QUEUED)
+      .sort((a, b) => this._compareJobs(a, b));
+    
+    for (const job of queued) {
+      const count = running.get(job.provider) || 0;
+      if (count >= this.getConcurrency(job.provider)) continue;
+      
+      running.set(job.provider, count + 1);
+      this._run(job);
+    }
   }
   
-  async _processQueue() {
-    if (this.processing || this.queue.length === 0) return;
+  /**
+   * Run a job and settle it
+   * A rate limited job goes back to the queue, where it waits for the provider's limit to reset.
+   * @param {Object} job - Queued job
+   * @private
+   */
+  async _run(job) {
+    if (!this.runtime.has(job.id)) {
+      this.runtime.set(job.id, { request: null, controller: new AbortController() });
+    }
+    const runtime = this.runtime.get(job.id);
+    const request = { ...job, ...runtime.request, signal: runtime.controller.signal };
+    request.execute = runtime.request?.execute || this._createExecutor(job);
     
-    this.processing = true;
-    const item = this.queue.shift();
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = Date.now();
+    job.error = null;
+    this._changed(job);
     
     try {
-      await this._checkRateLimit(item.request.provider);
-      const result = await item.request.execute();
-      this._updateRateLimit(item.request.provider);
-      item.resolve(result);
+      const result = await this._executeWithFallback(request);
+      this._finish(job, JOB_STATUS.DONE, { cost: result?.cost?.amount ?? null });
+      
+      // Saved with the result in the history, so the queue can find the result of a job
+      if (result) result.jobId = job.id;
+      
+      if (runtime.resolve) {
+        runtime.resolve(result);
+      } else {
+        await this._deliver(job, result);
+      }
     } catch (error) {
-      if (this._isRateLimitError(error)) {
-        this.queue.unshift(item);
-        await this._waitForRateLimit(item.request.provider);
+      if (this._isRateLimitError(error) && !runtime.controller.signal.aborted && (job.rateLimited || 0) < QueueManager.RATE_LIMIT_RETRIES) {
+        job.rateLimited = (job.rateLimited || 0) + 1;
+        job.status = JOB_STATUS.QUEUED;
+        this._changed(job);
       } else {
-        item.reject(error);
+        const cancelled = error.type === ERROR_TYPES.CANCELLED || runtime.controller.signal.aborted;
+        this._finish(job, cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED, { error: error.message });
+        
+        if (runtime.reject) {
+          runtime.reject(cancelled ? this._createCancelledError() : error);
+        } else if (!cancelled) {
+          await this._deliverError(job, error);
+        }
       }
     } finally {
-      this.processing = false;
       this._processQueue();
     }
   }
   
-  async _checkRateLimit(provider) {
-    const limit = this.rateLimits.get(provider);
-    if (limit && Date.now() < limit.resetTime) {
-      const waitTime = limit.resetTime - Date.now();
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  /**
+   * Run a request, failing over through its fallbacks on rate limit and network errors
+   * @param {Object} request - Queued request
+   * @returns {Promise<Object>} Result of the first target that succeeds
+   * @private
+   */
+  async _executeWithFallback(request) {
+    const targets = [{ provider: request.provider, model: request.model || null }, ...(request.fallbacks || [])];
+    const userId = request.userId || globalThis.game?.user?.id;
+    const estimate = await this._estimate(request, request.provider, request.model);
+    this._checkBudget(request, userId, estimate);
+    let lastError = null;
+    
+    for (const [index, target] of targets.entries()) {
+      if (lastError) {
+        console.warn(`${MODULE_ID} | ${targets[index - 1].provider} failed (${lastError.type}), falling back to ${target.provider}`);
+        request.onFallback?.(target, lastError);
+      }
+      
+      let reservation = null;
+      try {
+        reservation = await RateLimiter.acquire(target.provider, target.model, {
+          tokens: this._estimateTokens(request),
+          signal: request.signal
+        });
+        const before = BudgetManager.getStatus(userId);
+        const result = await request.execute(target, request.signal);
+        RateLimiter.settle(reservation, this._getUsedTokens(result));
+        reservation = null;
+        
+        if (lastError) {
+          result.fallback = {
+            requestedProvider: request.provider,
+            requestedModel: request.model || null,
+            reason: lastError.type
+          };
+        }
+        
+        // Keep the estimate next to the actual cost; a fallback is re-estimated for the provider that served it
+        const servedEstimate = lastError ? await this._estimate(request, target.provider, result.model || target.model) : estimate;
+        if (servedEstimate !== null) {
+          result.cost = { ...(result.cost || { amount: 0, currency: 'USD', estimated: true }), estimate: servedEstimate };
+        }
+        
+        if (BudgetManager.isTracking()) {
+          if (KeyRelay.shouldRelay()) {
+            // The GM records relayed spend before replying, so the synced ledger already includes it
+            BudgetManager.warnSince(userId, before);
+          } else {
+            await BudgetManager.recordSpend({ userId, type: request.type, result, ...target, estimate: servedEstimate ?? 0 });
+          }
+        }
+        
+        return result;
+      } catch (error) {
+        // A failed or cancelled request gives back the tokens it reserved; the request itself still counts
+        RateLimiter.settle(reservation, 0);
+        
+        if (this._isRateLimitError(error)) {
+          RateLimiter.block(target.provider, target.model, this._getRetryDelay(error));
+        }
+        
+        const isLast = index === targets.length - 1;
+        if (isLast || request.signal?.aborted || !this._isFallbackError(error)) {
+          throw error;
+        }
+        lastError = error;
+      }
     }
   }
   
-  _updateRateLimit(provider) {
-    const now = Date.now();
-    const limit = this.rateLimits.get(provider) || { count: 0, resetTime: now + 60000 };
+  /**
+   * Build the provider call of a job that has no caller-supplied execute function
+   * @param {Object} job - Job with a client method
+   * @returns {Function} Executor (target, signal) => Promise<Object>
+   * @private
+   */
+  _createExecutor(job) {
+    return async (target, signal) => {
+      if (!job.method) {
+        throw new Error(`Generation "${job.label}" cannot be resumed`);
+      }
+      
+      const client = ProviderFactory.create(target.provider);
+      const model = target.model || await FallbackChain.getDefaultModel(client, job.type);
+      return client[job.method]({ ...job.params, model, signal });
+    };
+  }
+  
+  /**
+   * Hand the result of a resumed job to its handler, or save it to the history
+   * @param {Object} job - Finished job
+   * @param {Object} result - Generation result
+   * @private
+   */
+  async _deliver(job, result) {
+    const handler = QueueManager.handlers.get(job.handler);
     
-    if (now >= limit.resetTime) {
-      this.rateLimits.set(provider, { count: 1, resetTime: now + 60000 });
-    } else {
-      limit.count++;
-      this.rateLimits.set(provider, limit);
+    try {
+      if (handler) {
+        await handler.onComplete(result, job);
+        return;
+      }
+      
+      await globalThis.game?.oracleWorld?.historyManager?.save({
+        type: job.type,
+        provider: result.provider || job.provider,
+        model: result.model || job.params?.model || job.model,
+        prompt: job.params?.prompt,
+        params: job.params,
+        documentUuid: job.context?.documentUuid,
+        parentId: job.context?.parentId,
+        relationship: job.context?.relationship,
+        result,
+        cost: result.cost,
+        fallback: result.fallback
+      });
+      globalThis.ui?.notifications.info(`Queued generation finished and saved to history: ${job.label}`);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Could not deliver the result of ${job.label}:`, error);
+      await this._deliverError(job, error);
     }
   }
   
-  _isRateLimitError(error) {
-    return error.type === ERROR_TYPES.RATE_LIMIT;
+  /**
+   * Report the failure of a resumed job to its handler, or to the user
+   * @param {Object} job - Failed job
+   * @param {Error} error - Error
+   * @private
+   */
+  async _deliverError(job, error) {
+    const handler = QueueManager.handlers.get(job.handler);
+    
+    try {
+      if (handler?.onError) {
+        await handler.onError(error, job);
+      } else {
+        globalThis.ui?.notifications.error(`Queued generation failed: ${job.label} (${error.message})`);
+      }
+    } catch (handlerError) {
+      console.error(`${MODULE_ID} | Error handler for ${job.label} failed:`, handlerError);
+    }
   }
   
-  async _waitForRateLimit(provider) {
-    const limit = this.rateLimits.get(provider);
-    if (limit) {
-      const waitTime = Math.max(0, limit.resetTime - Date.now());
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+  /**
+   * Mark a job finished
+   * @param {Object} job - Job
+   * @param {string} status - DONE, FAILED or CANCELLED
+   * @param {Object} changes - Other fields to set, e.g. { error }
+   * @private
+   */
+  _finish(job, status, changes = {}) {
+    Object.assign(job, changes, { status, finishedAt: Date.now() });
+    this.runtime.delete(job.id);
+    
+    // Keep the most recent finished jobs
+    const finished = this.jobs
+      .filter(other => !ACTIVE_STATUSES.includes(other.status))
+      .sort((a, b) => b.finishedAt - a.finishedAt);
+    const expired = new Set(finished.slice(QueueManager.FINISHED_LIMIT));
+    this.jobs = this.jobs.filter(other => !expired.has(other));
+    
+    this._changed(job);
   }
   
-  getQueueLength() {
-    return this.queue.length;
+  /**
+   * Save the jobs and announce a change
+   * @param {Object} job - Changed job
+   * @private
+   */
+  _changed(job) {
+    this._save();
+    globalThis.Hooks?.callAll(QUEUE_HOOK, { ...job }, this.getJobs());
+  }
+  
+  /**
+   * Save the queued and running jobs to the user's flag, one write at a time
+   * @private
+   */
+  _save() {
+    if (!this.persistent) return;
+    
+    this._writing = this._writing
+      .then(() => game.user.setFlag(MODULE_ID, QueueManager.FLAG, this._getSavedJobs()))
+      .catch(error => console.warn(`${MODULE_ID} | Could not save the generation queue:`, error));
+  }
+  
+  /**
+   * Copies of the jobs worth saving: finished jobs are only kept for display until the reload
+   * A job whose large parameters are left out is saved without its method, so it is not resumed without them.
+   * @returns {Array<Object>} Jobs to save
+   * @private
+   */
+  _getSavedJobs() {
+    return this.jobs
+      .filter(job => ACTIVE_STATUSES.includes(job.status))
+      .map(job => {
+        const large = Object.entries(job.params || {})
+          .filter(([key, value]) => (typeof value === 'string' ? value : JSON.stringify(value) || '').length > QueueManager.SAVED_PARAM_LIMIT)
+          .map(([key]) => key);
+        if (large.length === 0) return { ...job };
+        
+        const params = Object.fromEntries(Object.entries(job.params).filter(([key]) => !large.includes(key)));
+        return { ...job, params, method: null };
+      });
+  }
+  
+  /**
+   * Order jobs by priority, then by when they were queued
+   * @param {Object} a - Job
+   * @param {Object} b - Job
+   * @returns {number} Sort order
+   * @private
+   */
+  _compareJobs(a, b) {
+    return PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority) || a.createdAt - b.createdAt;
+  }
+  
+  /**
+   * Estimate what a request will cost on a provider
+   * @param {Object} request - Queued request
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID
+   * @returns {Promise<number|null>} Estimated cost in USD, or null without params or pricing
+   * @private
+   */
+  async _estimate(request, provider, model) {
+    if (!request.params) return null;
+    
+    const estimate = await CostEstimator.estimate(provider, model, request.params);
+    return estimate.estimated ? parseFloat(estimate.cost) : null;
+  }
+  
+  /**
+   * Check a request against the spending budgets of its user
+   * @param {Object} request - Queued request
+   * @param {string} userId - User charged for the request
+   * @param {number|null} estimate - Estimated cost in USD
+   * @throws {Error} BUDGET_EXCEEDED error if the request would go over a cap
+   * @private
+   */
+  _checkBudget(request, userId, estimate) {
+    if (!BudgetManager.isTracking()) return;
+    BudgetManager.assertWithinBudget({ userId, estimate: estimate ?? 0, override: request.budgetOverride });
+  }
+  
+  /**
+   * Tokens a request is expected to use, reserved against the provider's tokens per minute
+   * Text requests count their prompt (about 4 characters per token) and their output allowance.
+   * @param {Object} request - Queued request
+   * @returns {number} Tokens
+   * @private
+   */
+  _estimateTokens(request) {
+    if (request.type !== GENERATION_TYPES.TEXT || !request.params?.prompt) return 0;
+    return Math.ceil(request.params.prompt.length / 4) + (request.params.maxTokens || 1000);
+  }
+  
+  /**
+   * Tokens a result reports using
+   * @param {Object} result - Generation result
+   * @returns {number|null} Tokens, or null when not reported
+   * @private
+   */
+  _getUsedTokens(result) {
+    const breakdown = result?.cost?.breakdown;
+    if (breakdown?.inputTokens === undefined && breakdown?.outputTokens === undefined) return null;
+    return (breakdown.inputTokens || 0) + (breakdown.outputTokens || 0);
+  }
+  
+  /**
+   * How long a rate limit error asks to wait
+   * @param {Error} error - RATE_LIMIT error
+   * @returns {number|null} Delay in ms, or null when the provider did not say
+   * @private
+   */
+  _getRetryDelay(error) {
+    const seconds = parseFloat(error.details?.retryAfter);
+    return seconds > 0 ? seconds * 1000 : null;
+  }
+  
+  /**
+   * Check whether an error should fail over to the next provider
+   * @param {Error} error - Error thrown by a client after its own retries
+   * @returns {boolean} True for rate limit and network errors
+   * @private
+   */
+  _isFallbackError(error) {
+    return [ERROR_TYPES.RATE_LIMIT, ERROR_TYPES.NETWORK_ERROR].includes(error.type);
+  }
+  
+  _isRateLimitError(error) {
+    return error.type === ERROR_TYPES.RATE_LIMIT;
+  }
+  
+  _createCancelledError() {
+    const error = new Error('Generation cancelled');
+    error.type = ERROR_TYPES.CANCELLED;
+    return error;
   }
 }
@@ -0,0 +1,395 @@
+/**
+ * Rate Limiter Service
+ * Token buckets for requests and tokens per minute, kept per provider and per model.
+ * Limits come from the Rate Limits setting and from the rate limit headers providers send with
+ * each response, so the queue waits for capacity instead of collecting 429 responses.
+ */
+
+import { MODULE_ID, ERROR_TYPES } from '../constants.js';
+
+/**
+ * Rate limit header formats
+ * Model-scoped formats describe the limits of the model named in the request; the others cover the whole API key.
+ */
+const HEADER_FORMATS = [
+  {
+    // OpenAI, and OpenAI-compatible APIs that copy its headers
+    scope: 'model',
+    requests: { limit: 'x-ratelimit-limit-requests', remaining: 'x-ratelimit-remaining-requests', reset: 'x-ratelimit-reset-requests' },
+    tokens: { limit: 'x-ratelimit-limit-tokens', remaining: 'x-ratelimit-remaining-tokens', reset: 'x-ratelimit-reset-tokens' }
+  },
+  {
+    // Anthropic
+    scope: 'model',
+    requests: { limit: 'anthropic-ratelimit-requests-limit', remaining: 'anthropic-ratelimit-requests-remaining', reset: 'anthropic-ratelimit-requests-reset' },
+    tokens: { limit: 'anthropic-ratelimit-tokens-limit', remaining: 'anthropic-ratelimit-tokens-remaining', reset: 'anthropic-ratelimit-tokens-reset' }
+  },
+  {
+    // OpenRouter
+    scope: 'provider',
+    requests: { limit: 'x-ratelimit-limit', remaining: 'x-ratelimit-remaining', reset: 'x-ratelimit-reset' }
+  }
+];
+
+/**
+ * Setting fields for each bucket dimension
+ */
+const LIMIT_FIELDS = { requests: 'rpm', tokens: 'tpm' };
+
+export default class RateLimiter {
+  /**
+   * How long to hold back after a 429 that did not say when to retry (ms)
+   */
+  static DEFAULT_BACKOFF = 60000;
+  
+  /**
+   * Buckets keyed by provider ID or "provider:model"
+   * @type {Map<string, Object>}
+   */
+  static buckets = new Map();
+  
+  /**
+   * Configured limits ({ rpm, tpm }) keyed by provider ID or "provider:model"
+   * @type {Object}
+   */
+  static limits = {};
+  
+  /**
+   * Apply the Rate Limits setting
+   * Called when settings are registered and whenever the setting changes.
+   * @param {string} value - Setting value, see parse()
+   */
+  static configure(value) {
+    this.limits = this.parse(value);
+  }
+  
+  /**
+   * Parse a Rate Limits setting value
+   * @param {string} value - Comma-separated "provider=rpm/tpm" or "provider:model=rpm/tpm"; the token limit is optional
+   * @returns {Object} Limits ({ rpm, tpm }) keyed by provider ID or "provider:model"
+   * @example RateLimiter.parse('openai=500/30000, anthropic:claude-sonnet-4-5=50')
+   */
+  static parse(value) {
+    const limits = {};
+    
+    for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+      const separator = entry.lastIndexOf('=');
+      const key = entry.slice(0, separator).trim();
+      const [rpm, tpm] = entry.slice(separator + 1).split('/').map(number => parseInt(number));
+      
+      if (separator <= 0 || !(rpm > 0 || tpm > 0)) {
+        console.warn(`${MODULE_ID} | Ignoring rate limit "${entry}"`);
+        continue;
+      }
+      
+      limits[key] = { rpm: rpm > 0 ? rpm : null, tpm: tpm > 0 ? tpm : null };
+    }
+    
+    return limits;
+  }
+  
+  /**
+   * Wait until a request fits the provider's and model's limits, then take its share
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID, or null
+   * @param {Object} options - Request options
+   * @param {number} options.tokens - Tokens the request is expected to use
+   * @param {AbortSignal} options.signal - Cancels the wait
+   * @returns {Promise<Object>} Reservation to pass to settle() once the actual usage is known
+   * @throws {Error} CANCELLED error if the signal aborts while waiting
+   */
+  static async acquire(provider, model, { tokens = 0, signal } = {}) {
+    const keys = this._getKeys(provider, model);
+    
+    for (let wait = this.getWait(provider, model, tokens); wait > 0; wait = this.getWait(provider, model, tokens)) {
+      console.log(`${MODULE_ID} | Waiting ${Math.ceil(wait / 1000)}s for the ${model || provider} rate limit`);
+      await this._sleep(wait, signal);
+    }
+    
+    if (signal?.aborted) {
+      throw this._createCancelledError();
+    }
+    
+    const now = Date.now();
+    keys.forEach(key => {
+      const bucket = this._getBucket(key, now);
+      this._take(bucket.requests, 1);
+      this._take(bucket.tokens, tokens);
+    });
+    
+    return { keys, tokens, reservedAt: now };
+  }
+  
+  /**
+   * Correct the token buckets once a request reports what it used
+   * Buckets updated from response headers since the reservation already reflect the usage.
+   * @param {Object} reservation - From acquire()
+   * @param {number|null} usedTokens - Tokens used, or null when unknown
+   */
+  static settle(reservation, usedTokens) {
+    if (!reservation || usedTokens === null || usedTokens === undefined) return;
+    
+    const difference = usedTokens - reservation.tokens;
+    reservation.keys.forEach(key => {
+      const bucket = this.buckets.get(key);
+      if (!bucket?.tokens || bucket.headersAt > reservation.reservedAt) return;
+      bucket.tokens.available = Math.min(bucket.tokens.capacity, bucket.tokens.available - difference);
+    });
+  }
+  
+  /**
+   * How long a request must wait for capacity
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID, or null
+   * @param {number} tokens - Tokens the request is expected to use
+   * @returns {number} Wait in ms, 0 if the request may go now
+   */
+  static getWait(provider, model, tokens = 0) {
+    const now = Date.now();
+    
+    return Math.max(0, ...this._getKeys(provider, model).map(key => {
+      const bucket = this._getBucket(key, now);
+      return Math.max(
+        bucket.blockedUntil - now,
+        this._getDimensionWait(bucket.requests, 1),
+        this._getDimensionWait(bucket.tokens, tokens)
+      );
+    }));
+  }
+  
+  /**
+   * Update the buckets from a response's rate limit headers
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model named in the request, or null
+   * @param {Headers} headers - Response headers
+   * @returns {boolean} True if the response carried rate limit headers
+   */
+  static update(provider, model, headers) {
+    if (typeof headers?.get !== 'function') return false;
+    
+    const format = HEADER_FORMATS.find(candidate => headers.get(candidate.requests.remaining) !== null
+      || (candidate.tokens && headers.get(candidate.tokens.remaining) !== null));
+    if (!format) return false;
+    
+    const now = Date.now();
+    const key = format.scope === 'model' && model ? `${provider}:${model}` : provider;
+    const bucket = this._getBucket(key, now);
+    
+    Object.keys(LIMIT_FIELDS).forEach(dimension => {
+      const names = format[dimension];
+      const remaining = names && parseFloat(headers.get(names.remaining));
+      if (!names || isNaN(remaining)) return;
+      
+      const limit = parseFloat(headers.get(names.limit));
+      const configured = this._getConfiguredLimit(key, dimension);
+      const limits = [limit, configured].filter(value => value > 0);
+      const capacity = limits.length ? Math.min(...limits) : (bucket[dimension]?.capacity || remaining);
+      const resetAt = this._parseReset(headers.get(names.reset), now);
+      
+      // Refill so the bucket is full again when the provider says the limit resets
+      const rate = resetAt > now && capacity > remaining
+        ? (capacity - remaining) / (resetAt - now)
+        : capacity / 60000;
+      
+      bucket[dimension] = { capacity, rate, available: Math.min(remaining, capacity), refilledAt: now, configured: false };
+    });
+    
+    bucket.headersAt = now;
+    return true;
+  }
+  
+  /**
+   * Hold back requests after a 429
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID, or null
+   * @param {number|null} delay - How long to wait (ms); by default until the reset the headers reported,
+   *   or DEFAULT_BACKOFF without one
+   */
+  static block(provider, model, delay = null) {
+    delay = delay ?? (this.getWait(provider, model) || this.DEFAULT_BACKOFF);
+    const key = model ? `${provider}:${model}` : provider;
+    const bucket = this._getBucket(key, Date.now());
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delay);
+    console.warn(`${MODULE_ID} | ${model || provider} rate limited, holding requests for ${Math.ceil(delay / 1000)}s`);
+  }
+  
+  /**
+   * Get a bucket's state for display
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID, or null for the provider-wide bucket
+   * @returns {Object} { requests, tokens } with { available, capacity } each (null when unlimited), and blockedUntil
+   */
+  static getStatus(provider, model = null) {
+    const bucket = this._getBucket(model ? `${provider}:${model}` : provider, Date.now());
+    const describe = state => (state ? { available: Math.floor(state.available), capacity: state.capacity } : null);
+    
+    return {
+      requests: describe(bucket.requests),
+      tokens: describe(bucket.tokens),
+      blockedUntil: bucket.blockedUntil > Date.now() ? bucket.blockedUntil : null
+    };
+  }
+  
+  /**
+   * Forget every bucket
+   */
+  static reset() {
+    this.buckets.clear();
+  }
+  
+  /**
+   * Bucket keys that apply to a request: the provider's, then the model's
+   * @param {string} provider - Provider ID
+   * @param {string} model - Model ID, or null
+   * @returns {Array<string>} Keys
+   * @private
+   */
+  static _getKeys(provider, model) {
+    return model ? [provider, `${provider}:${model}`] : [provider];
+  }
+  
+  /**
+   * Get a bucket, refilled up to now and in step with the configured limits
+   * @param {string} key - Bucket key
+   * @param {number} now - Current time (ms)
+   * @returns {Object} Bucket ({ requests, tokens, blockedUntil, headersAt })
+   * @private
+   */
+  static _getBucket(key, now) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, { requests: null, tokens: null, blockedUntil: 0, headersAt: 0 });
+    }
+    const bucket = this.buckets.get(key);
+    
+    Object.keys(LIMIT_FIELDS).forEach(dimension => {
+      const configured = this._getConfiguredLimit(key, dimension);
+      const state = bucket[dimension];
+      
+      if (state) {
+        state.available = Math.min(state.capacity, state.available + (now - state.refilledAt) * state.rate);
+        state.refilledAt = now;
+      }
+      
+      // State from headers keeps its own capacity, capped by the configured limit when headers next arrive
+      if (configured && (!state || (state.configured && state.capacity !== configured))) {
+        bucket[dimension] = {
+          capacity: configured,
+          rate: configured / 60000,
+          available: Math.min(state?.available ?? configured, configured),
+          refilledAt: now,
+          configured: true
+        };
+      } else if (!configured && state?.configured) {
+        bucket[dimension] = null;
+      }
+    });
+    
+    return bucket;
+  }
+  
+  /**
+   * Limit configured for a bucket
+   * @param {string} key - Bucket key
+   * @param {string} dimension - "requests" or "tokens"
+   * @returns {number|null} Per-minute limit, or null when not set
+   * @private
+   */
+  static _getConfiguredLimit(key, dimension) {
+    return this.limits[key]?.[LIMIT_FIELDS[dimension]] || null;
+  }
+  
+  /**
+   * How long one dimension of a bucket needs to afford a cost
+   * A cost above the capacity waits for a full bucket rather than forever.
+   * @param {Object|null} state - Dimension state, or null when unlimited
+   * @param {number} cost - Requests or tokens needed
+   * @returns {number} Wait in ms
+   * @private
+   */
+  static _getDimensionWait(state, cost) {
+    if (!state || cost <= 0) return 0;
+    
+    const needed = Math.min(cost, state.capacity);
+    if (state.available >= needed) return 0;
+    
+    return state.rate > 0 ? Math.ceil((needed - state.available) / state.rate) : this.DEFAULT_BACKOFF;
+  }
+  
+  /**
+   * Take a cost from one dimension of a bucket
+   * @param {Object|null} state - Dimension state
+   * @param {number} cost - Requests or tokens
+   * @private
+   */
+  static _take(state, cost) {
+    if (state && cost > 0) {
+      state.available -= cost;
+    }
+  }
+  
+  /**
+   * Parse a rate limit reset header
+   * Providers send an RFC 3339 time (Anthropic), a duration such as "6m0s" or "20ms" (OpenAI),
+   * a Unix timestamp in ms (OpenRouter) or seconds until the reset.
+   * @param {string|null} value - Header value
+   * @param {number} now - Current time (ms)
+   * @returns {number|null} Reset time (ms), or null when missing or unreadable
+   * @private
+   */
+  static _parseReset(value, now) {
+    if (!value) return null;
+    
+    if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+      return Date.parse(value) || null;
+    }
+    
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      const number = parseFloat(value);
+      if (number > 1e12) return number;
+      if (number > 1e9) return number * 1000;
+      return now + number * 1000;
+    }
+    
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = [...value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+    if (!parts.length) return null;
+    
+    return now + parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * units[unit], 0);
+  }
+  
+  /**
+   * Sleep, ending early with a cancellation error if the signal aborts
+   * @param {number} ms - Milliseconds
+   * @param {AbortSignal} signal - Optional signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  static _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this._createCancelledError());
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this._createCancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  /**
+   * @returns {Error} CANCELLED error
+   * @private
+   */
+  static _createCancelledError() {
+    const error = new Error('Generation cancelled');
+    error.type = ERROR_TYPES.CANCELLED;
+    return error;
+  }
+}
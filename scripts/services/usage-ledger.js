@@ -0,0 +1,214 @@
+/**
+ * Usage Ledger Service
+ * Persistent record of what each generation cost and who ran it.
+ * Only GMs can write world settings, so player clients send their entries to the active GM.
+ * To keep the setting small, older entries are merged into one row per user, provider, model, type and day.
+ */
+
+import { MODULE_ID, SETTINGS, SOCKET_NAME } from '../constants.js';
+import Settings from '../utils/settings.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export default class UsageLedger {
+  /**
+   * Entries older than this are dropped when the ledger is written (days)
+   */
+  static RETENTION_DAYS = 400;
+  
+  /**
+   * Entries younger than this are kept one per generation; older ones are merged per day (days)
+   */
+  static DETAIL_DAYS = 7;
+  
+  /**
+   * Player side: entries not yet handed to a GM
+   * @type {Array<Object>}
+   */
+  static unsent = [];
+  
+  /**
+   * GM side: serializes writes so concurrent entries are not lost
+   * @type {Promise<void>}
+   */
+  static _writing = Promise.resolve();
+  
+  /**
+   * Listen for entries from player clients
+   * Called during the ready hook.
+   */
+  static initialize() {
+    game.socket.on(SOCKET_NAME, (message, senderId) => {
+      // With GM-only keys the relay records player spend on the GM, so reports from players are not needed
+      if (message?.action !== 'recordUsage' || message.gmId !== game.user.id || Settings.get(SETTINGS.GM_ONLY_KEYS)) {
+        return;
+      }
+      
+      const entries = (Array.isArray(message.entries) ? message.entries : [])
+        .map(entry => this._receiveEntry(entry, senderId))
+        .filter(Boolean);
+      if (entries.length > 0) this._append(entries);
+    });
+    
+    // Entries recorded while no GM was connected are sent when one arrives
+    Hooks.on('userConnected', (user, connected) => {
+      if (connected && user.isGM) this._flush();
+    });
+  }
+  
+  /**
+   * Record the cost of a finished generation
+   * @param {Object} usage - Usage details
+   * @param {string} usage.userId - User the generation is charged to
+   * @param {string} usage.provider - Provider that served the request
+   * @param {string} usage.model - Model used
+   * @param {string} usage.type - Generation type
+   * @param {number} usage.cost - Cost in USD
+   * @param {number} usage.estimate - Cost estimated before the generation, if known
+   * @returns {Promise<Object>} The recorded entry
+   */
+  static async record({ userId, provider, model, type, cost, estimate = null }) {
+    const entry = {
+      id: foundry.utils.randomID(),
+      userId,
+      provider,
+      model: model || null,
+      type: type || null,
+      cost: Number(cost) || 0,
+      estimate,
+      timestamp: Date.now()
+    };
+    
+    if (game.user.isGM) {
+      await this._append([entry]);
+    } else {
+      this.unsent.push(entry);
+      this._flush();
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Get ledger entries, including any this client has not handed to a GM yet
+   * @param {Object} filters - Optional filters
+   * @param {number} filters.since - Only entries at or after this time (ms)
+   * @param {string} filters.userId - Only entries charged to this user
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  static getEntries({ since = 0, userId = null } = {}) {
+    return [...(Settings.get(SETTINGS.USAGE_LEDGER) || []), ...this.unsent]
+      .filter(entry => entry.timestamp >= since && (!userId || entry.userId === userId));
+  }
+  
+  /**
+   * Sum the cost of matching entries
+   * @param {Object} filters - Same filters as getEntries
+   * @returns {number} Total in USD
+   */
+  static getTotal(filters = {}) {
+    return this.getEntries(filters).reduce((sum, entry) => sum + entry.cost, 0);
+  }
+  
+  /**
+   * Send entries recorded on this player client to the active GM
+   * @private
+   */
+  static _flush() {
+    const gm = game.users.activeGM;
+    if (!gm || this.unsent.length === 0) {
+      return;
+    }
+    
+    game.socket.emit(SOCKET_NAME, {
+      action: 'recordUsage',
+      userId: game.user.id,
+      gmId: gm.id,
+      entries: this.unsent
+    });
+    this.unsent = [];
+  }
+  
+  /**
+   * Rebuild an entry sent by a player from the fields the ledger keeps
+   * Entries are charged to the user the server says sent them and timed on arrival, whatever the message claims.
+   * @param {Object} entry - Entry from the message
+   * @param {string} userId - ID of the user who sent it
+   * @returns {Object|null} Entry to record, or null if its cost is not a valid amount
+   * @private
+   */
+  static _receiveEntry(entry, userId) {
+    const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const text = value => (typeof value === 'string' && value ? value : null);
+    
+    if (!isAmount(entry?.cost)) {
+      console.warn(`${MODULE_ID} | Ignoring a usage entry with an invalid cost from user ${userId}`);
+      return null;
+    }
+    
+    return {
+      id: foundry.utils.randomID(),
+      userId,
+      provider: text(entry.provider),
+      model: text(entry.model),
+      type: text(entry.type),
+      cost: entry.cost,
+      estimate: isAmount(entry.estimate) ? entry.estimate : null,
+      timestamp: Date.now()
+    };
+  }
+  
+  /**
+   * Add entries to the stored ledger, dropping expired ones and merging old ones
+   * @param {Array<Object>} entries - New entries
+   * @returns {Promise<void>}
+   * @private
+   */
+  static _append(entries) {
+    this._writing = this._writing.then(async () => {
+      const now = Date.now();
+      const ledger = (Settings.get(SETTINGS.USAGE_LEDGER) || []).filter(entry => entry.timestamp >= now - this.RETENTION_DAYS * DAY);
+      await Settings.set(SETTINGS.USAGE_LEDGER, [...this._compact(ledger, now), ...entries]);
+    }).catch(error => {
+      console.error(`${MODULE_ID} | Could not write the usage ledger:`, error);
+    });
+    
+    return this._writing;
+  }
+  
+  /**
+   * Merge entries older than DETAIL_DAYS into one row per user, provider, model, type and day
+   * A row is timed at the start of its day and counts the entries it holds, so totals since
+   * the start of a day or a month are unchanged.
+   * @param {Array<Object>} ledger - Stored entries, oldest first
+   * @param {number} now - Current time (ms)
+   * @returns {Array<Object>} Merged rows followed by the recent entries
+   * @private
+   */
+  static _compact(ledger, now) {
+    const cutoff = now - this.DETAIL_DAYS * DAY;
+    const rows = new Map();
+    const recent = [];
+    
+    for (const entry of ledger) {
+      if (entry.timestamp >= cutoff) {
+        recent.push(entry);
+        continue;
+      }
+      
+      const day = new Date(entry.timestamp).setHours(0, 0, 0, 0);
+      const key = [entry.userId, entry.provider, entry.model, entry.type, day].join('|');
+      const row = rows.get(key);
+      
+      if (!row) {
+        rows.set(key, { ...entry, count: entry.count || 1, timestamp: day });
+      } else {
+        row.cost += entry.cost;
+        row.count += entry.count || 1;
+        row.estimate = (row.estimate ?? null) === null && (entry.estimate ?? null) === null ? null : (row.estimate || 0) + (entry.estimate || 0);
+      }
+    }
+    
+    return [...rows.values(), ...recent];
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Usage Report Service
+ * Turns generation history into spend and count breakdowns, and exports them for bookkeeping
+ */
+
+/**
+ * Time periods a report can cover
+ */
+export const REPORT_PERIODS = {
+  TODAY: 'today',
+  LAST_7_DAYS: 'last7Days',
+  LAST_30_DAYS: 'last30Days',
+  THIS_MONTH: 'thisMonth',
+  ALL: 'all'
+};
+
+/**
+ * Columns of the exported ledger, in order
+ */
+const EXPORT_COLUMNS = ['date', 'user', 'type', 'provider', 'model', 'cost', 'estimate', 'currency', 'estimated', 'prompt'];
+
+export default class UsageReport {
+  /**
+   * Build ledger rows from history entries
+   * @param {Array<Object>} entries - HistoryManager entries
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.period - One of REPORT_PERIODS (default: all)
+   * @param {string} filters.type - Generation type
+   * @param {string} filters.provider - Provider ID
+   * @param {string} filters.userId - User ID
+   * @returns {Array<Object>} Rows, newest first
+   */
+  static getRows(entries, { period = REPORT_PERIODS.ALL, type = null, provider = null, userId = null } = {}) {
+    const since = this.getPeriodStart(period);
+    
+    return entries
+      .map(entry => this._toRow(entry))
+      .filter(row => row.timestamp >= since)
+      .filter(row => (!type || row.type === type) && (!provider || row.provider === provider) && (!userId || row.userId === userId))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+  
+  /**
+   * Summarize rows into totals and breakdowns
+   * @param {Array<Object>} rows - Rows from getRows
+   * @returns {Object} { count, cost, byProvider, byModel, byUser, byType, byDay, accuracy }, each breakdown
+   *   an array of { key, count, cost, share } sorted by cost, except byDay which is in date order
+   */
+  static summarize(rows) {
+    const cost = rows.reduce((sum, row) => sum + row.cost, 0);
+    
+    return {
+      count: rows.length,
+      cost,
+      byProvider: this._group(rows, row => row.provider, cost),
+      byModel: this._group(rows, row => row.model || 'default', cost),
+      byUser: this._group(rows, row => row.userId || 'unknown', cost),
+      byType: this._group(rows, row => row.type, cost),
+      byDay: this._group(rows, row => this._formatDate(row.timestamp), cost)
+        .sort((a, b) => a.key.localeCompare(b.key)),
+      accuracy: this.getAccuracy(rows)
+    };
+  }
+  
+  /**
+   * Compare the estimates shown before generation with the actual costs
+   * Only rows with both a pre-generation estimate and a reported cost count.
+   * @param {Array<Object>} rows - Rows from getRows
+   * @returns {Object} { count, estimated, actual, error } where error is the relative
+   *   difference of the totals (positive when estimates ran high), or null without data
+   */
+  static getAccuracy(rows) {
+    const compared = rows.filter(row => row.estimate !== null && !row.estimated);
+    const estimated = compared.reduce((sum, row) => sum + row.estimate, 0);
+    const actual = compared.reduce((sum, row) => sum + row.cost, 0);
+    
+    return {
+      count: compared.length,
+      estimated,
+      actual,
+      error: actual > 0 ? (estimated - actual) / actual : null
+    };
+  }
+  
+  /**
+   * Export rows as CSV
+   * @param {Array<Object>} rows - Rows from getRows
+   * @param {Function} getUserName - Maps a user ID to a display name
+   * @returns {string} CSV with a header line
+   */
+  static toCSV(rows, getUserName = id => id) {
+    const lines = this._toRecords(rows, getUserName)
+      .map(record => EXPORT_COLUMNS.map(column => this._escapeCSV(record[column])).join(','));
+    return [EXPORT_COLUMNS.join(','), ...lines].join('\n');
+  }
+  
+  /**
+   * Export rows as JSON
+   * @param {Array<Object>} rows - Rows from getRows
+   * @param {Function} getUserName - Maps a user ID to a display name
+   * @returns {string} Pretty-printed JSON array
+   */
+  static toJSON(rows, getUserName = id => id) {
+    return JSON.stringify(this._toRecords(rows, getUserName), null, 2);
+  }
+  
+  /**
+   * Start of a report period in local time
+   * @param {string} period - One of REPORT_PERIODS
+   * @returns {number} Timestamp (ms); 0 for all time
+   */
+  static getPeriodStart(period) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    
+    switch (period) {
+      case REPORT_PERIODS.TODAY:
+        return today.getTime();
+      case REPORT_PERIODS.LAST_7_DAYS:
+        return today.getTime() - 6 * 24 * 60 * 60 * 1000;
+      case REPORT_PERIODS.LAST_30_DAYS:
+        return today.getTime() - 29 * 24 * 60 * 60 * 1000;
+      case REPORT_PERIODS.THIS_MONTH:
+        return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+      default:
+        return 0;
+    }
+  }
+  
+  /**
+   * Normalize a history entry
+   * Older entries store the cost as a string or leave it out.
+   * @param {Object} entry - HistoryManager entry
+   * @returns {Object} Row
+   * @private
+   */
+  static _toRow(entry) {
+    const cost = entry.cost && typeof entry.cost === 'object' ? entry.cost : { amount: entry.cost };
+    return {
+      id: entry.id,
+      timestamp: entry.timestamp || 0,
+      // Approved requests are charged to the player who asked for them
+      userId: entry.requestedBy || entry.userId || null,
+      type: entry.type,
+      provider: entry.provider,
+      model: entry.model || null,
+      cost: Number(cost.amount) || 0,
+      currency: cost.currency || 'USD',
+      estimated: !!cost.estimated,
+      estimate: typeof cost.estimate === 'number' ? cost.estimate : null,
+      prompt: entry.prompt || ''
+    };
+  }
+  
+  /**
+   * Group rows and total each group
+   * @param {Array<Object>} rows - Rows
+   * @param {Function} getKey - Group key of a row
+   * @param {number} total - Total cost, for each group's share
+   * @returns {Array<Object>} Groups sorted by cost, then count
+   * @private
+   */
+  static _group(rows, getKey, total) {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = getKey(row);
+      const group = groups.get(key) || { key, count: 0, cost: 0 };
+      group.count++;
+      group.cost += row.cost;
+      groups.set(key, group);
+    }
+    
+    return [...groups.values()]
+      .map(group => ({ ...group, share: total > 0 ? group.cost / total : 0 }))
+      .sort((a, b) => b.cost - a.cost || b.count - a.count);
+  }
+  
+  /**
+   * Build export records
+   * @param {Array<Object>} rows - Rows
+   * @param {Function} getUserName - Maps a user ID to a display name
+   * @returns {Array<Object>} One record per row, keyed by EXPORT_COLUMNS
+   * @private
+   */
+  static _toRecords(rows, getUserName) {
+    return rows.map(row => ({
+      date: new Date(row.timestamp).toISOString(),
+      user: row.userId ? getUserName(row.userId) : '',
+      type: row.type,
+      provider: row.provider,
+      model: row.model || '',
+      cost: row.cost.toFixed(4),
+      estimate: row.estimate === null ? '' : row.estimate.toFixed(4),
+      currency: row.currency,
+      estimated: row.estimated,
+      prompt: row.prompt
+    }));
+  }
+  
+  /**
+   * Quote a CSV value when needed
+   * Prompts starting with a formula character are prefixed so spreadsheets show them as text.
+   * @param {*} value - Cell value
+   * @returns {string} CSV cell
+   * @private
+   */
+  static _escapeCSV(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  
+  /**
+   * Local date as YYYY-MM-DD
+   * @param {number} timestamp - Timestamp (ms)
+   * @returns {string} Date key
+   * @private
+   */
+  static _formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
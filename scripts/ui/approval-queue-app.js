@@ -0,0 +1,117 @@
+/**
+ * Approval Queue App
+ * GM view of player generation requests
+ */
+
+import { MODULE_ID, ERROR_TYPES } from '../constants.js';
+import ProviderRegistry from '../api/provider-registry.js';
+import ApprovalQueue, { APPROVAL_HOOK, REQUEST_STATUS } from '../services/approval-queue.js';
+
+export default class ApprovalQueueApp extends Application {
+  constructor(options = {}) {
+    super(options);
+    this._queueHookId = Hooks.on(APPROVAL_HOOK, () => this.render());
+  }
+  
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'oracle-world-approval-queue',
+      title: 'Oracle World - Approval Queue',
+      template: `modules/${MODULE_ID}/templates/approval-queue.hbs`,
+      width: 600,
+      height: 'auto',
+      classes: [MODULE_ID, 'approval-queue'],
+      resizable: true
+    });
+  }
+  
+  async getData() {
+    const requests = ApprovalQueue.getAll().map(request => ({
+      ...request,
+      providerName: ProviderRegistry.get(request.provider)?.name || request.provider,
+      submitted: new Date(request.createdAt).toLocaleString(),
+      generating: request.status === REQUEST_STATUS.GENERATING
+    }));
+    
+    return {
+      requests,
+      hasRequests: requests.length > 0
+    };
+  }
+  
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('.approve-btn').click(this._onApprove.bind(this));
+    html.find('.reject-btn').click(this._onReject.bind(this));
+    html.find('.open-document').click(this._onOpenDocument.bind(this));
+  }
+  
+  /** @override */
+  async close(options) {
+    Hooks.off(APPROVAL_HOOK, this._queueHookId);
+    return super.close(options);
+  }
+  
+  /**
+   * Approve a request with the prompt as edited in the list
+   * @param {Event} event - Click event
+   */
+  async _onApprove(event) {
+    const row = $(event.currentTarget).closest('.approval-request');
+    const id = row.data('requestId');
+    const prompt = row.find('[name="prompt"]').val();
+    
+    try {
+      await this._approve(id, prompt);
+    } catch (error) {
+      if (error.type !== ERROR_TYPES.BUDGET_EXCEEDED || !error.details?.canOverride) {
+        ui.notifications.error(`Approved generation failed: ${error.message}`);
+        return;
+      }
+      
+      const confirmed = await Dialog.confirm({
+        title: 'Spending Budget Reached',
+        content: `<p>${error.message}.</p><p>Approve anyway?</p>`
+      });
+      if (!confirmed) return;
+      
+      try {
+        await this._approve(id, prompt, true);
+      } catch (retryError) {
+        ui.notifications.error(`Approved generation failed: ${retryError.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Approve a request and report success
+   * @param {string} id - Request ID
+   * @param {string} prompt - Edited prompt
+   * @param {boolean} budgetOverride - Go over the player's spending budget
+   * @private
+   */
+  async _approve(id, prompt, budgetOverride = false) {
+    await ApprovalQueue.approve(id, { prompt, budgetOverride });
+    ui.notifications.info('Request approved and applied');
+  }
+  
+  /**
+   * Reject a request with the reason typed in the list
+   * @param {Event} event - Click event
+   */
+  async _onReject(event) {
+    const row = $(event.currentTarget).closest('.approval-request');
+    await ApprovalQueue.reject(row.data('requestId'), row.find('[name="reason"]').val().trim());
+  }
+  
+  /**
+   * Open the sheet of the document a request targets
+   * @param {Event} event - Click event
+   */
+  async _onOpenDocument(event) {
+    event.preventDefault();
+    const document = await fromUuid(event.currentTarget.dataset.uuid);
+    document?.sheet.render(true);
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Budget Config App
+ * GM form for spending caps, warning thresholds and what happens over the limit
+ */
+
+import { MODULE_ID, SETTINGS } from '../constants.js';
+import Settings from '../utils/settings.js';
+import BudgetManager, { OVER_LIMIT_ACTIONS } from '../services/budget-manager.js';
+
+export default class BudgetConfigApp extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'oracle-world-budgets',
+      title: 'Oracle World - Spending Budgets',
+      template: `modules/${MODULE_ID}/templates/budget-config.hbs`,
+      width: 560,
+      height: 'auto',
+      classes: [MODULE_ID, 'budget-config'],
+      closeOnSubmit: true
+    });
+  }
+  
+  async getData() {
+    const config = BudgetManager.getConfig();
+    
+    const users = game.users.map(user => ({
+      id: user.id,
+      name: user.name,
+      isGM: user.isGM,
+      daily: config.users[user.id]?.daily ?? '',
+      monthly: config.users[user.id]?.monthly ?? '',
+      status: BudgetManager.getStatus(user.id)
+        .filter(cap => cap.scope === 'user')
+        .map(cap => `${cap.period}: $${cap.spent.toFixed(2)} / $${cap.limit.toFixed(2)}`)
+        .join(', ')
+    }));
+    
+    return {
+      world: {
+        daily: config.world.daily ?? '',
+        monthly: config.world.monthly ?? '',
+        status: BudgetManager.getStatus(game.user.id)
+          .filter(cap => cap.scope === 'world')
+          .map(cap => `${cap.period}: $${cap.spent.toFixed(2)} / $${cap.limit.toFixed(2)}`)
+          .join(', ')
+      },
+      user: {
+        daily: config.user.daily ?? '',
+        monthly: config.user.monthly ?? ''
+      },
+      users,
+      warningThresholds: config.warningThresholds.join(', '),
+      overLimitOptions: [
+        { value: OVER_LIMIT_ACTIONS.OVERRIDE, label: 'Block, but let a GM override', selected: config.overLimit === OVER_LIMIT_ACTIONS.OVERRIDE },
+        { value: OVER_LIMIT_ACTIONS.BLOCK, label: 'Always block', selected: config.overLimit === OVER_LIMIT_ACTIONS.BLOCK }
+      ]
+    };
+  }
+  
+  /** @override */
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    
+    const users = {};
+    for (const [id, limits] of Object.entries(data.users || {})) {
+      const parsed = this._parseLimits(limits);
+      if (parsed.daily !== null || parsed.monthly !== null) {
+        users[id] = parsed;
+      }
+    }
+    
+    const warningThresholds = String(data.warningThresholds || '')
+      .split(',')
+      .map(value => parseFloat(value))
+      .filter(value => value > 0 && value <= 100);
+    
+    await Settings.set(SETTINGS.BUDGETS, {
+      world: this._parseLimits(data.world),
+      user: this._parseLimits(data.user),
+      users,
+      warningThresholds,
+      overLimit: data.overLimit
+    });
+    
+    ui.notifications.info('Spending budgets saved');
+  }
+  
+  /**
+   * Read a pair of cap fields, treating blank as unlimited
+   * @param {Object} limits - Form values ({ daily, monthly })
+   * @returns {Object} Caps ({ daily, monthly })
+   * @private
+   */
+  _parseLimits(limits = {}) {
+    const parse = value => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) && number >= 0 ? number : null;
+    };
+    return { daily: parse(limits.daily), monthly: parse(limits.monthly) };
+  }
+}
@@ -3,18 +3,49 @@
  * Main UI for AI content generation
  */
 
-import { MODULE_ID, GENERATION_TYPES } from '../constants.js';
+import { MODULE_ID, PROVIDERS, GENERATION_TYPES, GENERATION_METHODS, ERROR_TYPES } from '../constants.js';
 import ProviderFactory from '../api/provider-factory.js';
+import ProviderRegistry from '../api/provider-registry.js';
 import CostEstimator from '../services/cost-estimator.js';
+import FallbackChain from '../services/fallback-chain.js';
+import ModelCatalog from '../services/model-catalog.js';
+import DocumentApplier from '../services/document-applier.js';
+import ApprovalQueue from '../services/approval-queue.js';
+import { JOB_PRIORITIES } from '../services/queue-manager.js';
+import ProviderHealth, { HEALTH_HOOK } from '../services/provider-health.js';
+
+/**
+ * Minimum context lengths offered by the model picker (tokens)
+ */
+const CONTEXT_LENGTHS = [0, 8000, 32000, 128000, 200000, 1000000];
 
 export default class GenerationDialog extends Application {
+  /**
+   * @param {Document} context - Document to generate for
+   * @param {Object} options - Application options, plus:
+   * @param {string} options.type - Generation type
+   * @param {string} options.provider - Provider to select
+   * @param {Object} options.params - Parameters to start from, such as those of a history entry
+   * @param {string} options.parentId - History entry the next generation comes from
+   */
   constructor(context, options = {}) {
     super(options);
     this.context = context;
     this.generationType = options.type || GENERATION_TYPES.IMAGE;
-    this.provider = null;
-    this.model = null;
+    this.preset = options.params || {};
+    this.provider = options.provider || null;
+    this.model = this.preset.model || null;
+    this.prompt = this.preset.prompt;
+    this.sampler = this.preset.sampler;
+    // History entry of the current result, or the one being tweaked; the next generation's parent
+    this.entry = options.parentId ? game.oracleWorld.historyManager.get(options.parentId) || null : null;
     this.result = null;
+    this.abortController = null;
+    this.minContext = 0;
+    this.modelSearch = '';
+    this.refreshModels = false;
+    this.requiresApproval = ApprovalQueue.requiresApproval();
+    this._healthHookId = Hooks.on(HEALTH_HOOK, this._onProviderHealthChanged.bind(this));
   }
   
   static get defaultOptions() {
@@ -29,18 +60,27 @@ export default class GenerationDialog extends Application {
     });
   }
   
-  getData() {
-    const providers = ProviderFactory.getAvailableProviders();
+  async getData() {
+    // Only offer providers that can produce this dialog's generation type
+    const providers = ProviderFactory.getAvailableProviders(this.generationType).map(provider => {
+      const health = ProviderHealth.getStatus(provider.id);
+      return { ...provider, health: health.status, label: this._formatProviderLabel(provider.name, health) };
+    });
     const templates = game.oracleWorld.templateManager
       .getByCategory(this.context.documentName.toLowerCase());
     
     // Auto-select first provider if none selected
+    if (this.provider && !providers.some(provider => provider.id === this.provider)) {
+      this.provider = null;
+      this.model = null;
+    }
     if (!this.provider && providers.length > 0) {
       this.provider = providers[0].id;
     }
     
     let models = [];
     let categories = [];
+    let samplers = [];
     if (this.provider) {
       try {
         console.log(`${MODULE_ID} | Getting models for provider: ${this.provider}, type: ${this.generationType}`);
@@ -54,11 +94,19 @@ export default class GenerationDialog extends Application {
             categories = client.getModelCategories();
           }
           
-          // Get models (filtered by category if set)
+          // Get models (filtered by category if set); providers with live lists also filter by context length
           const category = this.modelCategory || 'all';
-          models = client.getAvailableModels(this.generationType, category);
+          models = await client.getAvailableModels(this.generationType, category, {
+            refresh: this.refreshModels,
+            minContext: this.minContext
+          });
           console.log(`${MODULE_ID} | Models retrieved:`, models);
           
+          // Self-hosted image servers report their own samplers
+          if (client.getSamplers) {
+            samplers = await client.getSamplers();
+          }
+          
           // Auto-select first model if none selected
           if (!this.model && models.length > 0) {
             this.model = models[0].id;
@@ -74,21 +122,58 @@ export default class GenerationDialog extends Application {
       console.warn(`${MODULE_ID} | No provider selected`);
     }
     
+    this.refreshModels = false;
+    this.models = models;
+    const capabilities = this._getCapabilities();
+    const showImageOptions = [GENERATION_TYPES.IMAGE, GENERATION_TYPES.IMAGE_TRANSFORM].includes(this.generationType);
+    
     return {
       context: this.context,
       type: this.generationType,
       providers,
       models,
       categories,
+      samplers,
+      currentSampler: this.sampler || '',
       templates,
       currentProvider: this.provider,
       currentModel: this.model,
       currentCategory: this.modelCategory || 'all',
+      canRefreshModels: this._canDiscoverModels(),
+      modelsFetchedAt: ModelCatalog.getFetchedAt(this.provider)
+        ? new Date(ModelCatalog.getFetchedAt(this.provider)).toLocaleString()
+        : null,
+      showModelSearch: models.length > 10 || !!this.modelSearch,
+      modelSearch: this.modelSearch,
+      contextOptions: models.some(model => model.contextLength) || this.minContext
+        ? CONTEXT_LENGTHS.map(value => ({
+          value,
+          label: value ? `${this._formatContextLength(value)}+ tokens` : 'Any context',
+          selected: value === this.minContext
+        }))
+        : [],
       showCustomModelInput: this.model === 'custom',
+      showMidjourneyOptions: this.provider === PROVIDERS.MIDJOURNEY,
+      capabilities,
+      showImageOptions,
+      showNegativePrompt: showImageOptions && !!capabilities?.negativePrompt,
+      showSeed: showImageOptions && !!capabilities?.seed,
+      showCount: showImageOptions && (capabilities?.maxCount || 1) > 1,
+      sizeOptions: (capabilities?.sizes || []).map(size => ({ value: size, label: size.replace('x', ' × ') })),
+      defaultSize: this._getDefaultSize(capabilities),
+      values: {
+        negativePrompt: this.preset.negativePrompt || '',
+        width: this.preset.width || 1024,
+        height: this.preset.height || 1024,
+        count: this.preset.count || 1,
+        seed: this.preset.seed ?? '',
+        stylize: this.preset.stylize ?? ''
+      },
       customModelId: this.customModelId || '',
       result: this.result,
       hasResult: !!this.result,
-      prompt: this._getDefaultPrompt()
+      requiresApproval: this.requiresApproval,
+      prompt: this.prompt ?? this._getDefaultPrompt()
     };
   }
   
@@ -98,10 +183,17 @@ export default class GenerationDialog extends Application {
     html.find('[name="provider"]').change(this._onProviderChange.bind(this));
     html.find('[name="category"]').change(this._onCategoryChange.bind(this));
     html.find('[name="model"]').change(this._onModelChange.bind(this));
+    html.find('[name="modelSearch"]').on('input', this._onModelSearch.bind(this));
+    html.find('[name="minContext"]').change(this._onMinContextChange.bind(this));
+    html.find('.refresh-models').click(this._onRefreshModels.bind(this));
+    this._applyModelSearch(html);
+    html.find('[name="sampler"]').change(event => { this.sampler = event.target.value; });
     html.find('[name="customModelId"]').on('input', this._onCustomModelChange.bind(this));
     html.find('[name="template"]').change(this._onTemplateChange.bind(this));
     html.find('[name="prompt"]').on('input', this._onPromptChange.bind(this));
     html.find('.generate-btn').click(this._onGenerate.bind(this));
+    html.find('.cancel-btn').click(this._onCancel.bind(this));
+    html.find('.midjourney-action-btn').click(this._onMidjourneyAction.bind(this));
     html.find('.apply-btn').click(this._onApply.bind(this));
     html.find('.save-btn').click(this._onSave.bind(this));
     html.find('.close-btn').click(() => this.close());
@@ -109,6 +201,8 @@ export default class GenerationDialog extends Application {
   
   async _onProviderChange(event) {
     this.provider = event.target.value;
+    this.modelSearch = '';
+    this.minContext = 0;
     await this._updateModels();
     this.render();
   }
@@ -120,16 +214,77 @@ export default class GenerationDialog extends Application {
   }
   
   async _onModelChange(event) {
+    const previous = this._getModelInfo(this.model);
     this.model = event.target.value;
     
-    // Show custom input if "custom" is selected
-    if (this.model === 'custom') {
+    // Show custom input if "custom" is selected; re-render when the model narrows the provider's options
+    if (this.model === 'custom' || previous?.capabilities || this._getModelInfo(this.model)?.capabilities) {
       this.render();
     } else {
       await this._updateCostEstimate();
     }
   }
   
+  /**
+   * Hide models that do not match the search text
+   * Filters the rendered options, so typing does not re-render the dialog.
+   * @param {Event} event - Input event
+   * @private
+   */
+  _onModelSearch(event) {
+    this.modelSearch = event.target.value;
+    this._applyModelSearch(this.element);
+  }
+  
+  /**
+   * Apply the current search text to the model picker
+   * @param {jQuery} html - Dialog element
+   * @private
+   */
+  _applyModelSearch(html) {
+    const terms = this.modelSearch.toLowerCase().split(/\s+/).filter(Boolean);
+    
+    html.find('[name="model"] option').each((index, option) => {
+      const text = `${option.value} ${option.textContent}`.toLowerCase();
+      option.hidden = !!option.value && option.value !== this.model && !terms.every(term => text.includes(term));
+    });
+  }
+  
+  async _onMinContextChange(event) {
+    this.minContext = parseInt(event.target.value) || 0;
+    this.render();
+  }
+  
+  /**
+   * Fetch the provider's model list again, ignoring the cache
+   * @private
+   */
+  async _onRefreshModels() {
+    this.refreshModels = true;
+    this.render();
+  }
+  
+  /**
+   * Format a context length for display
+   * @param {number} tokens - Context length
+   * @returns {string} E.g. "128K" or "1M"
+   * @private
+   */
+  _formatContextLength(tokens) {
+    return tokens >= 1000000 ? `${tokens / 1000000}M` : `${tokens / 1000}K`;
+  }
+  
+  /**
+   * Check whether the selected provider fetches its models live
+   * Checked on the provider's client class, since relay clients only mirror the relayed methods.
+   * @returns {boolean} True if the model list can be refreshed
+   * @private
+   */
+  _canDiscoverModels() {
+    const clientClass = ProviderRegistry.get(this.provider)?.clientClass;
+    return typeof clientClass?.prototype?.fetchModels === 'function';
+  }
+  
   async _onCustomModelChange(event) {
     this.customModelId = event.target.value;
   }
@@ -144,6 +299,7 @@ export default class GenerationDialog extends Application {
     });
     
     if (applied) {
+      this.prompt = applied.prompt;
       this.element.find('[name="prompt"]').val(applied.prompt);
       if (applied.negativePrompt) {
         this.element.find('[name="negativePrompt"]').val(applied.negativePrompt);
@@ -152,15 +308,93 @@ export default class GenerationDialog extends Application {
     }
   }
   
-  async _onPromptChange() {
+  async _onPromptChange(event) {
+    this.prompt = event.target.value;
     await this._updateCostEstimate();
   }
   
-  async _onGenerate(event) {
+  /**
+   * Display name of a registered provider
+   * @param {string} providerId - Provider ID
+   * @returns {string} Provider name
+   * @private
+   */
+  _getProviderName(providerId) {
+    return ProviderRegistry.get(providerId)?.name || providerId;
+  }
+  
+  /**
+   * Find the model info for a model ID among the models last shown
+   * @param {string} modelId - Model ID
+   * @returns {Object|undefined} Model info
+   * @private
+   */
+  _getModelInfo(modelId) {
+    return this.models?.find(model => model.id === modelId);
+  }
+  
+  /**
+   * Capabilities of the selected provider and model
+   * @returns {Object|null} Capabilities
+   * @private
+   */
+  _getCapabilities() {
+    if (!this.provider) return null;
+    return ProviderFactory.getCapabilities(this.provider, this._getModelInfo(this.model));
+  }
+  
+  /**
+   * Send the generation to the GM's approval queue instead of running it
+   * @param {Object} params - Generation parameters
+   * @private
+   */
+  _submitForApproval(params) {
+    try {
+      ApprovalQueue.submit(this.context, { type: this.generationType, provider: this.provider, params });
+      ui.notifications.info('Request sent to the GM for approval');
+      this.close();
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+  
+  /**
+   * Run a Midjourney grid button (U1-U4, V1-V4) on the current result
+   * @param {Event} event - Click event
+   */
+  async _onMidjourneyAction(event) {
+    return this._onGenerate(event, {
+      action: event.currentTarget.dataset.action,
+      taskId: this.result.metadata.taskId
+    });
+  }
+  
+  /**
+   * Generate content from the form
+   * @param {Event} event - Click event
+   * @param {Object} overrides - Extra parameters, e.g. a Midjourney action on the previous result
+   * @param {Object} options - Generation options
+   * @param {boolean} options.budgetOverride - GM only: run even if it goes over a spending budget
+   */
+  async _onGenerate(event, overrides = {}, { budgetOverride = false } = {}) {
     event.preventDefault();
     
+    if (!ProviderFactory.supports(this.provider, this.generationType)) {
+      ui.notifications.warn(`The selected provider cannot generate ${this.generationType} content`);
+      return;
+    }
+    
     const formData = new FormData(this.element.find('form')[0]);
-    const params = this._buildGenerationParams(formData);
+    const params = { ...this._buildGenerationParams(formData), ...overrides };
+    
+    if (this.requiresApproval) {
+      this._submitForApproval(params);
+      return;
+    }
+    
+    this.abortController = new AbortController();
+    params.signal = this.abortController.signal;
+    const lineage = this._getLineage(params);
     
     console.log(`${MODULE_ID} | Starting generation with params:`, params);
     console.log(`${MODULE_ID} | Provider:`, this.provider);
@@ -168,31 +402,71 @@ export default class GenerationDialog extends Application {
     
     try {
       ui.notifications.info('Generating...');
-      this.element.find('.generate-btn').prop('disabled', true);
+      this._setGenerating(true);
       
       const client = ProviderFactory.create(this.provider);
       console.log(`${MODULE_ID} | Created client:`, client);
       
       const result = await game.oracleWorld.queueManager.enqueue({
         provider: this.provider,
-        execute: () => client.generateImage(params)
+        model: params.model,
+        signal: params.signal,
+        userId: game.user.id,
+        type: this.generationType,
+        method: params.action ? 'transformImage' : GENERATION_METHODS[this.generationType],
+        params,
+        budgetOverride,
+        priority: JOB_PRIORITIES.INTERACTIVE,
+        context: { documentUuid: this.context.uuid, ...lineage },
+        fallbacks: params.action ? [] : FallbackChain.getChain(this.generationType, { provider: this.provider, model: params.model }),
+        onFallback: (target, error) => {
+          ui.notifications.warn(`${this._getProviderName(this.provider)} unavailable (${error.type}), trying ${this._getProviderName(target.provider)}...`);
+        },
+        execute: async (target, signal) => {
+          if (target.provider === this.provider) {
+            return this._executeGeneration(client, { ...params, model: target.model, signal });
+          }
+          
+          const fallbackClient = ProviderFactory.create(target.provider);
+          const model = target.model || await FallbackChain.getDefaultModel(fallbackClient, this.generationType);
+          return this._executeGeneration(fallbackClient, { ...params, model, signal });
+        }
       });
       
       this.result = result;
       
-      await game.oracleWorld.historyManager.save({
+      // Record the provider that actually served the request, which differs after a fallback
+      this.entry = await game.oracleWorld.historyManager.save({
         type: this.generationType,
-        provider: this.provider,
-        model: this.model,
+        provider: result.provider || this.provider,
+        model: result.model || params.model,
         prompt: params.prompt,
+        params,
+        documentUuid: this.context.uuid,
+        ...lineage,
         result: result,
-        cost: result.cost
+        cost: result.cost,
+        fallback: result.fallback
       });
       
-      ui.notifications.info('Generation complete!');
+      if (result.fallback) {
+        ui.notifications.info(`Generation complete using fallback provider ${this._getProviderName(result.provider)}`);
+      } else {
+        ui.notifications.info('Generation complete!');
+      }
       this.render();
       
     } catch (error) {
+      if (error.type === ERROR_TYPES.CANCELLED) {
+        ui.notifications.info('Generation cancelled');
+        return;
+      }
+      
+      if (error.type === ERROR_TYPES.BUDGET_EXCEEDED) {
+        this._onBudgetExceeded(event, overrides, params, error);
+        return;
+      }
+      
       console.error(`${MODULE_ID} | Generation failed:`, error);
       console.error(`${MODULE_ID} | Error type:`, error.type);
       console.error(`${MODULE_ID} | Error details:`, error.details);
@@ -215,8 +489,179 @@ export default class GenerationDialog extends Application {
       
       ui.notifications.error(`Generation failed: ${errorMessage}`);
     } finally {
-      this.element.find('.generate-btn').prop('disabled', false);
+      this.abortController = null;
+      this._setGenerating(false);
+      this.element.find('.generation-progress').hide();
+    }
+  }
+  
+  /**
+   * Offer a way past a spending budget: a GM may override it, a player may ask the GM instead
+   * @param {Event} event - Original click event
+   * @param {Object} overrides - Extra parameters of the original generation
+   * @param {Object} params - Generation parameters
+   * @param {Error} error - BUDGET_EXCEEDED error
+   * @private
+   */
+  async _onBudgetExceeded(event, overrides, params, error) {
+    if (!error.details?.canOverride) {
+      ui.notifications.error(error.message);
+      return;
+    }
+    
+    if (game.user.isGM) {
+      const confirmed = await Dialog.confirm({
+        title: 'Spending Budget Reached',
+        content: `<p>${error.message}.</p><p>Generate anyway?</p>`
+      });
+      if (confirmed) this._onGenerate(event, overrides, { budgetOverride: true });
+      return;
+    }
+    
+    // Only owned actors and items can be requested
+    if (this.context?.isOwner && ['Actor', 'Item'].includes(this.context.documentName)) {
+      const confirmed = await Dialog.confirm({
+        title: 'Spending Budget Reached',
+        content: `<p>${error.message}.</p><p>Send this request to the GM for approval?</p>`
+      });
+      const { signal, ...requestParams } = params;
+      if (confirmed) this._submitForApproval(requestParams);
+      return;
     }
+    
+    ui.notifications.error(`${error.message}. Ask your GM to raise the budget.`);
+  }
+  
+  /**
+   * Cancel the generation in progress, whether it is still queued or already running
+   * @param {Event} event - Click event
+   */
+  _onCancel(event) {
+    event?.preventDefault();
+    this.abortController?.abort();
+  }
+  
+  /**
+   * Toggle the generate and cancel buttons
+   * @param {boolean} generating - Whether a generation is in progress
+   * @private
+   */
+  _setGenerating(generating) {
+    this.element.find('.generate-btn').prop('disabled', generating);
+    this.element.find('.cancel-btn').toggle(generating);
+  }
+  
+  /** @override */
+  async close(options) {
+    this.abortController?.abort();
+    Hooks.off(HEALTH_HOOK, this._healthHookId);
+    return super.close(options);
+  }
+  
+  /**
+   * Update a provider's dropdown entry when its health changes
+   * @param {string} provider - Provider ID
+   * @param {Object} health - Status from ProviderHealth.getStatus
+   * @private
+   */
+  _onProviderHealthChanged(provider, health) {
+    const option = this.element?.find(`[name="provider"] option[value="${provider}"]`);
+    if (!option?.length) return;
+    
+    const name = ProviderRegistry.get(provider)?.name || provider;
+    option.text(this._formatProviderLabel(name, health)).attr('data-health', health.status);
+  }
+  
+  /**
+   * Build a provider's dropdown label with its live status
+   * @param {string} name - Provider display name
+   * @param {Object} health - Status from ProviderHealth.getStatus
+   * @returns {string} Label, e.g. "OpenAI (unavailable, retry in 25s)"
+   * @private
+   */
+  _formatProviderLabel(name, health) {
+    switch (health.status) {
+      case 'down': {
+        const seconds = Math.max(1, Math.ceil((health.retryAt - Date.now()) / 1000));
+        return `${name} (unavailable, retry in ${seconds}s)`;
+      }
+      case 'recovering':
+        return `${name} (recovering)`;
+      case 'failing':
+        return `${name} (${health.consecutiveFailures} recent failure${health.consecutiveFailures === 1 ? '' : 's'})`;
+      case 'slow':
+        return `${name} (slow, ~${Math.round(health.averageLatency / 1000)}s)`;
+      default:
+        return name;
+    }
+  }
+  
+  /**
+   * Run the client call matching the dialog's generation type
+   * Text generations stream into the dialog as tokens arrive.
+   * @param {BaseAPIClient} client - Provider client
+   * @param {Object} params - Generation parameters
+   * @returns {Promise<Object>} Generation result
+   * @private
+   */
+  _executeGeneration(client, params) {
+    if (this.generationType === GENERATION_TYPES.TEXT) {
+      this._resetStreamPreview();
+      return client.generateText({
+        ...params,
+        onToken: (delta, text) => this._onStreamToken(text),
+        onReasoning: (delta, reasoning) => this._onStreamReasoning(reasoning)
+      });
+    }
+    
+    const method = params.action ? 'transformImage' : 'generateImage';
+    return client[method]({
+      ...params,
+      onProgress: (value, max) => this._onProgress(value, max)
+    });
+  }
+  
+  /**
+   * Show step progress reported by providers that support it
+   * @param {number} value - Completed steps
+   * @param {number} max - Total steps
+   * @private
+   */
+  _onProgress(value, max) {
+    const percent = max ? Math.round((value / max) * 100) : 0;
+    this.element.find('.generation-progress').show().text(`Progress: ${percent}%`);
+  }
+  
+  /**
+   * Clear and show the streaming text preview
+   * @private
+   */
+  _resetStreamPreview() {
+    this.element.find('.streaming-section').show();
+    this.element.find('.streaming-text').text('');
+    this.element.find('.streaming-reasoning').hide().find('.reasoning-text').text('');
+  }
+  
+  /**
+   * Update the streaming text preview with the text received so far
+   * @param {string} text - Accumulated text
+   * @private
+   */
+  _onStreamToken(text) {
+    const preview = this.element.find('.streaming-text');
+    preview.text(text);
+    preview.scrollTop(preview.prop('scrollHeight'));
+  }
+  
+  /**
+   * Update the streaming reasoning panel for models that think before answering
+   * @param {string} reasoning - Accumulated reasoning
+   * @private
+   */
+  _onStreamReasoning(reasoning) {
+    const panel = this.element.find('.streaming-reasoning');
+    panel.show();
+    panel.find('.reasoning-text').text(reasoning);
   }
   
   async _onApply(event) {
@@ -238,38 +683,61 @@ export default class GenerationDialog extends Application {
   }
   
   async _applyToDocument(result) {
-    if (!result.images || result.images.length === 0) return;
-    
-    const ImageStorage = (await import('../services/image-storage.js')).default;
-    const imagePath = await ImageStorage.saveFromURL(result.images[0], {
-      prefix: this.context.documentName.toLowerCase(),
-      name: this.context.name
-    });
+    await DocumentApplier.apply(this.context, result, { entryId: this.entry?.id });
+  }
+  
+  /**
+   * Link a generation to the history entry it starts from
+   * @param {Object} params - Generation parameters
+   * @returns {Object} { parentId, relationship }, or nothing for a fresh generation
+   * @private
+   */
+  _getLineage(params) {
+    if (!this.entry) return {};
     
-    if (this.context.documentName === 'Actor') {
-      await this.context.update({ img: imagePath });
-    } else if (this.context.documentName === 'Item') {
-      await this.context.update({ img: imagePath });
-    } else if (this.context.documentName === 'Scene') {
-      await this.context.update({ background: { src: imagePath } });
-    }
+    return {
+      parentId: this.entry.id,
+      relationship: game.oracleWorld.historyManager.getRelationship(this.entry, {
+        provider: this.provider,
+        type: this.generationType,
+        params
+      })
+    };
   }
   
   _buildGenerationParams(formData) {
     // Use custom model ID if "custom" is selected
     const modelId = this.model === 'custom' ? this.customModelId : this.model;
+    const capabilities = this._getCapabilities();
+    
+    // Providers with fixed sizes offer a single size select instead of width and height
+    const [sizeWidth, sizeHeight] = (formData.get('size') || '').split('x').map(value => parseInt(value));
     
     return {
       prompt: formData.get('prompt'),
-      negativePrompt: formData.get('negativePrompt'),
+      negativePrompt: formData.get('negativePrompt') || undefined,
       model: modelId,
-      width: parseInt(formData.get('width')) || 1024,
-      height: parseInt(formData.get('height')) || 1024,
-      count: parseInt(formData.get('count')) || 1,
+      width: sizeWidth || parseInt(formData.get('width')) || 1024,
+      height: sizeHeight || parseInt(formData.get('height')) || 1024,
+      count: Math.min(parseInt(formData.get('count')) || 1, capabilities?.maxCount || 1),
+      sampler: formData.get('sampler') || undefined,
+      stylize: this._parseOptionalInt(formData.get('stylize')),
+      seed: this._parseOptionalInt(formData.get('seed')),
       type: this.generationType
     };
   }
   
+  /**
+   * Parse an optional numeric field
+   * @param {string|null} value - Form value
+   * @returns {number|undefined} Parsed number, or undefined when empty
+   * @private
+   */
+  _parseOptionalInt(value) {
+    const parsed = parseInt(value);
+    return isNaN(parsed) ? undefined : parsed;
+  }
+  
   async _updateModels() {
     // Reset model selection when provider changes
     this.model = null;
@@ -279,7 +747,7 @@ export default class GenerationDialog extends Application {
       try {
         const client = ProviderFactory.create(this.provider);
         if (client.getAvailableModels) {
-          const models = client.getAvailableModels(this.generationType);
+          const models = await client.getAvailableModels(this.generationType);
           // Auto-select first model if available
           if (models.length > 0) {
             this.model = models[0].id;
@@ -306,6 +774,19 @@ export default class GenerationDialog extends Application {
     }
   }
   
+  /**
+   * Size selected in the size list: the preset's, or 1024 × 1024 when offered
+   * @param {Object} capabilities - Model capabilities
+   * @returns {string|undefined} Size, e.g. "1024x1024"
+   * @private
+   */
+  _getDefaultSize(capabilities) {
+    const sizes = capabilities?.sizes || [];
+    const preset = `${this.preset.width}x${this.preset.height}`;
+    if (sizes.includes(preset)) return preset;
+    return sizes.includes('1024x1024') ? '1024x1024' : sizes[0];
+  }
+  
   _getDefaultPrompt() {
     return `A detailed image of ${this.context.name}`;
   }
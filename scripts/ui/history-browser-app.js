@@ -0,0 +1,406 @@
+/**
+ * History Browser App
+ * Search the generation history, tag and favorite entries, and re-run, tweak or apply them
+ */
+
+import { MODULE_ID, GENERATION_TYPES, GENERATION_METHODS } from '../constants.js';
+import ProviderRegistry from '../api/provider-registry.js';
+import FallbackChain from '../services/fallback-chain.js';
+import DocumentApplier from '../services/document-applier.js';
+import ApprovalQueue from '../services/approval-queue.js';
+import { HISTORY_HOOK, RELATIONSHIPS } from '../services/history-manager.js';
+import { JOB_PRIORITIES } from '../services/queue-manager.js';
+import GenerationDialog from './generation-dialog.js';
+import VersionTreeApp from './version-tree-app.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export default class HistoryBrowserApp extends Application {
+  constructor(options = {}) {
+    super(options);
+    this.filters = { search: '', type: '', provider: '', model: '', from: '', to: '', tag: '', favorite: false };
+    this.page = 1;
+    this._historyHookId = Hooks.on(HISTORY_HOOK, foundry.utils.debounce(() => this.rendered && this.render(), 100));
+  }
+  
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'oracle-world-history-browser',
+      title: 'Oracle World - Generation History',
+      template: `modules/${MODULE_ID}/templates/history-browser.hbs`,
+      width: 760,
+      height: 680,
+      classes: [MODULE_ID, 'history-browser'],
+      resizable: true
+    });
+  }
+  
+  /**
+   * Show an entry's result in a dialog
+   * @param {Object} entry - History entry with its result
+   */
+  static showResult(entry) {
+    const result = entry.result || {};
+    let content = '';
+    if (result.images?.length) {
+      content = result.images.map(src => `<img src="${src}" style="max-width: 100%;">`).join('');
+    } else if (result.audio) {
+      content = `<audio controls src="${result.audio}"></audio>`;
+    } else if (result.text) {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = result.text;
+      paragraph.style.whiteSpace = 'pre-wrap';
+      content = paragraph.outerHTML;
+    }
+    
+    new Dialog({
+      title: `Result: ${entry.prompt?.slice(0, 60) || entry.type}`,
+      content: `<div class="oracle-world-history-result">${content || '<p>This result has nothing to show.</p>'}</div>`,
+      buttons: { close: { icon: '<i class="fas fa-times"></i>', label: 'Close' } }
+    }, { width: 520, resizable: true }).render(true);
+  }
+  
+  async getData() {
+    const historyManager = game.oracleWorld.historyManager;
+    const criteria = this._getCriteria();
+    const { entries, page, pages, total } = await historyManager.getPage({ ...criteria, page: this.page });
+    this.page = page;
+    
+    // Filter choices come from the entries the user can see
+    const visible = historyManager.filter({ userId: criteria.userId });
+    const option = (value, label, current) => ({ value, label, selected: value === current });
+    const unique = values => [...new Set(values.filter(Boolean))].sort();
+    
+    return {
+      filters: {
+        ...this.filters,
+        types: Object.values(GENERATION_TYPES).map(type => option(type, type, this.filters.type)),
+        providers: unique(visible.map(entry => entry.provider))
+          .map(id => option(id, ProviderRegistry.get(id)?.name || id, this.filters.provider)),
+        models: unique(visible.map(entry => entry.model)).map(id => option(id, id, this.filters.model)),
+        tags: unique(visible.flatMap(entry => entry.tags)).map(tag => option(tag, tag, this.filters.tag))
+      },
+      entries: entries.map(entry => this._formatEntry(entry)),
+      hasEntries: entries.length > 0,
+      total,
+      page,
+      pages,
+      hasPrevious: page > 1,
+      hasNext: page < pages
+    };
+  }
+  
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('[name="search"]').change(event => this._setFilter('search', event.currentTarget.value.trim()));
+    html.find('select[data-filter], input[type="date"][data-filter]').change(event => {
+      this._setFilter(event.currentTarget.dataset.filter, event.currentTarget.value);
+    });
+    html.find('[name="favorite"]').change(event => this._setFilter('favorite', event.currentTarget.checked));
+    html.find('.clear-filters').click(() => {
+      this.filters = { search: '', type: '', provider: '', model: '', from: '', to: '', tag: '', favorite: false };
+      this.page = 1;
+      this.render();
+    });
+    html.find('.page-previous').click(() => this._goToPage(this.page - 1));
+    html.find('.page-next').click(() => this._goToPage(this.page + 1));
+    
+    html.find('.entry-thumbnail, .view-entry').click(this._onView.bind(this));
+    html.find('.toggle-favorite').click(event => game.oracleWorld.historyManager.toggleFavorite(this._getEntryId(event)));
+    html.find('.edit-tags').click(this._onEditTags.bind(this));
+    html.find('.rerun-entry').click(this._onRerun.bind(this));
+    html.find('.tweak-entry').click(this._onTweak.bind(this));
+    html.find('.apply-entry').click(this._onApply.bind(this));
+    html.find('.show-versions').click(this._onShowVersions.bind(this));
+    html.find('.delete-entry').click(this._onDelete.bind(this));
+  }
+  
+  /** @override */
+  async close(options) {
+    Hooks.off(HISTORY_HOOK, this._historyHookId);
+    return super.close(options);
+  }
+  
+  /**
+   * Show an entry's result
+   * @param {Event} event - Click event
+   */
+  async _onView(event) {
+    event.preventDefault();
+    const entry = await this._loadEntry(event);
+    if (entry) HistoryBrowserApp.showResult(entry);
+  }
+  
+  /**
+   * Edit an entry's tags
+   * @param {Event} event - Click event
+   */
+  async _onEditTags(event) {
+    event.preventDefault();
+    const historyManager = game.oracleWorld.historyManager;
+    const entry = historyManager.get(this._getEntryId(event));
+    if (!entry) return;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = 'tags';
+    input.setAttribute('value', entry.tags.join(', '));
+    input.placeholder = 'tavern, npc, portrait';
+    
+    new Dialog({
+      title: 'Edit Tags',
+      content: `<div class="form-group"><label>Tags (comma-separated):</label>${input.outerHTML}</div>`,
+      buttons: {
+        save: {
+          icon: '<i class="fas fa-check"></i>',
+          label: 'Save',
+          callback: html => {
+            const tags = [...new Set(html.find('[name="tags"]').val().split(',').map(tag => tag.trim()).filter(Boolean))];
+            historyManager.update(entry.id, { tags });
+          }
+        },
+        cancel: { icon: '<i class="fas fa-times"></i>', label: 'Cancel' }
+      },
+      default: 'save'
+    }).render(true);
+  }
+  
+  /**
+   * Run an entry again with the same provider, model and parameters
+   * @param {Event} event - Click event
+   */
+  async _onRerun(event) {
+    event.preventDefault();
+    const entry = await this._loadEntry(event);
+    if (!entry) return;
+    
+    if (!entry.params) {
+      ui.notifications.warn('This entry was saved before its parameters were recorded. Use Tweak to generate it again.');
+      return;
+    }
+    
+    const params = { ...entry.params, model: entry.model || entry.params.model };
+    const lineage = { parentId: entry.id, relationship: RELATIONSHIPS.REROLL };
+    
+    if (ApprovalQueue.requiresApproval()) {
+      const document = await this._getDocument(entry);
+      if (!document) return;
+      
+      try {
+        ApprovalQueue.submit(document, { type: entry.type, provider: entry.provider, params });
+        ui.notifications.info('Request sent to the GM for approval');
+      } catch (error) {
+        ui.notifications.warn(error.message);
+      }
+      return;
+    }
+    
+    ui.notifications.info(`Generating again: ${entry.prompt?.slice(0, 60) || entry.type}`);
+    
+    try {
+      const result = await game.oracleWorld.queueManager.enqueue({
+        provider: entry.provider,
+        model: params.model,
+        userId: game.user.id,
+        type: entry.type,
+        method: params.action ? 'transformImage' : GENERATION_METHODS[entry.type],
+        params,
+        priority: JOB_PRIORITIES.INTERACTIVE,
+        label: entry.prompt?.slice(0, 60) || entry.type,
+        context: { documentUuid: entry.documentUuid, ...lineage },
+        fallbacks: params.action ? [] : FallbackChain.getChain(entry.type, { provider: entry.provider, model: params.model })
+      });
+      
+      await game.oracleWorld.historyManager.save({
+        type: entry.type,
+        provider: result.provider || entry.provider,
+        model: result.model || params.model,
+        prompt: params.prompt,
+        params,
+        documentUuid: entry.documentUuid,
+        ...lineage,
+        result,
+        cost: result.cost,
+        fallback: result.fallback,
+        tags: entry.tags
+      });
+      ui.notifications.info('Generation complete and saved to the history');
+    } catch (error) {
+      console.error(`${MODULE_ID} | Re-run failed:`, error);
+      ui.notifications.error(`Generation failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Open the generation dialog with an entry's provider and parameters
+   * @param {Event} event - Click event
+   */
+  async _onTweak(event) {
+    event.preventDefault();
+    const entry = await this._loadEntry(event);
+    const document = entry && await this._getDocument(entry);
+    if (!document) return;
+    
+    const params = { ...(entry.params || {}), prompt: entry.params?.prompt ?? entry.prompt, model: entry.model };
+    new GenerationDialog(document, { type: entry.type, provider: entry.provider, params, parentId: entry.id }).render(true);
+  }
+  
+  /**
+   * Apply an entry's result to the document it was generated for
+   * @param {Event} event - Click event
+   */
+  async _onApply(event) {
+    event.preventDefault();
+    const entry = await this._loadEntry(event);
+    const document = entry && await this._getDocument(entry);
+    if (!document) return;
+    
+    if (!document.isOwner) {
+      ui.notifications.warn(`You do not have permission to change ${document.name}`);
+      return;
+    }
+    
+    try {
+      await DocumentApplier.apply(document, entry.result, { entryId: entry.id });
+      ui.notifications.info(`Applied to ${document.name}`);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Apply failed:`, error);
+      ui.notifications.error(`Failed to apply: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Show the version tree of the document an entry was generated for
+   * @param {Event} event - Click event
+   */
+  async _onShowVersions(event) {
+    event.preventDefault();
+    const entry = game.oracleWorld.historyManager.get(this._getEntryId(event));
+    const document = entry && await this._getDocument(entry);
+    if (document) {
+      new VersionTreeApp(document).render(true);
+    }
+  }
+  
+  /**
+   * Delete an entry after confirmation
+   * @param {Event} event - Click event
+   */
+  async _onDelete(event) {
+    event.preventDefault();
+    const id = this._getEntryId(event);
+    
+    const confirmed = await Dialog.confirm({
+      title: 'Delete History Entry',
+      content: '<p>Delete this generation from the history?</p>'
+    });
+    if (confirmed) {
+      await game.oracleWorld.historyManager.delete(id);
+    }
+  }
+  
+  /**
+   * Prepare an entry for display
+   * @param {Object} entry - History entry with its result
+   * @returns {Object} Entry with display fields
+   * @private
+   */
+  _formatEntry(entry) {
+    const amount = entry.cost && typeof entry.cost === 'object' ? entry.cost.amount : parseFloat(entry.cost);
+    
+    return {
+      ...entry,
+      providerName: ProviderRegistry.get(entry.provider)?.name || entry.provider,
+      date: new Date(entry.timestamp).toLocaleString(),
+      thumbnail: entry.result?.images?.[0] || null,
+      snippet: entry.result?.text?.slice(0, 160) || '',
+      hasAudio: !!entry.result?.audio,
+      cost: Number.isFinite(amount) ? `$${amount.toFixed(4)}` : '',
+      canRerun: !!entry.params,
+      parentPrompt: entry.parentId ? game.oracleWorld.historyManager.get(entry.parentId)?.prompt?.slice(0, 40) || 'a deleted entry' : null,
+      hasDocument: !!entry.documentUuid
+    };
+  }
+  
+  /**
+   * Current filters as HistoryManager criteria
+   * Players only see their own generations.
+   * @returns {Object} Criteria
+   * @private
+   */
+  _getCriteria() {
+    const { search, type, provider, model, from, to, tag, favorite } = this.filters;
+    
+    return {
+      search,
+      type,
+      provider,
+      model,
+      favorite,
+      tags: tag ? [tag] : [],
+      from: from ? new Date(`${from}T00:00`).getTime() : null,
+      to: to ? new Date(`${to}T00:00`).getTime() + DAY - 1 : null,
+      userId: game.user.isGM ? null : game.user.id
+    };
+  }
+  
+  /**
+   * Change a filter and go back to the first page
+   * @param {string} name - Filter name
+   * @param {*} value - Filter value
+   * @private
+   */
+  _setFilter(name, value) {
+    this.filters[name] = value;
+    this.page = 1;
+    this.render();
+  }
+  
+  /**
+   * @param {number} page - Page number
+   * @private
+   */
+  _goToPage(page) {
+    this.page = page;
+    this.render();
+  }
+  
+  /**
+   * Load the entry a control belongs to, with its result
+   * @param {Event} event - Event on a control inside an entry
+   * @returns {Promise<Object|null>} Entry
+   * @private
+   */
+  async _loadEntry(event) {
+    const entry = await game.oracleWorld.historyManager.getEntry(this._getEntryId(event));
+    if (!entry) {
+      ui.notifications.warn('This entry is no longer in the history');
+    }
+    return entry;
+  }
+  
+  /**
+   * Document an entry was generated for
+   * @param {Object} entry - History entry
+   * @returns {Promise<Document|null>} Document
+   * @private
+   */
+  async _getDocument(entry) {
+    const document = entry.documentUuid ? await fromUuid(entry.documentUuid) : null;
+    if (!document) {
+      ui.notifications.warn('The document this was generated for no longer exists, or was not recorded');
+    }
+    return document;
+  }
+  
+  /**
+   * ID of the entry a control belongs to
+   * @param {Event} event - Event on a control inside an entry
+   * @returns {string} Entry ID
+   * @private
+   */
+  _getEntryId(event) {
+    return $(event.currentTarget).closest('.history-entry').data('entryId');
+  }
+}
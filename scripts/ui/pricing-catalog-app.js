@@ -0,0 +1,146 @@
+/**
+ * Pricing Catalog App
+ * GM view of model prices, with OpenRouter refresh and JSON override import
+ */
+
+import { MODULE_ID } from '../constants.js';
+import ProviderRegistry from '../api/provider-registry.js';
+import PricingCatalog, { PRICING_SOURCES } from '../services/pricing-catalog.js';
+
+/**
+ * Labels for where a price came from
+ */
+const SOURCE_LABELS = {
+  [PRICING_SOURCES.BUNDLED]: 'Bundled',
+  [PRICING_SOURCES.OPENROUTER]: 'OpenRouter',
+  [PRICING_SOURCES.OVERRIDE]: 'Override'
+};
+
+export default class PricingCatalogApp extends Application {
+  constructor(options = {}) {
+    super(options);
+    this.provider = ProviderRegistry.getAll().find(provider => PricingCatalog.hasProvider(provider.id))?.id || '';
+  }
+  
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'oracle-world-pricing-catalog',
+      title: 'Oracle World - Pricing Catalog',
+      template: `modules/${MODULE_ID}/templates/pricing-catalog.hbs`,
+      width: 640,
+      height: 'auto',
+      classes: [MODULE_ID, 'pricing-catalog'],
+      resizable: true
+    });
+  }
+  
+  async getData() {
+    const info = PricingCatalog.getInfo();
+    const providers = ProviderRegistry.getAll().filter(provider => PricingCatalog.hasProvider(provider.id));
+    
+    return {
+      layers: [
+        { label: 'Bundled', version: info.bundled.version, count: info.bundled.count },
+        info.openrouter
+          ? { label: 'OpenRouter', version: info.openrouter.version, count: info.openrouter.count }
+          : { label: 'OpenRouter', version: 'Not fetched' },
+        info.overrides
+          ? { label: 'Overrides', version: info.overrides.version, count: info.overrides.count }
+          : { label: 'Overrides', version: 'None' }
+      ],
+      hasOverrides: !!info.overrides,
+      providers: providers.map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        selected: provider.id === this.provider
+      })),
+      models: Object.entries(PricingCatalog.getProvider(this.provider))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([id, pricing]) => ({
+          id,
+          type: pricing.type,
+          price: PricingCatalog.describe(pricing),
+          source: SOURCE_LABELS[pricing.source] || pricing.source,
+          version: pricing.version || ''
+        }))
+    };
+  }
+  
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('select[name="provider"]').change(event => {
+      this.provider = event.currentTarget.value;
+      this.render();
+    });
+    html.find('.refresh-pricing').click(this._onRefresh.bind(this));
+    html.find('.export-pricing').click(this._onExport.bind(this));
+    html.find('.import-pricing').click(() => html.find('input[name="overrides"]').trigger('click'));
+    html.find('input[name="overrides"]').change(this._onImport.bind(this));
+    html.find('.clear-overrides').click(this._onClearOverrides.bind(this));
+  }
+  
+  /**
+   * Fetch current prices from OpenRouter
+   * @param {Event} event - Click event
+   * @private
+   */
+  async _onRefresh(event) {
+    event.currentTarget.disabled = true;
+    
+    try {
+      const count = await PricingCatalog.refresh();
+      ui.notifications.info(`Updated prices for ${count} OpenRouter models`);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Pricing refresh failed:`, error);
+      ui.notifications.error(`Could not refresh prices: ${error.message}`);
+    }
+    
+    this.render();
+  }
+  
+  /**
+   * Download the effective catalog as JSON, ready to edit and import
+   * @private
+   */
+  _onExport() {
+    const date = new Date().toISOString().slice(0, 10);
+    foundry.utils.saveDataToFile(PricingCatalog.toJSON(), 'application/json', `oracle-world-pricing-${date}.json`);
+  }
+  
+  /**
+   * Import a JSON file of overrides
+   * @param {Event} event - Change event of the file input
+   * @private
+   */
+  async _onImport(event) {
+    const file = event.currentTarget.files?.[0];
+    if (!file) return;
+    
+    try {
+      const overrides = await PricingCatalog.importOverrides(await foundry.utils.readTextFromFile(file));
+      const count = Object.values(overrides.providers).reduce((total, models) => total + Object.keys(models).length, 0);
+      ui.notifications.info(`Imported pricing overrides for ${count} models`);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Pricing import failed:`, error);
+      ui.notifications.error(`Could not import prices: ${error.message}`);
+    }
+    
+    this.render();
+  }
+  
+  /**
+   * Remove the imported overrides after confirmation
+   * @private
+   */
+  async _onClearOverrides() {
+    const confirmed = await Dialog.confirm({
+      title: 'Clear Pricing Overrides',
+      content: '<p>Remove all imported prices and go back to the bundled and OpenRouter prices?</p>'
+    });
+    if (!confirmed) return;
+    
+    await PricingCatalog.clearOverrides();
+    this.render();
+  }
+}
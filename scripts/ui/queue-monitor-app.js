@@ -0,0 +1,182 @@
+/**
+ * Queue Monitor App
+ * The current user's generation jobs: running, queued and finished, with cancel, retry and priority controls
+ */
+
+import { MODULE_ID } from '../constants.js';
+import ProviderRegistry from '../api/provider-registry.js';
+import CostEstimator from '../services/cost-estimator.js';
+import { QUEUE_HOOK, JOB_PRIORITIES, JOB_STATUS } from '../services/queue-manager.js';
+import HistoryBrowserApp from './history-browser-app.js';
+
+/**
+ * Labels for the priority select
+ */
+const PRIORITY_LABELS = {
+  [JOB_PRIORITIES.INTERACTIVE]: 'Interactive',
+  [JOB_PRIORITIES.NORMAL]: 'Normal',
+  [JOB_PRIORITIES.BATCH]: 'Batch'
+};
+
+export default class QueueMonitorApp extends Application {
+  constructor(options = {}) {
+    super(options);
+    this._queueHookId = Hooks.on(QUEUE_HOOK, foundry.utils.debounce(() => this.rendered && this.render(), 100));
+    this._timer = null;
+  }
+  
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'oracle-world-queue-monitor',
+      title: 'Oracle World - Generation Queue',
+      template: `modules/${MODULE_ID}/templates/queue-monitor.hbs`,
+      width: 560,
+      height: 'auto',
+      classes: [MODULE_ID, 'queue-monitor'],
+      resizable: true
+    });
+  }
+  
+  async getData() {
+    const queueManager = game.oracleWorld.queueManager;
+    const jobs = await Promise.all(queueManager.getJobs().map(job => this._formatJob(job)));
+    
+    return {
+      running: jobs.filter(job => job.status === JOB_STATUS.RUNNING),
+      queued: jobs.filter(job => job.status === JOB_STATUS.QUEUED),
+      finished: jobs.filter(job => ![JOB_STATUS.RUNNING, JOB_STATUS.QUEUED].includes(job.status)),
+      hasJobs: jobs.length > 0
+    };
+  }
+  
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('.cancel-job').click(event => game.oracleWorld.queueManager.cancel(this._getJobId(event)));
+    html.find('.retry-job').click(event => game.oracleWorld.queueManager.retry(this._getJobId(event)));
+    html.find('.open-result').click(this._onOpenResult.bind(this));
+    html.find('.clear-finished').click(() => game.oracleWorld.queueManager.clearFinished());
+    html.find('[name="priority"]').change(event => {
+      game.oracleWorld.queueManager.setPriority(this._getJobId(event), event.currentTarget.value);
+    });
+    
+    // Elapsed times tick without re-rendering the list
+    clearInterval(this._timer);
+    this._timer = html.find('[data-started]').length ? setInterval(() => this._updateElapsed(), 1000) : null;
+  }
+  
+  /** @override */
+  async close(options) {
+    Hooks.off(QUEUE_HOOK, this._queueHookId);
+    clearInterval(this._timer);
+    return super.close(options);
+  }
+  
+  /**
+   * Show a finished job's result
+   * @param {Event} event - Click event
+   */
+  async _onOpenResult(event) {
+    event.preventDefault();
+    const id = this._getJobId(event);
+    const historyManager = game.oracleWorld.historyManager;
+    const saved = historyManager.getAll().find(item => item.jobId === id);
+    const entry = saved && await historyManager.getEntry(saved.id);
+    
+    if (!entry?.result) {
+      ui.notifications.warn('The result of this generation is no longer in the history');
+      return;
+    }
+    
+    HistoryBrowserApp.showResult(entry);
+  }
+  
+  /**
+   * Prepare a job for display
+   * @param {Object} job - Job from QueueManager.getJobs
+   * @returns {Promise<Object>} Job with display fields
+   * @private
+   */
+  async _formatJob(job) {
+    const queueManager = game.oracleWorld.queueManager;
+    const active = [JOB_STATUS.RUNNING, JOB_STATUS.QUEUED].includes(job.status);
+    
+    return {
+      ...job,
+      providerName: ProviderRegistry.get(job.provider)?.name || job.provider,
+      model: job.params?.model || job.model || 'default',
+      prompt: job.params?.prompt || job.label,
+      cost: await this._formatCost(job),
+      elapsed: this._formatDuration(this._getElapsed(job)),
+      started: job.status === JOB_STATUS.RUNNING ? job.startedAt : null,
+      priorities: Object.entries(PRIORITY_LABELS).map(([value, label]) => ({ value, label, selected: value === job.priority })),
+      priorityLabel: PRIORITY_LABELS[job.priority] || job.priority,
+      canRetry: queueManager.canRetry(job),
+      hasResult: job.status === JOB_STATUS.DONE
+    };
+  }
+  
+  /**
+   * Actual cost of a finished job, or the estimate for the others
+   * @param {Object} job - Job
+   * @returns {Promise<string>} E.g. "$0.0400" or "~$0.0400", or "" when unknown
+   * @private
+   */
+  async _formatCost(job) {
+    if (job.status === JOB_STATUS.DONE && typeof job.cost === 'number') {
+      return `$${job.cost.toFixed(4)}`;
+    }
+    if (!job.params) return '';
+    
+    try {
+      const estimate = await CostEstimator.estimate(job.provider, job.params.model || job.model, job.params);
+      return estimate.estimated ? `~$${parseFloat(estimate.cost).toFixed(4)}` : '';
+    } catch (error) {
+      return '';
+    }
+  }
+  
+  /**
+   * Time a job has waited, run, or took
+   * @param {Object} job - Job
+   * @returns {number} Milliseconds
+   * @private
+   */
+  _getElapsed(job) {
+    if (job.status === JOB_STATUS.QUEUED) return Date.now() - job.createdAt;
+    if (!job.startedAt) return 0;
+    return (job.finishedAt || Date.now()) - job.startedAt;
+  }
+  
+  /**
+   * Refresh the elapsed times of running jobs
+   * @private
+   */
+  _updateElapsed() {
+    this.element?.find('[data-started]').each((index, element) => {
+      element.textContent = this._formatDuration(Date.now() - Number(element.dataset.started));
+    });
+  }
+  
+  /**
+   * Format a duration
+   * @param {number} ms - Milliseconds
+   * @returns {string} E.g. "42s" or "3m 05s"
+   * @private
+   */
+  _formatDuration(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+  }
+  
+  /**
+   * ID of the job a control belongs to
+   * @param {Event} event - Event on a control inside a job row
+   * @returns {string} Job ID
+   * @private
+   */
+  _getJobId(event) {
+    return $(event.currentTarget).closest('.queue-job').data('jobId');
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Usage Dashboard App
+ * GM overview of spend and generation counts, with ledger export
+ */
+
+import { MODULE_ID, GENERATION_TYPES } from '../constants.js';
+import ProviderRegistry from '../api/provider-registry.js';
+import UsageReport, { REPORT_PERIODS } from '../services/usage-report.js';
+
+/**
+ * Labels for the period filter
+ */
+const PERIOD_LABELS = {
+  [REPORT_PERIODS.TODAY]: 'Today',
+  [REPORT_PERIODS.LAST_7_DAYS]: 'Last 7 days',
+  [REPORT_PERIODS.LAST_30_DAYS]: 'Last 30 days',
+  [REPORT_PERIODS.THIS_MONTH]: 'This month',
+  [REPORT_PERIODS.ALL]: 'All time'
+};
+
+export default class UsageDashboardApp extends Application {
+  constructor(options = {}) {
+    super(options);
+    this.filters = { period: REPORT_PERIODS.LAST_30_DAYS, type: '', provider: '', userId: '' };
+  }
+  
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'oracle-world-usage-dashboard',
+      title: 'Oracle World - Usage Dashboard',
+      template: `modules/${MODULE_ID}/templates/usage-dashboard.hbs`,
+      width: 720,
+      height: 'auto',
+      classes: [MODULE_ID, 'usage-dashboard'],
+      resizable: true
+    });
+  }
+  
+  async getData() {
+    const entries = game.oracleWorld.historyManager.getAll();
+    const rows = this._getRows();
+    const summary = UsageReport.summarize(rows);
+    const allRows = UsageReport.getRows(entries);
+    
+    const option = (value, label, current) => ({ value, label, selected: value === current });
+    
+    return {
+      filters: {
+        periods: Object.entries(PERIOD_LABELS).map(([value, label]) => option(value, label, this.filters.period)),
+        types: Object.values(GENERATION_TYPES).map(type => option(type, type, this.filters.type)),
+        providers: [...new Set(allRows.map(row => row.provider))]
+          .map(id => option(id, this._getProviderName(id), this.filters.provider)),
+        users: [...new Set(allRows.map(row => row.userId).filter(Boolean))]
+          .map(id => option(id, this._getUserName(id), this.filters.userId))
+      },
+      count: summary.count,
+      cost: this._formatCost(summary.cost),
+      hasEstimates: rows.some(row => row.estimated),
+      accuracy: this._formatAccuracy(summary.accuracy),
+      hasRows: rows.length > 0,
+      breakdowns: [
+        { title: 'By Provider', groups: this._formatGroups(summary.byProvider, id => this._getProviderName(id)) },
+        { title: 'By Model', groups: this._formatGroups(summary.byModel) },
+        { title: 'By User', groups: this._formatGroups(summary.byUser, id => this._getUserName(id)) },
+        { title: 'By Type', groups: this._formatGroups(summary.byType) }
+      ],
+      days: this._formatGroups(summary.byDay),
+      recent: rows.slice(0, 20).map(row => ({
+        date: new Date(row.timestamp).toLocaleString(),
+        user: this._getUserName(row.userId),
+        type: row.type,
+        provider: this._getProviderName(row.provider),
+        model: row.model || '',
+        cost: this._formatCost(row.cost),
+        estimate: row.estimate === null ? '' : this._formatCost(row.estimate),
+        estimated: row.estimated
+      }))
+    };
+  }
+  
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('.usage-filters select').change(this._onFilterChange.bind(this));
+    html.find('.export-csv').click(() => this._export('csv'));
+    html.find('.export-json').click(() => this._export('json'));
+  }
+  
+  /**
+   * Apply a changed filter
+   * @param {Event} event - Change event
+   */
+  _onFilterChange(event) {
+    this.filters[event.currentTarget.name] = event.currentTarget.value;
+    this.render();
+  }
+  
+  /**
+   * Download the filtered ledger
+   * @param {string} format - 'csv' or 'json'
+   * @private
+   */
+  _export(format) {
+    const rows = this._getRows();
+    const getUserName = id => this._getUserName(id);
+    const data = format === 'csv' ? UsageReport.toCSV(rows, getUserName) : UsageReport.toJSON(rows, getUserName);
+    const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+    const date = new Date().toISOString().slice(0, 10);
+    
+    foundry.utils.saveDataToFile(data, mimeType, `oracle-world-usage-${date}.${format}`);
+  }
+  
+  /**
+   * Rows for the current filters
+   * @returns {Array<Object>} Rows
+   * @private
+   */
+  _getRows() {
+    const { period, type, provider, userId } = this.filters;
+    return UsageReport.getRows(game.oracleWorld.historyManager.getAll(), {
+      period,
+      type: type || null,
+      provider: provider || null,
+      userId: userId || null
+    });
+  }
+  
+  /**
+   * Prepare breakdown groups for the bar charts
+   * Bars are scaled to the largest group, by cost when anything cost money and by count otherwise.
+   * @param {Array<Object>} groups - Groups from UsageReport.summarize
+   * @param {Function} getLabel - Display name of a group key
+   * @returns {Array<Object>} Groups with label, formatted cost and bar width
+   * @private
+   */
+  _formatGroups(groups, getLabel = key => key) {
+    const byCost = groups.some(group => group.cost > 0);
+    const measure = group => (byCost ? group.cost : group.count);
+    const largest = Math.max(...groups.map(measure), 0);
+    
+    return groups.map(group => ({
+      label: getLabel(group.key),
+      count: group.count,
+      cost: this._formatCost(group.cost),
+      share: `${Math.round(group.share * 100)}%`,
+      width: largest > 0 ? Math.round((measure(group) / largest) * 100) : 0
+    }));
+  }
+  
+  /**
+   * Describe how close estimates came to actual costs
+   * @param {Object} accuracy - From UsageReport.getAccuracy
+   * @returns {Object|null} Formatted values, or null when nothing can be compared
+   * @private
+   */
+  _formatAccuracy(accuracy) {
+    if (accuracy.count === 0 || accuracy.error === null) return null;
+    
+    const percent = Math.round(Math.abs(accuracy.error) * 100);
+    return {
+      count: accuracy.count,
+      estimated: this._formatCost(accuracy.estimated),
+      actual: this._formatCost(accuracy.actual),
+      difference: percent === 0 ? 'on target' : `${percent}% ${accuracy.error > 0 ? 'high' : 'low'}`
+    };
+  }
+  
+  /**
+   * Format a USD amount
+   * @param {number} amount - Amount
+   * @returns {string} E.g. "$0.0400"
+   * @private
+   */
+  _formatCost(amount) {
+    return `$${amount.toFixed(4)}`;
+  }
+  
+  /**
+   * Display name of a provider
+   * @param {string} id - Provider ID
+   * @returns {string} Provider display name
+   * @private
+   */
+  _getProviderName(id) {
+    return ProviderRegistry.get(id)?.name || id;
+  }
+  
+  /**
+   * Display name of a user
+   * @param {string} id - User ID
+   * @returns {string} User name, or a placeholder for entries saved before users were recorded
+   * @private
+   */
+  _getUserName(id) {
+    if (!id || id === 'unknown') return 'Unknown';
+    return game.users.get(id)?.name || id;
+  }
+}
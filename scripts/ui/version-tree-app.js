@@ -0,0 +1,148 @@
+/**
+ * Version Tree App
+ * Every generation made for a document, arranged by what each came from, so an earlier version
+ * can be put back or used as the start of a new branch
+ */
+
+import { MODULE_ID } from '../constants.js';
+import ProviderRegistry from '../api/provider-registry.js';
+import DocumentApplier from '../services/document-applier.js';
+import { HISTORY_HOOK } from '../services/history-manager.js';
+import Settings from '../utils/settings.js';
+import GenerationDialog from './generation-dialog.js';
+import HistoryBrowserApp from './history-browser-app.js';
+
+export default class VersionTreeApp extends Application {
+  /**
+   * @param {Document} document - Document whose generations are shown
+   * @param {Object} options - Application options
+   */
+  constructor(document, options = {}) {
+    super(options);
+    this.document = document;
+    this._historyHookId = Hooks.on(HISTORY_HOOK, foundry.utils.debounce(() => this.rendered && this.render(), 100));
+  }
+  
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      template: `modules/${MODULE_ID}/templates/version-tree.hbs`,
+      width: 560,
+      height: 640,
+      classes: [MODULE_ID, 'version-tree'],
+      resizable: true
+    });
+  }
+  
+  /** @override */
+  get id() {
+    return `oracle-world-version-tree-${this.document.id}`;
+  }
+  
+  /** @override */
+  get title() {
+    return `Oracle World - Versions of ${this.document.name}`;
+  }
+  
+  async getData() {
+    const historyManager = game.oracleWorld.historyManager;
+    const criteria = game.user.isGM ? {} : { userId: game.user.id };
+    const rows = [];
+    const visit = (node, depth) => {
+      rows.push({ node, depth });
+      node.children.forEach(child => visit(child, depth + 1));
+    };
+    historyManager.getDocumentTree(this.document.uuid, criteria).forEach(root => visit(root, 0));
+    
+    const currentId = this.document.getFlag(MODULE_ID, DocumentApplier.ENTRY_FLAG);
+    const currentBranch = new Set(currentId ? [currentId, ...historyManager.getAncestors(currentId).map(entry => entry.id)] : []);
+    const loaded = new Map((await historyManager.getEntries(rows.map(({ node }) => node.id))).map(entry => [entry.id, entry]));
+    const canApply = game.user.isGM || this.document.isOwner;
+    
+    return {
+      documentName: this.document.name,
+      versions: rows.map(({ node, depth }) => ({
+        id: node.id,
+        depth,
+        indent: depth * 1.5,
+        prompt: node.prompt,
+        relationship: depth > 0 ? node.relationship : null,
+        date: new Date(node.timestamp).toLocaleString(),
+        providerName: ProviderRegistry.get(node.provider)?.name || node.provider,
+        model: node.model,
+        thumbnail: loaded.get(node.id)?.result?.images?.[0] || null,
+        favorite: node.favorite,
+        current: node.id === currentId,
+        onCurrentBranch: currentBranch.has(node.id),
+        canApply: canApply && !!loaded.get(node.id)?.result?.images?.length
+      })),
+      hasVersions: rows.length > 0,
+      canBranch: Settings.canGenerate()
+    };
+  }
+  
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('.version-thumbnail, .view-version').click(this._onView.bind(this));
+    html.find('.use-version').click(this._onUse.bind(this));
+    html.find('.branch-version').click(this._onBranch.bind(this));
+  }
+  
+  /** @override */
+  async close(options) {
+    Hooks.off(HISTORY_HOOK, this._historyHookId);
+    return super.close(options);
+  }
+  
+  /**
+   * Show a version's result
+   * @param {Event} event - Click event
+   */
+  async _onView(event) {
+    event.preventDefault();
+    const entry = await game.oracleWorld.historyManager.getEntry(this._getVersionId(event));
+    if (entry) HistoryBrowserApp.showResult(entry);
+  }
+  
+  /**
+   * Put a version back on the document
+   * @param {Event} event - Click event
+   */
+  async _onUse(event) {
+    event.preventDefault();
+    const entry = await game.oracleWorld.historyManager.getEntry(this._getVersionId(event));
+    if (!entry?.result) return;
+    
+    try {
+      await DocumentApplier.apply(this.document, entry.result, { entryId: entry.id });
+      ui.notifications.info(`Restored an earlier version of ${this.document.name}`);
+      this.render();
+    } catch (error) {
+      console.error(`${MODULE_ID} | Apply failed:`, error);
+      ui.notifications.error(`Failed to apply: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Open the generation dialog to continue from a version
+   * @param {Event} event - Click event
+   */
+  _onBranch(event) {
+    event.preventDefault();
+    const entry = game.oracleWorld.historyManager.get(this._getVersionId(event));
+    if (!entry) return;
+    
+    const params = { ...(entry.params || {}), prompt: entry.params?.prompt ?? entry.prompt, model: entry.model };
+    new GenerationDialog(this.document, { type: entry.type, provider: entry.provider, params, parentId: entry.id }).render(true);
+  }
+  
+  /**
+   * ID of the version a control belongs to
+   * @param {Event} event - Event on a control inside a version row
+   * @returns {string} History entry ID
+   * @private
+   */
+  _getVersionId(event) {
+    return $(event.currentTarget).closest('.version-node').data('versionId');
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Parameter Serialization
+ * Shared by everything that saves, relays or records generation parameters
+ */
+
+/**
+ * Parameters never saved or sent anywhere
+ */
+const PRIVATE_PARAMS = ['apiKey', 'signal'];
+
+/**
+ * Copy generation parameters without the abort signal, callbacks, API keys and undefined values
+ * Results are relayed over the socket and parameters are saved to the queue and the history,
+ * none of which can hold a signal or a callback; the history can also be read by players.
+ * @param {Object} params - Generation parameters
+ * @returns {Object|null} Plain parameters, or null without any
+ */
+export function serializeParams(params) {
+  if (!params) return null;
+  
+  return Object.fromEntries(Object.entries(params)
+    .filter(([key, value]) => !PRIVATE_PARAMS.includes(key) && value !== undefined && typeof value !== 'function'));
+}
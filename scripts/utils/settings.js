@@ -4,20 +4,40 @@
  */
 
 import { MODULE_ID, SETTINGS, PROVIDERS } from '../constants.js';
+import RateLimiter from '../services/rate-limiter.js';
 
 /**
  * Settings Manager Class
  */
 export default class Settings {
+  /**
+   * Provider registry, passed to register() since the registry itself imports Settings
+   * @type {ProviderRegistry|null}
+   */
+  static providers = null;
+  
+  /**
+   * Provider factory, passed to register() for the same reason
+   * @type {ProviderFactory|null}
+   */
+  static providerFactory = null;
+  
   /**
    * Register all module settings
+   * @param {ProviderRegistry} providers - Registry whose providers the settings offer
+   * @param {ProviderFactory} providerFactory - Factory that decides which providers are configured
    */
-  static register() {
+  static register(providers, providerFactory) {
     console.log(`${MODULE_ID} | Registering settings`);
+    this.providers = providers;
+    this.providerFactory = providerFactory;
     
-    // Register API key settings (world scope)
+    // Register API key settings (world scope, or user scope with GM-only keys)
     this._registerApiKeys();
     
+    // Register self-hosted endpoint settings (world scope)
+    this._registerEndpoints();
+    
     // Register preference settings (world scope)
     this._registerPreferences();
     
@@ -31,6 +51,31 @@ export default class Settings {
     this._registerDataStorage();
   }
   
+  /**
+   * Register the GM-only keys setting
+   * Called before providers are registered, since it decides where their API keys are stored.
+   */
+  static registerKeyStorage() {
+    game.settings.register(MODULE_ID, SETTINGS.GM_ONLY_KEYS, {
+      name: 'GM-Only API Keys',
+      hint: 'Store API keys on the GM\'s user instead of the world, so player clients never receive them. Player generations are sent to a connected GM to run. Existing keys move to the first GM who logs in.',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false,
+      requiresReload: true
+    });
+  }
+  
+  /**
+   * Get the scope API key settings are registered with
+   * World settings reach every client; user settings stay with the GM who entered them.
+   * @returns {string} "user" in GM-only keys mode, otherwise "world"
+   */
+  static getApiKeyScope() {
+    return this.get(SETTINGS.GM_ONLY_KEYS) ? 'user' : 'world';
+  }
+  
   /**
    * Register API key settings for all providers
    * @private
@@ -41,17 +86,18 @@ export default class Settings {
       { key: SETTINGS.OPENAI_API_KEY, name: 'OpenAI', hint: 'Your OpenAI API key' },
       { key: SETTINGS.ANTHROPIC_API_KEY, name: 'Anthropic', hint: 'Your Anthropic API key' },
       { key: SETTINGS.DEEPSEEK_API_KEY, name: 'DeepSeek', hint: 'Your DeepSeek API key' },
-      { key: SETTINGS.MIDJOURNEY_API_KEY, name: 'Midjourney', hint: 'Your Midjourney API key' },
+      { key: SETTINGS.MIDJOURNEY_API_KEY, name: 'Midjourney', hint: 'Secret for your Midjourney relay (sent as mj-api-secret), if it requires one' },
       { key: SETTINGS.STABLE_DIFFUSION_API_KEY, name: 'Stable Diffusion', hint: 'Your Stable Diffusion API key' },
       { key: SETTINGS.GEMINI_API_KEY, name: 'Gemini', hint: 'Your Google Gemini API key' },
-      { key: SETTINGS.REPLICATE_API_KEY, name: 'Replicate', hint: 'Your Replicate API key' }
+      { key: SETTINGS.REPLICATE_API_KEY, name: 'Replicate', hint: 'Your Replicate API key' },
+      { key: SETTINGS.OPENAI_COMPATIBLE_API_KEY, name: 'OpenAI-Compatible Endpoint', hint: 'Optional key for your OpenAI-compatible server (most local servers need none)' }
     ];
     
     providers.forEach(provider => {
       game.settings.register(MODULE_ID, provider.key, {
         name: `${provider.name} API Key`,
         hint: provider.hint,
-        scope: 'world',
+        scope: this.getApiKeyScope(),
         config: true,
         type: String,
         default: '',
@@ -62,6 +108,57 @@ export default class Settings {
     });
   }
   
+  /**
+   * Register base URLs for self-hosted providers
+   * @private
+   */
+  static _registerEndpoints() {
+    game.settings.register(MODULE_ID, SETTINGS.STABLE_DIFFUSION_URL, {
+      name: 'Stable Diffusion WebUI URL',
+      hint: 'Address of an AUTOMATIC1111 or Forge WebUI started with --api and --cors-allow-origins, e.g. http://127.0.0.1:7860. The API key above is only needed for --api-auth (user:password).',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: ''
+    });
+    
+    game.settings.register(MODULE_ID, SETTINGS.COMFYUI_URL, {
+      name: 'ComfyUI URL',
+      hint: 'Address of a ComfyUI server started with --enable-cors-header, e.g. http://127.0.0.1:8188',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: ''
+    });
+    
+    game.settings.register(MODULE_ID, SETTINGS.COMFYUI_WORKFLOW_DIR, {
+      name: 'ComfyUI Workflow Folder',
+      hint: 'Folder in your Foundry data holding workflows exported with "Save (API Format)". Each file appears as a model.',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'oracle-world/comfyui-workflows'
+    });
+    
+    game.settings.register(MODULE_ID, SETTINGS.MIDJOURNEY_URL, {
+      name: 'Midjourney Relay URL',
+      hint: 'Address of a Midjourney relay/proxy API (midjourney-proxy compatible), e.g. http://127.0.0.1:8080/mj',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: ''
+    });
+    
+    game.settings.register(MODULE_ID, SETTINGS.OPENAI_COMPATIBLE_URL, {
+      name: 'OpenAI-Compatible Endpoint URL',
+      hint: 'Base URL of an OpenAI-compatible text server such as Ollama (http://127.0.0.1:11434), LM Studio (http://127.0.0.1:1234), llama.cpp server or vLLM',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: ''
+    });
+  }
+  
   /**
    * Register preference settings
    * @private
@@ -73,16 +170,7 @@ export default class Settings {
       scope: 'world',
       config: true,
       type: String,
-      choices: {
-        [PROVIDERS.OPENROUTER]: 'OpenRouter',
-        [PROVIDERS.OPENAI]: 'OpenAI',
-        [PROVIDERS.ANTHROPIC]: 'Anthropic',
-        [PROVIDERS.DEEPSEEK]: 'DeepSeek',
-        [PROVIDERS.MIDJOURNEY]: 'Midjourney',
-        [PROVIDERS.STABLE_DIFFUSION]: 'Stable Diffusion',
-        [PROVIDERS.GEMINI]: 'Gemini',
-        [PROVIDERS.REPLICATE]: 'Replicate'
-      },
+      choices: this._getProviderChoices(),
       default: PROVIDERS.OPENROUTER
     });
     
@@ -112,6 +200,63 @@ export default class Settings {
       type: String,
       default: ''
     });
+    
+    const fallbackChains = [
+      { key: SETTINGS.FALLBACK_CHAIN_TEXT, name: 'Text', example: 'anthropic:claude-3-haiku, openrouter, openai-compatible:llama3' },
+      { key: SETTINGS.FALLBACK_CHAIN_IMAGE, name: 'Image', example: 'openai:dall-e-3, stable-diffusion' },
+      { key: SETTINGS.FALLBACK_CHAIN_SPEECH, name: 'Speech', example: 'openai:tts-1, openrouter' }
+    ];
+    
+    fallbackChains.forEach(chain => {
+      game.settings.register(MODULE_ID, chain.key, {
+        name: `${chain.name} Fallback Chain`,
+        hint: `Providers to try, in order, when the selected one is rate limited or unreachable. Comma-separated "provider" or "provider:model", e.g. ${chain.example}`,
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ''
+      });
+    });
+    
+    game.settings.register(MODULE_ID, SETTINGS.QUEUE_CONCURRENCY, {
+      name: 'Concurrent Generations per Provider',
+      hint: 'How many generations may run at once on each hosted provider. Self-hosted providers run one at a time.',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 1, max: 8, step: 1 },
+      default: 2
+    });
+    
+    game.settings.register(MODULE_ID, SETTINGS.RATE_LIMITS, {
+      name: 'Rate Limits',
+      hint: 'Requests and tokens per minute to stay under, as comma-separated "provider=requests/tokens" or "provider:model=requests/tokens", e.g. openai=500/30000, anthropic:claude-sonnet-4-5=50. OpenAI, Anthropic and OpenRouter also report their limits with each response.',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: '',
+      onChange: value => RateLimiter.configure(value)
+    });
+    
+    game.settings.register(MODULE_ID, SETTINGS.HISTORY_MAX_ENTRIES, {
+      name: 'History Size',
+      hint: 'How many generations the history keeps. The oldest are removed first; favorites are always kept.',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 50, max: 5000, step: 50 },
+      default: 500
+    });
+    
+    game.settings.register(MODULE_ID, SETTINGS.HISTORY_RETENTION_DAYS, {
+      name: 'History Retention (days)',
+      hint: 'Remove generations older than this many days from the history, except favorites. 0 keeps them until the history is full.',
+      scope: 'world',
+      config: true,
+      type: Number,
+      range: { min: 0, max: 365, step: 1 },
+      default: 0
+    });
   }
   
   /**
@@ -170,14 +315,32 @@ export default class Settings {
       default: false
     });
     
+    game.settings.register(MODULE_ID, SETTINGS.REQUIRE_APPROVAL, {
+      name: 'Require GM Approval',
+      hint: 'Players submit generation requests for their own actors and items to the GM, who approves, edits or rejects them. Approved results are applied automatically.',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: true
+    });
+    
     game.settings.register(MODULE_ID, SETTINGS.TRACK_USAGE, {
       name: 'Track Usage',
-      hint: 'Track generation usage per user',
+      hint: 'Record the cost of each generation per user in the usage ledger (always on while a budget is set)',
       scope: 'world',
       config: true,
       type: Boolean,
       default: false
     });
+    
+    // Edited through the Spending Budgets menu
+    game.settings.register(MODULE_ID, SETTINGS.BUDGETS, {
+      name: 'Spending Budgets',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {}
+    });
   }
   
   /**
@@ -185,6 +348,7 @@ export default class Settings {
    * @private
    */
   static _registerDataStorage() {
+    // Only read to move older history into the history compendium
     game.settings.register(MODULE_ID, SETTINGS.GENERATION_HISTORY, {
       name: 'Generation History',
       scope: 'world',
@@ -208,6 +372,60 @@ export default class Settings {
       type: Array,
       default: []
     });
+    
+    // Spend per generation, for budgets and usage reports
+    game.settings.register(MODULE_ID, SETTINGS.USAGE_LEDGER, {
+      name: 'Usage Ledger',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: []
+    });
+    
+    // Model prices last fetched from OpenRouter
+    game.settings.register(MODULE_ID, SETTINGS.PRICING_CATALOG, {
+      name: 'Pricing Catalog',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {}
+    });
+    
+    // Prices the GM imported to replace the catalog's
+    game.settings.register(MODULE_ID, SETTINGS.PRICING_OVERRIDES, {
+      name: 'Pricing Overrides',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {}
+    });
+    
+    // Model lists fetched from providers; per client, since each client fetches with its own keys
+    game.settings.register(MODULE_ID, SETTINGS.MODEL_CACHE, {
+      name: 'Model Cache',
+      scope: 'client',
+      config: false,
+      type: Object,
+      default: {}
+    });
+    
+    // Player requests waiting for the GM
+    game.settings.register(MODULE_ID, SETTINGS.APPROVAL_QUEUE, {
+      name: 'Approval Queue',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: []
+    });
+    
+    // Providers the GM can run for players in GM-only keys mode (IDs only, never keys)
+    game.settings.register(MODULE_ID, SETTINGS.RELAYED_PROVIDERS, {
+      name: 'Relayed Providers',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: []
+    });
   }
   
   /**
@@ -271,18 +489,32 @@ export default class Settings {
       return typeof value === 'string';
     }
     
+    // Endpoint URLs should be strings
+    if (key.endsWith('Url')) {
+      return typeof value === 'string';
+    }
+    
     // Boolean settings
-    if ([SETTINGS.GM_ONLY_MODE, SETTINGS.PLAYER_ACCESS, SETTINGS.TRACK_USAGE, SETTINGS.SHOW_COST_ESTIMATES].includes(key)) {
+    if ([SETTINGS.GM_ONLY_MODE, SETTINGS.PLAYER_ACCESS, SETTINGS.GM_ONLY_KEYS, SETTINGS.REQUIRE_APPROVAL, SETTINGS.TRACK_USAGE, SETTINGS.SHOW_COST_ESTIMATES].includes(key)) {
       return typeof value === 'boolean';
     }
     
     // Number settings
-    if ([SETTINGS.DIALOG_WIDTH, SETTINGS.DIALOG_HEIGHT].includes(key)) {
+    if ([SETTINGS.DIALOG_WIDTH, SETTINGS.DIALOG_HEIGHT, SETTINGS.QUEUE_CONCURRENCY, SETTINGS.HISTORY_MAX_ENTRIES].includes(key)) {
       return typeof value === 'number' && value > 0;
     }
     
+    if (key === SETTINGS.HISTORY_RETENTION_DAYS) {
+      return typeof value === 'number' && value >= 0;
+    }
+    
+    // Object settings
+    if ([SETTINGS.BUDGETS, SETTINGS.PRICING_CATALOG, SETTINGS.PRICING_OVERRIDES, SETTINGS.MODEL_CACHE].includes(key)) {
+      return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+    
     // Array settings
-    if ([SETTINGS.GENERATION_HISTORY, SETTINGS.CUSTOM_TEMPLATES, SETTINGS.ERROR_LOG].includes(key)) {
+    if ([SETTINGS.GENERATION_HISTORY, SETTINGS.CUSTOM_TEMPLATES, SETTINGS.ERROR_LOG, SETTINGS.RELAYED_PROVIDERS, SETTINGS.APPROVAL_QUEUE, SETTINGS.USAGE_LEDGER].includes(key)) {
       return Array.isArray(value);
     }
     
@@ -305,67 +537,133 @@ export default class Settings {
       [SETTINGS.STABLE_DIFFUSION_API_KEY]: '',
       [SETTINGS.GEMINI_API_KEY]: '',
       [SETTINGS.REPLICATE_API_KEY]: '',
+      [SETTINGS.OPENAI_COMPATIBLE_API_KEY]: '',
+      [SETTINGS.STABLE_DIFFUSION_URL]: '',
+      [SETTINGS.COMFYUI_URL]: '',
+      [SETTINGS.COMFYUI_WORKFLOW_DIR]: 'oracle-world/comfyui-workflows',
+      [SETTINGS.MIDJOURNEY_URL]: '',
+      [SETTINGS.OPENAI_COMPATIBLE_URL]: '',
       [SETTINGS.DEFAULT_PROVIDER]: PROVIDERS.OPENROUTER,
       [SETTINGS.DEFAULT_IMAGE_MODEL]: '',
       [SETTINGS.DEFAULT_TEXT_MODEL]: '',
       [SETTINGS.DEFAULT_SPEECH_MODEL]: '',
+      [SETTINGS.FALLBACK_CHAIN_TEXT]: '',
+      [SETTINGS.FALLBACK_CHAIN_IMAGE]: '',
+      [SETTINGS.FALLBACK_CHAIN_SPEECH]: '',
+      [SETTINGS.QUEUE_CONCURRENCY]: 2,
+      [SETTINGS.RATE_LIMITS]: '',
+      [SETTINGS.HISTORY_MAX_ENTRIES]: 500,
+      [SETTINGS.HISTORY_RETENTION_DAYS]: 0,
       [SETTINGS.DIALOG_WIDTH]: 800,
       [SETTINGS.DIALOG_HEIGHT]: 600,
       [SETTINGS.SHOW_COST_ESTIMATES]: true,
       [SETTINGS.GM_ONLY_MODE]: true,
       [SETTINGS.PLAYER_ACCESS]: false,
+      [SETTINGS.GM_ONLY_KEYS]: false,
+      [SETTINGS.REQUIRE_APPROVAL]: true,
       [SETTINGS.TRACK_USAGE]: false,
+      [SETTINGS.BUDGETS]: {},
       [SETTINGS.GENERATION_HISTORY]: [],
       [SETTINGS.CUSTOM_TEMPLATES]: [],
-      [SETTINGS.ERROR_LOG]: []
+      [SETTINGS.ERROR_LOG]: [],
+      [SETTINGS.RELAYED_PROVIDERS]: [],
+      [SETTINGS.APPROVAL_QUEUE]: [],
+      [SETTINGS.USAGE_LEDGER]: [],
+      [SETTINGS.PRICING_CATALOG]: {},
+      [SETTINGS.PRICING_OVERRIDES]: {},
+      [SETTINGS.MODEL_CACHE]: {}
     };
     
     return defaults[key];
   }
   
   /**
-   * Check if any API key is configured
-   * @returns {boolean} True if at least one API key is configured
+   * Check whether a user may use generation features
+   * @param {User} user - User to check (default: the current user)
+   * @returns {boolean} True for GMs, and for players when player access is enabled outside GM only mode
    */
-  static hasAnyApiKey() {
-    const apiKeys = [
-      SETTINGS.OPENROUTER_API_KEY,
-      SETTINGS.OPENAI_API_KEY,
-      SETTINGS.ANTHROPIC_API_KEY,
-      SETTINGS.DEEPSEEK_API_KEY,
-      SETTINGS.MIDJOURNEY_API_KEY,
-      SETTINGS.STABLE_DIFFUSION_API_KEY,
-      SETTINGS.GEMINI_API_KEY,
-      SETTINGS.REPLICATE_API_KEY
-    ];
+  static canGenerate(user = game.user) {
+    if (user?.isGM) {
+      return true;
+    }
     
-    return apiKeys.some(key => {
-      const value = this.get(key);
-      return value && value.length > 0;
-    });
+    return !this.get(SETTINGS.GM_ONLY_MODE) && !!this.get(SETTINGS.PLAYER_ACCESS);
   }
   
   /**
-   * Get all configured providers
-   * @returns {Array<string>} Array of provider IDs with configured API keys
+   * Move API keys saved before GM-only keys was enabled out of world storage
+   * World settings are sent to every client, so leftover values would still reach players.
+   * Each value becomes the current GM's key unless they have already entered one.
+   * @returns {Promise<number>} Number of keys removed from world storage
    */
-  static getConfiguredProviders() {
-    const providerKeys = {
-      [PROVIDERS.OPENROUTER]: SETTINGS.OPENROUTER_API_KEY,
-      [PROVIDERS.OPENAI]: SETTINGS.OPENAI_API_KEY,
-      [PROVIDERS.ANTHROPIC]: SETTINGS.ANTHROPIC_API_KEY,
-      [PROVIDERS.DEEPSEEK]: SETTINGS.DEEPSEEK_API_KEY,
-      [PROVIDERS.MIDJOURNEY]: SETTINGS.MIDJOURNEY_API_KEY,
-      [PROVIDERS.STABLE_DIFFUSION]: SETTINGS.STABLE_DIFFUSION_API_KEY,
-      [PROVIDERS.GEMINI]: SETTINGS.GEMINI_API_KEY,
-      [PROVIDERS.REPLICATE]: SETTINGS.REPLICATE_API_KEY
-    };
+  static async migrateApiKeysToUser() {
+    if (!game.user.isGM || this.getApiKeyScope() !== 'user') {
+      return 0;
+    }
+    
+    const worldSettings = game.settings.storage.get('world');
+    let moved = 0;
+    
+    for (const key of Object.values(this.providers.getApiKeySettings())) {
+      const stored = worldSettings.getSetting(`${MODULE_ID}.${key}`);
+      if (!stored) continue;
+      
+      let value = stored.value;
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (error) {
+          // Stored unquoted; use as-is
+        }
+      }
+      
+      if (value && !this.get(key)) {
+        await this.set(key, value);
+      }
+      await stored.delete();
+      moved++;
+    }
+    
+    if (moved > 0) {
+      console.log(`${MODULE_ID} | Moved ${moved} API keys from world storage to ${game.user.name}`);
+    }
     
-    return Object.entries(providerKeys)
-      .filter(([provider, key]) => {
-        const value = this.get(key);
-        return value && value.length > 0;
-      })
-      .map(([provider]) => provider);
+    return moved;
+  }
+  
+  /**
+   * Check if any provider is configured
+   * @returns {boolean} True if at least one provider has its API key or server URL set
+   */
+  static hasAnyApiKey() {
+    return this.getConfiguredProviders().length > 0;
+  }
+  
+  /**
+   * Get all configured providers, including self-hosted ones set up with just a URL
+   * @returns {Array<string>} Array of provider IDs
+   */
+  static getConfiguredProviders() {
+    return this.providerFactory.getAvailableProviders().map(provider => provider.id);
+  }
+  
+  /**
+   * Offer providers registered after the settings as default provider choices too
+   * Called by the provider registry whenever its providers change.
+   */
+  static refreshProviderChoices() {
+    const setting = game.settings.settings?.get(`${MODULE_ID}.${SETTINGS.DEFAULT_PROVIDER}`);
+    if (setting && this.providers) {
+      setting.choices = this._getProviderChoices();
+    }
+  }
+  
+  /**
+   * Default provider choices: every registered provider by name
+   * @returns {Object} Provider names keyed by ID
+   * @private
+   */
+  static _getProviderChoices() {
+    return Object.fromEntries(this.providers.getAll().map(provider => [provider.id, provider.name]));
   }
 }
@@ -5,6 +5,7 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import BaseAPIClient from '../../scripts/api/api-client.js';
+import ProviderHealth from '../../scripts/services/provider-health.js';
 import { ERROR_TYPES } from '../../scripts/constants.js';
 
 /**
@@ -53,6 +54,7 @@ describe('BaseAPIClient', () => {
     
     // Reset fetch mock
     global.fetch = vi.fn();
+    ProviderHealth.reset();
   });
   
   describe('Constructor', () => {
@@ -207,6 +209,74 @@ describe('BaseAPIClient', () => {
     });
   });
   
+  describe('Circuit Breaker', () => {
+    it('should fail fast once repeated failures open the circuit', async () => {
+      vi.spyOn(client, '_sleep').mockResolvedValue();
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      
+      const error = await client._makeRequest('/test', {}, { retries: 5 }).catch(e => e);
+      
+      expect(error.type).toBe(ERROR_TYPES.NETWORK_ERROR);
+      expect(error.details.circuitOpen).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(ProviderHealth.FAILURE_THRESHOLD);
+      
+      await client._makeRequest('/test', {}).catch(() => {});
+      expect(global.fetch).toHaveBeenCalledTimes(ProviderHealth.FAILURE_THRESHOLD);
+    });
+    
+    it('should not count client errors as provider failures', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        json: async () => ({})
+      });
+      
+      for (let i = 0; i < ProviderHealth.FAILURE_THRESHOLD; i++) {
+        await client._makeRequest('/test', {}).catch(() => {});
+      }
+      
+      expect(ProviderHealth.getStatus('test').status).toBe('healthy');
+    });
+  });
+  
+  describe('Cancellation', () => {
+    it('should not send a request when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      
+      await expect(client._makeRequest('/test', {}, { signal: controller.signal }))
+        .rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+    
+    it('should abort an in-flight request without retrying', async () => {
+      const controller = new AbortController();
+      
+      global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          const error = new Error('The operation was aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      }));
+      
+      const request = client._makeRequest('/test', {}, { retries: 3, signal: controller.signal });
+      controller.abort();
+      
+      await expect(request).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should end a retry backoff early when cancelled', async () => {
+      const controller = new AbortController();
+      const sleep = client._sleep(30000, controller.signal);
+      controller.abort();
+      
+      await expect(sleep).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+    });
+  });
+  
   describe('Timeout Handling', () => {
     it.skip('should timeout after specified duration', async () => {
       // This test is skipped because it requires actual timing
@@ -228,6 +298,25 @@ describe('BaseAPIClient', () => {
     });
   });
   
+  describe('Streaming', () => {
+    it('should parse server-sent event blocks', () => {
+      expect(client._parseSSEEvent('event: ping\ndata: {"a":1}')).toEqual({ event: 'ping', data: { a: 1 } });
+      expect(client._parseSSEEvent('data: [DONE]')).toEqual({ event: 'message', data: '[DONE]' });
+      expect(client._parseSSEEvent(': comment')).toBeNull();
+    });
+    
+    it('should categorize authentication errors when opening a stream', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        json: async () => ({})
+      });
+      
+      const stream = client._makeStreamRequest('/test', {});
+      await expect(stream.next()).rejects.toMatchObject({ type: ERROR_TYPES.AUTH_ERROR });
+    });
+  });
+  
   describe('Parameter Validation', () => {
     it('should validate required parameters', () => {
       const params = { prompt: 'test' };
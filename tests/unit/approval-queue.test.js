@@ -0,0 +1,194 @@
+/**
+ * Unit Tests for Approval Queue
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PROVIDERS, SETTINGS, SOCKET_NAME } from '../../scripts/constants.js';
+
+let flagValues = {};
+const gm = {
+  id: 'gm1',
+  name: 'GM',
+  isGM: true,
+  getFlag: (module, key) => flagValues[key],
+  setFlag: async (module, key, value) => { flagValues[key] = value; }
+};
+const player = { id: 'player1', name: 'Player', isGM: false };
+const actor = { uuid: 'Actor.a1', name: 'Hero', documentName: 'Actor', testUserPermission: vi.fn(() => true) };
+let settingValues = {};
+
+global.Hooks = { callAll: vi.fn(), on: vi.fn() };
+global.ui = { notifications: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
+global.foundry = { utils: { randomID: () => 'request1' } };
+global.fromUuid = vi.fn(async uuid => (uuid === actor.uuid ? actor : null));
+global.game = {
+  settings: {
+    register: vi.fn(),
+    get: vi.fn((module, key) => settingValues[key]),
+    set: vi.fn(async (module, key, value) => { settingValues[key] = value; })
+  },
+  socket: { on: vi.fn(), emit: vi.fn() },
+  users: { activeGM: gm, get: id => [gm, player].find(user => user.id === id) },
+  user: gm
+};
+
+const { default: ApprovalQueue, REQUEST_STATUS } = await import('../../scripts/services/approval-queue.js');
+const { default: ProviderRegistry } = await import('../../scripts/api/provider-registry.js');
+const { default: ProviderFactory } = await import('../../scripts/api/provider-factory.js');
+const { default: DocumentApplier } = await import('../../scripts/services/document-applier.js');
+const { default: QueueManager, JOB_PRIORITIES, JOB_STATUS } = await import('../../scripts/services/queue-manager.js');
+
+describe('ApprovalQueue', () => {
+  const submission = {
+    userId: 'player1',
+    documentUuid: actor.uuid,
+    type: 'image',
+    provider: PROVIDERS.OPENAI,
+    params: { prompt: 'A brave hero', model: 'dall-e-3', width: 1024, height: 1024, apiKey: 'injected' }
+  };
+  
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ProviderRegistry.providers.clear();
+    ProviderRegistry.initialize();
+    settingValues = {
+      [SETTINGS.GM_ONLY_MODE]: false,
+      [SETTINGS.PLAYER_ACCESS]: true,
+      [SETTINGS.REQUIRE_APPROVAL]: true,
+      [SETTINGS.APPROVAL_QUEUE]: [],
+      [SETTINGS.OPENAI_API_KEY]: 'sk-test'
+    };
+    game.user = gm;
+    actor.testUserPermission.mockReturnValue(true);
+  });
+  
+  it('should only require approval from players', () => {
+    expect(ApprovalQueue.requiresApproval(player)).toBe(true);
+    expect(ApprovalQueue.requiresApproval(gm)).toBe(false);
+    
+    settingValues[SETTINGS.REQUIRE_APPROVAL] = false;
+    expect(ApprovalQueue.requiresApproval(player)).toBe(false);
+  });
+  
+  it('should queue requests for documents the player owns, keeping only generation parameters', async () => {
+    await ApprovalQueue._receive(submission, 'player1');
+    
+    expect(ApprovalQueue.getAll()).toEqual([expect.objectContaining({
+      id: 'request1',
+      userName: 'Player',
+      documentName: 'Hero',
+      status: REQUEST_STATUS.PENDING,
+      params: { prompt: 'A brave hero', model: 'dall-e-3', width: 1024, height: 1024 }
+    })]);
+    expect(ui.notifications.info).toHaveBeenCalled();
+  });
+  
+  it('should check ownership for the user who sent the request, whoever the message names', async () => {
+    actor.testUserPermission.mockImplementation(user => user.isGM);
+    
+    ApprovalQueue._onMessage({ ...submission, action: 'submitApproval', userId: 'gm1', gmId: 'gm1' }, 'player1');
+    await vi.waitFor(() => expect(game.socket.emit).toHaveBeenCalled());
+    
+    expect(actor.testUserPermission).toHaveBeenCalledWith(player, 'OWNER');
+    expect(ApprovalQueue.getAll()).toEqual([]);
+    expect(game.socket.emit).toHaveBeenCalledWith(SOCKET_NAME, expect.objectContaining({ userId: 'player1', approved: false }));
+  });
+  
+  it('should refuse requests for documents the player does not own', async () => {
+    actor.testUserPermission.mockReturnValue(false);
+    
+    await ApprovalQueue._receive(submission, 'player1');
+    
+    expect(ApprovalQueue.getAll()).toEqual([]);
+    expect(game.socket.emit).toHaveBeenCalledWith(SOCKET_NAME, expect.objectContaining({
+      action: 'approvalDecided',
+      userId: 'player1',
+      approved: false
+    }));
+  });
+  
+  it('should refuse requests whose results cannot be applied to the document', async () => {
+    await ApprovalQueue._receive({ ...submission, type: 'text' }, 'player1');
+    
+    expect(ApprovalQueue.getAll()).toEqual([]);
+    expect(game.socket.emit).toHaveBeenCalledWith(SOCKET_NAME, expect.objectContaining({ userId: 'player1', approved: false }));
+    expect(() => ApprovalQueue.submit(actor, { ...submission, type: 'speech' })).toThrow('cannot apply speech results to Hero');
+    await expect(DocumentApplier.apply(actor, { text: 'A backstory' })).rejects.toThrow('cannot be applied to Hero');
+  });
+  
+  it('should generate approved requests with the edited prompt and apply them', async () => {
+    const client = { generateImage: vi.fn(async params => ({ provider: PROVIDERS.OPENAI, images: ['url'], params })) };
+    vi.spyOn(ProviderFactory, 'create').mockReturnValue(client);
+    vi.spyOn(DocumentApplier, 'apply').mockResolvedValue();
+    game.oracleWorld = {
+      queueManager: { enqueue: vi.fn(async ({ provider, model, execute }) => execute({ provider, model })) },
+      historyManager: { save: vi.fn() }
+    };
+    await ApprovalQueue._receive(submission, 'player1');
+    
+    await ApprovalQueue.approve('request1', { prompt: 'A brave hero in silver armor' });
+    
+    expect(client.generateImage).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'A brave hero in silver armor', model: 'dall-e-3' }));
+    expect(DocumentApplier.apply).toHaveBeenCalledWith(actor, expect.objectContaining({ images: ['url'] }));
+    expect(game.oracleWorld.historyManager.save).toHaveBeenCalledWith(expect.objectContaining({ requestedBy: 'player1' }));
+    expect(ApprovalQueue.getAll()).toEqual([]);
+    expect(game.socket.emit).toHaveBeenLastCalledWith(SOCKET_NAME, expect.objectContaining({ userId: 'player1', approved: true }));
+  });
+  
+  it('should keep a failed request queued with its error', async () => {
+    vi.spyOn(ProviderFactory, 'create').mockReturnValue({ generateImage: vi.fn().mockRejectedValue(new Error('Server down')) });
+    game.oracleWorld = {
+      queueManager: { enqueue: vi.fn(async ({ provider, model, execute }) => execute({ provider, model })) },
+      historyManager: { save: vi.fn() }
+    };
+    await ApprovalQueue._receive(submission, 'player1');
+    
+    await expect(ApprovalQueue.approve('request1')).rejects.toThrow('Server down');
+    
+    expect(ApprovalQueue.get('request1')).toMatchObject({ status: REQUEST_STATUS.PENDING, error: 'Server down' });
+  });
+  
+  it('should remove rejected requests and tell the player why', async () => {
+    await ApprovalQueue._receive(submission, 'player1');
+    
+    await ApprovalQueue.reject('request1', 'Please keep it in the setting');
+    
+    expect(ApprovalQueue.getAll()).toEqual([]);
+    expect(game.socket.emit).toHaveBeenLastCalledWith(SOCKET_NAME, {
+      action: 'approvalDecided',
+      userId: 'player1',
+      approved: false,
+      text: 'Your request for Hero was rejected: Please keep it in the setting'
+    });
+  });
+  
+  it('should leave requests whose generation resumed at startup generating', async () => {
+    const client = { generateImage: vi.fn(() => new Promise(() => {})) };
+    vi.spyOn(ProviderFactory, 'create').mockReturnValue(client);
+    const generating = { id: 'request1', userId: 'player1', documentUuid: actor.uuid, type: 'image', status: REQUEST_STATUS.GENERATING };
+    const interrupted = { ...generating, id: 'request2' };
+    settingValues[SETTINGS.APPROVAL_QUEUE] = [generating, interrupted];
+    flagValues[QueueManager.FLAG] = [{
+      id: 'job1',
+      provider: PROVIDERS.OPENAI,
+      model: 'dall-e-3',
+      method: 'generateImage',
+      params: { prompt: 'A brave hero' },
+      handler: 'approval',
+      context: { requestId: 'request1' },
+      priority: JOB_PRIORITIES.NORMAL,
+      status: JOB_STATUS.RUNNING,
+      createdAt: 1
+    }];
+    game.users.activeGM = gm;
+    game.oracleWorld = { queueManager: new QueueManager() };
+    
+    // Same order as the ready hook
+    game.oracleWorld.queueManager.restore();
+    ApprovalQueue.initialize();
+    
+    expect(game.oracleWorld.queueManager.getJob('job1').status).toBe(JOB_STATUS.RUNNING);
+    expect(ApprovalQueue.get('request1').status).toBe(REQUEST_STATUS.GENERATING);
+    expect(ApprovalQueue.get('request2').status).toBe(REQUEST_STATUS.PENDING);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Unit Tests for Budget Manager and Usage Ledger
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PROVIDERS, SETTINGS, ERROR_TYPES, SOCKET_NAME } from '../../scripts/constants.js';
+
+const gm = { id: 'gm1', name: 'GM', isGM: true };
+const player = { id: 'player1', name: 'Player', isGM: false };
+let settingValues = {};
+let nextId = 0;
+
+global.Hooks = { callAll: vi.fn(), on: vi.fn() };
+global.ui = { notifications: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
+global.foundry = { utils: { randomID: () => `entry${++nextId}` } };
+global.game = {
+  settings: {
+    register: vi.fn(),
+    get: vi.fn((module, key) => settingValues[key]),
+    set: vi.fn(async (module, key, value) => { settingValues[key] = value; })
+  },
+  socket: { on: vi.fn(), emit: vi.fn() },
+  users: { activeGM: gm, get: id => [gm, player].find(user => user.id === id) },
+  user: gm
+};
+
+const { default: BudgetManager, OVER_LIMIT_ACTIONS } = await import('../../scripts/services/budget-manager.js');
+const { default: UsageLedger } = await import('../../scripts/services/usage-ledger.js');
+const { default: QueueManager } = await import('../../scripts/services/queue-manager.js');
+
+describe('BudgetManager', () => {
+  const spend = (userId, cost, timestamp = Date.now()) => ({ id: `e${++nextId}`, userId, provider: PROVIDERS.OPENAI, cost, timestamp });
+  
+  beforeEach(() => {
+    vi.clearAllMocks();
+    UsageLedger.unsent = [];
+    settingValues = {
+      [SETTINGS.TRACK_USAGE]: false,
+      [SETTINGS.BUDGETS]: {},
+      [SETTINGS.USAGE_LEDGER]: []
+    };
+    game.user = gm;
+  });
+  
+  it('should not track or block anything without budgets', () => {
+    expect(BudgetManager.hasBudgets()).toBe(false);
+    expect(BudgetManager.isTracking()).toBe(false);
+    expect(() => BudgetManager.assertWithinBudget({ userId: 'player1', estimate: 1000 })).not.toThrow();
+  });
+  
+  it('should let a per-user cap replace the default user cap', () => {
+    settingValues[SETTINGS.BUDGETS] = {
+      user: { daily: 1, monthly: 10 },
+      users: { player1: { daily: 5 } }
+    };
+    
+    expect(BudgetManager.getLimits('player1')).toEqual({ daily: 5, monthly: 10 });
+    expect(BudgetManager.getLimits('gm1')).toEqual({ daily: 1, monthly: 10 });
+    expect(BudgetManager.isTracking()).toBe(true);
+  });
+  
+  it('should block requests whose estimate goes over a cap', () => {
+    settingValues[SETTINGS.BUDGETS] = { user: { daily: 1 } };
+    settingValues[SETTINGS.USAGE_LEDGER] = [spend('player1', 0.9), spend('gm1', 5)];
+    
+    expect(() => BudgetManager.assertWithinBudget({ userId: 'player1', estimate: 0.05 })).not.toThrow();
+    
+    try {
+      BudgetManager.assertWithinBudget({ userId: 'player1', estimate: 0.2 });
+      expect.unreachable();
+    } catch (error) {
+      expect(error.type).toBe(ERROR_TYPES.BUDGET_EXCEEDED);
+      expect(error.details.exceeded).toHaveLength(1);
+      expect(error.details.exceeded[0]).toMatchObject({ scope: 'user', period: 'daily', limit: 1 });
+    }
+  });
+  
+  it('should count spend from before today only against the monthly cap', () => {
+    const dayStart = new Date();
+    dayStart.setHours(0, 0, 0, 0);
+    settingValues[SETTINGS.BUDGETS] = { world: { daily: 1, monthly: 100 } };
+    settingValues[SETTINGS.USAGE_LEDGER] = [spend('player1', 3, dayStart.getTime() - 1)];
+    
+    const status = BudgetManager.getStatus('player1');
+    const daily = status.find(cap => cap.period === 'daily');
+    const monthly = status.find(cap => cap.period === 'monthly');
+    
+    expect(daily.spent).toBe(0);
+    // Yesterday may fall in the previous month
+    expect(monthly.spent).toBe(dayStart.getDate() === 1 ? 0 : 3);
+  });
+  
+  it('should only let a GM override when the over-limit action allows it', () => {
+    settingValues[SETTINGS.BUDGETS] = { world: { daily: 1 } };
+    settingValues[SETTINGS.USAGE_LEDGER] = [spend('player1', 2)];
+    
+    expect(() => BudgetManager.assertWithinBudget({ userId: 'player1', override: true })).not.toThrow();
+    
+    game.user = player;
+    expect(() => BudgetManager.assertWithinBudget({ userId: 'player1', override: true })).toThrow();
+    
+    game.user = gm;
+    settingValues[SETTINGS.BUDGETS].overLimit = OVER_LIMIT_ACTIONS.BLOCK;
+    try {
+      BudgetManager.assertWithinBudget({ userId: 'player1', override: true });
+      expect.unreachable();
+    } catch (error) {
+      expect(error.details.canOverride).toBe(false);
+    }
+  });
+  
+  it('should record spend and warn once a threshold is crossed', async () => {
+    settingValues[SETTINGS.BUDGETS] = { user: { daily: 1 } };
+    
+    await BudgetManager.recordSpend({ userId: 'gm1', type: 'image', result: { provider: PROVIDERS.OPENAI, cost: { amount: 0.4 } } });
+    expect(ui.notifications.warn).not.toHaveBeenCalled();
+    
+    await BudgetManager.recordSpend({ userId: 'gm1', type: 'image', result: { provider: PROVIDERS.OPENAI, cost: { amount: 0.4 } } });
+    expect(ui.notifications.warn).toHaveBeenCalledTimes(1);
+    expect(ui.notifications.warn.mock.calls[0][0]).toContain('80%');
+    
+    expect(UsageLedger.getTotal({ userId: 'gm1' })).toBeCloseTo(0.8);
+  });
+  
+  it('should use the estimate when the provider reports no actual cost', async () => {
+    const entry = await BudgetManager.recordSpend({
+      userId: 'gm1',
+      type: 'image',
+      result: { cost: { amount: 0, estimated: true } },
+      provider: PROVIDERS.OPENAI,
+      model: 'dall-e-3',
+      estimate: 0.04
+    });
+    
+    expect(entry).toMatchObject({ provider: PROVIDERS.OPENAI, model: 'dall-e-3', cost: 0.04 });
+  });
+});
+
+describe('UsageLedger', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    UsageLedger.unsent = [];
+    settingValues = { [SETTINGS.USAGE_LEDGER]: [] };
+    game.user = gm;
+  });
+  
+  it('should send player entries to the GM, who charges them to the sender', async () => {
+    game.user = player;
+    await UsageLedger.record({ userId: 'player1', provider: PROVIDERS.OPENAI, type: 'image', cost: 0.04 });
+    
+    expect(settingValues[SETTINGS.USAGE_LEDGER]).toEqual([]);
+    const [name, message] = game.socket.emit.mock.calls[0];
+    expect(name).toBe(SOCKET_NAME);
+    expect(message).toMatchObject({ action: 'recordUsage', userId: 'player1', gmId: 'gm1' });
+    
+    game.user = gm;
+    UsageLedger.initialize();
+    const handler = game.socket.on.mock.calls[0][1];
+    handler({ ...message, userId: 'gm1', entries: message.entries.map(entry => ({ ...entry, userId: 'gm1' })) }, 'player1');
+    await UsageLedger._writing;
+    
+    expect(settingValues[SETTINGS.USAGE_LEDGER]).toHaveLength(1);
+    expect(settingValues[SETTINGS.USAGE_LEDGER][0]).toMatchObject({ userId: 'player1', cost: 0.04 });
+  });
+  
+  it('should keep only valid costs and known fields from player entries', async () => {
+    UsageLedger.initialize();
+    const handler = game.socket.on.mock.calls[0][1];
+    const message = { action: 'recordUsage', gmId: 'gm1' };
+    
+    handler({
+      ...message,
+      entries: [
+        { provider: PROVIDERS.OPENAI, type: 'image', cost: -100, timestamp: 0 },
+        { provider: PROVIDERS.OPENAI, cost: Infinity },
+        { provider: PROVIDERS.OPENAI, cost: '5' },
+        { id: 'forged', provider: PROVIDERS.OPENAI, model: 'dall-e-3', type: 'image', cost: 0.04, estimate: -1, timestamp: 0, admin: true }
+      ]
+    }, 'player1');
+    await UsageLedger._writing;
+    
+    const ledger = settingValues[SETTINGS.USAGE_LEDGER];
+    expect(ledger).toHaveLength(1);
+    expect(Object.keys(ledger[0]).sort()).toEqual(['cost', 'estimate', 'id', 'model', 'provider', 'timestamp', 'type', 'userId']);
+    expect(ledger[0]).toMatchObject({ userId: 'player1', cost: 0.04, estimate: null });
+    expect(ledger[0].id).not.toBe('forged');
+    expect(ledger[0].timestamp).toBeGreaterThan(0);
+    
+    settingValues[SETTINGS.GM_ONLY_KEYS] = true;
+    handler({ ...message, entries: [{ provider: PROVIDERS.OPENAI, cost: 1 }] }, 'player1');
+    await UsageLedger._writing;
+    expect(settingValues[SETTINGS.USAGE_LEDGER]).toHaveLength(1);
+  });
+  
+  it('should drop entries older than the retention period', async () => {
+    const old = Date.now() - (UsageLedger.RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000;
+    settingValues[SETTINGS.USAGE_LEDGER] = [{ id: 'old', userId: 'gm1', cost: 1, timestamp: old }];
+    
+    await UsageLedger.record({ userId: 'gm1', provider: PROVIDERS.OPENAI, cost: 0.5 });
+    
+    expect(settingValues[SETTINGS.USAGE_LEDGER].map(entry => entry.id)).not.toContain('old');
+    expect(UsageLedger.getTotal()).toBe(0.5);
+  });
+  
+  it('should merge older entries into one row per user, provider, model, type and day', async () => {
+    const day = new Date(Date.now() - (UsageLedger.DETAIL_DAYS + 3) * 24 * 60 * 60 * 1000).setHours(0, 0, 0, 0);
+    const entry = { userId: 'player1', provider: PROVIDERS.OPENAI, model: 'dall-e-3', type: 'image', estimate: null };
+    settingValues[SETTINGS.USAGE_LEDGER] = [
+      { ...entry, id: 'a', cost: 0.04, estimate: 0.04, timestamp: day + 1000 },
+      { ...entry, id: 'b', cost: 0.08, timestamp: day + 2000 },
+      { ...entry, id: 'c', userId: 'gm1', cost: 0.5, timestamp: day + 3000 }
+    ];
+    
+    await UsageLedger.record({ userId: 'gm1', provider: PROVIDERS.OPENAI, cost: 0.25 });
+    
+    const ledger = settingValues[SETTINGS.USAGE_LEDGER];
+    expect(ledger).toHaveLength(3);
+    expect(ledger[0]).toMatchObject({ userId: 'player1', count: 2, estimate: 0.04, timestamp: day });
+    expect(ledger[0].cost).toBeCloseTo(0.12);
+    expect(UsageLedger.getTotal({ since: day, userId: 'player1' })).toBeCloseTo(0.12);
+    expect(UsageLedger.getTotal({ since: day })).toBeCloseTo(0.87);
+  });
+});
+
+describe('QueueManager budgets', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    UsageLedger.unsent = [];
+    settingValues = {
+      [SETTINGS.BUDGETS]: { user: { daily: 1 } },
+      [SETTINGS.USAGE_LEDGER]: [{ id: 'e', userId: 'player1', cost: 0.99, timestamp: Date.now() }]
+    };
+    game.user = gm;
+  });
+  
+  it('should reject an over-budget request without running it', async () => {
+    const queue = new QueueManager();
+    const execute = vi.fn();
+    
+    await expect(queue.enqueue({
+      provider: PROVIDERS.OPENAI,
+      model: 'dall-e-3',
+      userId: 'player1',
+      type: 'image',
+      params: { type: 'image', prompt: 'A castle', count: 1 },
+      execute
+    })).rejects.toMatchObject({ type: ERROR_TYPES.BUDGET_EXCEEDED });
+    expect(execute).not.toHaveBeenCalled();
+  });
+  
+  it('should record the cost of a request within budget', async () => {
+    const queue = new QueueManager();
+    
+    await queue.enqueue({
+      provider: PROVIDERS.OPENAI,
+      model: 'dall-e-3',
+      type: 'image',
+      execute: async () => ({ provider: PROVIDERS.OPENAI, model: 'dall-e-3', cost: { amount: 0.04 } })
+    });
+    await UsageLedger._writing;
+    
+    expect(UsageLedger.getTotal({ userId: 'gm1' })).toBeCloseTo(0.04);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for ComfyUI Client
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import ComfyUIClient from '../../scripts/api/comfyui.js';
+
+/**
+ * Websocket stand-in that tests drive by hand
+ */
+class FakeSocket {
+  static last = null;
+  
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.listeners = {};
+    FakeSocket.last = this;
+  }
+  
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= new Set()).add(listener);
+  }
+  
+  removeEventListener(type, listener) {
+    this.listeners[type]?.delete(listener);
+  }
+  
+  emit(type, message) {
+    const event = message ? { data: JSON.stringify(message) } : {};
+    this.listeners[type]?.forEach(listener => listener(event));
+  }
+  
+  close() {
+    this.readyState = 3;
+  }
+}
+
+const WORKFLOW = {
+  '3': { class_type: 'KSampler', inputs: { seed: 0, steps: 20 } },
+  '5': { class_type: 'EmptyLatentImage', inputs: { width: 512, height: 512, batch_size: 1 } },
+  '6': { class_type: 'CLIPTextEncode', inputs: { text: '' }, _meta: { title: 'Positive Prompt' } },
+  '7': { class_type: 'CLIPTextEncode', inputs: { text: '' }, _meta: { title: 'Negative Prompt' } },
+  '9': { class_type: 'SaveImage', inputs: { filename_prefix: 'ComfyUI' } }
+};
+
+describe('ComfyUIClient', () => {
+  let client;
+  
+  const jsonResponse = (data) => ({
+    ok: true,
+    status: 200,
+    json: async () => data
+  });
+  
+  beforeEach(() => {
+    client = new ComfyUIClient('http://127.0.0.1:8188/', 'oracle-world/comfyui-workflows');
+    client.pollInterval = 1;
+    global.fetch = vi.fn();
+    global.WebSocket = undefined;
+    global.foundry = { utils: { randomID: () => 'client-1' } };
+  });
+  
+  describe('_applyParameters', () => {
+    it('should map dialog parameters into named nodes without changing the source', () => {
+      const workflow = client._applyParameters(WORKFLOW, {
+        prompt: 'An elven archer token',
+        negativePrompt: 'text, watermark',
+        width: 400,
+        height: 400,
+        count: 2,
+        seed: 42
+      });
+      
+      expect(workflow['6'].inputs.text).toBe('An elven archer token');
+      expect(workflow['7'].inputs.text).toBe('text, watermark');
+      expect(workflow['5'].inputs).toEqual({ width: 400, height: 400, batch_size: 2 });
+      expect(workflow['3'].inputs.seed).toBe(42);
+      expect(WORKFLOW['6'].inputs.text).toBe('');
+    });
+    
+    it('should honour a mapping stored with the workflow', () => {
+      const workflow = client._applyParameters({
+        workflow: WORKFLOW,
+        mapping: { prompt: { node: '7', input: 'text' } }
+      }, { prompt: 'Swapped' });
+      
+      expect(workflow['7'].inputs.text).toBe('Swapped');
+    });
+    
+    it('should reject workflows without a prompt node', () => {
+      expect(() => client._applyParameters({ '1': { class_type: 'SaveImage', inputs: {} } }, { prompt: 'x' }))
+        .toThrow('for the prompt');
+    });
+  });
+  
+  describe('generateImage', () => {
+    it('should queue the workflow and return view URLs for output images', async () => {
+      const history = {
+        'prompt-1': {
+          status: { completed: true, status_str: 'success' },
+          outputs: {
+            '9': { images: [{ filename: 'ComfyUI_0001.png', subfolder: '', type: 'output' }] }
+          }
+        }
+      };
+      
+      global.fetch.mockImplementation(async (url) => {
+        if (url.endsWith('/prompt')) return jsonResponse({ prompt_id: 'prompt-1' });
+        return jsonResponse(history);
+      });
+      
+      const result = await client.generateImage({
+        prompt: 'A castle',
+        workflow: WORKFLOW,
+        seed: 7
+      });
+      
+      const queued = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(queued.client_id).toBe('client-1');
+      expect(queued.prompt['3'].inputs.seed).toBe(7);
+      
+      expect(result.type).toBe('image');
+      expect(result.images).toEqual([
+        'http://127.0.0.1:8188/view?filename=ComfyUI_0001.png&subfolder=&type=output'
+      ]);
+      expect(result.metadata.seed).toBe(7);
+    });
+    
+    it('should catch completion sent before /prompt returns', async () => {
+      global.WebSocket = FakeSocket;
+      client.timeout = 200;
+      
+      global.fetch.mockImplementation(async (url) => {
+        if (url.endsWith('/prompt')) {
+          FakeSocket.last.emit('message', { type: 'executing', data: { node: null, prompt_id: 'prompt-1' } });
+          return jsonResponse({ prompt_id: 'prompt-1' });
+        }
+        // The first history check still sees the prompt as running
+        const done = global.fetch.mock.calls.filter(([call]) => call.includes('/history/')).length > 1;
+        return jsonResponse(done ? { 'prompt-1': { status: { completed: true }, outputs: {} } } : {});
+      });
+      
+      const result = await client.generateImage({ prompt: 'A castle', workflow: WORKFLOW });
+      
+      expect(result.metadata.promptId).toBe('prompt-1');
+      expect(FakeSocket.last.listeners.message.size).toBe(0);
+    });
+    
+    it('should poll history when the websocket closes', async () => {
+      global.WebSocket = FakeSocket;
+      let checks = 0;
+      
+      global.fetch.mockImplementation(async (url) => {
+        if (url.endsWith('/prompt')) return jsonResponse({ prompt_id: 'prompt-1' });
+        if (++checks === 1) setTimeout(() => FakeSocket.last.emit('close'));
+        return jsonResponse(checks < 3 ? {} : { 'prompt-1': { status: { completed: true }, outputs: {} } });
+      });
+      
+      await client.generateImage({ prompt: 'A castle', workflow: WORKFLOW });
+      
+      expect(checks).toBeGreaterThanOrEqual(3);
+    });
+    
+    it('should time out when the prompt never finishes', async () => {
+      global.WebSocket = FakeSocket;
+      client.timeout = 20;
+      global.fetch.mockImplementation(async (url) => jsonResponse(url.endsWith('/prompt') ? { prompt_id: 'prompt-1' } : {}));
+      
+      await expect(client.generateImage({ prompt: 'A castle', workflow: WORKFLOW }))
+        .rejects.toMatchObject({ message: 'ComfyUI workflow timed out' });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Cost Estimator
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import CostEstimator from '../../scripts/services/cost-estimator.js';
+import PricingCatalog from '../../scripts/services/pricing-catalog.js';
+import ProviderHealth from '../../scripts/services/provider-health.js';
+import OpenAIClient from '../../scripts/api/openai.js';
+import AnthropicClient from '../../scripts/api/anthropic.js';
+import ReplicateClient from '../../scripts/api/replicate.js';
+import { PROVIDERS } from '../../scripts/constants.js';
+
+const jsonResponse = (data) => ({ ok: true, status: 200, json: async () => data });
+
+describe('CostEstimator', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    ProviderHealth.reset();
+  });
+  
+  describe('calculate', () => {
+    it('should bill input and output tokens at separate rates', () => {
+      const cost = CostEstimator.calculate(PROVIDERS.OPENAI, 'gpt-4', { inputTokens: 1000, outputTokens: 500 });
+      
+      expect(cost.amount).toBeCloseTo(0.06);
+      expect(cost.breakdown).toMatchObject({ inputTokens: 1000, outputTokens: 500, costPer1kOutputTokens: 0.06 });
+    });
+    
+    it('should price DALL-E images by size and quality', () => {
+      expect(CostEstimator.calculate(PROVIDERS.OPENAI, 'dall-e-3', { images: 1, size: '1024x1024' }).amount).toBe(0.04);
+      expect(CostEstimator.calculate(PROVIDERS.OPENAI, 'dall-e-3', { images: 1, size: '1792x1024', quality: 'hd' }).amount).toBe(0.12);
+      expect(CostEstimator.calculate(PROVIDERS.OPENAI, 'dall-e-2', { images: 2, size: '256x256' }).amount).toBe(0.032);
+    });
+    
+    it('should bill Replicate community models for prediction time, ignoring the version', () => {
+      const cost = CostEstimator.calculate(PROVIDERS.REPLICATE, 'stability-ai/sdxl:abc123', { images: 1, seconds: 10 });
+      
+      expect(cost.amount).toBeCloseTo(10 * PricingCatalog.HARDWARE_RATES['gpu-l40s']);
+      expect(cost.breakdown.hardware).toBe('gpu-l40s');
+    });
+    
+    it('should use the same tiers when estimating', async () => {
+      const estimate = await CostEstimator.estimate(PROVIDERS.OPENAI, 'dall-e-3', {
+        type: 'image', width: 1024, height: 1792, quality: 'hd', count: 1
+      });
+      
+      expect(estimate.cost).toBe('0.1200');
+    });
+  });
+  
+  describe('client costs', () => {
+    it('should compute OpenAI text cost from reported usage', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        choices: [{ message: { content: 'Hello' } }],
+        usage: { prompt_tokens: 2000, completion_tokens: 1000 }
+      }));
+      
+      const result = await new OpenAIClient('sk-test').generateText({ prompt: 'Hi', model: 'gpt-3.5-turbo' });
+      
+      expect(result.cost.estimated).toBeUndefined();
+      expect(result.cost.amount).toBeCloseTo(0.0025);
+    });
+    
+    it('should compute Anthropic text cost from reported usage', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        content: [{ text: 'Hello' }],
+        usage: { input_tokens: 1000, output_tokens: 1000 }
+      }));
+      
+      const result = await new AnthropicClient('sk-ant').generateText({ prompt: 'Hi', model: 'claude-3-haiku-20240307' });
+      
+      expect(result.cost.amount).toBeCloseTo(0.0015);
+    });
+    
+    it('should compute Replicate cost from predict_time and mark unknown models as estimated', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ id: 'p1' }))
+        .mockResolvedValueOnce(jsonResponse({ status: 'succeeded', output: ['https://x/1.png'], metrics: { predict_time: 20 } }));
+      
+      const result = await new ReplicateClient('r8_test').generateImage({ prompt: 'A castle', model: 'someone/custom:v1' });
+      
+      expect(result.cost.estimated).toBe(true);
+      expect(result.cost.amount).toBeCloseTo(20 * PricingCatalog.HARDWARE_RATES[ReplicateClient.DEFAULT_HARDWARE], 4);
+      expect(result.metadata.predictTime).toBe(20);
+    });
+  });
+});
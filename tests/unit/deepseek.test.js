@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for DeepSeek Client
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import DeepSeekClient from '../../scripts/api/deepseek.js';
+
+describe('DeepSeekClient', () => {
+  let client;
+  
+  beforeEach(() => {
+    client = new DeepSeekClient('test-api-key');
+    global.fetch = vi.fn();
+  });
+  
+  describe('generateText', () => {
+    it('should keep reasoning separate from the answer text', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          id: 'ds-1',
+          choices: [{
+            message: {
+              content: 'The old mill is haunted.',
+              reasoning_content: 'The party is level 3, so a minor ghost fits.'
+            }
+          }],
+          usage: {
+            prompt_tokens: 100,
+            completion_tokens: 900,
+            total_tokens: 1000,
+            completion_tokens_details: { reasoning_tokens: 700 }
+          }
+        })
+      });
+      
+      const result = await client.generateText({ prompt: 'Plot hook?', model: 'deepseek-reasoner' });
+      
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.temperature).toBeUndefined();
+      
+      expect(result.text).toBe('The old mill is haunted.');
+      expect(result.text).not.toContain('level 3');
+      expect(result.reasoning).toBe('The party is level 3, so a minor ghost fits.');
+      expect(result.metadata.reasoningTokens).toBe(700);
+      expect(result.cost.amount).toBe(0.0004); // 100 input at $0.00028/1K, 900 output at $0.00042/1K
+    });
+    
+    it('should bill prompt and completion tokens at their own rates', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          id: 'ds-2',
+          choices: [{ message: { content: 'Summary' } }],
+          usage: { prompt_tokens: 10000, completion_tokens: 1000, total_tokens: 11000 }
+        })
+      });
+      
+      const result = await client.generateText({ prompt: 'Summarize the session log', model: 'deepseek-chat' });
+      
+      expect(result.cost.breakdown).toMatchObject({ inputTokens: 10000, outputTokens: 1000 });
+      expect(result.cost.amount).toBe(0.0032); // $0.0028 input + $0.00042 output
+    });
+    
+    it('should stream reasoning and answer through separate callbacks', async () => {
+      const encoder = new TextEncoder();
+      const chunks = [
+        'data: {"id":"ds-2","choices":[{"delta":{"reasoning_content":"Think"}}]}\n\n',
+        'data: {"id":"ds-2","choices":[{"delta":{"content":"Answer"}}]}\n\n',
+        'data: {"id":"ds-2","choices":[],"usage":{"total_tokens":20}}\n\n',
+        'data: [DONE]\n\n'
+      ];
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        body: new ReadableStream({
+          start(controller) {
+            chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+          }
+        })
+      });
+      
+      const onToken = vi.fn();
+      const onReasoning = vi.fn();
+      const result = await client.generateText({
+        prompt: 'Plot hook?',
+        model: 'deepseek-reasoner',
+        onToken,
+        onReasoning
+      });
+      
+      expect(onReasoning).toHaveBeenCalledWith('Think', 'Think');
+      expect(onToken).toHaveBeenCalledWith('Answer', 'Answer');
+      expect(result.text).toBe('Answer');
+      expect(result.reasoning).toBe('Think');
+      expect(result.metadata.tokensUsed).toBe(20);
+    });
+  });
+});
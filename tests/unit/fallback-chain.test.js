@@ -0,0 +1,64 @@
+/**
+ * Unit Tests for Fallback Chain
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PROVIDERS } from '../../scripts/constants.js';
+
+global.Hooks = { callAll: vi.fn() };
+global.game = {
+  settings: {
+    register: vi.fn(),
+    get: vi.fn(),
+    set: vi.fn()
+  }
+};
+
+const { default: FallbackChain } = await import('../../scripts/services/fallback-chain.js');
+const { default: ProviderRegistry } = await import('../../scripts/api/provider-registry.js');
+
+describe('FallbackChain', () => {
+  beforeEach(() => {
+    ProviderRegistry.providers.clear();
+    ProviderRegistry.initialize();
+  });
+  
+  describe('parse', () => {
+    it('should parse providers with optional models', () => {
+      expect(FallbackChain.parse('anthropic:claude-3-haiku, openrouter ,openai-compatible:llama3:8b,')).toEqual([
+        { provider: 'anthropic', model: 'claude-3-haiku' },
+        { provider: 'openrouter', model: null },
+        { provider: 'openai-compatible', model: 'llama3:8b' }
+      ]);
+    });
+    
+    it('should return an empty chain for an empty setting', () => {
+      expect(FallbackChain.parse('')).toEqual([]);
+      expect(FallbackChain.parse(undefined)).toEqual([]);
+    });
+  });
+  
+  describe('getChain', () => {
+    it('should skip the primary, unconfigured and incompatible providers', () => {
+      const values = {
+        fallbackChainText: 'anthropic, replicate, openrouter:gpt-4, deepseek, openai-compatible',
+        anthropicApiKey: 'a',
+        replicateApiKey: 'r',
+        openrouterApiKey: 'o',
+        openaiCompatibleUrl: 'http://127.0.0.1:11434'
+      };
+      game.settings.get.mockImplementation((module, key) => values[key] || '');
+      
+      const chain = FallbackChain.getChain('text', { provider: PROVIDERS.ANTHROPIC, model: 'claude-3-opus' });
+      
+      expect(chain).toEqual([
+        { provider: PROVIDERS.OPENROUTER, model: 'gpt-4' },
+        { provider: PROVIDERS.OPENAI_COMPATIBLE, model: null }
+      ]);
+    });
+    
+    it('should have no chain for types without a setting', () => {
+      expect(FallbackChain.getChain('background-removal', { provider: PROVIDERS.OPENAI })).toEqual([]);
+    });
+  });
+});
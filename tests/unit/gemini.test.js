@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Gemini Client
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GeminiClient from '../../scripts/api/gemini.js';
+
+describe('GeminiClient', () => {
+  let client;
+  
+  const jsonResponse = (data) => ({
+    ok: true,
+    status: 200,
+    json: async () => data
+  });
+  
+  beforeEach(() => {
+    client = new GeminiClient('test-api-key');
+    global.fetch = vi.fn();
+  });
+  
+  describe('generateText', () => {
+    it('should send system instructions and inline images', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        candidates: [{ content: { parts: [{ text: 'A scarred ' }, { text: 'mercenary' }] } }],
+        usageMetadata: { promptTokenCount: 300, candidatesTokenCount: 200, totalTokenCount: 500 }
+      }));
+      
+      const result = await client.generateText({
+        prompt: 'Describe this character',
+        model: 'gemini-2.5-flash',
+        systemPrompt: 'You are a fantasy narrator',
+        images: ['data:image/png;base64,aW1n']
+      });
+      
+      const [url, request] = global.fetch.mock.calls[0];
+      const body = JSON.parse(request.body);
+      
+      expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent');
+      expect(request.headers['x-goog-api-key']).toBe('test-api-key');
+      expect(request.headers.Authorization).toBeUndefined();
+      expect(body.systemInstruction.parts[0].text).toBe('You are a fantasy narrator');
+      expect(body.contents[0].parts[1].inlineData).toEqual({ mimeType: 'image/png', data: 'aW1n' });
+      
+      expect(result.text).toBe('A scarred mercenary');
+      expect(result.metadata.tokensUsed).toBe(500);
+      expect(result.cost.amount).toBe(0.0006); // 300 input at $0.0003/1K, 200 output at $0.0025/1K
+    });
+    
+    it('should bill prompt and candidate tokens at their own rates', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        candidates: [{ content: { parts: [{ text: 'Summary' }] } }],
+        usageMetadata: { promptTokenCount: 10000, candidatesTokenCount: 1000, totalTokenCount: 11000 }
+      }));
+      
+      const result = await client.generateText({ prompt: 'Summarize the session log', model: 'gemini-2.5-flash' });
+      
+      expect(result.cost.breakdown).toMatchObject({ inputTokens: 10000, outputTokens: 1000 });
+      expect(result.cost.amount).toBe(0.0055); // $0.003 input + $0.0025 output
+    });
+    
+    it('should report blocked prompts', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ promptFeedback: { blockReason: 'SAFETY' } }));
+      
+      await expect(client.generateText({ prompt: 'x', model: 'gemini-2.5-flash' })).rejects.toThrow('SAFETY');
+    });
+  });
+  
+  describe('generateImage', () => {
+    it('should call Imagen predict and return data URLs', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        predictions: [{ mimeType: 'image/png', bytesBase64Encoded: 'aW1hZ2U=' }]
+      }));
+      
+      const result = await client.generateImage({
+        prompt: 'A misty forest',
+        model: 'imagen-4.0-generate-001',
+        width: 1920,
+        height: 1080
+      });
+      
+      const [url, request] = global.fetch.mock.calls[0];
+      const body = JSON.parse(request.body);
+      
+      expect(url).toContain('/models/imagen-4.0-generate-001:predict');
+      expect(body.parameters.aspectRatio).toBe('16:9');
+      expect(result.images).toEqual(['data:image/png;base64,aW1hZ2U=']);
+      expect(result.cost.amount).toBe(0.04);
+    });
+  });
+  
+  describe('getAvailableModels', () => {
+    it('should take cost info from CostEstimator pricing', () => {
+      const models = client.getAvailableModels('image');
+      
+      expect(models.find(m => m.id === 'imagen-4.0-fast-generate-001').costInfo).toBe('$0.02/image');
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Unit Tests for History Manager
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import HistoryManager, { RELATIONSHIPS } from '../../scripts/services/history-manager.js';
+import { SETTINGS, SOCKET_NAME } from '../../scripts/constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+let settingValues = {};
+let nextId = 0;
+
+global.Hooks = { callAll: vi.fn(), on: vi.fn() };
+global.ui = { notifications: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
+global.foundry = { utils: { randomID: () => `entry${++nextId}` } };
+global.game = {
+  settings: {
+    get: vi.fn((module, key) => settingValues[key]),
+    set: vi.fn(async (module, key, value) => { settingValues[key] = value; })
+  },
+  socket: { on: vi.fn(), emit: vi.fn() },
+  users: { activeGM: { id: 'gm1', isGM: true } },
+  user: { id: 'gm1', isGM: true }
+};
+
+/**
+ * History store kept in memory, recording which entries each call touched
+ */
+const createStore = () => {
+  const documents = new Map();
+  const store = {
+    documents,
+    initialize: vi.fn(async () => true),
+    loadIndex: vi.fn(async () => [...documents.values()].map(({ result, ...entry }) => ({ ...entry }))),
+    load: vi.fn(async ids => ids.filter(id => documents.has(id)).map(id => ({ ...documents.get(id) }))),
+    create: vi.fn(async entries => entries.forEach(entry => documents.set(entry.id, { ...entry }))),
+    update: vi.fn(async entry => documents.set(entry.id, { ...documents.get(entry.id), ...entry })),
+    delete: vi.fn(async ids => ids.forEach(id => documents.delete(id))),
+    watch: vi.fn(onChange => { store.onChange = onChange; })
+  };
+  return store;
+};
+
+describe('HistoryManager', () => {
+  let store;
+  let history;
+  
+  beforeEach(() => {
+    vi.clearAllMocks();
+    settingValues = {};
+    store = createStore();
+    history = new HistoryManager(store);
+  });
+  
+  it('should write each new entry on its own and keep results out of memory', async () => {
+    await history.initialize();
+    const entry = await history.save({ type: 'image', provider: 'openai', prompt: 'A castle', result: { images: ['castle.png'], jobId: 'job1' } });
+    await history.save({ type: 'text', provider: 'openai', prompt: 'A tavern', result: { text: 'Cozy' } });
+    
+    expect(store.create).toHaveBeenCalledTimes(2);
+    expect(store.create.mock.calls[0][0]).toEqual([expect.objectContaining({ id: entry.id, result: { images: ['castle.png'], jobId: 'job1' } })]);
+    expect(history.get(entry.id)).toMatchObject({ prompt: 'A castle', jobId: 'job1' });
+    expect(history.get(entry.id).result).toBeUndefined();
+    expect(await history.getEntry(entry.id)).toMatchObject({ result: { images: ['castle.png'] } });
+  });
+  
+  it('should update only the changed entry', async () => {
+    await history.initialize();
+    const entry = await history.save({ type: 'image', provider: 'openai', prompt: 'A castle', result: {} });
+    
+    await history.toggleFavorite(entry.id);
+    await history.update(entry.id, { tags: ['keep'], result: { images: ['other.png'] } });
+    
+    expect(store.update).toHaveBeenLastCalledWith(expect.objectContaining({ id: entry.id, favorite: true, tags: ['keep'] }));
+    expect(store.documents.get(entry.id).result).toEqual({});
+  });
+  
+  it('should load one page of results at a time', async () => {
+    await history.initialize();
+    for (let i = 0; i < 5; i++) {
+      await history.save({ type: i % 2 ? 'text' : 'image', provider: 'openai', prompt: `Prompt ${i}`, result: { text: `${i}` } });
+    }
+    
+    const page = await history.getPage({ page: 2, pageSize: 2 });
+    
+    expect(page).toMatchObject({ page: 2, pages: 3, total: 5 });
+    expect(page.entries.map(entry => entry.prompt)).toEqual(['Prompt 2', 'Prompt 1']);
+    expect(store.load).toHaveBeenLastCalledWith([page.entries[0].id, page.entries[1].id]);
+    
+    const images = await history.getPage({ type: 'image', pageSize: 10 });
+    expect(images.total).toBe(3);
+  });
+  
+  it('should save parameters without the signal, callbacks or API key', async () => {
+    await history.initialize();
+    const entry = await history.save({
+      type: 'image',
+      provider: 'openai',
+      prompt: 'A castle',
+      params: { prompt: 'A castle', width: 1024, seed: undefined, apiKey: 'secret', signal: new AbortController().signal, onProgress: () => {} },
+      documentUuid: 'Actor.a1',
+      result: {}
+    });
+    
+    expect(history.get(entry.id)).toMatchObject({ params: { prompt: 'A castle', width: 1024 }, documentUuid: 'Actor.a1' });
+    expect(Object.keys(history.get(entry.id).params)).toEqual(['prompt', 'width']);
+  });
+  
+  it('should search prompts and tags and filter by model, date and user', async () => {
+    const now = Date.now();
+    await store.create([
+      { id: 'a', type: 'image', model: 'dall-e-3', prompt: 'A dark castle on a hill', timestamp: now - 5 * DAY, userId: 'gm1', tags: [] },
+      { id: 'b', type: 'image', model: 'flux', prompt: 'A sunny tavern', timestamp: now - DAY, userId: 'player1', tags: ['castle'] },
+      { id: 'c', type: 'text', model: 'gpt-4o', prompt: 'Castle guard names', timestamp: now, userId: 'gm1', requestedBy: 'player1', tags: [] }
+    ]);
+    await history.initialize();
+    
+    const ids = criteria => history.filter(criteria).map(entry => entry.id);
+    expect(ids({ search: 'castle' })).toEqual(['c', 'b', 'a']);
+    expect(ids({ search: 'dark CASTLE' })).toEqual(['a']);
+    expect(ids({ model: 'flux' })).toEqual(['b']);
+    expect(ids({ from: now - 2 * DAY })).toEqual(['c', 'b']);
+    expect(ids({ to: now - 2 * DAY })).toEqual(['a']);
+    expect(ids({ userId: 'player1' })).toEqual(['c', 'b']);
+  });
+  
+  it('should remove entries beyond the size and retention limits, keeping favorites', async () => {
+    const now = Date.now();
+    await store.create([
+      { id: 'old', type: 'image', timestamp: now - 40 * DAY, favorite: false, tags: [] },
+      { id: 'oldFavorite', type: 'image', timestamp: now - 40 * DAY, favorite: true, tags: [] },
+      { id: 'a', type: 'image', timestamp: now - 3 * DAY, favorite: false, tags: [] },
+      { id: 'b', type: 'image', timestamp: now - 2 * DAY, favorite: false, tags: [] },
+      { id: 'c', type: 'image', timestamp: now - DAY, favorite: false, tags: [] }
+    ]);
+    settingValues[SETTINGS.HISTORY_MAX_ENTRIES] = 2;
+    settingValues[SETTINGS.HISTORY_RETENTION_DAYS] = 30;
+    
+    await history.initialize();
+    
+    expect(store.delete).toHaveBeenCalledWith(['a', 'old']);
+    expect(history.getAll().map(entry => entry.id)).toEqual(['c', 'b', 'oldFavorite']);
+  });
+  
+  it('should move history out of the world setting once', async () => {
+    settingValues[SETTINGS.GENERATION_HISTORY] = [
+      { id: 'legacy1', type: 'image', prompt: 'A dragon', result: { images: ['dragon.png'] }, timestamp: 2, favorite: true },
+      { id: 'legacy2', type: 'text', prompt: 'A riddle', result: { text: 'What walks' }, timestamp: 1, favorite: false, tags: ['quest'] }
+    ];
+    
+    await history.initialize();
+    
+    expect(store.create).toHaveBeenCalledTimes(1);
+    expect(store.documents.get('legacy1').result).toEqual({ images: ['dragon.png'] });
+    expect(history.getAll().map(entry => entry.id)).toEqual(['legacy1', 'legacy2']);
+    expect(settingValues[SETTINGS.GENERATION_HISTORY]).toEqual([]);
+    
+    await new HistoryManager(store).initialize();
+    expect(store.create).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should not migrate or prune for players', async () => {
+    game.user = { id: 'player1', isGM: false };
+    settingValues[SETTINGS.GENERATION_HISTORY] = [{ id: 'legacy1', type: 'image', timestamp: 1 }];
+    
+    await history.initialize();
+    
+    expect(store.create).not.toHaveBeenCalled();
+    expect(settingValues[SETTINGS.GENERATION_HISTORY]).toHaveLength(1);
+    game.user = { id: 'gm1', isGM: true };
+  });
+  
+  describe('Player writes', () => {
+    const player = { id: 'player1', isGM: false };
+    const gm = { id: 'gm1', isGM: true };
+    const receive = (message, senderId = 'player1') => history._receive({ action: 'historyWrite', gmId: 'gm1', ...message }, senderId);
+    
+    it('should send player writes to the GM instead of writing or pruning the store', async () => {
+      game.user = player;
+      settingValues[SETTINGS.HISTORY_MAX_ENTRIES] = 1;
+      await history.initialize();
+      
+      const entry = await history.save({ type: 'image', provider: 'openai', prompt: 'A castle', result: { images: ['castle.png'] } });
+      await history.save({ type: 'image', provider: 'openai', prompt: 'A tower', result: {} });
+      await history.toggleFavorite(entry.id);
+      
+      expect(store.create).not.toHaveBeenCalled();
+      expect(store.update).not.toHaveBeenCalled();
+      expect(store.delete).not.toHaveBeenCalled();
+      expect(history.getAll()).toHaveLength(2);
+      expect(game.socket.emit).toHaveBeenCalledWith(SOCKET_NAME, expect.objectContaining({
+        action: 'historyWrite',
+        gmId: 'gm1',
+        operation: 'create',
+        entries: [expect.objectContaining({ id: entry.id, result: { images: ['castle.png'] } })]
+      }));
+      expect(game.socket.emit).toHaveBeenLastCalledWith(SOCKET_NAME, expect.objectContaining({ operation: 'update', id: entry.id, changes: { favorite: true } }));
+      game.user = gm;
+    });
+    
+    it('should write player entries as the sender and only let them change their own', async () => {
+      await store.create([
+        { id: 'mine', type: 'image', prompt: 'Mine', timestamp: 2, userId: 'player1', favorite: false, tags: [] },
+        { id: 'theirs', type: 'image', prompt: 'Theirs', timestamp: 1, userId: 'gm1', favorite: false, tags: [] }
+      ]);
+      await history.initialize();
+      
+      await receive({ operation: 'create', entries: [{ id: 'new', type: 'image', prompt: 'New', timestamp: 3, userId: 'gm1', result: {} }] });
+      await receive({ operation: 'update', id: 'theirs', changes: { tags: ['defaced'] } });
+      await receive({ operation: 'update', id: 'mine', changes: { tags: ['keep'], userId: 'gm1', prompt: 'Changed' } });
+      await receive({ operation: 'delete', ids: ['theirs', 'mine'] });
+      
+      expect(store.documents.get('new')).toMatchObject({ userId: 'player1', result: {} });
+      expect(store.documents.get('theirs')).toMatchObject({ tags: [] });
+      expect(store.documents.has('mine')).toBe(false);
+      expect(store.update).toHaveBeenCalledWith(expect.objectContaining({ id: 'mine', tags: ['keep'], userId: 'player1', prompt: 'Mine' }));
+      expect(history.getAll().map(entry => entry.id)).toEqual(['new', 'theirs']);
+    });
+    
+    it('should follow writes made by other clients', async () => {
+      await history.initialize();
+      
+      store.onChange('create', { id: 'a', type: 'image', prompt: 'From a player', timestamp: 1, tags: [] });
+      store.onChange('update', { id: 'a', type: 'image', prompt: 'From a player', timestamp: 1, tags: ['tagged'] });
+      expect(history.get('a')).toMatchObject({ tags: ['tagged'] });
+      
+      store.onChange('delete', { id: 'a' });
+      expect(history.getAll()).toEqual([]);
+    });
+  });
+  
+  describe('Lineage', () => {
+    const save = (prompt, extra = {}) => history.save({ type: 'image', provider: 'openai', model: 'dall-e-3', prompt, documentUuid: 'Actor.a1', result: {}, ...extra });
+    
+    beforeEach(() => history.initialize());
+    
+    it('should record the parent and relationship of a generation', async () => {
+      const root = await save('A knight');
+      const child = await save('A knight', { parentId: root.id, relationship: RELATIONSHIPS.REROLL });
+      const orphan = await save('A squire', { relationship: RELATIONSHIPS.EDIT });
+      const unknown = await save('A page', { parentId: root.id, relationship: 'remix' });
+      
+      expect(history.get(child.id)).toMatchObject({ parentId: root.id, relationship: RELATIONSHIPS.REROLL });
+      expect(history.get(orphan.id)).toMatchObject({ parentId: null, relationship: null });
+      expect(history.get(unknown.id)).toMatchObject({ parentId: root.id, relationship: null });
+    });
+    
+    it('should walk ancestors, children and the whole tree', async () => {
+      const root = await save('A knight');
+      const edit = await save('A knight in black armor', { parentId: root.id, relationship: RELATIONSHIPS.EDIT });
+      const reroll = await save('A knight', { parentId: root.id, relationship: RELATIONSHIPS.REROLL });
+      const upscale = await save('A knight in black armor', { parentId: edit.id, relationship: RELATIONSHIPS.UPSCALE });
+      
+      expect(history.getAncestors(upscale.id).map(entry => entry.id)).toEqual([root.id, edit.id]);
+      expect(history.getParent(upscale.id).id).toBe(edit.id);
+      expect(history.getChildren(root.id).map(entry => entry.id)).toEqual([edit.id, reroll.id]);
+      
+      const tree = history.getLineage(upscale.id);
+      expect(tree.id).toBe(root.id);
+      expect(tree.children.map(node => node.id)).toEqual([edit.id, reroll.id]);
+      expect(tree.children[0].children.map(node => node.id)).toEqual([upscale.id]);
+    });
+    
+    it('should start a new tree where a parent was deleted or belongs to another document', async () => {
+      const root = await save('A knight');
+      const child = await save('A knight', { parentId: root.id, relationship: RELATIONSHIPS.REROLL });
+      const elsewhere = await save('A knight', { parentId: root.id, relationship: RELATIONSHIPS.EDIT, documentUuid: 'Actor.a2' });
+      await save('A dragon', { documentUuid: 'Actor.a2' });
+      
+      expect(history.getDocumentTree('Actor.a1').map(node => node.id)).toEqual([root.id]);
+      expect(history.getDocumentTree('Actor.a2').map(node => node.id)).toEqual([elsewhere.id, expect.any(String)]);
+      
+      await history.delete(root.id);
+      expect(history.getDocumentTree('Actor.a1').map(node => node.id)).toEqual([child.id]);
+      expect(history.getAncestors(child.id)).toEqual([]);
+    });
+    
+    it('should tell a re-roll from an edit, upscale, variation or transform', async () => {
+      const parent = await save('A knight', { params: { prompt: 'A knight', model: 'dall-e-3', width: 1024, height: 1024 } });
+      const relate = (params, extra = {}) => history.getRelationship(parent, { provider: 'openai', type: 'image', params, ...extra });
+      
+      expect(relate({ prompt: 'A knight', model: 'dall-e-3', width: 1024, height: 1024, seed: 7 })).toBe(RELATIONSHIPS.REROLL);
+      expect(relate({ prompt: 'A tall knight', model: 'dall-e-3', width: 1024, height: 1024 })).toBe(RELATIONSHIPS.EDIT);
+      expect(relate({ prompt: 'A knight', model: 'dall-e-3', width: 1024, height: 1024 }, { provider: 'replicate' })).toBe(RELATIONSHIPS.EDIT);
+      expect(relate({ action: 'U2' })).toBe(RELATIONSHIPS.UPSCALE);
+      expect(relate({ action: 'V1' })).toBe(RELATIONSHIPS.VARIATION);
+      expect(relate({ prompt: 'A knight' }, { type: 'image-transform' })).toBe(RELATIONSHIPS.TRANSFORM);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for Key Relay
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PROVIDERS, SETTINGS, SOCKET_NAME, ERROR_TYPES } from '../../scripts/constants.js';
+
+const gm = { id: 'gm1', name: 'GM', isGM: true };
+const player = { id: 'player1', name: 'Player', isGM: false };
+let settingValues = {};
+
+global.Hooks = { callAll: vi.fn(), on: vi.fn() };
+global.foundry = { utils: { randomID: () => 'request1', debounce: fn => fn } };
+global.game = {
+  settings: {
+    register: vi.fn(),
+    get: vi.fn((module, key) => settingValues[key]),
+    set: vi.fn()
+  },
+  socket: { on: vi.fn(), emit: vi.fn() },
+  users: { activeGM: gm, get: id => [gm, player].find(user => user.id === id) },
+  user: player
+};
+
+const { default: KeyRelay } = await import('../../scripts/services/key-relay.js');
+const { default: ProviderRegistry } = await import('../../scripts/api/provider-registry.js');
+const { default: ProviderFactory } = await import('../../scripts/api/provider-factory.js');
+const { default: RelayClient } = await import('../../scripts/api/relay-client.js');
+const { default: BudgetManager } = await import('../../scripts/services/budget-manager.js');
+
+describe('KeyRelay', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    KeyRelay.pending.clear();
+    KeyRelay.running.clear();
+    ProviderRegistry.providers.clear();
+    ProviderRegistry.initialize();
+    settingValues = {
+      [SETTINGS.GM_ONLY_KEYS]: true,
+      [SETTINGS.PLAYER_ACCESS]: true,
+      [SETTINGS.GM_ONLY_MODE]: false,
+      [SETTINGS.RELAYED_PROVIDERS]: [PROVIDERS.OPENAI]
+    };
+    game.user = player;
+  });
+  
+  describe('player client', () => {
+    it('should offer the providers the GM configured through relay clients', () => {
+      expect(ProviderFactory.isAvailable(PROVIDERS.OPENAI)).toBe(true);
+      expect(ProviderFactory.isAvailable(PROVIDERS.ANTHROPIC)).toBe(false);
+      
+      const client = ProviderFactory.create(PROVIDERS.OPENAI);
+      expect(client).toBeInstanceOf(RelayClient);
+      expect(typeof client.generateImage).toBe('function');
+      expect(client.getSamplers).toBeUndefined();
+      expect(() => ProviderFactory.create(PROVIDERS.ANTHROPIC)).toThrow('not configured by the GM');
+    });
+    
+    it('should send requests without functions and resolve with the GM result', async () => {
+      const onToken = vi.fn();
+      const promise = KeyRelay.request(PROVIDERS.OPENAI, 'generateText', [{ prompt: 'Hi', onToken, signal: new AbortController().signal }]);
+      
+      expect(game.socket.emit).toHaveBeenCalledWith(SOCKET_NAME, expect.objectContaining({
+        action: 'request',
+        requestId: 'request1',
+        gmId: 'gm1',
+        args: [{ prompt: 'Hi' }],
+        callbacks: ['onToken']
+      }));
+      
+      KeyRelay._onMessage({ action: 'callback', requestId: 'request1', userId: 'player1', name: 'onToken', args: ['He', 'He'] }, 'gm1');
+      KeyRelay._onMessage({ action: 'result', requestId: 'request1', userId: 'player1', result: { text: 'Hello' } }, 'gm1');
+      
+      await expect(promise).resolves.toEqual({ text: 'Hello' });
+      expect(onToken).toHaveBeenCalledWith('He', 'He');
+      expect(KeyRelay.pending.size).toBe(0);
+    });
+    
+    it('should reject with the GM error type, and on cancellation', async () => {
+      const failed = KeyRelay.request(PROVIDERS.OPENAI, 'generateImage', [{ prompt: 'x' }]);
+      KeyRelay._onMessage({
+        action: 'error',
+        requestId: 'request1',
+        userId: 'player1',
+        provider: PROVIDERS.OPENAI,
+        error: { type: ERROR_TYPES.RATE_LIMIT, message: 'Rate limit exceeded', details: {} }
+      }, 'gm1');
+      await expect(failed).rejects.toMatchObject({ type: ERROR_TYPES.RATE_LIMIT, provider: PROVIDERS.OPENAI });
+      
+      const controller = new AbortController();
+      const cancelled = KeyRelay.request(PROVIDERS.OPENAI, 'generateImage', [{ prompt: 'x', signal: controller.signal }]);
+      controller.abort();
+      await expect(cancelled).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(game.socket.emit).toHaveBeenCalledWith(SOCKET_NAME, { action: 'cancel', requestId: 'request1', gmId: 'gm1' });
+    });
+    
+    it('should drop replies to requests it did not issue', async () => {
+      const promise = KeyRelay.request(PROVIDERS.OPENAI, 'generateText', [{ prompt: 'Hi' }]);
+      const onToken = vi.fn();
+      KeyRelay.pending.get('request1').callbacks.onToken = onToken;
+      
+      KeyRelay._onMessage({ action: 'callback', requestId: 'other', userId: 'player1', name: 'onToken', args: ['x'] }, 'gm1');
+      KeyRelay._onMessage({ action: 'result', requestId: 'other', userId: 'player1', result: { text: 'Not mine' } }, 'gm1');
+      KeyRelay._onMessage({ action: 'result', requestId: 'request1', userId: 'player2', result: { text: 'Not mine' } }, 'gm1');
+      
+      expect(onToken).not.toHaveBeenCalled();
+      expect(KeyRelay.pending.size).toBe(1);
+      KeyRelay._onMessage({ action: 'result', requestId: 'request1', userId: 'player1', result: { text: 'Hello' } }, 'gm1');
+      await expect(promise).resolves.toEqual({ text: 'Hello' });
+    });
+    
+    it('should ignore replies that did not come from the GM running the request', async () => {
+      const promise = KeyRelay.request(PROVIDERS.OPENAI, 'generateText', [{ prompt: 'Hi' }]);
+      KeyRelay._onMessage({ action: 'result', requestId: 'request1', userId: 'player1', result: { text: 'Forged' } }, 'player2');
+      expect(KeyRelay.pending.size).toBe(1);
+      
+      KeyRelay._onMessage({ action: 'result', requestId: 'request1', userId: 'player1', result: { text: 'Hello' } }, 'gm1');
+      await expect(promise).resolves.toEqual({ text: 'Hello' });
+    });
+  });
+  
+  describe('GM client', () => {
+    beforeEach(() => {
+      game.user = gm;
+      settingValues[SETTINGS.OPENAI_API_KEY] = 'sk-secret';
+    });
+    
+    it('should run the request with its own keys and send back only the result', async () => {
+      const client = { generateText: vi.fn(async params => {
+        params.onToken('Hi', 'Hi');
+        return { text: 'Hi' };
+      }) };
+      vi.spyOn(ProviderFactory, 'create').mockReturnValue(client);
+      
+      await KeyRelay._runRequest({
+        requestId: 'request1',
+        userId: 'player1',
+        provider: PROVIDERS.OPENAI,
+        method: 'generateText',
+        args: [{ prompt: 'Hi' }],
+        callbacks: ['onToken']
+      }, 'player1');
+      
+      expect(client.generateText.mock.calls[0][0].signal).toBeInstanceOf(AbortSignal);
+      expect(game.socket.emit).toHaveBeenCalledWith(SOCKET_NAME, expect.objectContaining({ action: 'callback', name: 'onToken', args: ['Hi', 'Hi'] }));
+      expect(game.socket.emit).toHaveBeenLastCalledWith(SOCKET_NAME, {
+        requestId: 'request1',
+        userId: 'player1',
+        provider: PROVIDERS.OPENAI,
+        action: 'result',
+        result: { text: 'Hi' }
+      });
+      expect(JSON.stringify(game.socket.emit.mock.calls)).not.toContain('sk-secret');
+    });
+    
+    it('should refuse players without generation access and methods outside the relay list', async () => {
+      settingValues[SETTINGS.PLAYER_ACCESS] = false;
+      await KeyRelay._runRequest({ requestId: 'a', userId: 'player1', provider: PROVIDERS.OPENAI, method: 'generateText', args: [{}] }, 'player1');
+      
+      settingValues[SETTINGS.PLAYER_ACCESS] = true;
+      await KeyRelay._runRequest({ requestId: 'b', userId: 'player1', provider: PROVIDERS.OPENAI, method: '_getAuthHeaders', args: [] }, 'player1');
+      
+      const errors = game.socket.emit.mock.calls.map(([, message]) => message.error.type);
+      expect(errors).toEqual([ERROR_TYPES.AUTH_ERROR, ERROR_TYPES.VALIDATION_ERROR]);
+    });
+    
+    it('should refuse paid calls from players whose generations need approval', async () => {
+      settingValues[SETTINGS.REQUIRE_APPROVAL] = true;
+      const client = { generateImage: vi.fn(), getAvailableModels: vi.fn(async () => []) };
+      vi.spyOn(ProviderFactory, 'create').mockReturnValue(client);
+      
+      await KeyRelay._runRequest({ requestId: 'a', provider: PROVIDERS.OPENAI, method: 'generateImage', args: [{ prompt: 'x' }] }, 'player1');
+      await KeyRelay._runRequest({ requestId: 'b', provider: PROVIDERS.OPENAI, method: 'getAvailableModels', args: ['image'] }, 'player1');
+      
+      expect(client.generateImage).not.toHaveBeenCalled();
+      expect(client.getAvailableModels).toHaveBeenCalled();
+      expect(game.socket.emit.mock.calls.map(([, message]) => message.action)).toEqual(['error', 'result']);
+      expect(game.socket.emit.mock.calls[0][1].error.type).toBe(ERROR_TYPES.AUTH_ERROR);
+    });
+    
+    it('should act for the user who sent the request, whoever the message names', async () => {
+      settingValues[SETTINGS.PLAYER_ACCESS] = false;
+      const run = vi.spyOn(KeyRelay, '_runRequest');
+      
+      KeyRelay._onMessage({ action: 'request', requestId: 'a', userId: 'gm1', gmId: 'gm1', provider: PROVIDERS.OPENAI, method: 'generateText', args: [{}] }, 'player1');
+      await run.mock.results[0].value;
+      
+      expect(run).toHaveBeenCalledWith(expect.any(Object), 'player1');
+      expect(game.socket.emit).toHaveBeenLastCalledWith(SOCKET_NAME, expect.objectContaining({
+        userId: 'player1',
+        action: 'error',
+        error: expect.objectContaining({ type: ERROR_TYPES.AUTH_ERROR })
+      }));
+    });
+    
+    it('should record the spend of a relayed generation itself', async () => {
+      settingValues[SETTINGS.TRACK_USAGE] = true;
+      const recordSpend = vi.spyOn(BudgetManager, 'recordSpend').mockResolvedValue({ cost: 0.04 });
+      const client = { generateImage: vi.fn(async () => ({ provider: PROVIDERS.OPENAI, model: 'dall-e-3', cost: { amount: 0.04, currency: 'USD' } })) };
+      vi.spyOn(ProviderFactory, 'create').mockReturnValue(client);
+      
+      await KeyRelay._runRequest({ requestId: 'a', provider: PROVIDERS.OPENAI, method: 'generateImage', args: [{ prompt: 'A castle' }] }, 'player1');
+      await KeyRelay._runRequest({ requestId: 'b', provider: PROVIDERS.OPENAI, method: 'getAvailableModels', args: [] }, 'player1');
+      
+      expect(recordSpend).toHaveBeenCalledTimes(1);
+      expect(recordSpend).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'player1',
+        type: 'image',
+        provider: PROVIDERS.OPENAI,
+        result: expect.objectContaining({ cost: expect.objectContaining({ amount: 0.04 }) }),
+        notify: false
+      }));
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Midjourney Relay Client
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import MidjourneyClient from '../../scripts/api/midjourney.js';
+
+const ok = (body) => ({ ok: true, status: 200, json: async () => body });
+
+describe('MidjourneyClient', () => {
+  let client;
+  
+  beforeEach(() => {
+    client = new MidjourneyClient('relay-secret', 'http://127.0.0.1:8080/mj/');
+    client.pollInterval = 0;
+    global.fetch = vi.fn();
+  });
+  
+  describe('_buildPrompt', () => {
+    it('should append aspect ratio, stylize, seed and version flags', () => {
+      const prompt = client._buildPrompt({
+        prompt: 'a ruined keep',
+        model: 'midjourney-v6',
+        width: 1344,
+        height: 768,
+        stylize: 250,
+        seed: 42
+      });
+      
+      expect(prompt).toBe('a ruined keep --ar 7:4 --stylize 250 --seed 42 --v 6.1');
+    });
+    
+    it('should not override flags typed into the prompt', () => {
+      const prompt = client._buildPrompt({
+        prompt: 'a ruined keep --ar 2:3',
+        model: 'midjourney-v6',
+        width: 1024,
+        height: 1024
+      });
+      
+      expect(prompt).toBe('a ruined keep --ar 2:3 --v 6.1');
+    });
+  });
+  
+  describe('generateImage', () => {
+    it('should return the grid followed by the upscaled images', async () => {
+      global.fetch
+        .mockResolvedValueOnce(ok({ code: 1, result: 'grid-1' }))
+        .mockResolvedValueOnce(ok({ id: 'grid-1', status: 'IN_PROGRESS', progress: '40%' }))
+        .mockResolvedValueOnce(ok({ id: 'grid-1', status: 'SUCCESS', imageUrl: 'https://cdn/grid.png' }))
+        .mockResolvedValueOnce(ok({ code: 1, result: 'up-1' }))
+        .mockResolvedValueOnce(ok({ id: 'up-1', status: 'SUCCESS', imageUrl: 'https://cdn/u1.png' }))
+        .mockResolvedValueOnce(ok({ code: 22, result: 'up-3' }))
+        .mockResolvedValueOnce(ok({ id: 'up-3', status: 'SUCCESS', imageUrl: 'https://cdn/u3.png' }));
+      
+      const onProgress = vi.fn();
+      const result = await client.generateImage({
+        prompt: 'a ruined keep',
+        model: 'midjourney-v7',
+        upscales: [1, 3],
+        onProgress
+      });
+      
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://127.0.0.1:8080/mj/submit/imagine');
+      expect(options.headers['mj-api-secret']).toBe('relay-secret');
+      
+      const upscale = JSON.parse(global.fetch.mock.calls[5][1].body);
+      expect(upscale).toEqual({ taskId: 'grid-1', action: 'UPSCALE', index: 3 });
+      
+      expect(onProgress).toHaveBeenCalledWith(40, 100);
+      expect(result.images).toEqual(['https://cdn/grid.png', 'https://cdn/u1.png', 'https://cdn/u3.png']);
+      expect(result.metadata.taskId).toBe('grid-1');
+      expect(result.metadata.actions).toContain('V4');
+    });
+    
+    it('should surface relay failures', async () => {
+      global.fetch
+        .mockResolvedValueOnce(ok({ code: 1, result: 'grid-1' }))
+        .mockResolvedValueOnce(ok({ id: 'grid-1', status: 'FAILURE', failReason: 'Banned prompt' }));
+      
+      await expect(client.generateImage({ prompt: 'x', upscales: [] }))
+        .rejects.toThrow('Midjourney job failed: Banned prompt');
+    });
+  });
+  
+  describe('transformImage', () => {
+    it('should run a variation on an earlier grid', async () => {
+      global.fetch
+        .mockResolvedValueOnce(ok({ code: 1, result: 'var-1' }))
+        .mockResolvedValueOnce(ok({ id: 'var-1', status: 'SUCCESS', imageUrl: 'https://cdn/v2.png' }));
+      
+      const result = await client.transformImage({ action: 'V2', taskId: 'grid-1' });
+      
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body).toEqual({ taskId: 'grid-1', action: 'VARIATION', index: 2 });
+      expect(result.images).toEqual(['https://cdn/v2.png']);
+      expect(result.metadata.actions).toHaveLength(8);
+    });
+    
+    it('should reject unknown actions', async () => {
+      await expect(client.transformImage({ action: 'U5', taskId: 'grid-1' }))
+        .rejects.toThrow('Unknown Midjourney action: U5');
+    });
+  });
+});
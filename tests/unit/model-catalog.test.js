@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for Model Catalog
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PROVIDERS, SETTINGS } from '../../scripts/constants.js';
+
+let settingValues = {};
+
+global.game = {
+  settings: {
+    register: vi.fn(),
+    get: vi.fn((module, key) => settingValues[key]),
+    set: vi.fn(async (module, key, value) => { settingValues[key] = value; })
+  }
+};
+
+const { default: ModelCatalog } = await import('../../scripts/services/model-catalog.js');
+const { default: ProviderHealth } = await import('../../scripts/services/provider-health.js');
+const { default: OpenRouterClient } = await import('../../scripts/api/openrouter.js');
+const { default: OpenAIClient } = await import('../../scripts/api/openai.js');
+const { default: AnthropicClient } = await import('../../scripts/api/anthropic.js');
+const { default: ReplicateClient } = await import('../../scripts/api/replicate.js');
+
+const jsonResponse = (data) => ({ ok: true, status: 200, json: async () => data });
+
+describe('ModelCatalog', () => {
+  const openRouterModels = {
+    data: [
+      { id: 'openai/gpt-4o', name: 'OpenAI: GPT-4o', context_length: 128000, architecture: { output_modalities: ['text'] } },
+      { id: 'anthropic/claude-sonnet-4', name: 'Anthropic: Claude Sonnet 4', context_length: 1000000, architecture: { output_modalities: ['text'] } },
+      { id: 'mistralai/tiny', name: 'Mistral Tiny', context_length: 8000, architecture: { output_modalities: ['text'] } },
+      { id: 'google/gemini-2.5-flash-image', name: 'Nano Banana', context_length: 32000, architecture: { output_modalities: ['image', 'text'] } }
+    ]
+  };
+  
+  beforeEach(() => {
+    settingValues = {};
+    global.fetch = vi.fn();
+    ProviderHealth.reset();
+  });
+  
+  it('should cache fetched models until the TTL expires or a refresh is asked for', async () => {
+    fetch.mockResolvedValue(jsonResponse(openRouterModels));
+    const client = new OpenRouterClient('sk-or');
+    
+    await client.getAvailableModels('text');
+    await client.getAvailableModels('text');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(ModelCatalog.getFetchedAt(PROVIDERS.OPENROUTER)).toBeGreaterThan(0);
+    
+    await client.getAvailableModels('text', 'all', { refresh: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    
+    settingValues[SETTINGS.MODEL_CACHE][PROVIDERS.OPENROUTER].fetchedAt -= ModelCatalog.TTL;
+    await client.getAvailableModels('text');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+  
+  it('should filter by modality and context length, listing curated models first', async () => {
+    fetch.mockResolvedValue(jsonResponse(openRouterModels));
+    const client = new OpenRouterClient('sk-or');
+    
+    const models = await client.getAvailableModels('text');
+    expect(models.map(model => model.id)).toEqual(['openai/gpt-4o', 'anthropic/claude-sonnet-4', 'mistralai/tiny', 'google/gemini-2.5-flash-image']);
+    expect(models[0].costInfo).toBe('$0.0025/$0.01 per 1K tokens');
+    expect(models[2]).toMatchObject({ name: 'Mistral Tiny', contextLength: 8000, costInfo: 'Varies' });
+    
+    const large = await client.getAvailableModels('text', 'all', { minContext: 128000 });
+    expect(large.map(model => model.id)).toEqual(['openai/gpt-4o', 'anthropic/claude-sonnet-4']);
+  });
+  
+  it('should fall back to the cached list, then to the bundled list, when fetching fails', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, statusText: 'Server Error', json: async () => ({}) });
+    const client = new AnthropicClient('sk-ant');
+    
+    const bundled = await client.getAvailableModels('text');
+    expect(bundled.map(model => model.id)).toContain('claude-sonnet-4-5');
+    
+    settingValues[SETTINGS.MODEL_CACHE] = {
+      [PROVIDERS.ANTHROPIC]: { fetchedAt: 0, models: [{ id: 'claude-old', name: 'Old', types: ['text'] }] }
+    };
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, statusText: 'Server Error', json: async () => ({}) });
+    
+    expect((await client.getAvailableModels('text')).map(model => model.id)).toEqual(['claude-old']);
+  });
+  
+  it('should follow Anthropic pagination and price dated model IDs', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ data: [{ id: 'claude-sonnet-4-5-20250929', display_name: 'Claude Sonnet 4.5' }], has_more: true, last_id: 'claude-sonnet-4-5-20250929' }))
+      .mockResolvedValueOnce(jsonResponse({ data: [{ id: 'claude-3-haiku-20240307', display_name: 'Claude Haiku 3' }], has_more: false }));
+    
+    const models = await new AnthropicClient('sk-ant').getAvailableModels('text');
+    
+    expect(fetch.mock.calls[1][0]).toContain('after_id=claude-sonnet-4-5-20250929');
+    expect(models.map(model => model.name)).toEqual(['Claude Haiku 3', 'Claude Sonnet 4.5']);
+    expect(models[1].costInfo).toBe('$0.003/$0.015 per 1K tokens');
+  });
+  
+  it('should sort OpenAI models by type from their IDs and keep curated capabilities', async () => {
+    fetch.mockResolvedValue(jsonResponse({
+      data: [{ id: 'dall-e-3' }, { id: 'gpt-4o' }, { id: 'tts-1' }, { id: 'text-embedding-3-small' }, { id: 'gpt-4o-realtime-preview' }, { id: 'o3-mini' }]
+    }));
+    const client = new OpenAIClient('sk-test');
+    
+    expect((await client.getAvailableModels('text')).map(model => model.id)).toEqual(['gpt-4o', 'o3-mini']);
+    expect((await client.getAvailableModels('speech')).map(model => model.id)).toEqual(['tts-1']);
+    expect((await client.getAvailableModels('image'))[0].capabilities.maxCount).toBe(1);
+  });
+  
+  it('should add Replicate collection models after the curated ones', async () => {
+    fetch.mockResolvedValue(jsonResponse({
+      models: [
+        { owner: 'black-forest-labs', name: 'flux-schnell', latest_version: { id: 'v1' } },
+        { owner: 'ideogram-ai', name: 'ideogram-v3', description: 'Typography', latest_version: { id: 'v2' } }
+      ]
+    }));
+    const client = new ReplicateClient('r8_test');
+    
+    const models = await client.getAvailableModels('image');
+    expect(fetch.mock.calls[0][0]).toBe('https://api.replicate.com/v1/collections/text-to-image');
+    expect(models.filter(model => model.id.startsWith('black-forest-labs/flux-schnell'))).toHaveLength(1);
+    expect(models.at(-2)).toMatchObject({ id: 'ideogram-ai/ideogram-v3:v2', category: 'collection' });
+    expect(models.at(-1).id).toBe('custom');
+    
+    expect((await client.getAvailableModels('image', 'collection')).map(model => model.id)).toEqual(['ideogram-ai/ideogram-v3:v2']);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for OpenAI-Compatible Client
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import OpenAICompatibleClient from '../../scripts/api/openai-compatible.js';
+import CostEstimator from '../../scripts/services/cost-estimator.js';
+
+describe('OpenAICompatibleClient', () => {
+  let client;
+  
+  const jsonResponse = (data) => ({
+    ok: true,
+    status: 200,
+    json: async () => data
+  });
+  
+  beforeEach(() => {
+    client = new OpenAICompatibleClient('', 'http://127.0.0.1:11434/');
+    global.fetch = vi.fn();
+  });
+  
+  describe('Constructor', () => {
+    it('should normalize the server URL with or without /v1', () => {
+      expect(client.baseURL).toBe('http://127.0.0.1:11434/v1');
+      expect(new OpenAICompatibleClient('', 'http://localhost:1234/v1').baseURL).toBe('http://localhost:1234/v1');
+    });
+  });
+  
+  describe('generateText', () => {
+    it('should call chat completions without an Authorization header when no key is set', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        id: 'chatcmpl-1',
+        choices: [{ message: { content: 'A grizzled innkeeper' } }],
+        usage: { total_tokens: 30 }
+      }));
+      
+      const result = await client.generateText({ prompt: 'Describe an NPC', model: 'llama3.1:8b' });
+      
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://127.0.0.1:11434/v1/chat/completions');
+      expect(request.headers.Authorization).toBeUndefined();
+      expect(result.text).toBe('A grizzled innkeeper');
+      expect(result.cost.amount).toBe(0);
+    });
+  });
+  
+  describe('getAvailableModels', () => {
+    it('should list models from /v1/models', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ data: [{ id: 'qwen2.5-7b-instruct' }] }));
+      
+      const models = await client.getAvailableModels('text');
+      
+      expect(models.map(m => m.id)).toEqual(['qwen2.5-7b-instruct']);
+    });
+    
+    it('should fall back to Ollama tags', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) });
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        models: [{ name: 'mistral:7b', details: { parameter_size: '7B', quantization_level: 'Q4_0' } }]
+      }));
+      
+      const models = await client.getAvailableModels('text');
+      
+      expect(global.fetch.mock.calls[1][0]).toBe('http://127.0.0.1:11434/api/tags');
+      expect(models[0]).toMatchObject({ id: 'mistral:7b', description: '7B Q4_0' });
+    });
+  });
+  
+  describe('Cost estimation', () => {
+    it('should report zero cost to CostEstimator', async () => {
+      const estimate = await CostEstimator.estimate('openai-compatible', 'mistral:7b', {
+        type: 'text',
+        prompt: 'Hello'
+      });
+      
+      expect(estimate.estimated).toBe(true);
+      expect(estimate.cost).toBe('0.0000');
+    });
+  });
+});
@@ -143,6 +143,117 @@ describe('OpenRouterClient', () => {
     });
   });
   
+  describe('generation stats', () => {
+    const completion = {
+      ok: true,
+      json: async () => ({
+        id: 'gen-42',
+        choices: [{ message: { content: 'Generated text' } }],
+        usage: { total_tokens: 100 }
+      })
+    };
+    
+    it('should take the cost from the generation stats endpoint', async () => {
+      global.fetch
+        .mockResolvedValueOnce(completion)
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: async () => ({ data: { total_cost: 0.00123, tokens_prompt: 40, tokens_completion: 60 } })
+        });
+      
+      const result = await client.generateText({ prompt: 'Test', model: 'gpt-4' });
+      
+      expect(global.fetch.mock.calls[1][0]).toBe('https://openrouter.ai/api/v1/generation?id=gen-42');
+      expect(result.cost.amount).toBe(0.00123);
+      expect(result.cost.breakdown).toMatchObject({ inputTokens: 40, outputTokens: 60 });
+    });
+    
+    it('should fall back to the pricing catalog when stats are unavailable', async () => {
+      global.fetch
+        .mockResolvedValueOnce(completion)
+        .mockResolvedValueOnce({ ok: false, status: 500, statusText: 'Server Error', json: async () => ({}) });
+      
+      const result = await client.generateText({ prompt: 'Test', model: 'gpt-4' });
+      
+      // Only a total is reported, so it is billed at the output rate
+      expect(result.cost.amount).toBe(0.006);
+      expect(result.cost.breakdown.tokensUsed).toBe(100);
+    });
+  });
+  
+  describe('generateText streaming', () => {
+    const streamResponse = (chunks) => ({
+      ok: true,
+      status: 200,
+      body: new ReadableStream({
+        start(controller) {
+          const encoder = new TextEncoder();
+          chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+          controller.close();
+        }
+      })
+    });
+    
+    it('should stream tokens to onToken and return the full text', async () => {
+      global.fetch.mockResolvedValueOnce(streamResponse([
+        'data: {"id":"gen-1","choices":[{"delta":{"content":"Hello"}}]}\n\n',
+        'data: {"id":"gen-1","choices":[{"delta":{"content":" wor',
+        'ld"}}]}\n\n: keep-alive\n\n',
+        'data: {"id":"gen-1","choices":[],"usage":{"total_tokens":42}}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      
+      const onToken = vi.fn();
+      const result = await client.generateText({
+        prompt: 'Test',
+        model: 'gpt-4',
+        onToken
+      });
+      
+      const requestBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(requestBody.stream).toBe(true);
+      
+      expect(onToken).toHaveBeenCalledTimes(2);
+      expect(onToken).toHaveBeenLastCalledWith(' world', 'Hello world');
+      expect(result.text).toBe('Hello world');
+      expect(result.metadata.tokensUsed).toBe(42);
+      expect(result.metadata.requestId).toBe('gen-1');
+    });
+    
+    it('should leave callbacks and the signal out of the result metadata', async () => {
+      global.fetch.mockResolvedValueOnce(streamResponse([
+        'data: {"id":"gen-1","choices":[{"delta":{"content":"Hi"}}]}\n\n',
+        'data: {"id":"gen-1","choices":[],"usage":{"total_tokens":3}}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      
+      const result = await client.generateText({
+        prompt: 'Test',
+        model: 'gpt-4',
+        temperature: 0.5,
+        onToken: vi.fn(),
+        onReasoning: vi.fn(),
+        signal: new AbortController().signal
+      });
+      
+      expect(result.metadata.parameters).toEqual({ prompt: 'Test', model: 'gpt-4', temperature: 0.5 });
+      expect(() => structuredClone(result)).not.toThrow();
+    });
+    
+    it('should surface errors sent inside the stream', async () => {
+      global.fetch.mockResolvedValueOnce(streamResponse([
+        'data: {"error":{"message":"Provider overloaded"}}\n\n'
+      ]));
+      
+      await expect(client.generateText({
+        prompt: 'Test',
+        model: 'gpt-4',
+        onToken: () => {}
+      })).rejects.toThrow('Provider overloaded');
+    });
+  });
+  
   describe('estimateCost', () => {
     it('should estimate image generation cost', async () => {
       const estimate = await client.estimateCost({
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for Pricing Catalog
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PROVIDERS, SETTINGS } from '../../scripts/constants.js';
+
+const gm = { id: 'gm1', name: 'GM', isGM: true };
+let settingValues = {};
+
+global.game = {
+  settings: {
+    register: vi.fn(),
+    get: vi.fn((module, key) => settingValues[key]),
+    set: vi.fn(async (module, key, value) => { settingValues[key] = value; })
+  },
+  users: { activeGM: gm },
+  user: gm
+};
+
+const { default: PricingCatalog, PRICING_SOURCES } = await import('../../scripts/services/pricing-catalog.js');
+const { default: CostEstimator } = await import('../../scripts/services/cost-estimator.js');
+const { default: OpenRouterClient } = await import('../../scripts/api/openrouter.js');
+
+describe('PricingCatalog', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    settingValues = {};
+    global.fetch = vi.fn();
+  });
+  
+  it('should return bundled prices with their version and source', () => {
+    const pricing = PricingCatalog.get(PROVIDERS.ANTHROPIC, 'claude-3-haiku-20240307');
+    
+    expect(pricing).toMatchObject({ perInputToken: 0.00025, perOutputToken: 0.00125, type: 'text' });
+    expect(pricing.version).toBe(PricingCatalog.VERSION);
+    expect(pricing.source).toBe(PRICING_SOURCES.BUNDLED);
+  });
+  
+  it('should refresh OpenRouter prices per 1K tokens and skip router-priced models', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        data: [
+          { id: 'openai/gpt-4o', pricing: { prompt: '0.0000025', completion: '0.00001' } },
+          { id: 'openrouter/auto', pricing: { prompt: '-1', completion: '-1' } }
+        ]
+      })
+    });
+    
+    expect(await PricingCatalog.refresh()).toBe(1);
+    expect(fetch).toHaveBeenCalledWith(PricingCatalog.OPENROUTER_MODELS_URL, expect.any(Object));
+    
+    const pricing = PricingCatalog.get(PROVIDERS.OPENROUTER, 'openai/gpt-4o:online');
+    expect(pricing).toMatchObject({ perInputToken: 0.0025, perOutputToken: 0.01, source: PRICING_SOURCES.OPENROUTER });
+    expect(PricingCatalog.get(PROVIDERS.OPENROUTER, 'openrouter/auto')).toBeUndefined();
+    
+    // The client reads the same catalog instead of a table of its own
+    expect(new OpenRouterClient('sk-or').pricing['openai/gpt-4o'].source).toBe(PRICING_SOURCES.OPENROUTER);
+  });
+  
+  it('should let imported overrides change single fields and hardware rates', async () => {
+    await PricingCatalog.importOverrides(JSON.stringify({
+      version: '2026-01',
+      providers: {
+        [PROVIDERS.OPENAI]: { 'gpt-4': { perOutputToken: 0.05 } },
+        [PROVIDERS.GEMINI]: { 'imagen-5': { type: 'image', perImage: 0.05 } }
+      },
+      hardware: { 'gpu-l40s': 0.001 }
+    }));
+    
+    expect(PricingCatalog.get(PROVIDERS.OPENAI, 'gpt-4')).toMatchObject({
+      perInputToken: 0.03,
+      perOutputToken: 0.05,
+      version: '2026-01',
+      source: PRICING_SOURCES.OVERRIDE
+    });
+    expect(CostEstimator.calculate(PROVIDERS.GEMINI, 'imagen-5', { images: 2 }).amount).toBe(0.1);
+    expect(CostEstimator.calculate(PROVIDERS.REPLICATE, 'stability-ai/sdxl', { images: 1, seconds: 10 }).amount).toBe(0.01);
+    
+    await PricingCatalog.clearOverrides();
+    expect(PricingCatalog.get(PROVIDERS.OPENAI, 'gpt-4').perOutputToken).toBe(0.06);
+  });
+  
+  it('should reject invalid overrides', async () => {
+    await expect(PricingCatalog.importOverrides('{"openai": {}}')).rejects.toThrow('"providers"');
+    await expect(PricingCatalog.importOverrides({ providers: { openai: { 'gpt-4': { perImage: -1 } } } })).rejects.toThrow('perImage');
+    await expect(PricingCatalog.importOverrides({ providers: { openai: { 'new-model': { perImage: 0.1 } } } })).rejects.toThrow('needs a type');
+    expect(settingValues[SETTINGS.PRICING_OVERRIDES]).toBeUndefined();
+  });
+  
+  it('should export the effective catalog in the import format', () => {
+    const catalog = JSON.parse(PricingCatalog.toJSON());
+    
+    expect(catalog.providers[PROVIDERS.OPENAI]['dall-e-3'].tiers.hd['1024x1024']).toBe(0.08);
+    expect(catalog.providers[PROVIDERS.OPENAI]['dall-e-3'].source).toBeUndefined();
+    expect(catalog.hardware['gpu-a40-large']).toBe(PricingCatalog.HARDWARE_RATES['gpu-a40-large']);
+    expect(() => PricingCatalog.validateOverrides(catalog)).not.toThrow();
+  });
+  
+  it('should bill per-second speech by audio length', () => {
+    expect(CostEstimator.calculate(PROVIDERS.OPENAI, 'gpt-4o-mini-tts', { characters: 150, seconds: 20 }).amount).toBe(0.005);
+    expect(CostEstimator.calculate(PROVIDERS.OPENAI, 'gpt-4o-mini-tts', { characters: 150 }).breakdown.seconds).toBe(10);
+  });
+});
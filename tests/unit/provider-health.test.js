@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for Provider Health
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ProviderHealth, { CIRCUIT_STATES, HEALTH_HOOK } from '../../scripts/services/provider-health.js';
+
+describe('ProviderHealth', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    global.Hooks = { callAll: vi.fn() };
+    ProviderHealth.reset();
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  const failRepeatedly = (provider) => {
+    for (let i = 0; i < ProviderHealth.FAILURE_THRESHOLD; i++) {
+      ProviderHealth.recordFailure(provider, 'HTTP 503');
+    }
+  };
+  
+  it('should open the circuit after repeated failures', () => {
+    ProviderHealth.recordFailure('openai', 'HTTP 503');
+    expect(ProviderHealth.acquire('openai')).toBe(true);
+    expect(ProviderHealth.getStatus('openai').status).toBe('failing');
+    
+    failRepeatedly('openai');
+    
+    expect(ProviderHealth.acquire('openai')).toBe(false);
+    expect(ProviderHealth.isOpen('openai')).toBe(true);
+    expect(ProviderHealth.getStatus('openai')).toMatchObject({
+      status: 'down',
+      state: CIRCUIT_STATES.OPEN,
+      lastError: 'HTTP 503'
+    });
+    expect(Hooks.callAll).toHaveBeenCalledWith(HEALTH_HOOK, 'openai', expect.objectContaining({ status: 'down' }));
+  });
+  
+  it('should reset the failure count on success', () => {
+    ProviderHealth.recordFailure('openai', 'HTTP 503');
+    ProviderHealth.recordFailure('openai', 'HTTP 503');
+    ProviderHealth.recordSuccess('openai', 500);
+    ProviderHealth.recordFailure('openai', 'HTTP 503');
+    
+    expect(ProviderHealth.acquire('openai')).toBe(true);
+    expect(ProviderHealth.getStatus('openai').consecutiveFailures).toBe(1);
+  });
+  
+  it('should allow a single half-open probe after the cooldown', () => {
+    failRepeatedly('openai');
+    vi.advanceTimersByTime(ProviderHealth.COOLDOWN);
+    
+    expect(ProviderHealth.getStatus('openai').status).toBe('recovering');
+    expect(ProviderHealth.acquire('openai')).toBe(true);
+    expect(ProviderHealth.acquire('openai')).toBe(false);
+    
+    ProviderHealth.recordSuccess('openai', 800);
+    
+    expect(ProviderHealth.getStatus('openai').state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(ProviderHealth.acquire('openai')).toBe(true);
+  });
+  
+  it('should reopen the circuit when the probe fails', () => {
+    failRepeatedly('openai');
+    vi.advanceTimersByTime(ProviderHealth.COOLDOWN);
+    ProviderHealth.acquire('openai');
+    
+    ProviderHealth.recordFailure('openai', 'Request timed out');
+    
+    expect(ProviderHealth.isOpen('openai')).toBe(true);
+    expect(ProviderHealth.getStatus('openai').retryAt).toBe(Date.now() + ProviderHealth.COOLDOWN);
+  });
+  
+  it('should report slow providers from recent latency', () => {
+    for (let i = 0; i < ProviderHealth.SAMPLE_SIZE + 2; i++) {
+      ProviderHealth.recordSuccess('replicate', ProviderHealth.SLOW_LATENCY * 2);
+    }
+    
+    const status = ProviderHealth.getStatus('replicate');
+    expect(status.status).toBe('slow');
+    expect(ProviderHealth.records.get('replicate').latencies).toHaveLength(ProviderHealth.SAMPLE_SIZE);
+    expect(ProviderHealth.getStatus('openai').status).toBe('healthy');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for Provider Registry
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PROVIDERS } from '../../scripts/constants.js';
+
+global.Hooks = { callAll: vi.fn() };
+global.game = {
+  settings: {
+    register: vi.fn(),
+    get: vi.fn(),
+    set: vi.fn()
+  }
+};
+
+const { default: ProviderRegistry, REGISTER_HOOK, REGISTERED_HOOK } = await import('../../scripts/api/provider-registry.js');
+const { default: ProviderFactory } = await import('../../scripts/api/provider-factory.js');
+const { default: CostEstimator } = await import('../../scripts/services/cost-estimator.js');
+
+class AddonClient {
+  constructor(apiKey, endpoint) {
+    this.apiKey = apiKey;
+    this.endpoint = endpoint;
+  }
+}
+
+describe('ProviderRegistry', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ProviderRegistry.providers.clear();
+    ProviderRegistry.initialize();
+  });
+  
+  afterEach(() => {
+    delete CostEstimator.PRICING['addon'];
+  });
+  
+  it('should register every built-in provider and fire the registration hook', () => {
+    Object.values(PROVIDERS).forEach(id => {
+      expect(ProviderRegistry.has(id)).toBe(true);
+    });
+    expect(Hooks.callAll).toHaveBeenCalledWith(REGISTER_HOOK, ProviderRegistry);
+  });
+  
+  it('should register add-on providers with their settings and pricing', () => {
+    const provider = ProviderRegistry.register({
+      id: 'addon',
+      name: 'Add-on',
+      clientClass: AddonClient,
+      settings: [{ key: 'addonApiKey', name: 'Add-on API Key', role: 'apiKey' }],
+      pricing: { 'addon-image': { perImage: 0.01, type: 'image' } }
+    });
+    
+    expect(provider.apiKeySetting).toBe('addonApiKey');
+    expect(game.settings.register).toHaveBeenCalledWith('oracle-world', 'addonApiKey', expect.objectContaining({
+      name: 'Add-on API Key',
+      scope: 'world'
+    }));
+    expect(CostEstimator.PRICING['addon']['addon-image'].perImage).toBe(0.01);
+    expect(Hooks.callAll).toHaveBeenCalledWith(REGISTERED_HOOK, provider);
+  });
+  
+  it('should reject duplicate or incomplete definitions', () => {
+    expect(() => ProviderRegistry.register({ id: PROVIDERS.OPENAI, name: 'OpenAI', clientClass: AddonClient }))
+      .toThrow('already registered');
+    expect(() => ProviderRegistry.register({ id: 'addon', name: 'Add-on' }))
+      .toThrow('requires a clientClass or createClient');
+    expect(() => ProviderRegistry.unregister(PROVIDERS.OPENAI)).toThrow('cannot be unregistered');
+  });
+  
+  it('should let ProviderFactory create and list add-on providers', () => {
+    ProviderRegistry.register({
+      id: 'addon',
+      name: 'Add-on',
+      clientClass: AddonClient,
+      settings: [
+        { key: 'addonApiKey', role: 'apiKey' },
+        { key: 'addonUrl', role: 'endpoint' }
+      ]
+    });
+    game.settings.get.mockImplementation((module, key) => ({ addonApiKey: 'secret', addonUrl: 'http://localhost:9000' })[key] || '');
+    
+    const client = ProviderFactory.create('addon');
+    
+    expect(client).toBeInstanceOf(AddonClient);
+    expect(client.apiKey).toBe('secret');
+    expect(client.endpoint).toBe('http://localhost:9000');
+    expect(ProviderFactory.getAvailableProviders()).toEqual([{ id: 'addon', name: 'Add-on' }]);
+  });
+  
+  it('should throw for unknown providers', () => {
+    expect(() => ProviderFactory.create('missing')).toThrow('Unknown provider: missing');
+  });
+  
+  describe('capabilities', () => {
+    beforeEach(() => {
+      const keys = { anthropicApiKey: 'a', openaiApiKey: 'o', stableDiffusionUrl: 'http://127.0.0.1:7860' };
+      game.settings.get.mockImplementation((module, key) => keys[key] || '');
+    });
+    
+    it('should only list providers that support the generation type', () => {
+      const ids = type => ProviderFactory.getAvailableProviders(type).map(provider => provider.id);
+      
+      expect(ids('text')).toEqual([PROVIDERS.OPENAI, PROVIDERS.ANTHROPIC]);
+      expect(ids('image')).toEqual([PROVIDERS.OPENAI, PROVIDERS.STABLE_DIFFUSION]);
+      expect(ids('speech')).toEqual([PROVIDERS.OPENAI]);
+    });
+    
+    it('should check transform modes', () => {
+      expect(ProviderFactory.supports(PROVIDERS.STABLE_DIFFUSION, 'image-transform', 'inpainting')).toBe(true);
+      expect(ProviderFactory.supports(PROVIDERS.STABLE_DIFFUSION, 'image-transform', 'outpainting')).toBe(false);
+      expect(ProviderFactory.supports(PROVIDERS.ANTHROPIC, 'image')).toBe(false);
+    });
+    
+    it('should narrow provider capabilities with model capabilities', () => {
+      const capabilities = ProviderFactory.getCapabilities(PROVIDERS.OPENAI, {
+        id: 'dall-e-3',
+        capabilities: { maxCount: 1 }
+      });
+      
+      expect(capabilities.maxCount).toBe(1);
+      expect(capabilities.types).toContain('speech');
+      expect(ProviderFactory.getCapabilities(PROVIDERS.OPENAI).maxCount).toBe(4);
+    });
+    
+    it('should merge add-on capabilities over the defaults', () => {
+      ProviderRegistry.register({
+        id: 'addon',
+        name: 'Add-on',
+        clientClass: AddonClient,
+        capabilities: { types: ['image'], seed: true }
+      });
+      
+      const capabilities = ProviderFactory.getCapabilities('addon');
+      expect(capabilities.seed).toBe(true);
+      expect(capabilities.negativePrompt).toBe(false);
+      expect(capabilities.sizeLimits).toEqual({ min: 256, max: 2048, step: 64 });
+    });
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * Unit Tests for Queue Manager
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import QueueManager, { JOB_PRIORITIES, JOB_STATUS, QUEUE_HOOK } from '../../scripts/services/queue-manager.js';
+import ProviderFactory from '../../scripts/api/provider-factory.js';
+import RateLimiter from '../../scripts/services/rate-limiter.js';
+import BudgetManager from '../../scripts/services/budget-manager.js';
+import { ERROR_TYPES, SETTINGS } from '../../scripts/constants.js';
+
+let settingValues = {};
+let flagValues = {};
+let nextId = 0;
+
+const user = {
+  id: 'gm1',
+  isGM: true,
+  getFlag: vi.fn((module, key) => flagValues[key]),
+  setFlag: vi.fn(async (module, key, value) => { flagValues[key] = value; })
+};
+
+global.Hooks = { callAll: vi.fn(), on: vi.fn() };
+global.ui = { notifications: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
+global.foundry = { utils: { randomID: () => `job${++nextId}` } };
+global.game = {
+  settings: {
+    get: vi.fn((module, key) => settingValues[key]),
+    set: vi.fn(async (module, key, value) => { settingValues[key] = value; })
+  },
+  user
+};
+
+/**
+ * Execute function that settles when the test says so
+ */
+const deferred = () => {
+  const control = {};
+  control.execute = vi.fn(() => new Promise((resolve, reject) => Object.assign(control, { resolve, reject })));
+  return control;
+};
+
+describe('QueueManager', () => {
+  let queue;
+  
+  beforeEach(() => {
+    vi.clearAllMocks();
+    settingValues = {};
+    flagValues = {};
+    game.user = user;
+    RateLimiter.reset();
+    RateLimiter.configure('');
+    queue = new QueueManager();
+  });
+  
+  describe('enqueue', () => {
+    it('should resolve with the result of execute', async () => {
+      const result = await queue.enqueue({
+        provider: 'test',
+        execute: async () => ({ success: true })
+      });
+      
+      expect(result.success).toBe(true);
+    });
+    
+    it('should leave the spend of relayed requests for the GM to record', async () => {
+      const recordSpend = vi.spyOn(BudgetManager, 'recordSpend').mockResolvedValue({ cost: 0.04 });
+      settingValues[SETTINGS.TRACK_USAGE] = true;
+      const run = () => queue.enqueue({ provider: 'test', execute: async () => ({ cost: { amount: 0.04 } }) });
+      
+      game.user = { id: 'player1', isGM: false };
+      settingValues[SETTINGS.GM_ONLY_KEYS] = true;
+      await run();
+      expect(recordSpend).not.toHaveBeenCalled();
+      
+      settingValues[SETTINGS.GM_ONLY_KEYS] = false;
+      await run();
+      expect(recordSpend).toHaveBeenCalledWith(expect.objectContaining({ userId: 'player1' }));
+      
+      game.user = { id: 'gm1', isGM: true };
+      recordSpend.mockRestore();
+    });
+  });
+  
+  describe('Fallbacks', () => {
+    const failWith = (type) => {
+      const error = new Error(type);
+      error.type = type;
+      return error;
+    };
+    
+    it('should fail over to the next target on network errors and record it', async () => {
+      const onFallback = vi.fn();
+      const execute = vi.fn(async (target) => {
+        if (target.provider === 'anthropic') throw failWith(ERROR_TYPES.NETWORK_ERROR);
+        return { success: true, provider: target.provider, model: target.model };
+      });
+      
+      const result = await queue.enqueue({
+        provider: 'anthropic',
+        model: 'claude-3-haiku',
+        fallbacks: [{ provider: 'openrouter', model: 'gpt-4' }],
+        onFallback,
+        execute
+      });
+      
+      expect(execute).toHaveBeenCalledTimes(2);
+      expect(onFallback).toHaveBeenCalledWith({ provider: 'openrouter', model: 'gpt-4' }, expect.any(Error));
+      expect(result.provider).toBe('openrouter');
+      expect(result.fallback).toEqual({
+        requestedProvider: 'anthropic',
+        requestedModel: 'claude-3-haiku',
+        reason: ERROR_TYPES.NETWORK_ERROR
+      });
+    });
+    
+    it('should not fail over on errors a different provider would not fix', async () => {
+      const execute = vi.fn(async () => { throw failWith(ERROR_TYPES.VALIDATION_ERROR); });
+      
+      await expect(queue.enqueue({
+        provider: 'anthropic',
+        fallbacks: [{ provider: 'openrouter', model: null }],
+        execute
+      })).rejects.toMatchObject({ type: ERROR_TYPES.VALIDATION_ERROR });
+      expect(execute).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should reject with the last error when every target fails', async () => {
+      const execute = vi.fn(async (target) => {
+        throw failWith(target.provider === 'local' ? ERROR_TYPES.AUTH_ERROR : ERROR_TYPES.NETWORK_ERROR);
+      });
+      
+      await expect(queue.enqueue({
+        provider: 'anthropic',
+        fallbacks: [{ provider: 'openrouter', model: null }, { provider: 'local', model: null }],
+        execute
+      })).rejects.toMatchObject({ type: ERROR_TYPES.AUTH_ERROR });
+      expect(execute).toHaveBeenCalledTimes(3);
+    });
+  });
+  
+  describe('Cancellation', () => {
+    it('should reject immediately when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const execute = vi.fn();
+      
+      await expect(queue.enqueue({ provider: 'test', signal: controller.signal, execute }))
+        .rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(execute).not.toHaveBeenCalled();
+    });
+    
+    it('should remove a pending request when its signal aborts', async () => {
+      let finishFirst;
+      const first = queue.enqueue({
+        provider: 'test',
+        execute: () => new Promise(resolve => { finishFirst = resolve; })
+      });
+      
+      const controller = new AbortController();
+      const execute = vi.fn();
+      const second = queue.enqueue({ provider: 'test', signal: controller.signal, execute });
+      
+      expect(queue.getQueueLength()).toBe(1);
+      controller.abort();
+      
+      await expect(second).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(queue.getQueueLength()).toBe(0);
+      
+      finishFirst({ success: true });
+      await first;
+      expect(execute).not.toHaveBeenCalled();
+    });
+    
+    it('should cancel a job by ID and abort it once running', async () => {
+      const running = deferred();
+      const first = queue.enqueue({ provider: 'test', execute: running.execute });
+      const second = queue.enqueue({ provider: 'test', execute: vi.fn() });
+      const [active, waiting] = queue.getJobs();
+      
+      expect(queue.cancel(waiting.id)).toBe(true);
+      await expect(second).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      
+      await vi.waitFor(() => expect(running.execute).toHaveBeenCalled());
+      const signal = running.execute.mock.calls[0][1];
+      queue.cancel(active.id);
+      expect(signal.aborted).toBe(true);
+      
+      running.reject(Object.assign(new Error('Aborted'), { type: ERROR_TYPES.CANCELLED }));
+      await expect(first).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(queue.getJob(active.id).status).toBe(JOB_STATUS.CANCELLED);
+    });
+  });
+  
+  describe('Scheduling', () => {
+    it('should run interactive jobs ahead of queued batch jobs', async () => {
+      const running = deferred();
+      const order = [];
+      const record = name => async () => { order.push(name); return {}; };
+      
+      const jobs = [
+        queue.enqueue({ provider: 'test', execute: running.execute }),
+        queue.enqueue({ provider: 'test', priority: JOB_PRIORITIES.BATCH, execute: record('batch') }),
+        queue.enqueue({ provider: 'test', execute: record('normal') }),
+        queue.enqueue({ provider: 'test', priority: JOB_PRIORITIES.INTERACTIVE, execute: record('interactive') })
+      ];
+      
+      expect(queue.getJobs().map(job => job.priority)).toEqual([
+        JOB_PRIORITIES.NORMAL, JOB_PRIORITIES.INTERACTIVE, JOB_PRIORITIES.NORMAL, JOB_PRIORITIES.BATCH
+      ]);
+      
+      await vi.waitFor(() => expect(running.execute).toHaveBeenCalled());
+      running.resolve({});
+      await Promise.all(jobs);
+      expect(order).toEqual(['interactive', 'normal', 'batch']);
+    });
+    
+    it('should limit concurrency per provider', async () => {
+      vi.spyOn(queue, 'getConcurrency').mockImplementation(provider => (provider === 'openai' ? 2 : 1));
+      const calls = Array.from({ length: 5 }, deferred);
+      
+      calls.slice(0, 3).forEach(call => queue.enqueue({ provider: 'openai', execute: call.execute }));
+      calls.slice(3).forEach(call => queue.enqueue({ provider: 'local', execute: call.execute }));
+      
+      await vi.waitFor(() => expect(calls[3].execute).toHaveBeenCalled());
+      expect(calls.map(call => call.execute.mock.calls.length)).toEqual([1, 1, 0, 1, 0]);
+      
+      calls[0].resolve({});
+      await vi.waitFor(() => expect(calls[2].execute).toHaveBeenCalled());
+      expect(calls[4].execute).not.toHaveBeenCalled();
+    });
+    
+    it('should requeue a rate limited job and hold the provider until it may retry', async () => {
+      const execute = vi.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Rate limit exceeded'), { type: ERROR_TYPES.RATE_LIMIT, details: { retryAfter: '0.05' } }))
+        .mockResolvedValueOnce({ success: true });
+      
+      const result = await queue.enqueue({ provider: 'openai', model: 'gpt-4o', execute });
+      
+      expect(result.success).toBe(true);
+      expect(execute).toHaveBeenCalledTimes(2);
+      expect(queue.getJobs()[0]).toMatchObject({ status: JOB_STATUS.DONE, rateLimited: 1 });
+    });
+    
+    it('should give back the tokens reserved for jobs that fail or are cancelled', async () => {
+      RateLimiter.configure('anthropic:claude-3-haiku=/10000');
+      const request = { provider: 'anthropic', model: 'claude-3-haiku', type: 'text', params: { prompt: 'A tavern', maxTokens: 5000 } };
+      const available = () => RateLimiter.getStatus('anthropic', 'claude-3-haiku').tokens.available;
+      
+      const failing = vi.fn().mockRejectedValue(Object.assign(new Error('Server error'), { type: ERROR_TYPES.API_ERROR }));
+      await expect(queue.enqueue({ ...request, execute: failing })).rejects.toThrow('Server error');
+      expect(available()).toBeGreaterThanOrEqual(10000);
+      
+      const running = deferred();
+      const controller = new AbortController();
+      const pending = queue.enqueue({ ...request, execute: running.execute, signal: controller.signal });
+      await vi.waitFor(() => expect(running.execute).toHaveBeenCalled());
+      expect(available()).toBeLessThan(6000);
+      
+      controller.abort();
+      running.reject(Object.assign(new Error('Cancelled'), { type: ERROR_TYPES.CANCELLED }));
+      await expect(pending).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(available()).toBeGreaterThanOrEqual(10000);
+    });
+    
+    it('should announce job changes', async () => {
+      await queue.enqueue({ provider: 'test', label: 'A castle', execute: async () => ({}) });
+      
+      const statuses = Hooks.callAll.mock.calls
+        .filter(([hook]) => hook === QUEUE_HOOK)
+        .map(([, job]) => job.status);
+      expect(statuses).toEqual([JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.DONE]);
+      expect(Hooks.callAll).toHaveBeenLastCalledWith(QUEUE_HOOK, expect.objectContaining({ label: 'A castle' }), expect.any(Array));
+    });
+  });
+  
+  describe('Monitor controls', () => {
+    it('should retry a failed job through its client method and deliver the result to its handler', async () => {
+      const client = { generateImage: vi.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Server error'), { type: ERROR_TYPES.API_ERROR }))
+        .mockResolvedValueOnce({ images: ['castle.png'] }) };
+      vi.spyOn(ProviderFactory, 'create').mockReturnValue(client);
+      const onComplete = vi.fn();
+      QueueManager.registerHandler('retry', { onComplete });
+      
+      await expect(queue.enqueue({ provider: 'openai', model: 'dall-e-3', method: 'generateImage', params: { prompt: 'A castle' }, handler: 'retry' }))
+        .rejects.toThrow('Server error');
+      const [job] = queue.getJobs();
+      expect(job.status).toBe(JOB_STATUS.FAILED);
+      expect(queue.canRetry(job)).toBe(true);
+      
+      expect(queue.retry(job.id)).toBe(true);
+      await vi.waitFor(() => expect(onComplete).toHaveBeenCalled());
+      expect(onComplete.mock.calls[0][0]).toMatchObject({ images: ['castle.png'], jobId: job.id });
+      expect(queue.getJob(job.id)).toMatchObject({ status: JOB_STATUS.DONE, error: null });
+    });
+    
+    it('should not retry jobs that have no client method', async () => {
+      await expect(queue.enqueue({ provider: 'test', execute: async () => { throw new Error('Stream broke'); } })).rejects.toThrow();
+      
+      expect(queue.retry(queue.getJobs()[0].id)).toBe(false);
+    });
+    
+    it('should reprioritize queued jobs only', async () => {
+      const running = deferred();
+      const order = [];
+      const record = name => async () => { order.push(name); return {}; };
+      
+      const jobs = [
+        queue.enqueue({ provider: 'test', execute: running.execute }),
+        queue.enqueue({ provider: 'test', execute: record('first') }),
+        queue.enqueue({ provider: 'test', execute: record('second') })
+      ];
+      const [active, , second] = queue.getJobs();
+      
+      expect(queue.setPriority(active.id, JOB_PRIORITIES.BATCH)).toBe(false);
+      expect(queue.setPriority(second.id, JOB_PRIORITIES.INTERACTIVE)).toBe(true);
+      
+      await vi.waitFor(() => expect(running.execute).toHaveBeenCalled());
+      running.resolve({});
+      await Promise.all(jobs);
+      expect(order).toEqual(['second', 'first']);
+    });
+    
+    it('should clear finished jobs and keep active ones', async () => {
+      const running = deferred();
+      await queue.enqueue({ provider: 'test', execute: async () => ({}) });
+      const pending = queue.enqueue({ provider: 'other', execute: running.execute });
+      
+      queue.clearFinished();
+      
+      expect(queue.getJobs()).toHaveLength(1);
+      expect(Hooks.callAll).toHaveBeenLastCalledWith(QUEUE_HOOK, null, expect.any(Array));
+      
+      await vi.waitFor(() => expect(running.execute).toHaveBeenCalled());
+      running.resolve({});
+      await pending;
+    });
+  });
+  
+  describe('Persistence', () => {
+    it('should save jobs without signals or callbacks once restored', async () => {
+      queue.restore();
+      const controller = new AbortController();
+      const running = deferred();
+      
+      const pending = queue.enqueue({
+        provider: 'test',
+        method: 'generateImage',
+        params: { prompt: 'A castle', signal: controller.signal, onProgress: () => {} },
+        signal: controller.signal,
+        execute: running.execute
+      });
+      await vi.waitFor(() => expect(running.execute).toHaveBeenCalled());
+      await queue._writing;
+      
+      expect(flagValues[QueueManager.FLAG]).toEqual([expect.objectContaining({
+        status: JOB_STATUS.RUNNING,
+        method: 'generateImage',
+        params: { prompt: 'A castle' }
+      })]);
+      expect(user.setFlag).toHaveBeenCalledWith('oracle-world', QueueManager.FLAG, expect.any(Array));
+      
+      running.resolve({ cost: { amount: 0.04 } });
+      await pending;
+      await queue._writing;
+      
+      // Finished jobs are only shown until the reload
+      expect(queue.getJobs()).toEqual([expect.objectContaining({ status: JOB_STATUS.DONE, cost: 0.04 })]);
+      expect(flagValues[QueueManager.FLAG]).toEqual([]);
+    });
+    
+    it('should leave large inputs out of saved jobs and not resume those jobs', async () => {
+      queue.restore();
+      const imageData = `data:image/png;base64,${'A'.repeat(QueueManager.SAVED_PARAM_LIMIT)}`;
+      const running = deferred();
+      
+      queue.enqueue({
+        provider: 'test',
+        method: 'transformImage',
+        params: { prompt: 'Paint it blue', imageData },
+        execute: running.execute
+      });
+      await vi.waitFor(() => expect(running.execute).toHaveBeenCalled());
+      await queue._writing;
+      
+      const [saved] = flagValues[QueueManager.FLAG];
+      expect(saved).toMatchObject({ method: null, params: { prompt: 'Paint it blue' } });
+      expect(queue.getJob(saved.id).params.imageData).toBe(imageData);
+      
+      const reloaded = new QueueManager();
+      reloaded.restore();
+      expect(reloaded.getJob(saved.id)).toMatchObject({ status: JOB_STATUS.FAILED, error: 'Interrupted by a reload' });
+    });
+    
+    it('should resume saved jobs with a client method and hand results to their handler', async () => {
+      const client = { generateText: vi.fn(async params => ({ provider: 'openai', text: 'Hello', params })) };
+      vi.spyOn(ProviderFactory, 'create').mockReturnValue(client);
+      const onComplete = vi.fn();
+      QueueManager.registerHandler('test', { onComplete });
+      flagValues[QueueManager.FLAG] = [
+        { id: 'a', label: 'Tavern', provider: 'openai', model: 'gpt-4o', type: 'text', method: 'generateText', params: { prompt: 'A tavern', model: 'gpt-4o' }, handler: 'test', context: { requestId: 'r1' }, priority: JOB_PRIORITIES.NORMAL, status: JOB_STATUS.RUNNING, createdAt: 1 },
+        { id: 'b', label: 'Streamed', provider: 'openai', type: 'text', method: null, status: JOB_STATUS.QUEUED, createdAt: 2 }
+      ];
+      
+      queue.restore();
+      
+      expect(queue.getJob('b')).toMatchObject({ status: JOB_STATUS.FAILED, error: 'Interrupted by a reload' });
+      await vi.waitFor(() => expect(onComplete).toHaveBeenCalled());
+      expect(client.generateText).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'A tavern', model: 'gpt-4o' }));
+      expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ text: 'Hello' }), expect.objectContaining({ context: { requestId: 'r1' } }));
+      expect(queue.getJob('a').status).toBe(JOB_STATUS.DONE);
+    });
+  });
+});
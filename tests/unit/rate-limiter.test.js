@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for Rate Limiter
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import RateLimiter from '../../scripts/services/rate-limiter.js';
+import { ERROR_TYPES, PROVIDERS } from '../../scripts/constants.js';
+
+const headers = (values) => new Headers(values);
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    RateLimiter.reset();
+    RateLimiter.configure('');
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('should parse provider and model limits', () => {
+    expect(RateLimiter.parse('openai=500/30000, anthropic:claude-sonnet-4-5=50, openai-compatible:llama3:8b=/2000, nonsense')).toEqual({
+      openai: { rpm: 500, tpm: 30000 },
+      'anthropic:claude-sonnet-4-5': { rpm: 50, tpm: null },
+      'openai-compatible:llama3:8b': { rpm: null, tpm: 2000 }
+    });
+  });
+  
+  it('should hold requests once the configured requests per minute are used', async () => {
+    vi.useFakeTimers();
+    RateLimiter.configure('openai=2');
+    
+    await RateLimiter.acquire(PROVIDERS.OPENAI, 'gpt-4o');
+    await RateLimiter.acquire(PROVIDERS.OPENAI, 'gpt-4o');
+    expect(RateLimiter.getWait(PROVIDERS.OPENAI, 'gpt-4o')).toBe(30000);
+    
+    let acquired = false;
+    const third = RateLimiter.acquire(PROVIDERS.OPENAI, 'gpt-4o').then(() => { acquired = true; });
+    await vi.advanceTimersByTimeAsync(29000);
+    expect(acquired).toBe(false);
+    await vi.advanceTimersByTimeAsync(1000);
+    await third;
+    expect(acquired).toBe(true);
+  });
+  
+  it('should reserve tokens and correct them with the reported usage', async () => {
+    RateLimiter.configure('anthropic:claude-3-haiku=/10000');
+    
+    const reservation = await RateLimiter.acquire(PROVIDERS.ANTHROPIC, 'claude-3-haiku', { tokens: 6000 });
+    expect(RateLimiter.getWait(PROVIDERS.ANTHROPIC, 'claude-3-haiku', 6000)).toBeGreaterThan(0);
+    
+    RateLimiter.settle(reservation, 1000);
+    expect(RateLimiter.getStatus(PROVIDERS.ANTHROPIC, 'claude-3-haiku').tokens.available).toBeGreaterThanOrEqual(9000);
+    expect(RateLimiter.getWait(PROVIDERS.ANTHROPIC, 'claude-3-haiku', 6000)).toBe(0);
+  });
+  
+  it('should follow OpenAI headers for the model in the request', () => {
+    RateLimiter.update(PROVIDERS.OPENAI, 'gpt-4o', headers({
+      'x-ratelimit-limit-requests': '500',
+      'x-ratelimit-remaining-requests': '0',
+      'x-ratelimit-reset-requests': '6s',
+      'x-ratelimit-limit-tokens': '30000',
+      'x-ratelimit-remaining-tokens': '29000',
+      'x-ratelimit-reset-tokens': '6m0s'
+    }));
+    
+    const wait = RateLimiter.getWait(PROVIDERS.OPENAI, 'gpt-4o');
+    expect(wait).toBeGreaterThan(0);
+    expect(wait).toBeLessThanOrEqual(6000);
+    expect(RateLimiter.getWait(PROVIDERS.OPENAI, 'gpt-4o-mini')).toBe(0);
+    expect(RateLimiter.getStatus(PROVIDERS.OPENAI, 'gpt-4o').tokens).toEqual({ available: 29000, capacity: 30000 });
+  });
+  
+  it('should read Anthropic reset times and OpenRouter key-wide limits', () => {
+    RateLimiter.update(PROVIDERS.ANTHROPIC, 'claude-sonnet-4-5', headers({
+      'anthropic-ratelimit-requests-limit': '50',
+      'anthropic-ratelimit-requests-remaining': '0',
+      'anthropic-ratelimit-requests-reset': new Date(Date.now() + 20000).toISOString()
+    }));
+    expect(RateLimiter.getWait(PROVIDERS.ANTHROPIC, 'claude-sonnet-4-5')).toBeGreaterThan(0);
+    
+    RateLimiter.update(PROVIDERS.OPENROUTER, 'openai/gpt-4o', headers({
+      'x-ratelimit-limit': '20',
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(Date.now() + 10000)
+    }));
+    expect(RateLimiter.getWait(PROVIDERS.OPENROUTER, 'anthropic/claude-3-haiku')).toBeGreaterThan(0);
+    
+    expect(RateLimiter.update(PROVIDERS.GEMINI, 'gemini-pro', headers({ 'content-type': 'application/json' }))).toBe(false);
+  });
+  
+  it('should hold a provider after a 429 and stop waiting when cancelled', async () => {
+    RateLimiter.block(PROVIDERS.DEEPSEEK, null);
+    expect(RateLimiter.getWait(PROVIDERS.DEEPSEEK, 'deepseek-chat')).toBeGreaterThan(RateLimiter.DEFAULT_BACKOFF - 1000);
+    
+    const controller = new AbortController();
+    const waiting = RateLimiter.acquire(PROVIDERS.DEEPSEEK, 'deepseek-chat', { signal: controller.signal });
+    controller.abort();
+    
+    await expect(waiting).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit Tests for Replicate Client
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import ReplicateClient from '../../scripts/api/replicate.js';
+import ProviderHealth from '../../scripts/services/provider-health.js';
+import { ERROR_TYPES } from '../../scripts/constants.js';
+
+const ok = (body) => ({ ok: true, status: 200, json: async () => body });
+
+describe('ReplicateClient', () => {
+  let client;
+  
+  beforeEach(() => {
+    client = new ReplicateClient('r8_test');
+    client._sleep = vi.fn(async () => {});
+    global.fetch = vi.fn();
+    ProviderHealth.reset();
+  });
+  
+  describe('Cancellation', () => {
+    it('should cancel a prediction created while the request was being aborted', async () => {
+      const controller = new AbortController();
+      global.fetch
+        .mockImplementationOnce(async () => {
+          controller.abort();
+          return ok({ id: 'p1', status: 'starting' });
+        })
+        .mockResolvedValueOnce(ok({ id: 'p1', status: 'canceled' }));
+      
+      await expect(client.generateImage({ prompt: 'A castle', model: 'someone/custom:v1', signal: controller.signal }))
+        .rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[1][0]).toBe('https://api.replicate.com/v1/predictions/p1/cancel');
+    });
+    
+    it('should cancel a prediction that times out', async () => {
+      global.fetch
+        .mockResolvedValueOnce(ok({ id: 'p1', status: 'processing' }))
+        .mockResolvedValueOnce(ok({ id: 'p1', status: 'processing' }))
+        .mockResolvedValueOnce(ok({ id: 'p1', status: 'canceled' }));
+      
+      await expect(client._pollPrediction('p1', 2)).rejects.toThrow('Prediction timed out');
+      
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(global.fetch.mock.calls[2][0]).toBe('https://api.replicate.com/v1/predictions/p1/cancel');
+    });
+  });
+});
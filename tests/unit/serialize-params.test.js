@@ -0,0 +1,27 @@
+/**
+ * Unit Tests for Parameter Serialization
+ */
+
+import { describe, it, expect } from 'vitest';
+import { serializeParams } from '../../scripts/utils/serialize-params.js';
+
+describe('serializeParams', () => {
+  it('should leave out the signal, callbacks, API keys and undefined values', () => {
+    const params = {
+      prompt: 'A castle',
+      width: 1024,
+      seed: null,
+      negativePrompt: undefined,
+      apiKey: 'sk-test',
+      signal: new AbortController().signal,
+      onToken: () => {}
+    };
+    
+    expect(serializeParams(params)).toEqual({ prompt: 'A castle', width: 1024, seed: null });
+    expect(params.apiKey).toBe('sk-test');
+  });
+  
+  it('should return null without parameters', () => {
+    expect(serializeParams(undefined)).toBeNull();
+  });
+});
@@ -6,6 +6,8 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { SETTINGS, PROVIDERS } from '../../scripts/constants.js';
 
+global.Hooks = { callAll: vi.fn(), on: vi.fn() };
+
 // Mock game.settings
 global.game = {
   settings: {
@@ -15,9 +17,18 @@ global.game = {
   }
 };
 
+const { default: ProviderRegistry } = await import('../../scripts/api/provider-registry.js');
+const { default: ProviderFactory } = await import('../../scripts/api/provider-factory.js');
+const { default: Settings } = await import('../../scripts/utils/settings.js');
+
 describe('Settings Registration', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    ProviderRegistry.providers.clear();
+    ProviderRegistry.initialize();
+    Settings.providers = ProviderRegistry;
+    Settings.providerFactory = ProviderFactory;
+    game.settings.get.mockImplementation(() => '');
   });
 
   describe('Provider Consistency', () => {
@@ -61,53 +72,48 @@ describe('Settings Registration', () => {
   });
 
   describe('Settings Helper Methods', () => {
-    it('hasAnyApiKey should check ALL provider API keys', async () => {
-      // Import Settings dynamically to avoid module initialization issues
-      const { default: Settings } = await import('../../scripts/utils/settings.js');
+    it('hasAnyApiKey and getConfiguredProviders should check every registered provider', async () => {
+      const keys = {
+        [SETTINGS.REPLICATE_API_KEY]: 'r8-test',
+        addonKey: 'addon-test'
+      };
+      game.settings.get.mockImplementation((module, key) => keys[key] || '');
       
-      // Get the source code of hasAnyApiKey
-      const methodSource = Settings.hasAnyApiKey.toString();
+      ProviderRegistry.register({ id: 'addon', name: 'Add-on', clientClass: class {}, apiKeySetting: 'addonKey' });
       
-      // Check that all API key constants are referenced
-      const requiredKeys = [
-        'OPENROUTER_API_KEY',
-        'OPENAI_API_KEY',
-        'ANTHROPIC_API_KEY',
-        'DEEPSEEK_API_KEY',
-        'MIDJOURNEY_API_KEY',
-        'STABLE_DIFFUSION_API_KEY',
-        'GEMINI_API_KEY',
-        'REPLICATE_API_KEY'
-      ];
-
-      requiredKeys.forEach(key => {
-        expect(methodSource).toContain(key);
-      });
-    });
-
-    it('getConfiguredProviders should include ALL providers', async () => {
-      const { default: Settings } = await import('../../scripts/utils/settings.js');
+      expect(Settings.getConfiguredProviders()).toEqual([PROVIDERS.REPLICATE, 'addon']);
+      expect(Settings.hasAnyApiKey()).toBe(true);
       
-      const methodSource = Settings.getConfiguredProviders.toString();
+      game.settings.get.mockImplementation(() => '');
+      expect(Settings.getConfiguredProviders()).toEqual([]);
+      expect(Settings.hasAnyApiKey()).toBe(false);
+    });
+    
+    it('hasAnyApiKey should accept any single hosted provider\'s API key', async () => {
+      for (const [provider, key] of Object.entries(ProviderRegistry.getApiKeySettings())) {
+        // Self-hosted providers need their URL; the key is optional there
+        if (ProviderRegistry.get(provider).endpointSetting) continue;
+        
+        game.settings.get.mockImplementation((module, setting) => setting === key ? 'test-key' : '');
+        
+        expect(Settings.hasAnyApiKey()).toBe(true);
+        expect(Settings.getConfiguredProviders()).toContain(provider);
+      }
+    });
+    
+    it('getConfiguredProviders should include self-hosted providers set up with just a URL', async () => {
+      const urls = {
+        [SETTINGS.COMFYUI_URL]: 'http://localhost:8188',
+        [SETTINGS.STABLE_DIFFUSION_URL]: 'http://localhost:7860'
+      };
+      game.settings.get.mockImplementation((module, key) => urls[key] || '');
       
-      const requiredProviders = [
-        'OPENROUTER',
-        'OPENAI',
-        'ANTHROPIC',
-        'DEEPSEEK',
-        'MIDJOURNEY',
-        'STABLE_DIFFUSION',
-        'GEMINI',
-        'REPLICATE'
-      ];
-
-      requiredProviders.forEach(provider => {
-        expect(methodSource).toContain(`PROVIDERS.${provider}`);
-      });
+      expect(Settings.getConfiguredProviders()).toEqual(expect.arrayContaining([PROVIDERS.COMFYUI, PROVIDERS.STABLE_DIFFUSION]));
+      expect(Settings.hasAnyApiKey()).toBe(true);
     });
+    
 
     it('_getDefaultValue should have defaults for ALL API keys', async () => {
-      const { default: Settings } = await import('../../scripts/utils/settings.js');
       
       const methodSource = Settings._getDefaultValue.toString();
       
@@ -127,50 +133,48 @@ describe('Settings Registration', () => {
       });
     });
 
-    it('default provider choices should include ALL providers', async () => {
-      const { default: Settings } = await import('../../scripts/utils/settings.js');
+    it('default provider choices should list every registered provider', async () => {
+      ProviderRegistry.register({ id: 'addon', name: 'Add-on', clientClass: class {} });
       
-      const methodSource = Settings._registerPreferences.toString();
+      Settings._registerPreferences();
       
-      const requiredProviders = [
-        'OPENROUTER',
-        'OPENAI',
-        'ANTHROPIC',
-        'DEEPSEEK',
-        'MIDJOURNEY',
-        'STABLE_DIFFUSION',
-        'GEMINI',
-        'REPLICATE'
-      ];
-
-      requiredProviders.forEach(provider => {
-        expect(methodSource).toContain(`PROVIDERS.${provider}`);
-      });
+      const [, , config] = game.settings.register.mock.calls.find(([, key]) => key === SETTINGS.DEFAULT_PROVIDER);
+      expect(Object.keys(config.choices)).toEqual(ProviderRegistry.getAll().map(provider => provider.id));
+      expect(config.choices).toMatchObject({ [PROVIDERS.OPENROUTER]: 'OpenRouter', [PROVIDERS.COMFYUI]: 'ComfyUI', addon: 'Add-on' });
+    });
+    
+    it('default provider choices should pick up providers registered after the settings', async () => {
+      Settings._registerPreferences();
+      const [, , config] = game.settings.register.mock.calls.find(([, key]) => key === SETTINGS.DEFAULT_PROVIDER);
+      game.settings.settings = new Map([[`oracle-world.${SETTINGS.DEFAULT_PROVIDER}`, config]]);
+      
+      ProviderRegistry.register({ id: 'late', name: 'Late', clientClass: class {} });
+      expect(config.choices.late).toBe('Late');
+      
+      ProviderRegistry.unregister('late');
+      expect(config.choices).not.toHaveProperty('late');
+      delete game.settings.settings;
     });
   });
 
   describe('Provider Parity Check', () => {
-    it('should have the same number of providers in all relevant places', async () => {
-      const { default: Settings } = await import('../../scripts/utils/settings.js');
+    it('should list every provider in the default choices', async () => {
+      Settings._registerPreferences();
       
-      // Count providers in different methods
-      const hasAnyApiKeySource = Settings.hasAnyApiKey.toString();
-      const getConfiguredProvidersSource = Settings.getConfiguredProviders.toString();
-      const getDefaultValueSource = Settings._getDefaultValue.toString();
+      const [, , config] = game.settings.register.mock.calls.find(([, key]) => key === SETTINGS.DEFAULT_PROVIDER);
+      Object.values(PROVIDERS).forEach(provider => {
+        expect(config.choices).toHaveProperty(provider);
+      });
+    });
+    
+    it('should have a default for every registered API key', async () => {
+      const defaultsCount = (Settings._getDefaultValue.toString().match(/API_KEY/g) || []).length;
+      const apiKeys = Object.values(ProviderRegistry.getApiKeySettings());
       
-      // Count API key references (should be 8 for each)
-      const countApiKeys = (source) => {
-        return (source.match(/API_KEY/g) || []).length;
-      };
-
-      const hasAnyCount = countApiKeys(hasAnyApiKeySource);
-      const configuredCount = countApiKeys(getConfiguredProvidersSource);
-      const defaultsCount = countApiKeys(getDefaultValueSource);
-
-      // All should have the same count
-      expect(hasAnyCount).toBe(configuredCount);
-      expect(configuredCount).toBe(defaultsCount);
-      expect(hasAnyCount).toBeGreaterThanOrEqual(8); // At least 8 providers
+      expect(apiKeys.length).toBe(defaultsCount);
+      apiKeys.forEach(key => {
+        expect(Settings._getDefaultValue(key)).toBe('');
+      });
     });
   });
 });
@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for Stable Diffusion Client
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import StableDiffusionClient from '../../scripts/api/stable-diffusion.js';
+
+describe('StableDiffusionClient', () => {
+  let client;
+  
+  const jsonResponse = (data) => ({
+    ok: true,
+    status: 200,
+    json: async () => data
+  });
+  
+  beforeEach(() => {
+    client = new StableDiffusionClient('', 'http://127.0.0.1:7860/');
+    global.fetch = vi.fn();
+  });
+  
+  describe('Constructor', () => {
+    it('should use the configured base URL without a trailing slash', () => {
+      expect(client.baseURL).toBe('http://127.0.0.1:7860');
+      expect(client.provider).toBe('stable-diffusion');
+    });
+    
+    it('should not send an Authorization header without credentials', () => {
+      expect(client._getAuthHeaders()).toEqual({});
+    });
+    
+    it('should use basic auth when credentials are configured', () => {
+      const authed = new StableDiffusionClient('user:pass', 'http://localhost:7860');
+      expect(authed._getAuthHeaders().Authorization).toBe(`Basic ${btoa('user:pass')}`);
+    });
+  });
+  
+  describe('generateImage', () => {
+    it('should call txt2img and return base64 images', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        images: ['aW1hZ2U='],
+        info: JSON.stringify({ seed: 1234, sampler_name: 'Euler a' })
+      }));
+      
+      const result = await client.generateImage({
+        prompt: 'A dwarven smith',
+        negativePrompt: 'blurry',
+        model: 'dreamshaper.safetensors [abc123]',
+        width: 512,
+        height: 768,
+        count: 1,
+        sampler: 'Euler a'
+      });
+      
+      const [url, request] = global.fetch.mock.calls[0];
+      const body = JSON.parse(request.body);
+      
+      expect(url).toBe('http://127.0.0.1:7860/sdapi/v1/txt2img');
+      expect(request.headers.Authorization).toBeUndefined();
+      expect(body.negative_prompt).toBe('blurry');
+      expect(body.sampler_name).toBe('Euler a');
+      expect(body.override_settings.sd_model_checkpoint).toBe('dreamshaper.safetensors [abc123]');
+      
+      expect(result.images).toEqual(['data:image/png;base64,aW1hZ2U=']);
+      expect(result.metadata.seed).toBe(1234);
+      expect(result.cost.amount).toBe(0);
+    });
+  });
+  
+  describe('transformImage', () => {
+    it('should send inpainting requests to img2img with a mask', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ images: ['b3V0'], info: '{}' }));
+      
+      await client.transformImage({
+        mode: 'inpainting',
+        prompt: 'Add a scar',
+        imageData: 'data:image/png;base64,c291cmNl',
+        maskData: 'bWFzaw=='
+      });
+      
+      const [url, request] = global.fetch.mock.calls[0];
+      const body = JSON.parse(request.body);
+      
+      expect(url).toBe('http://127.0.0.1:7860/sdapi/v1/img2img');
+      expect(body.init_images).toEqual(['c291cmNl']);
+      expect(body.mask).toBe('bWFzaw==');
+    });
+    
+    it('should upscale through the extras endpoint', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ image: 'dXA=' }));
+      
+      const result = await client.transformImage({
+        mode: 'upscaling',
+        imageData: 'c291cmNl',
+        scale: 4
+      });
+      
+      const [url, request] = global.fetch.mock.calls[0];
+      
+      expect(url).toBe('http://127.0.0.1:7860/sdapi/v1/extra-single-image');
+      expect(JSON.parse(request.body).upscaling_resize).toBe(4);
+      expect(result.images).toEqual(['data:image/png;base64,dXA=']);
+    });
+  });
+  
+  describe('getAvailableModels', () => {
+    it('should list server checkpoints and samplers', async () => {
+      global.fetch.mockImplementation(async (url) => jsonResponse(
+        url.endsWith('/sd-models')
+          ? [{ title: 'sdxl.safetensors [1a2b]', model_name: 'sdxl', filename: '/models/sdxl.safetensors' }]
+          : [{ name: 'Euler a' }, { name: 'DPM++ 2M' }]
+      ));
+      
+      const models = await client.getAvailableModels('image');
+      
+      expect(models).toEqual([expect.objectContaining({ id: 'sdxl.safetensors [1a2b]', name: 'sdxl' })]);
+      expect(await client.getSamplers()).toHaveLength(2);
+      expect(await client.getAvailableModels('text')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for Usage Report
+ */
+
+import { describe, it, expect } from 'vitest';
+import UsageReport, { REPORT_PERIODS } from '../../scripts/services/usage-report.js';
+import { PROVIDERS } from '../../scripts/constants.js';
+
+describe('UsageReport', () => {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const entries = [
+    { id: 'a', type: 'image', provider: PROVIDERS.OPENAI, model: 'dall-e-3', userId: 'gm1', prompt: 'A castle', cost: { amount: 0.04, currency: 'USD', estimate: 0.04 }, timestamp: now },
+    { id: 'b', type: 'text', provider: PROVIDERS.ANTHROPIC, model: 'claude-3-haiku', userId: 'gm1', requestedBy: 'player1', prompt: 'A tavern', cost: { amount: 0.01, currency: 'USD', estimate: 0.02 }, timestamp: now - day },
+    { id: 'c', type: 'image', provider: PROVIDERS.OPENAI, model: 'dall-e-3', prompt: '=HYPERLINK("x")', cost: '0.0400', timestamp: now - 60 * day },
+    { id: 'd', type: 'image', provider: PROVIDERS.STABLE_DIFFUSION, model: null, userId: 'player1', prompt: 'A "quoted", prompt', timestamp: now }
+  ];
+  
+  it('should normalize entries and filter by period and fields', () => {
+    const rows = UsageReport.getRows(entries);
+    expect(rows.map(row => row.id)).toEqual(['a', 'd', 'b', 'c']);
+    expect(rows.find(row => row.id === 'c').cost).toBe(0.04);
+    expect(rows.find(row => row.id === 'd').cost).toBe(0);
+    
+    // Approved requests count against the player who asked
+    expect(UsageReport.getRows(entries, { userId: 'player1' }).map(row => row.id)).toEqual(['d', 'b']);
+    expect(UsageReport.getRows(entries, { period: REPORT_PERIODS.LAST_7_DAYS }).map(row => row.id)).not.toContain('c');
+    expect(UsageReport.getRows(entries, { type: 'image', provider: PROVIDERS.OPENAI }).map(row => row.id)).toEqual(['a', 'c']);
+  });
+  
+  it('should total spend and counts by provider, model, user, type and day', () => {
+    const summary = UsageReport.summarize(UsageReport.getRows(entries));
+    
+    expect(summary.count).toBe(4);
+    expect(summary.cost).toBeCloseTo(0.09);
+    expect(summary.byProvider[0]).toMatchObject({ key: PROVIDERS.OPENAI, count: 2 });
+    expect(summary.byProvider[0].share).toBeCloseTo(0.08 / 0.09);
+    expect(summary.byModel.map(group => group.key)).toContain('default');
+    expect(summary.byUser.find(group => group.key === 'player1')).toMatchObject({ count: 2 });
+    expect(summary.byUser.find(group => group.key === 'unknown')).toMatchObject({ count: 1 });
+    expect(summary.byType.find(group => group.key === 'image').count).toBe(3);
+    
+    const days = summary.byDay.map(group => group.key);
+    expect(days).toEqual([...days].sort());
+  });
+  
+  it('should export CSV with quoting and neutralized formulas', () => {
+    const csv = UsageReport.toCSV(UsageReport.getRows(entries), id => (id === 'player1' ? 'Player' : 'GM'));
+    const lines = csv.split('\n');
+    
+    expect(lines[0]).toBe('date,user,type,provider,model,cost,estimate,currency,estimated,prompt');
+    expect(lines).toHaveLength(5);
+    expect(csv).toContain('"A ""quoted"", prompt"');
+    expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(lines[1]).toContain(',GM,image,openai,dall-e-3,0.0400,0.0400,USD,false,A castle');
+  });
+  
+  it('should compare estimates with actual costs', () => {
+    const accuracy = UsageReport.getAccuracy(UsageReport.getRows(entries));
+    
+    expect(accuracy.count).toBe(2);
+    expect(accuracy.estimated).toBeCloseTo(0.06);
+    expect(accuracy.actual).toBeCloseTo(0.05);
+    expect(accuracy.error).toBeCloseTo(0.2);
+  });
+  
+  it('should export JSON records', () => {
+    const records = JSON.parse(UsageReport.toJSON(UsageReport.getRows(entries, { userId: 'player1' })));
+    
+    expect(records).toHaveLength(2);
+    expect(records[1]).toMatchObject({ user: 'player1', type: 'text', provider: PROVIDERS.ANTHROPIC, cost: '0.0100' });
+  });
+});